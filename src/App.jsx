@@ -25,16 +25,99 @@ import {
     PatternLockGrid,
     PasswordSetupModal,
     PasswordEntryModal,
+    SavingsGoalList,
+    SavingsGoalEditorModal,
+    InterestGrowthCard,
+    InterestSettingsEditor,
+    interestSettingsToForm,
+    interestFormToSettings,
+    AllowanceStatusCard,
+    AllowanceSettingsEditor,
+    allowanceSettingsToForm,
+    allowanceFormToSettings,
+    FineInput,
+    FineFloorEditor,
+    EarningCapsEditor,
+    LoanList,
+    LoanScheduleModal,
+    GrantLoanModal,
+    FineWarning,
+    JarBalanceCard,
+    JarSettingsEditor,
+    MoveJarMoneyModal,
+    RewardStore,
+    PendingOrdersList,
+    StoreManagementList,
+    StoreItemEditorModal,
+    MoneyInput,
+    QuickAmountPicker,
+    CurrencySettingsModal,
+    GemWalletCard,
+    GemHistoryModal,
+    GemExchangeModal,
+    GemExchangeSettingsModal,
+    ReverseTransactionModal,
+    TransferModal,
+    PendingTransfersList,
+    TransferSettingsModal,
+    MonthlyStatementModal,
+    LedgerExportModal,
+    SpendingCategoryPicker,
+    SpendingBreakdownModal,
+    EarningsDashboard,
+    AutoApprovalPolicyEditor,
+    AutoApprovalSettingsModal,
+    PendingCompletionList,
+    StarRating,
+    QualityBadge,
+    QualityBonusSettingsModal,
+    RejectionForm,
+    RedoNotice,
+    PhotoCaptureButton,
+    CompletionPhoto,
+    PhotoSettingsModal,
+    BountyBoard,
+    BountySettingsEditor,
+    AuctionBoard,
+    AuctionEditorModal,
+    AuctionHistoryModal,
+    ScheduleCountdown,
+    TimingBadge,
+    ScheduleEditor,
 
     // Constants
     CHORE_ICONS,
     RECURRENCE_TYPE,
+    JAR,
+    TRANSACTION_TYPE,
+    SPENDING_CATEGORY,
     DEFAULT_CHORE_FORM,
     DEFAULT_JOB_FORM,
 
     // Utilities
     formatCents,
-    dollarsToCents
+    formatCentsForInput,
+    parseDollarString,
+    getCurrencySymbol,
+    isCurrentPeriod,
+    getOwnedBalance,
+    isValidJarSplit,
+    createDefaultJarSettings,
+    createDefaultEarningCaps,
+    getCompletionsWithinBudget,
+    describeEarningBudget,
+    getReversedIds,
+    getSpendingCategory,
+    getNextAutoApprovalTime,
+    describeAutoApprovalTime,
+    describeAutoApprovalPolicy,
+    needsRedo,
+    getRedoCompletion,
+    downscaleImage,
+    createDefaultBounty,
+    describeClaimExpiry,
+    isOneOffDone,
+    createDefaultSchedule
 } from './chores';
 
 // Import styles
@@ -53,7 +136,7 @@ const FamilyEconomyApp = () => {
     });
 
     // Money animations
-    const { showEarning, showSpending, showCashBurst, AnimationOverlay } = useMoneyAnimations(soundSystem);
+    const { showEarning, showSpending, showCashBurst, showMoneyRain, AnimationOverlay } = useMoneyAnimations(soundSystem);
 
     // Pattern lock for parent access - use ref to avoid stale closure
     const pendingActionRef = useRef(null);
@@ -70,7 +153,7 @@ const FamilyEconomyApp = () => {
     });
 
     // UI State
-    const [activeTab, setActiveTab] = useState('chores'); // 'chores', 'jobs', 'history'
+    const [activeTab, setActiveTab] = useState('chores'); // 'chores', 'jobs', 'goals', 'store', 'history'
     const [showUserSelector, setShowUserSelector] = useState(false);
     const [showUserEditor, setShowUserEditor] = useState(false);
     const [editingUser, setEditingUser] = useState(null);
@@ -79,11 +162,43 @@ const FamilyEconomyApp = () => {
     const [showChoreEditor, setShowChoreEditor] = useState(false);
     const [editingChore, setEditingChore] = useState(null);
     const [showParentReview, setShowParentReview] = useState(false);
+    const [showGoalEditor, setShowGoalEditor] = useState(false);
+    const [editingGoal, setEditingGoal] = useState(null);
+    const [showMoveJarMoney, setShowMoveJarMoney] = useState(false);
+    const [showGrantLoan, setShowGrantLoan] = useState(false);
+    const [viewingLoan, setViewingLoan] = useState(null);
+    const [showCurrencySettings, setShowCurrencySettings] = useState(false);
+    const [showGemHistory, setShowGemHistory] = useState(false);
+    const [showGemExchange, setShowGemExchange] = useState(false);
+    const [showGemExchangeSettings, setShowGemExchangeSettings] = useState(false);
+    const [reversingTransaction, setReversingTransaction] = useState(null);
+    const [showTransfer, setShowTransfer] = useState(false);
+    const [showTransferSettings, setShowTransferSettings] = useState(false);
+    const [showAutoApprovalSettings, setShowAutoApprovalSettings] = useState(false);
+    const [showQualityBonusSettings, setShowQualityBonusSettings] = useState(false);
+    const [showPhotoSettings, setShowPhotoSettings] = useState(false);
+    const [showAuctions, setShowAuctions] = useState(false);
+    const [showAuctionEditor, setShowAuctionEditor] = useState(false);
+    const [reviewRatings, setReviewRatings] = useState({});
+    const [rejectingId, setRejectingId] = useState(null);
+    const [showStatements, setShowStatements] = useState(false);
+    const [showLedgerExport, setShowLedgerExport] = useState(false);
+    const [showSpendingBreakdown, setShowSpendingBreakdown] = useState(false);
+    const [showStoreManagement, setShowStoreManagement] = useState(false);
+    const [showStoreItemEditor, setShowStoreItemEditor] = useState(false);
+    const [editingStoreItem, setEditingStoreItem] = useState(null);
 
     // Form State - assignTo is now an array for multi-select
-    const [choreForm, setChoreForm] = useState({ ...DEFAULT_CHORE_FORM, assignTo: [] });
+    const [choreForm, setChoreForm] = useState({ ...DEFAULT_CHORE_FORM, points: 5, fineCents: 0, schedule: null, assignTo: [] });
     const [jobForm, setJobForm] = useState({ ...DEFAULT_JOB_FORM, assignTo: [] });
-    const [userForm, setUserForm] = useState({ name: '', avatar: '👤', role: 'child' });
+    const [userForm, setUserForm] = useState({
+        name: '', avatar: '👤', role: 'child',
+        interest: interestSettingsToForm(null),
+        allowance: allowanceSettingsToForm(null),
+        jars: createDefaultJarSettings(),
+        fineFloorCents: 0,
+        earningCaps: createDefaultEarningCaps()
+    });
 
     // Get users for assignment dropdowns (all users can have chores/jobs)
     const assignableUsers = economy.users;
@@ -136,11 +251,14 @@ const FamilyEconomyApp = () => {
                 name: chore.name || '',
                 icon: chore.icon || '📋',
                 repeatType: chore.recurrence || RECURRENCE_TYPE.DAILY,
+                points: chore.points ?? 5,
+                fineCents: chore.fineCents || 0,
+                schedule: chore.schedule || null,
                 assignTo: chore.userId ? [chore.userId] : [] // Empty if unassigned (library item)
             });
             setEditingChore(chore);
         } else {
-            setChoreForm({ ...DEFAULT_CHORE_FORM, assignTo: [] });
+            setChoreForm({ ...DEFAULT_CHORE_FORM, points: 5, fineCents: 0, schedule: null, assignTo: [] });
             setEditingChore(null);
         }
         setShowChoreEditor(true);
@@ -156,7 +274,13 @@ const FamilyEconomyApp = () => {
                 unlockConditions: job.unlockConditions || { dailyChores: 0, weeklyChores: 0 },
                 allowMultipleCompletions: job.allowMultipleCompletions || false,
                 maxCompletionsPerPeriod: job.maxCompletionsPerPeriod || null,
+                earningCaps: job.earningCaps || createDefaultEarningCaps(),
+                autoApproval: job.autoApproval || null,
                 requiresApproval: job.requiresApproval !== false,
+                requiresPhoto: job.requiresPhoto || false,
+                schedule: job.schedule || null,
+                bounty: job.bounty || null,
+                fineCents: job.fineCents || 0,
                 description: job.description || '',
                 assignTo: job.userId ? [job.userId] : [] // Empty if unassigned (library item)
             });
@@ -173,11 +297,23 @@ const FamilyEconomyApp = () => {
             setUserForm({
                 name: user.name || '',
                 avatar: user.avatar || '👤',
-                role: user.role || 'child'
+                role: user.role || 'child',
+                interest: interestSettingsToForm(user.interest),
+                allowance: allowanceSettingsToForm(user.allowance),
+                jars: user.jars || createDefaultJarSettings(),
+                fineFloorCents: user.fineFloorCents || 0,
+                earningCaps: user.earningCaps || createDefaultEarningCaps()
             });
             setEditingUser(user);
         } else {
-            setUserForm({ name: '', avatar: '👤', role: 'child' });
+            setUserForm({
+                name: '', avatar: '👤', role: 'child',
+                interest: interestSettingsToForm(null),
+                allowance: allowanceSettingsToForm(null),
+                jars: createDefaultJarSettings(),
+                fineFloorCents: 0,
+                earningCaps: createDefaultEarningCaps()
+            });
             setEditingUser(null);
         }
         setShowUserEditor(true);
@@ -190,7 +326,10 @@ const FamilyEconomyApp = () => {
         const choreData = {
             name: choreForm.name,
             icon: choreForm.icon,
-            recurrence: choreForm.repeatType
+            recurrence: choreForm.repeatType,
+            points: choreForm.points,
+            fineCents: choreForm.fineCents,
+            schedule: choreForm.schedule
         };
 
         // Helper to check if user already has this chore assigned
@@ -245,7 +384,14 @@ const FamilyEconomyApp = () => {
             unlockConditions: jobForm.unlockConditions,
             allowMultipleCompletions: jobForm.allowMultipleCompletions,
             maxCompletionsPerPeriod: jobForm.maxCompletionsPerPeriod,
+            earningCaps: jobForm.earningCaps,
+            autoApproval: jobForm.autoApproval,
             requiresApproval: jobForm.requiresApproval,
+            requiresPhoto: jobForm.requiresPhoto,
+            schedule: jobForm.schedule,
+            // Only library jobs go on the bounty board
+            bounty: jobForm.assignTo.length === 0 ? jobForm.bounty : null,
+            fineCents: jobForm.fineCents,
             description: jobForm.description
         };
 
@@ -277,11 +423,22 @@ const FamilyEconomyApp = () => {
 
     const handleSaveUser = () => {
         if (!userForm.name.trim()) return;
+        if (userForm.role === 'child' && userForm.jars.enabled && !isValidJarSplit(userForm.jars.split)) return;
+        if (userForm.role === 'child' && userForm.allowance.enabled && !(parseDollarString(userForm.allowance.amount) > 0)) return;
 
+        const { interest, allowance, jars, ...profile } = userForm;
+        let userId;
         if (editingUser) {
-            economy.updateUser(editingUser.id, userForm);
+            economy.updateUser(editingUser.id, profile);
+            userId = editingUser.id;
         } else {
-            economy.addUser(userForm);
+            userId = economy.addUser(profile).id;
+        }
+
+        if (profile.role === 'child') {
+            economy.updateInterestSettings(userId, interestFormToSettings(interest));
+            economy.updateAllowanceSettings(userId, allowanceFormToSettings(allowance));
+            economy.updateJarSettings(userId, jars);
         }
         setShowUserEditor(false);
     };
@@ -297,7 +454,10 @@ const FamilyEconomyApp = () => {
     const isParent = activeUser?.role === 'parent';
     const userChores = economy.activeUserChores || [];
     const userJobs = economy.activeUserJobs || [];
+    const jobQuality = activeUser ? economy.getQualityByJob(activeUser.id) : {};
+    const bountyBoard = activeUser && !isParent ? economy.getBountyBoard(activeUser.id) : [];
     const userTransactions = economy.activeUserTransactions || [];
+    const reversedIds = getReversedIds(userTransactions);
 
     // Management modal state (unified for chores and jobs)
     const [showManagement, setShowManagement] = useState(false);
@@ -305,7 +465,7 @@ const FamilyEconomyApp = () => {
 
     // Spending modal state
     const [showSpendingModal, setShowSpendingModal] = useState(false);
-    const [spendingForm, setSpendingForm] = useState({ amount: '', description: '' });
+    const [spendingForm, setSpendingForm] = useState({ amount: '', description: '', category: SPENDING_CATEGORY.TREATS, customCategory: '' });
 
     // Template state
     const [selectedUsersForTemplate, setSelectedUsersForTemplate] = useState([]);
@@ -327,7 +487,9 @@ const FamilyEconomyApp = () => {
     // Handle chore completion
     const handleCompleteChore = (choreId) => {
         const result = economy.completeChore(choreId);
-        if (result?.requiresApproval) {
+        if (result?.success === false) {
+            alert(result.reason);
+        } else if (result?.requiresApproval) {
             // Will go to parent review - play approval needed sound
             soundSystem.approvalNeeded();
         } else {
@@ -336,10 +498,22 @@ const FamilyEconomyApp = () => {
         }
     };
 
-    // Handle job completion
-    const handleCompleteJob = (jobId, count = 1) => {
-        const result = economy.completeJob(jobId, count);
-        if (result?.success && result?.earned) {
+    // Handle job completion; photo proof is downscaled before it's stored.
+    // Returns a promise that settles once the completion is recorded (or refused).
+    const handleCompleteJob = (jobId, count = 1, photoFile = null) => {
+        if (photoFile) {
+            return downscaleImage(photoFile)
+                .then(photo => recordJobCompletion(jobId, count, photo))
+                .catch(() => alert('Couldn\'t use that photo. Try taking another one.'));
+        }
+        return recordJobCompletion(jobId, count);
+    };
+
+    const recordJobCompletion = async (jobId, count, photo = null) => {
+        const result = await economy.completeJob(jobId, count, photo);
+        if (result?.success === false) {
+            alert(result.reason);
+        } else if (result?.success && result?.earned) {
             // Pass count to show multiplier in animation
             showEarning(result.earned, result.jobTitle, true, count);
             // Play cash register sound for earning money
@@ -351,6 +525,34 @@ const FamilyEconomyApp = () => {
         }
     };
 
+    // Handle buying from the reward store
+    const handleBuyItem = (item) => {
+        const result = economy.purchaseItem(item.id);
+        if (result?.success && !result.requiresApproval) {
+            showSpending(item.price, item.name, false);
+        }
+    };
+
+    const openStoreItemEditor = (item = null) => {
+        setEditingStoreItem(item);
+        setShowStoreManagement(false);
+        setShowStoreItemEditor(true);
+    };
+
+    const closeStoreItemEditor = () => {
+        setShowStoreItemEditor(false);
+        setEditingStoreItem(null);
+        setShowStoreManagement(true);
+    };
+
+    // Handle saving toward a goal - celebrate when the target is reached
+    const handleDepositToGoal = (goalId, amountCents) => {
+        const result = economy.depositToGoal(goalId, amountCents);
+        if (result?.goalReached) {
+            showMoneyRain();
+        }
+    };
+
     // Template helpers
     const openTemplateEditor = (type, template = null) => {
         setTemplateType(type);
@@ -452,7 +654,10 @@ const FamilyEconomyApp = () => {
 
     // Calculate pending approvals - both jobs and chores
     const choresNeedingApproval = economy.chores.filter(c => c.pendingApproval);
-    const pendingApprovalsCount = (economy.jobsNeedingApproval || []).length + choresNeedingApproval.length;
+    const pendingApprovalsCount = (economy.jobsNeedingApproval || []).length +
+        choresNeedingApproval.length +
+        economy.storeOrdersNeedingApproval.length +
+        economy.transfersNeedingApproval.length;
 
     // Separate assigned (active) and unassigned (library) chores
     const activeChores = economy.chores.filter(c => c.userId);
@@ -529,12 +734,28 @@ const FamilyEconomyApp = () => {
                                 </button>
                             )}
 
+                            {/* Currency Settings Button - parents only */}
+                            {isParent && (
+                                <button
+                                    onClick={() => requireParentAccess(() => setShowCurrencySettings(true))}
+                                    className="text-2xl opacity-80 hover:opacity-100"
+                                    title="Money settings"
+                                >
+                                    💱
+                                </button>
+                            )}
+
                             {/* Balance Display */}
                             <div className="text-right">
-                                <div className="text-slate-400 text-xs">Balance</div>
+                                <div className="text-slate-400 text-xs">{activeUser?.jars?.enabled ? '🛍️ Spend' : 'Balance'}</div>
                                 <div className="text-emerald-400 font-bold text-xl">
                                     {formatCents(activeUser?.cashBalance || 0)}
                                 </div>
+                                {activeUser?.jars?.enabled && (
+                                    <div className="text-slate-400 text-xs">
+                                        🏦 {formatCents(activeUser.jarBalances[JAR.SAVE])} · 💝 {formatCents(activeUser.jarBalances[JAR.GIVE])}
+                                    </div>
+                                )}
                                 {(activeUser?.pendingBalance || 0) > 0 && (
                                     <div className="text-amber-400 text-xs">
                                         +{formatCents(activeUser.pendingBalance)} pending
@@ -572,6 +793,8 @@ const FamilyEconomyApp = () => {
                         {[
                             { id: 'chores', label: 'Tasks', icon: '✓' },
                             { id: 'jobs', label: 'Jobs', icon: '💵' },
+                            { id: 'goals', label: 'Goals', icon: '🎯' },
+                            { id: 'store', label: 'Store', icon: '🛒' },
                             { id: 'history', label: 'History', icon: '📊' }
                         ].map(tab => (
                             <button
@@ -599,6 +822,21 @@ const FamilyEconomyApp = () => {
                 {/* Chores Tab */}
                 {activeTab === 'chores' && (
                     <div className="space-y-6">
+                        {/* Allowance */}
+                        <AllowanceStatusCard
+                            settings={activeUser?.allowance}
+                            status={economy.getAllowanceStatus(activeUser)}
+                        />
+
+                        {/* Gems */}
+                        <GemWalletCard
+                            user={activeUser}
+                            exchange={economy.gemExchange}
+                            onViewHistory={() => setShowGemHistory(true)}
+                            onExchange={() => setShowGemExchange(true)}
+                            onEditRate={() => requireParentAccess(() => setShowGemExchangeSettings(true))}
+                        />
+
                         {/* Daily Chores */}
                         <div>
                             <h2 className="text-slate-200 font-bold text-lg mb-3 flex items-center gap-2">
@@ -666,16 +904,48 @@ const FamilyEconomyApp = () => {
                                 key={job.id}
                                 job={job}
                                 chores={userChores}
-                                onComplete={(count) => handleCompleteJob(job.id, count)}
+                                weeklyResetDay={economy.settings.weeklyResetDay}
+                                earningBudget={economy.getEarningBudget(job)}
+                                quality={jobQuality[job.id]}
+                                onComplete={(count, photo) => handleCompleteJob(job.id, count, photo)}
                             />
                         ))}
 
-                        {userJobs.length === 0 && (
+                        <BountyBoard
+                            entries={bountyBoard}
+                            users={economy.users}
+                            onClaim={(bountyId) => {
+                                const result = economy.claimBounty(bountyId);
+                                if (!result.success) alert(result.reason);
+                            }}
+                        />
+
+                        {!isParent && activeUser && (
+                            <AuctionBoard
+                                auctions={economy.openAuctions}
+                                users={economy.users}
+                                userId={activeUser.id}
+                                onBid={economy.placeBid}
+                            />
+                        )}
+
+                        {userJobs.length === 0 && bountyBoard.length === 0 && (isParent || economy.openAuctions.length === 0) && (
                             <div className="text-slate-500 text-center py-8 bg-slate-800/50 rounded-xl">
                                 No jobs available yet.{!isParent && ' Ask a parent to add some!'}
                             </div>
                         )}
 
+                        {/* Job Auctions Button (Parent Only) */}
+                        {isParent && (
+                            <button
+                                onClick={() => requireParentAccess(() => setShowAuctions(true))}
+                                className="w-full py-3 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-xl font-semibold flex items-center justify-center gap-2 border border-dashed border-slate-600"
+                            >
+                                <span>🔨</span> Job Auctions
+                                {economy.openAuctions.length > 0 && ` (${economy.openAuctions.length} open)`}
+                            </button>
+                        )}
+
                         {/* Manage Jobs Button (Parent Only) */}
                         {isParent && (
                             <button
@@ -691,6 +961,115 @@ const FamilyEconomyApp = () => {
                     </div>
                 )}
 
+                {/* Goals Tab */}
+                {activeTab === 'goals' && (
+                    <div className="space-y-4">
+                        <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 flex items-center justify-between">
+                            <div>
+                                <div className="text-slate-400 text-sm">Saved in goals</div>
+                                <div className="text-2xl font-bold text-violet-400">
+                                    {formatCents(activeUser?.goalBalance || 0)}
+                                </div>
+                            </div>
+                            <div className="text-right">
+                                <div className="text-slate-400 text-sm">Free to save</div>
+                                <div className="text-2xl font-bold text-emerald-400">
+                                    {formatCents(activeUser?.cashBalance || 0)}
+                                </div>
+                            </div>
+                        </div>
+
+                        <SavingsGoalList
+                            goals={economy.activeUserGoals}
+                            getProgress={economy.getGoalProgress}
+                            getProjection={economy.projectGoalCompletion}
+                            availableCents={activeUser?.cashBalance || 0}
+                            onDeposit={handleDepositToGoal}
+                            onWithdraw={economy.withdrawFromGoal}
+                            onEdit={(goal) => {
+                                setEditingGoal(goal);
+                                setShowGoalEditor(true);
+                            }}
+                            onDelete={(goalId) => {
+                                if (confirm('Delete this goal? Any money saved in it goes back to your balance.')) {
+                                    economy.deleteSavingsGoal(goalId);
+                                }
+                            }}
+                            emptyMessage="No goals yet. What are you saving up for?"
+                        />
+
+                        {activeUser && (
+                            <button
+                                onClick={() => {
+                                    setEditingGoal(null);
+                                    setShowGoalEditor(true);
+                                }}
+                                className="w-full py-3 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-xl font-semibold flex items-center justify-center gap-2 border border-dashed border-slate-600"
+                            >
+                                <span>+</span> New Goal
+                            </button>
+                        )}
+
+                        {/* Loans */}
+                        {economy.activeUserLoans.length > 0 && (
+                            <h2 className="text-slate-200 font-bold text-lg pt-2 flex items-center gap-2">
+                                <span className="text-amber-400">🤝</span> Loans
+                                {activeUser?.loanBalance > 0 && (
+                                    <span className="text-sm font-normal text-slate-400">
+                                        ({formatCents(activeUser.loanBalance)} borrowed)
+                                    </span>
+                                )}
+                            </h2>
+                        )}
+                        <LoanList
+                            loans={economy.activeUserLoans}
+                            getStatus={economy.getLoanStatus}
+                            onViewSchedule={setViewingLoan}
+                        />
+                        {activeUser?.role === 'child' && (
+                            <button
+                                onClick={() => requireParentAccess(() => setShowGrantLoan(true))}
+                                className="w-full py-3 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-xl font-semibold flex items-center justify-center gap-2 border border-dashed border-slate-600"
+                            >
+                                <span>🤝</span> Give an Advance
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {/* Store Tab */}
+                {activeTab === 'store' && (
+                    <div className="space-y-4">
+                        <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 flex items-center justify-between">
+                            <span className="text-slate-300">You have</span>
+                            <span className="text-2xl font-bold text-emerald-400">
+                                {formatCents(activeUser?.cashBalance || 0)}
+                            </span>
+                        </div>
+
+                        <PendingOrdersList
+                            orders={economy.storeOrdersNeedingApproval.filter(o => o.userId === activeUser?.id)}
+                            items={economy.redemptionItems}
+                        />
+
+                        <RewardStore
+                            items={economy.activeRedemptionItems}
+                            getStatus={(item) => economy.canPurchaseItem(item)}
+                            getStock={(item) => economy.getAvailableStock(item)}
+                            getWeeklyCount={(item) => economy.getWeeklyPurchaseCount(item)}
+                            onBuy={handleBuyItem}
+                            emptyMessage={`No rewards yet.${isParent ? '' : ' Ask a parent to add some!'}`}
+                        />
+
+                        <button
+                            onClick={() => requireParentAccess(() => setShowStoreManagement(true))}
+                            className="w-full py-3 bg-slate-800 hover:bg-slate-700 text-slate-300 rounded-xl font-semibold flex items-center justify-center gap-2 border border-dashed border-slate-600"
+                        >
+                            <span>⚙</span> Manage Store
+                        </button>
+                    </div>
+                )}
+
                 {/* History Tab */}
                 {activeTab === 'history' && (
                     <div className="space-y-4">
@@ -718,7 +1097,7 @@ const FamilyEconomyApp = () => {
                             {isParent && activeUser && (activeUser.cashBalance || 0) > 0 && (
                                 <button
                                     onClick={() => requireParentAccess(() => {
-                                        setSpendingForm({ amount: '', description: '' });
+                                        setSpendingForm({ amount: '', description: '', category: SPENDING_CATEGORY.TREATS, customCategory: '' });
                                         setShowSpendingModal(true);
                                     })}
                                     className="w-full mt-4 py-3 bg-red-600 hover:bg-red-500 text-white rounded-xl font-semibold flex items-center justify-center gap-2"
@@ -726,23 +1105,126 @@ const FamilyEconomyApp = () => {
                                     <span>💸</span> Record Spending
                                 </button>
                             )}
+
+                            {/* Send Money to another family member */}
+                            {activeUser && (activeUser.cashBalance || 0) > 0 && economy.users.length > 1 && (
+                                <button
+                                    onClick={() => setShowTransfer(true)}
+                                    className="w-full mt-3 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold flex items-center justify-center gap-2"
+                                >
+                                    <span>🔁</span> Send Money
+                                </button>
+                            )}
+                            {isParent && (
+                                <button
+                                    onClick={() => requireParentAccess(() => setShowTransferSettings(true))}
+                                    className="w-full mt-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl text-sm font-semibold"
+                                >
+                                    Transfer Rules
+                                </button>
+                            )}
+                            {isParent && childUsers.length > 0 && (
+                                <button
+                                    onClick={() => requireParentAccess(() => setShowStatements(true))}
+                                    className="w-full mt-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl text-sm font-semibold"
+                                >
+                                    📄 Monthly Statements
+                                </button>
+                            )}
+                            {isParent && (
+                                <button
+                                    onClick={() => requireParentAccess(() => setShowLedgerExport(true))}
+                                    className="w-full mt-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl text-sm font-semibold"
+                                >
+                                    ⬇️ Export Ledger
+                                </button>
+                            )}
+                            {(isParent ? childUsers.length > 0 : activeUser) && (
+                                <button
+                                    onClick={() => setShowSpendingBreakdown(true)}
+                                    className="w-full mt-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl text-sm font-semibold"
+                                >
+                                    📊 Where the Money Goes
+                                </button>
+                            )}
                         </div>
 
+                        {/* Jars */}
+                        {activeUser?.jars?.enabled && (
+                            <JarBalanceCard
+                                jarBalances={activeUser.jarBalances}
+                                onMoveMoney={() => requireParentAccess(() => setShowMoveJarMoney(true))}
+                            />
+                        )}
+
+                        {/* Interest Growth */}
+                        {activeUser?.interest?.enabled && (
+                            <InterestGrowthCard
+                                balance={getOwnedBalance(activeUser)}
+                                settings={activeUser.interest}
+                                projection={economy.projectInterestGrowth(activeUser, 52)}
+                            />
+                        )}
+
+                        {/* Earnings Dashboard */}
+                        {(isParent ? childUsers.length > 0 : activeUser) && (
+                            <EarningsDashboard
+                                key={activeUser?.id}
+                                users={isParent ? childUsers : [activeUser]}
+                                showFamily={isParent && childUsers.length > 1}
+                                getSeries={economy.getDashboardSeries}
+                            />
+                        )}
+
                         {/* Transaction List */}
                         <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
                             <h3 className="font-bold text-slate-200 mb-4">Recent Transactions</h3>
                             {userTransactions.length > 0 ? (
                                 <div className="space-y-2">
                                     {userTransactions.slice(0, 10).map(tx => (
-                                        <div key={tx.id} className="flex items-center justify-between py-3 border-b border-slate-700 last:border-0">
+                                        <div key={tx.id} className={`flex items-center justify-between py-3 border-b border-slate-700 last:border-0 ${
+                                            reversedIds.has(tx.id) ? 'opacity-60' : ''
+                                        }`}>
                                             <div>
-                                                <div className="font-medium text-slate-200">{tx.description}</div>
+                                                <div className={`font-medium text-slate-200 ${reversedIds.has(tx.id) ? 'line-through' : ''}`}>
+                                                    {tx.counterpartyId && (
+                                                        <span className="mr-1">
+                                                            {economy.users.find(u => u.id === tx.counterpartyId)?.avatar}
+                                                        </span>
+                                                    )}
+                                                    {tx.description}
+                                                </div>
                                                 <div className="text-xs text-slate-500">
                                                     {new Date(tx.date).toLocaleDateString()}
+                                                    {reversedIds.has(tx.id) && ' · reversed'}
+                                                    {tx.type === TRANSACTION_TYPE.REVERSAL && tx.reason && ` · ${tx.reason}`}
+                                                    {economy.canReverseTransaction(tx).canReverse && (
+                                                        <button
+                                                            onClick={() => requireParentAccess(() => setReversingTransaction(tx))}
+                                                            className="ml-2 text-violet-400 hover:text-violet-300 font-semibold"
+                                                        >
+                                                            Reverse
+                                                        </button>
+                                                    )}
                                                 </div>
                                             </div>
-                                            <div className={`font-bold ${tx.amount >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                                            <div className={`font-bold ${
+                                                tx.type === TRANSACTION_TYPE.REVERSAL
+                                                    ? 'text-slate-400'
+                                                    : tx.type === TRANSACTION_TYPE.HOLD || tx.type === TRANSACTION_TYPE.RELEASE
+                                                    ? 'text-amber-400'
+                                                    : tx.type === TRANSACTION_TYPE.GOAL_DEPOSIT || tx.type === TRANSACTION_TYPE.GOAL_WITHDRAW
+                                                        ? 'text-violet-400'
+                                                        : tx.type === TRANSACTION_TYPE.JAR_ALLOCATE || tx.type === TRANSACTION_TYPE.JAR_TRANSFER
+                                                            ? 'text-sky-400'
+                                                            : tx.type === TRANSACTION_TYPE.LOAN_ADVANCE || tx.type === TRANSACTION_TYPE.LOAN_REPAYMENT
+                                                                ? 'text-orange-400'
+                                                                : tx.amount >= 0 ? 'text-emerald-400' : 'text-red-400'
+                                            }`}>
                                                 {tx.amount >= 0 ? '+' : ''}{formatCents(tx.amount)}
+                                                {tx.type === TRANSACTION_TYPE.HOLD && (
+                                                    <div className="text-xs font-normal text-right">pending</div>
+                                                )}
                                             </div>
                                         </div>
                                     ))}
@@ -764,25 +1246,36 @@ const FamilyEconomyApp = () => {
                         <h2 className="text-xl font-bold text-slate-100 mb-4">Select User</h2>
                         <div className="space-y-2">
                             {economy.users.map(user => (
-                                <button
-                                    key={user.id}
-                                    onClick={() => {
-                                        economy.switchUser(user.id);
-                                        setShowUserSelector(false);
-                                    }}
-                                    className={`w-full p-3 rounded-xl flex items-center gap-3 transition-all ${
-                                        user.id === economy.activeUserId
-                                            ? 'bg-violet-600/30 border-2 border-violet-500'
-                                            : 'bg-slate-700 hover:bg-slate-600 border-2 border-transparent'
-                                    }`}
-                                >
-                                    <span className="text-3xl">{user.avatar}</span>
-                                    <div className="text-left flex-1">
-                                        <div className="font-semibold text-slate-100">{user.name}</div>
-                                        <div className="text-sm text-slate-400">{user.role}</div>
-                                    </div>
-                                    <div className="text-emerald-400 font-bold">{formatCents(user.cashBalance)}</div>
-                                </button>
+                                <div key={user.id} className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => {
+                                            economy.switchUser(user.id);
+                                            setShowUserSelector(false);
+                                        }}
+                                        className={`flex-1 p-3 rounded-xl flex items-center gap-3 transition-all ${
+                                            user.id === economy.activeUserId
+                                                ? 'bg-violet-600/30 border-2 border-violet-500'
+                                                : 'bg-slate-700 hover:bg-slate-600 border-2 border-transparent'
+                                        }`}
+                                    >
+                                        <span className="text-3xl">{user.avatar}</span>
+                                        <div className="text-left flex-1">
+                                            <div className="font-semibold text-slate-100">{user.name}</div>
+                                            <div className="text-sm text-slate-400">{user.role}</div>
+                                        </div>
+                                        <div className="text-emerald-400 font-bold">{formatCents(user.cashBalance)}</div>
+                                    </button>
+                                    <button
+                                        onClick={() => {
+                                            setShowUserSelector(false);
+                                            requireParentAccess(() => openUserEditor(user));
+                                        }}
+                                        className="p-2 text-slate-400 hover:text-slate-200"
+                                        title={`Edit ${user.name}`}
+                                    >
+                                        ✎
+                                    </button>
+                                </div>
                             ))}
                         </div>
                         <button
@@ -860,6 +1353,40 @@ const FamilyEconomyApp = () => {
                                     <option value={RECURRENCE_TYPE.WEEKLY}>Weekly</option>
                                 </select>
                             </div>
+                            <div>
+                                <label className="block text-sm font-medium text-slate-300 mb-1">Gems 💎</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={choreForm.points}
+                                    onChange={(e) => setChoreForm({...choreForm, points: Math.max(0, parseInt(e.target.value, 10) || 0)})}
+                                    className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                />
+                            </div>
+                            <FineInput
+                                fineCents={choreForm.fineCents}
+                                onChange={(fineCents) => setChoreForm({...choreForm, fineCents})}
+                            />
+                            <div className="space-y-2">
+                                <label className="flex items-center gap-3">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!choreForm.schedule}
+                                        onChange={(e) => setChoreForm({
+                                            ...choreForm,
+                                            schedule: e.target.checked ? createDefaultSchedule() : null
+                                        })}
+                                        className="w-5 h-5 rounded bg-slate-700 border-slate-600"
+                                    />
+                                    <span className="text-sm font-medium text-slate-300">⏰ Due time or time window</span>
+                                </label>
+                                {choreForm.schedule && (
+                                    <ScheduleEditor
+                                        schedule={choreForm.schedule}
+                                        onChange={(schedule) => setChoreForm({...choreForm, schedule})}
+                                    />
+                                )}
+                            </div>
                             <div>
                                 <label className="block text-sm font-medium text-slate-300 mb-1">
                                     Assign To (optional)
@@ -934,13 +1461,10 @@ const FamilyEconomyApp = () => {
                                 />
                             </div>
                             <div>
-                                <label className="block text-sm font-medium text-slate-300 mb-1">Value ($)</label>
-                                <input
-                                    type="number"
-                                    step="0.25"
-                                    min="0"
-                                    value={(jobForm.value / 100).toFixed(2)}
-                                    onChange={(e) => setJobForm({...jobForm, value: Math.round(parseFloat(e.target.value || 0) * 100)})}
+                                <label className="block text-sm font-medium text-slate-300 mb-1">Value ({getCurrencySymbol()})</label>
+                                <MoneyInput
+                                    valueCents={jobForm.value}
+                                    onChange={(value) => setJobForm({...jobForm, value})}
                                     className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
                                 />
                             </div>
@@ -955,6 +1479,35 @@ const FamilyEconomyApp = () => {
                                     <option value={RECURRENCE_TYPE.WEEKLY}>Weekly</option>
                                 </select>
                             </div>
+                            <FineInput
+                                fineCents={jobForm.fineCents}
+                                onChange={(fineCents) => setJobForm({...jobForm, fineCents})}
+                            />
+                            <div className="space-y-2">
+                                <label className="flex items-center gap-3">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!jobForm.schedule}
+                                        onChange={(e) => setJobForm({
+                                            ...jobForm,
+                                            schedule: e.target.checked ? createDefaultSchedule() : null
+                                        })}
+                                        className="w-5 h-5 rounded bg-slate-700 border-slate-600"
+                                    />
+                                    <span className="text-sm font-medium text-slate-300">⏰ Due time or time window</span>
+                                </label>
+                                {jobForm.schedule && (
+                                    <ScheduleEditor
+                                        schedule={jobForm.schedule}
+                                        onChange={(schedule) => setJobForm({...jobForm, schedule})}
+                                    />
+                                )}
+                            </div>
+                            <EarningCapsEditor
+                                caps={jobForm.earningCaps}
+                                onChange={(earningCaps) => setJobForm({...jobForm, earningCaps})}
+                                label="Most this job can earn"
+                            />
                             <div>
                                 <label className="block text-sm font-medium text-slate-300 mb-2">
                                     Unlock Condition
@@ -1039,6 +1592,67 @@ const FamilyEconomyApp = () => {
                                     Requires parent approval
                                 </label>
                             </div>
+                            <div className="flex items-center gap-3">
+                                <input
+                                    type="checkbox"
+                                    id="requiresPhoto"
+                                    checked={jobForm.requiresPhoto}
+                                    onChange={(e) => setJobForm({...jobForm, requiresPhoto: e.target.checked})}
+                                    className="w-5 h-5 rounded bg-slate-700 border-slate-600"
+                                />
+                                <label htmlFor="requiresPhoto" className="text-sm font-medium text-slate-300">
+                                    📷 Requires a photo when done
+                                </label>
+                            </div>
+                            {jobForm.assignTo.length === 0 && (
+                                <div className="space-y-2">
+                                    <label className="flex items-center gap-3">
+                                        <input
+                                            type="checkbox"
+                                            checked={!!jobForm.bounty}
+                                            onChange={(e) => setJobForm({
+                                                ...jobForm,
+                                                bounty: e.target.checked ? createDefaultBounty() : null
+                                            })}
+                                            className="w-5 h-5 rounded bg-slate-700 border-slate-600"
+                                        />
+                                        <span className="text-sm font-medium text-slate-300">🎯 Post on the bounty board</span>
+                                    </label>
+                                    {jobForm.bounty && (
+                                        <BountySettingsEditor
+                                            bounty={jobForm.bounty}
+                                            onChange={(bounty) => setJobForm({...jobForm, bounty})}
+                                        />
+                                    )}
+                                </div>
+                            )}
+                            {jobForm.requiresApproval && (
+                                <div className="space-y-2">
+                                    <label className="flex items-center gap-3">
+                                        <input
+                                            type="checkbox"
+                                            checked={!!jobForm.autoApproval}
+                                            onChange={(e) => setJobForm({
+                                                ...jobForm,
+                                                autoApproval: e.target.checked ? economy.autoApprovalPolicy : null
+                                            })}
+                                            className="w-5 h-5 rounded bg-slate-700 border-slate-600"
+                                        />
+                                        <span className="text-sm font-medium text-slate-300">
+                                            Own auto-approval rule
+                                            {!jobForm.autoApproval && (
+                                                <span className="text-slate-500"> (family rule: {describeAutoApprovalPolicy(economy.autoApprovalPolicy)})</span>
+                                            )}
+                                        </span>
+                                    </label>
+                                    {jobForm.autoApproval && (
+                                        <AutoApprovalPolicyEditor
+                                            policy={jobForm.autoApproval}
+                                            onChange={(autoApproval) => setJobForm({...jobForm, autoApproval})}
+                                        />
+                                    )}
+                                </div>
+                            )}
                             <div>
                                 <label className="block text-sm font-medium text-slate-300 mb-1">
                                     Assign To (optional)
@@ -1137,6 +1751,37 @@ const FamilyEconomyApp = () => {
                                     <option value="parent">Parent</option>
                                 </select>
                             </div>
+                            {userForm.role === 'child' && (
+                                <InterestSettingsEditor
+                                    form={userForm.interest}
+                                    onChange={(interest) => setUserForm({...userForm, interest})}
+                                />
+                            )}
+                            {userForm.role === 'child' && (
+                                <AllowanceSettingsEditor
+                                    form={userForm.allowance}
+                                    onChange={(allowance) => setUserForm({...userForm, allowance})}
+                                />
+                            )}
+                            {userForm.role === 'child' && (
+                                <JarSettingsEditor
+                                    settings={userForm.jars}
+                                    onChange={(jars) => setUserForm({...userForm, jars})}
+                                />
+                            )}
+                            {userForm.role === 'child' && (
+                                <FineFloorEditor
+                                    floorCents={userForm.fineFloorCents}
+                                    onChange={(fineFloorCents) => setUserForm({...userForm, fineFloorCents})}
+                                />
+                            )}
+                            {userForm.role === 'child' && (
+                                <EarningCapsEditor
+                                    caps={userForm.earningCaps}
+                                    onChange={(earningCaps) => setUserForm({...userForm, earningCaps})}
+                                    label="Most they can earn from jobs"
+                                />
+                            )}
                         </div>
                         <div className="flex gap-3 mt-6">
                             <button
@@ -1181,13 +1826,21 @@ const FamilyEconomyApp = () => {
                                                             <div className="font-semibold text-slate-100">{chore.name}</div>
                                                             <div className="text-sm text-slate-400">
                                                                 {user?.name}
+                                                                {chore.timing && (
+                                                                    <> • <TimingBadge timing={chore.timing} percent={chore.timingPercent} /></>
+                                                                )}
                                                             </div>
+                                                            <RedoNotice rejection={chore.redoOf} isResubmission />
                                                         </div>
+                                                        <StarRating
+                                                            rating={reviewRatings[chore.id] || null}
+                                                            onChange={(rating) => setReviewRatings(prev => ({ ...prev, [chore.id]: rating }))}
+                                                        />
                                                     </div>
                                                     <div className="flex gap-2">
                                                         <button
                                                             onClick={() => {
-                                                                economy.approveChore(chore.id, 'parent');
+                                                                economy.approveChore(chore.id, 'parent', reviewRatings[chore.id] || null);
                                                                 soundSystem.approved();
                                                             }}
                                                             className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-500 text-white rounded-lg font-semibold"
@@ -1195,54 +1848,62 @@ const FamilyEconomyApp = () => {
                                                             ✓ Approve
                                                         </button>
                                                         <button
-                                                            onClick={() => {
-                                                                economy.updateChore(chore.id, { pendingApproval: false, completed: false });
-                                                                soundSystem.rejected();
-                                                            }}
+                                                            onClick={() => setRejectingId(rejectingId === chore.id ? null : chore.id)}
                                                             className="flex-1 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg font-semibold"
                                                         >
                                                             ✕ Reject
                                                         </button>
                                                     </div>
+                                                    {rejectingId === chore.id && (
+                                                        <RejectionForm
+                                                            onSubmit={(feedback) => {
+                                                                economy.rejectChore(chore.id, 'parent', feedback);
+                                                                soundSystem.rejected();
+                                                                setRejectingId(null);
+                                                            }}
+                                                            onCancel={() => setRejectingId(null)}
+                                                        />
+                                                    )}
                                                 </div>
                                             );
                                         })}
                                     </>
                                 )}
 
-                                {/* Pending Jobs */}
-                                {economy.jobsNeedingApproval.length > 0 && (
+                                {/* Pending Store Orders */}
+                                {economy.storeOrdersNeedingApproval.length > 0 && (
                                     <>
-                                        <h3 className="font-semibold text-slate-300 text-sm mt-4">Jobs</h3>
-                                        {economy.jobsNeedingApproval.map(job => {
-                                            const pendingCount = job.completions.filter(c => c.status === 'pending').length;
-                                            const pendingValue = pendingCount * job.value;
-                                            const user = economy.users.find(u => u.id === job.userId);
+                                        <h3 className="font-semibold text-slate-300 text-sm mt-4">Store Purchases</h3>
+                                        {economy.storeOrdersNeedingApproval.map(order => {
+                                            const item = economy.redemptionItems.find(i => i.id === order.itemId);
+                                            const user = economy.users.find(u => u.id === order.userId);
+                                            const canAfford = (user?.cashBalance || 0) >= order.price;
                                             return (
-                                                <div key={job.id} className="bg-slate-700/50 rounded-xl p-4 border border-slate-600">
+                                                <div key={order.id} className="bg-slate-700/50 rounded-xl p-4 border border-slate-600">
                                                     <div className="flex items-center gap-3 mb-3">
-                                                        <span className="text-2xl">{job.icon || '💵'}</span>
+                                                        <span className="text-2xl">{item?.icon || '🎁'}</span>
                                                         <div className="flex-1">
-                                                            <div className="font-semibold text-slate-100">{job.title}</div>
+                                                            <div className="font-semibold text-slate-100">{item?.name || 'Reward'}</div>
                                                             <div className="text-sm text-slate-400">
-                                                                {user?.name} • {pendingCount}x = <span className="text-emerald-400">{formatCents(pendingValue)}</span>
+                                                                {user?.name} • <span className="text-red-400">{formatCents(order.price)}</span>
+                                                                {!canAfford && <span className="text-amber-400"> • not enough money</span>}
                                                             </div>
                                                         </div>
                                                     </div>
                                                     <div className="flex gap-2">
                                                         <button
                                                             onClick={() => {
-                                                                economy.approveJob(job.id, 'parent');
-                                                                soundSystem.approved();
-                                                                soundSystem.cashRegister();
+                                                                const result = economy.approveStoreOrder(order.id, 'parent');
+                                                                if (result.success) soundSystem.approved();
                                                             }}
-                                                            className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-500 text-white rounded-lg font-semibold"
+                                                            disabled={!canAfford}
+                                                            className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-500 text-white rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
                                                         >
                                                             ✓ Approve
                                                         </button>
                                                         <button
                                                             onClick={() => {
-                                                                economy.rejectJob(job.id, 'parent');
+                                                                economy.rejectStoreOrder(order.id, 'parent');
                                                                 soundSystem.rejected();
                                                             }}
                                                             className="flex-1 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg font-semibold"
@@ -1255,11 +1916,130 @@ const FamilyEconomyApp = () => {
                                         })}
                                     </>
                                 )}
+
+                                {/* Pending Transfers */}
+                                {economy.transfersNeedingApproval.length > 0 && (
+                                    <>
+                                        <h3 className="font-semibold text-slate-300 text-sm mt-4">Transfers</h3>
+                                        <PendingTransfersList
+                                            transfers={economy.transfersNeedingApproval}
+                                            users={economy.users}
+                                            onApprove={(transferId) => {
+                                                const result = economy.approveTransfer(transferId, 'parent');
+                                                if (result.success) soundSystem.approved();
+                                            }}
+                                            onReject={(transferId) => {
+                                                economy.rejectTransfer(transferId, 'parent');
+                                                soundSystem.rejected();
+                                            }}
+                                        />
+                                    </>
+                                )}
+
+                                {/* Pending Jobs */}
+                                {economy.jobsNeedingApproval.length > 0 && (
+                                    <>
+                                        <h3 className="font-semibold text-slate-300 text-sm mt-4">Jobs</h3>
+                                        {economy.jobsNeedingApproval.map(job => {
+                                            const pendingCompletions = job.completions.filter(c => c.status === 'pending');
+                                            const pendingCount = pendingCompletions.reduce((sum, c) => sum + c.count, 0);
+                                            const pendingValue = pendingCompletions.reduce((sum, c) => sum + c.totalEarned, 0);
+                                            const user = economy.users.find(u => u.id === job.userId);
+                                            const autoApproval = describeAutoApprovalTime(getNextAutoApprovalTime(job, economy.autoApprovalPolicy));
+                                            return (
+                                                <div key={job.id} className="bg-slate-700/50 rounded-xl p-4 border border-slate-600">
+                                                    <div className="flex items-center gap-3 mb-3">
+                                                        <span className="text-2xl">{job.icon || '💵'}</span>
+                                                        <div className="flex-1">
+                                                            <div className="font-semibold text-slate-100">{job.title}</div>
+                                                            <div className="text-sm text-slate-400">
+                                                                {user?.name} • {pendingCount}x = <span className="text-emerald-400">{formatCents(pendingValue)}</span>
+                                                            </div>
+                                                            {autoApproval && (
+                                                                <div className="text-xs text-slate-500">⏱️ {autoApproval}</div>
+                                                            )}
+                                                        </div>
+                                                    </div>
+                                                    <div className="mb-3">
+                                                        <PendingCompletionList
+                                                            job={job}
+                                                            onApprove={(completionId, adjustment) => {
+                                                                const result = economy.approveJobCompletion(job.id, completionId, 'parent', adjustment);
+                                                                if (result.success) {
+                                                                    soundSystem.approved();
+                                                                    soundSystem.cashRegister();
+                                                                }
+                                                                return result;
+                                                            }}
+                                                            onReject={(completionId, feedback) => {
+                                                                economy.rejectJobCompletion(job.id, completionId, 'parent', feedback);
+                                                                soundSystem.rejected();
+                                                            }}
+                                                        />
+                                                    </div>
+                                                    {pendingCompletions.length > 1 && (
+                                                        <div className="flex gap-2 items-center">
+                                                            <StarRating
+                                                                rating={reviewRatings[job.id] || null}
+                                                                onChange={(rating) => setReviewRatings(prev => ({ ...prev, [job.id]: rating }))}
+                                                            />
+                                                            <button
+                                                                onClick={() => {
+                                                                    economy.approveJob(job.id, 'parent', reviewRatings[job.id] || null);
+                                                                    soundSystem.approved();
+                                                                    soundSystem.cashRegister();
+                                                                }}
+                                                                className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-500 text-white rounded-lg font-semibold"
+                                                            >
+                                                                ✓ Approve All
+                                                            </button>
+                                                            <button
+                                                                onClick={() => setRejectingId(rejectingId === job.id ? null : job.id)}
+                                                                className="flex-1 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg font-semibold"
+                                                            >
+                                                                ✕ Reject All
+                                                            </button>
+                                                        </div>
+                                                    )}
+                                                    {rejectingId === job.id && (
+                                                        <RejectionForm
+                                                            submitLabel="✕ Reject All"
+                                                            onSubmit={(feedback) => {
+                                                                economy.rejectJob(job.id, 'parent', feedback);
+                                                                soundSystem.rejected();
+                                                                setRejectingId(null);
+                                                            }}
+                                                            onCancel={() => setRejectingId(null)}
+                                                        />
+                                                    )}
+                                                </div>
+                                            );
+                                        })}
+                                    </>
+                                )}
                             </div>
                         )}
+                        <button
+                            onClick={() => setShowAutoApprovalSettings(true)}
+                            className="w-full mt-4 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl text-sm font-semibold"
+                        >
+                            ⏱️ Auto-Approval: {describeAutoApprovalPolicy(economy.autoApprovalPolicy)}
+                        </button>
+                        <button
+                            onClick={() => setShowQualityBonusSettings(true)}
+                            className="w-full mt-2 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl text-sm font-semibold"
+                        >
+                            ⭐ Quality Bonuses
+                        </button>
+                        <button
+                            onClick={() => setShowPhotoSettings(true)}
+                            className="w-full mt-2 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl text-sm font-semibold"
+                        >
+                            📷 Photos kept {economy.photoRetentionDays} days
+                        </button>
                         <button
                             onClick={() => setShowParentReview(false)}
-                            className="w-full mt-4 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                            className="w-full mt-3 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
                         >
                             Close
                         </button>
@@ -1512,6 +2292,11 @@ const FamilyEconomyApp = () => {
                                                     <div className="text-xs text-slate-400">
                                                         <span className="text-emerald-400">{formatCents(job.value)}</span> • {job.recurrence}
                                                     </div>
+                                                    {job.bounty && (
+                                                        <div className="text-xs text-sky-400">
+                                                            🎯 Bounty • {economy.jobs.filter(j => j.claim?.bountyId === job.id && !j.claim.releasedAt).length}/{job.bounty.maxClaims} claimed
+                                                        </div>
+                                                    )}
                                                 </div>
                                                 <button
                                                     onClick={() => {
@@ -1605,13 +2390,10 @@ const FamilyEconomyApp = () => {
                                         />
                                     </div>
                                     <div>
-                                        <label className="block text-sm font-medium text-gray-700 mb-1">Value ($)</label>
-                                        <input
-                                            type="number"
-                                            step="0.25"
-                                            min="0"
-                                            value={(templateForm.value / 100).toFixed(2)}
-                                            onChange={(e) => setTemplateForm({...templateForm, value: Math.round(parseFloat(e.target.value || 0) * 100)})}
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Value ({getCurrencySymbol()})</label>
+                                        <MoneyInput
+                                            valueCents={templateForm.value}
+                                            onChange={(value) => setTemplateForm({...templateForm, value})}
                                             className="w-full px-3 py-2 border border-gray-300 rounded-lg"
                                         />
                                     </div>
@@ -1686,17 +2468,21 @@ const FamilyEconomyApp = () => {
                         </p>
                         <div className="space-y-4">
                             <div>
-                                <label className="block text-sm font-medium text-slate-300 mb-1">Amount ($)</label>
+                                <label className="block text-sm font-medium text-slate-300 mb-1">Amount ({getCurrencySymbol()})</label>
                                 <input
-                                    type="number"
-                                    step="0.01"
-                                    min="0.01"
-                                    max={(activeUser?.cashBalance || 0) / 100}
+                                    type="text"
+                                    inputMode="decimal"
                                     value={spendingForm.amount}
                                     onChange={(e) => setSpendingForm({...spendingForm, amount: e.target.value})}
                                     className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-red-500"
-                                    placeholder="0.00"
+                                    placeholder={formatCentsForInput(0)}
                                 />
+                                <div className="mt-2">
+                                    <QuickAmountPicker
+                                        selectedCents={parseDollarString(spendingForm.amount)}
+                                        onSelect={(cents) => setSpendingForm({...spendingForm, amount: formatCentsForInput(cents)})}
+                                    />
+                                </div>
                             </div>
                             <div>
                                 <label className="block text-sm font-medium text-slate-300 mb-1">
@@ -1710,6 +2496,11 @@ const FamilyEconomyApp = () => {
                                     placeholder="e.g., Toy store, Ice cream, etc."
                                 />
                             </div>
+                            <SpendingCategoryPicker
+                                category={spendingForm.category}
+                                customCategory={spendingForm.customCategory}
+                                onChange={(category) => setSpendingForm({ ...spendingForm, ...category })}
+                            />
                         </div>
                         <div className="flex gap-3 mt-6">
                             <button
@@ -1720,27 +2511,310 @@ const FamilyEconomyApp = () => {
                             </button>
                             <button
                                 onClick={() => {
-                                    const amountCents = Math.round(parseFloat(spendingForm.amount || 0) * 100);
+                                    const amountCents = parseDollarString(spendingForm.amount);
                                     if (amountCents <= 0 || amountCents > (activeUser?.cashBalance || 0)) return;
-                                    const description = spendingForm.description.trim() || 'Spending';
-                                    economy.redeemCash(activeUser.id, amountCents, description);
+                                    const customCategory = spendingForm.customCategory.trim();
+                                    const description = spendingForm.description.trim() ||
+                                        getSpendingCategory({ category: spendingForm.category, customCategory }).label;
+                                    economy.redeemCash(activeUser.id, amountCents, description, spendingForm.category, customCategory);
                                     soundSystem.purchase();
                                     setShowSpendingModal(false);
                                 }}
                                 disabled={
-                                    !spendingForm.amount ||
-                                    parseFloat(spendingForm.amount) <= 0 ||
-                                    Math.round(parseFloat(spendingForm.amount || 0) * 100) > (activeUser?.cashBalance || 0)
+                                    parseDollarString(spendingForm.amount) <= 0 ||
+                                    parseDollarString(spendingForm.amount) > (activeUser?.cashBalance || 0)
                                 }
                                 className="flex-1 py-3 bg-red-600 hover:bg-red-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
                             >
-                                Deduct {spendingForm.amount ? formatCents(Math.round(parseFloat(spendingForm.amount) * 100)) : '$0.00'}
+                                Deduct {formatCents(parseDollarString(spendingForm.amount))}
                             </button>
                         </div>
                     </div>
                 </div>
             )}
 
+            {/* Savings Goal Editor */}
+            {showGoalEditor && (
+                <SavingsGoalEditorModal
+                    goal={editingGoal}
+                    onSave={(goalData) => {
+                        if (editingGoal) {
+                            economy.updateSavingsGoal(editingGoal.id, goalData);
+                        } else {
+                            economy.addSavingsGoal(goalData);
+                        }
+                        setShowGoalEditor(false);
+                        setEditingGoal(null);
+                    }}
+                    onClose={() => {
+                        setShowGoalEditor(false);
+                        setEditingGoal(null);
+                    }}
+                />
+            )}
+
+            {/* Store Management Modal */}
+            {showStoreManagement && (
+                <div className="modal-overlay" onClick={() => setShowStoreManagement(false)}>
+                    <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()} style={{ maxWidth: '500px', maxHeight: '80vh', overflow: 'auto' }}>
+                        <h2 className="text-xl font-bold text-slate-100 mb-4">Manage Store</h2>
+                        <StoreManagementList
+                            items={economy.redemptionItems}
+                            onEdit={(item) => openStoreItemEditor(item)}
+                            onToggleActive={(item) => economy.updateRedemptionItem(item.id, { isActive: !item.isActive })}
+                        />
+                        <button
+                            onClick={() => openStoreItemEditor()}
+                            className="w-full mt-4 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold"
+                        >
+                            + Add Reward
+                        </button>
+                        <button
+                            onClick={() => setShowStoreManagement(false)}
+                            className="w-full mt-2 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                        >
+                            Close
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Store Item Editor */}
+            {showStoreItemEditor && (
+                <StoreItemEditorModal
+                    item={editingStoreItem}
+                    onSave={(itemData) => {
+                        if (editingStoreItem) {
+                            economy.updateRedemptionItem(editingStoreItem.id, itemData);
+                        } else {
+                            economy.addRedemptionItem(itemData);
+                        }
+                        closeStoreItemEditor();
+                    }}
+                    onDelete={(itemId) => {
+                        if (confirm('Delete this reward?')) {
+                            economy.deleteRedemptionItem(itemId, 'parent');
+                            closeStoreItemEditor();
+                        }
+                    }}
+                    onClose={closeStoreItemEditor}
+                />
+            )}
+
+            {/* Move Money Between Jars */}
+            {showMoveJarMoney && activeUser && (
+                <MoveJarMoneyModal
+                    user={activeUser}
+                    onMove={(fromJar, toJar, amountCents) => {
+                        economy.moveBetweenJars(activeUser.id, fromJar, toJar, amountCents, 'parent');
+                        setShowMoveJarMoney(false);
+                    }}
+                    onClose={() => setShowMoveJarMoney(false)}
+                />
+            )}
+
+            {/* Grant Loan */}
+            {showGrantLoan && activeUser && (
+                <GrantLoanModal
+                    user={activeUser}
+                    onGrant={(terms) => {
+                        if (economy.grantLoan(activeUser.id, terms, 'parent')) {
+                            showEarning(terms.principalCents, terms.description, false);
+                        }
+                        setShowGrantLoan(false);
+                    }}
+                    onClose={() => setShowGrantLoan(false)}
+                />
+            )}
+
+            {/* Loan Schedule */}
+            {viewingLoan && (
+                <LoanScheduleModal
+                    loan={viewingLoan}
+                    schedule={economy.getLoanSchedule(viewingLoan)}
+                    onClose={() => setViewingLoan(null)}
+                />
+            )}
+
+            {/* Currency Settings */}
+            {showCurrencySettings && (
+                <CurrencySettingsModal
+                    settings={economy.settings}
+                    onSave={(currencySettings) => {
+                        economy.updateCurrencySettings(currencySettings);
+                        setShowCurrencySettings(false);
+                    }}
+                    onClose={() => setShowCurrencySettings(false)}
+                />
+            )}
+
+            {/* Gem History */}
+            {showGemHistory && (
+                <GemHistoryModal
+                    entries={economy.activeUserGemHistory}
+                    onClose={() => setShowGemHistory(false)}
+                />
+            )}
+
+            {/* Gem Exchange */}
+            {showGemExchange && activeUser && (
+                <GemExchangeModal
+                    user={activeUser}
+                    exchange={economy.gemExchange}
+                    getQuote={economy.getExchangeQuote}
+                    onExchange={(gems) => {
+                        const earning = economy.exchangeGems(activeUser.id, gems);
+                        if (earning) {
+                            showEarning(earning.amount, earning.description, false);
+                        }
+                        setShowGemExchange(false);
+                    }}
+                    onClose={() => setShowGemExchange(false)}
+                />
+            )}
+
+            {/* Gem Exchange Rate */}
+            {showGemExchangeSettings && (
+                <GemExchangeSettingsModal
+                    exchange={economy.gemExchange}
+                    onSave={(gemExchange) => {
+                        economy.updateGemExchangeSettings(gemExchange);
+                        setShowGemExchangeSettings(false);
+                    }}
+                    onClose={() => setShowGemExchangeSettings(false)}
+                />
+            )}
+
+            {/* Reverse Transaction */}
+            {reversingTransaction && (
+                <ReverseTransactionModal
+                    transaction={reversingTransaction}
+                    user={economy.users.find(u => u.id === reversingTransaction.userId)}
+                    onReverse={(reason) => {
+                        economy.reverseTransaction(reversingTransaction.id, 'parent', reason);
+                        setReversingTransaction(null);
+                    }}
+                    onClose={() => setReversingTransaction(null)}
+                />
+            )}
+
+            {/* Send Money */}
+            {showTransfer && activeUser && (
+                <TransferModal
+                    fromUser={activeUser}
+                    users={economy.users}
+                    settings={economy.transferSettings}
+                    onSend={(toUserId, amount, note) => {
+                        const result = economy.sendTransfer(activeUser.id, toUserId, amount, note);
+                        if (result.success) setShowTransfer(false);
+                    }}
+                    onClose={() => setShowTransfer(false)}
+                />
+            )}
+
+            {/* Transfer Rules */}
+            {showTransferSettings && (
+                <TransferSettingsModal
+                    settings={economy.transferSettings}
+                    onSave={(transferSettings) => {
+                        economy.updateTransferSettings(transferSettings);
+                        setShowTransferSettings(false);
+                    }}
+                    onClose={() => setShowTransferSettings(false)}
+                />
+            )}
+
+            {/* Auto-Approval Settings */}
+            {showAutoApprovalSettings && (
+                <AutoApprovalSettingsModal
+                    policy={economy.autoApprovalPolicy}
+                    onSave={(policy) => {
+                        economy.updateAutoApprovalSettings(policy);
+                        setShowAutoApprovalSettings(false);
+                    }}
+                    onClose={() => setShowAutoApprovalSettings(false)}
+                />
+            )}
+
+            {/* Quality Bonus Settings */}
+            {showQualityBonusSettings && (
+                <QualityBonusSettingsModal
+                    settings={economy.qualityBonusSettings}
+                    onSave={(settings) => {
+                        economy.updateQualityBonusSettings(settings);
+                        setShowQualityBonusSettings(false);
+                    }}
+                    onClose={() => setShowQualityBonusSettings(false)}
+                />
+            )}
+
+            {/* Photo Settings */}
+            {showPhotoSettings && (
+                <PhotoSettingsModal
+                    retentionDays={economy.photoRetentionDays}
+                    onSave={(days) => {
+                        economy.updatePhotoRetention(days);
+                        setShowPhotoSettings(false);
+                    }}
+                    onClose={() => setShowPhotoSettings(false)}
+                />
+            )}
+
+            {/* Job Auctions */}
+            {showAuctions && (
+                <AuctionHistoryModal
+                    auctions={economy.auctions}
+                    users={economy.users}
+                    onNew={() => {
+                        setShowAuctions(false);
+                        setShowAuctionEditor(true);
+                    }}
+                    onCancel={economy.cancelAuction}
+                    onClose={() => setShowAuctions(false)}
+                />
+            )}
+            {showAuctionEditor && (
+                <AuctionEditorModal
+                    onSave={(fields) => {
+                        economy.addAuction(fields, activeUser?.id);
+                        setShowAuctionEditor(false);
+                        setShowAuctions(true);
+                    }}
+                    onClose={() => {
+                        setShowAuctionEditor(false);
+                        setShowAuctions(true);
+                    }}
+                />
+            )}
+
+            {/* Monthly Statements */}
+            {showStatements && (
+                <MonthlyStatementModal
+                    users={childUsers}
+                    getStatementMonths={economy.getStatementMonths}
+                    getStatement={economy.getMonthlyStatement}
+                    onClose={() => setShowStatements(false)}
+                />
+            )}
+
+            {/* Ledger Export */}
+            {showLedgerExport && (
+                <LedgerExportModal
+                    users={economy.users}
+                    getExport={economy.getLedgerExport}
+                    onClose={() => setShowLedgerExport(false)}
+                />
+            )}
+
+            {/* Spending Breakdown */}
+            {showSpendingBreakdown && (
+                <SpendingBreakdownModal
+                    users={isParent ? childUsers : [activeUser]}
+                    getBreakdown={economy.getSpendingBreakdown}
+                    onClose={() => setShowSpendingBreakdown(false)}
+                />
+            )}
+
             {/* Money Animations */}
             <AnimationOverlay />
         </div>
@@ -1787,7 +2861,11 @@ const ChoreCardSimple = ({ chore, onComplete }) => {
                     </div>
                     <div className="text-sm text-slate-400">
                         {chore.recurrence === RECURRENCE_TYPE.DAILY ? 'Daily' : 'Weekly'}
+                        {chore.points > 0 && <span className="text-violet-400"> • 💎 {chore.points}</span>}
+                        {!isCompleted && <FineWarning fineCents={chore.fineCents} />}
                     </div>
+                    {needsRedo(chore) && <RedoNotice rejection={chore.rejection} />}
+                    {!isCompleted && <ScheduleCountdown schedule={chore.schedule} />}
                 </div>
                 <div className="flex gap-2 items-center">
                     {!isCompleted && !isPending && (
@@ -1795,7 +2873,7 @@ const ChoreCardSimple = ({ chore, onComplete }) => {
                             onClick={onComplete}
                             className="bg-emerald-600 hover:bg-emerald-500 text-white px-4 py-2 rounded-lg font-semibold"
                         >
-                            ✓ Done
+                            {needsRedo(chore) ? '🔁 Redo' : '✓ Done'}
                         </button>
                     )}
                     {isPending && (
@@ -1814,42 +2892,42 @@ const ChoreCardSimple = ({ chore, onComplete }) => {
     );
 };
 
-const JobCardSimple = ({ job, chores, onComplete }) => {
+const JobCardSimple = ({ job, chores, weeklyResetDay, earningBudget, quality, onComplete }) => {
     const isLocked = job.isLocked;
 
+    // Busy while a photo is downscaled and saved, so it can't be completed twice
+    const [isSaving, setIsSaving] = useState(false);
+    const complete = (photo) => {
+        setIsSaving(true);
+        onComplete(1, photo).finally(() => setIsSaving(false));
+    };
+
     // Count completions for current period (uses timestamp, not date)
-    // For daily jobs: count today's completions
-    // For weekly jobs: count all completions since last reset (stored in completions array)
-    const completionCount = job.completions?.filter(c => {
-        if (job.recurrence === RECURRENCE_TYPE.DAILY) {
-            const today = new Date().toDateString();
-            return new Date(c.timestamp).toDateString() === today;
-        } else {
-            // Weekly jobs - all completions in array are current period (reset clears them)
-            return true;
-        }
-    }).reduce((sum, c) => sum + (c.count || 1), 0) || 0;
-
-    // Check for pending completions in current period
-    const hasPending = job.completions?.some(c => {
-        if (c.status !== 'pending') return false;
-        if (job.recurrence === RECURRENCE_TYPE.DAILY) {
-            const today = new Date().toDateString();
-            return new Date(c.timestamp).toDateString() === today;
-        }
-        // Weekly - all completions in array are current period
-        return true;
-    }) || false;
+    // Reset keeps completions still awaiting approval, so filter by period
+    // Rejected completions don't count, so they can be redone
+    const completionCount = job.completions?.filter(c =>
+        c.status !== 'rejected' &&
+        isCurrentPeriod(c.timestamp, job.recurrence, weeklyResetDay)
+    ).reduce((sum, c) => sum + (c.count || 1), 0) || 0;
+
+    // A rejected completion waiting to be redone
+    const redo = getRedoCompletion(job);
+
+    // Check for completions still awaiting approval (including earlier periods)
+    const hasPending = job.completions?.some(c => c.status === 'pending') || false;
 
     const maxCompletions = job.maxCompletionsPerPeriod;
     const isMaxedOut = maxCompletions && completionCount >= maxCompletions;
-    const hasCompletedOnce = completionCount > 0 && !job.allowMultipleCompletions;
+    const hasCompletedOnce = (completionCount > 0 && !job.allowMultipleCompletions) || isOneOffDone(job);
 
     // Job is "done" if it's single-completion and completed, or maxed out for multi-completion
     const isDone = hasCompletedOnce || isMaxedOut;
 
-    // Can only complete if not locked, not done, and (no max or under max)
-    const canComplete = !isLocked && !isDone && (!maxCompletions || completionCount < maxCompletions);
+    // Earning caps can stop the job before it's done
+    const isCapped = getCompletionsWithinBudget(job, earningBudget) === 0;
+
+    // Can only complete if not locked, not done, not capped, and (no max or under max)
+    const canComplete = !isLocked && !isDone && !isCapped && (!maxCompletions || completionCount < maxCompletions);
 
     // Determine card state and styling
     const getCardStyle = () => {
@@ -1892,11 +2970,33 @@ const JobCardSimple = ({ job, chores, onComplete }) => {
                         {job.title}
                     </div>
                     <div className="text-sm text-slate-400">
-                        <span className="text-emerald-400">{formatCents(job.value)}</span> • {job.recurrence === RECURRENCE_TYPE.DAILY ? 'Daily' : 'Weekly'}
+                        <span className="text-emerald-400">{formatCents(job.value)}</span> • {job.oneOff ? 'One-off' : job.recurrence === RECURRENCE_TYPE.DAILY ? 'Daily' : 'Weekly'}
                         {job.allowMultipleCompletions && maxCompletions &&
                             ` • ${completionCount}/${maxCompletions}`
                         }
+                        {!isLocked && completionCount === 0 && <FineWarning fineCents={job.fineCents} />}
                     </div>
+                    {!isLocked && !isDone && earningBudget.remaining !== null && (
+                        <div className={`text-xs mt-1 ${isCapped ? 'text-red-400' : 'text-sky-400'}`}>
+                            🎯 {isCapped ? 'Earning cap reached' : describeEarningBudget(earningBudget)}
+                        </div>
+                    )}
+                    {quality && (
+                        <div className="mt-1">
+                            <QualityBadge quality={quality} />
+                        </div>
+                    )}
+                    {!isLocked && <RedoNotice rejection={redo?.rejection} />}
+                    {!isLocked && !isDone && <ScheduleCountdown schedule={job.schedule} />}
+                    {job.claim && !job.claim.completedAt && (job.claim.releasedAt ? (
+                        <div className="text-xs text-slate-500 mt-1">
+                            ⌛ Your claim ran out
+                        </div>
+                    ) : (
+                        <div className="text-xs text-sky-400 mt-1">
+                            🎯 Bounty{job.claim.expiresAt && ` • ${describeClaimExpiry(job)}`}
+                        </div>
+                    ))}
                     {isLocked && (
                         <div className="text-xs text-amber-500 mt-1">
                             {job.unlockConditions?.requireAllChores
@@ -1917,12 +3017,22 @@ const JobCardSimple = ({ job, chores, onComplete }) => {
                             DONE
                         </div>
                     )}
-                    {canComplete && (
-                        <button
-                            onClick={() => onComplete(1)}
+                    {canComplete && job.requiresPhoto && (
+                        <PhotoCaptureButton
+                            onCapture={complete}
+                            disabled={isSaving}
                             className="bg-emerald-600 hover:bg-emerald-500 text-white px-4 py-2 rounded-lg font-semibold"
                         >
-                            ✓ Done
+                            {isSaving ? '⏳ Saving' : `📷 ${redo ? 'Redo' : 'Done'}`}
+                        </PhotoCaptureButton>
+                    )}
+                    {canComplete && !job.requiresPhoto && (
+                        <button
+                            onClick={() => complete(null)}
+                            disabled={isSaving}
+                            className="bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white px-4 py-2 rounded-lg font-semibold"
+                        >
+                            {redo ? '🔁 Redo' : '✓ Done'}
                         </button>
                     )}
                 </div>
@@ -0,0 +1,221 @@
+/**
+ * Allowance Components
+ *
+ * Components for a child's scheduled allowance: the status card on the
+ * tasks tab and the parent settings editor.
+ */
+
+import React from 'react';
+import { ALLOWANCE_CADENCE } from '../schema.js';
+import { formatCents, formatCentsForInput, parseDollarString, getCurrencySymbol } from '../utils/currency.js';
+import { describeAllowance } from '../utils/allowance.js';
+
+const CADENCE_OPTIONS = [
+    { value: ALLOWANCE_CADENCE.DAILY, label: 'Daily' },
+    { value: ALLOWANCE_CADENCE.WEEKLY, label: 'Weekly' },
+    { value: ALLOWANCE_CADENCE.MONTHLY, label: 'Monthly' }
+];
+
+const PERIOD_NAMES = {
+    [ALLOWANCE_CADENCE.DAILY]: 'today',
+    [ALLOWANCE_CADENCE.WEEKLY]: 'this week',
+    [ALLOWANCE_CADENCE.MONTHLY]: 'this month'
+};
+
+/**
+ * Describe an allowance condition for a child
+ * @param {Object | null} condition - Condition in unlockConditions form
+ * @returns {string | null}
+ */
+const describeCondition = (condition) => {
+    if (!condition) return null;
+    if (condition.requireAllChores) return 'Finish all your tasks';
+
+    const parts = [];
+    if (condition.dailyChores > 0) parts.push(`${condition.dailyChores} daily`);
+    if (condition.weeklyChores > 0) parts.push(`${condition.weeklyChores} weekly`);
+    return parts.length > 0 ? `Finish ${parts.join(' and ')} task${parts.length > 1 ? 's' : ''}` : null;
+};
+
+/**
+ * Allowance Status Card
+ * Shows the next payment and whether it has been earned yet.
+ */
+export const AllowanceStatusCard = ({ settings, status }) => {
+    if (!settings?.enabled || !status) return null;
+
+    const conditionText = describeCondition(settings.condition);
+    const nextDate = status.nextDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+    return (
+        <div className={`bg-slate-800 rounded-xl p-4 border ${
+            status.earned ? 'border-emerald-500/40' : 'border-slate-700'
+        }`}>
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                    <span className="text-2xl">💵</span>
+                    <div>
+                        <div className="font-bold text-slate-100">Allowance</div>
+                        <div className="text-xs text-slate-400">
+                            {describeAllowance(settings)} · next on {nextDate}
+                        </div>
+                    </div>
+                </div>
+                <span className="font-bold text-emerald-400">{formatCents(settings.amountCents)}</span>
+            </div>
+
+            {conditionText && (
+                <div className={`mt-3 text-sm rounded-lg px-3 py-2 ${
+                    status.earned ? 'bg-emerald-500/10 text-emerald-400' : 'bg-slate-900/50 text-slate-400'
+                }`}>
+                    {status.earned
+                        ? `✓ Earned ${PERIOD_NAMES[settings.cadence]}!`
+                        : `${conditionText} ${PERIOD_NAMES[settings.cadence]} to earn it`}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Allowance Settings Editor
+ * Edits a form object with dollar strings; use allowanceFormToSettings to convert.
+ */
+export const AllowanceSettingsEditor = ({ form, onChange }) => {
+    return (
+        <div className="bg-slate-900/50 rounded-lg p-3 space-y-3">
+            <label className="flex items-center justify-between">
+                <span className="text-sm font-medium text-slate-300">Pay an allowance</span>
+                <input
+                    type="checkbox"
+                    checked={form.enabled}
+                    onChange={(e) => onChange({ ...form, enabled: e.target.checked })}
+                    className="w-5 h-5 accent-violet-500"
+                />
+            </label>
+
+            {form.enabled && (
+                <>
+                    <div className="grid grid-cols-2 gap-2">
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">Amount ({getCurrencySymbol()})</label>
+                            <input
+                                type="text"
+                                inputMode="decimal"
+                                value={form.amount}
+                                onChange={(e) => onChange({ ...form, amount: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">How often</label>
+                            <select
+                                value={form.cadence}
+                                onChange={(e) => onChange({ ...form, cadence: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            >
+                                {CADENCE_OPTIONS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-xs text-slate-400 mb-1">Only pay if</label>
+                        <select
+                            value={form.conditionType}
+                            onChange={(e) => onChange({ ...form, conditionType: e.target.value })}
+                            className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        >
+                            <option value="none">Always pay</option>
+                            <option value="all">All tasks are done</option>
+                            <option value="count">Some tasks are done</option>
+                        </select>
+                    </div>
+
+                    {form.conditionType === 'count' && (
+                        <div className="grid grid-cols-2 gap-2">
+                            <div>
+                                <label className="block text-xs text-slate-400 mb-1">Daily tasks</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={form.dailyChores}
+                                    onChange={(e) => onChange({ ...form, dailyChores: e.target.value })}
+                                    className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-xs text-slate-400 mb-1">Weekly tasks</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={form.weeklyChores}
+                                    onChange={(e) => onChange({ ...form, weeklyChores: e.target.value })}
+                                    className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    {form.conditionType !== 'none' && (
+                        <p className="text-xs text-slate-500">
+                            Paid for each period in which the tasks were done at some point, same as job unlocks.
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Build the editor form from saved allowance settings
+ * @param {AllowanceSettings} settings
+ * @returns {Object} Editor form
+ */
+export const allowanceSettingsToForm = (settings) => {
+    const condition = settings?.condition || null;
+
+    return {
+        enabled: !!settings?.enabled,
+        amount: formatCentsForInput(settings?.amountCents ?? 500),
+        cadence: settings?.cadence || ALLOWANCE_CADENCE.WEEKLY,
+        conditionType: !condition ? 'none' : condition.requireAllChores ? 'all' : 'count',
+        dailyChores: String(condition?.dailyChores ?? 0),
+        weeklyChores: String(condition?.weeklyChores ?? 0)
+    };
+};
+
+/**
+ * Convert the editor form back into allowance settings
+ * A count condition with no tasks required is saved as no condition.
+ * @param {Object} form - Editor form
+ * @returns {Object} Allowance settings (without startedAt / conditionMetPeriods)
+ */
+export const allowanceFormToSettings = (form) => {
+    const dailyChores = Math.max(0, parseInt(form.dailyChores, 10) || 0);
+    const weeklyChores = Math.max(0, parseInt(form.weeklyChores, 10) || 0);
+
+    let condition = null;
+    if (form.conditionType === 'all') {
+        condition = { requireAllChores: true };
+    } else if (form.conditionType === 'count' && (dailyChores > 0 || weeklyChores > 0)) {
+        condition = { dailyChores, weeklyChores };
+    }
+
+    return {
+        enabled: form.enabled,
+        amountCents: parseDollarString(form.amount),
+        cadence: form.cadence,
+        condition
+    };
+};
+
+export default {
+    AllowanceStatusCard,
+    AllowanceSettingsEditor,
+    allowanceSettingsToForm,
+    allowanceFormToSettings
+};
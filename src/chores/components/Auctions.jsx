@@ -0,0 +1,329 @@
+/**
+ * Auction Components
+ *
+ * Job auctions: the board children bid on, the form parents post an auction
+ * with, and the history of past auctions and their bids.
+ */
+
+import React, { useState } from 'react';
+import { AUCTION_STATUS } from '../schema.js';
+import { formatCents, getCurrencySymbol } from '../utils/currency.js';
+import { formatDate } from '../utils/dateTime.js';
+import { getLowestBid, getUserBid, describeAuctionDeadline } from '../utils/auctions.js';
+import { MoneyInput } from './Currency.jsx';
+
+const AUCTION_ICONS = ['🔨', '🚗', '🧹', '🌳', '📦', '🪟', '🧺', '🐕'];
+
+const STATUS_LABELS = {
+    [AUCTION_STATUS.OPEN]: { label: 'Open', className: 'bg-sky-500/20 text-sky-400 border-sky-500/50' },
+    [AUCTION_STATUS.AWARDED]: { label: 'Awarded', className: 'bg-emerald-500/20 text-emerald-400 border-emerald-500/50' },
+    [AUCTION_STATUS.NO_BIDS]: { label: 'No bids', className: 'bg-slate-600/40 text-slate-400 border-slate-500/50' },
+    [AUCTION_STATUS.CANCELLED]: { label: 'Cancelled', className: 'bg-red-500/20 text-red-400 border-red-500/50' }
+};
+
+/**
+ * Format a date for a datetime-local input, in local time
+ * @param {Date} date
+ * @returns {string} e.g. "2024-05-01T18:00"
+ */
+const toDateTimeInput = (date) => {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+    return local.toISOString().slice(0, 16);
+};
+
+/**
+ * Auction Bid Card
+ * One open auction on the board, with the child's bid form.
+ */
+const AuctionBidCard = ({ auction, users, userId, onBid }) => {
+    const [amount, setAmount] = useState(0);
+    const [error, setError] = useState(null);
+
+    const lowest = getLowestBid(auction);
+    const lowestUser = lowest && users.find(u => u.id === lowest.userId);
+    const myBid = getUserBid(auction, userId);
+
+    const handleBid = () => {
+        const result = onBid(auction.id, amount);
+        setError(result.success ? null : result.reason);
+        if (result.success) setAmount(0);
+    };
+
+    return (
+        <div className="bg-slate-700/50 rounded-lg p-3 border border-slate-600">
+            <div className="flex items-center gap-3">
+                <span className="text-2xl">{auction.icon}</span>
+                <div className="flex-1">
+                    <div className="font-medium text-slate-100">{auction.title}</div>
+                    <div className="text-xs text-slate-400">
+                        Up to <span className="text-emerald-400">{formatCents(auction.maxPrice)}</span>
+                        {' • '}{describeAuctionDeadline(auction)}
+                    </div>
+                </div>
+            </div>
+            {auction.description && (
+                <p className="text-xs text-slate-400 mt-1">{auction.description}</p>
+            )}
+            <div className="text-xs mt-2">
+                {lowest ? (
+                    <span className={lowest.userId === userId ? 'text-emerald-400' : 'text-amber-400'}>
+                        Lowest bid: {formatCents(lowest.amount)} by {lowest.userId === userId ? 'you' : lowestUser?.name || 'someone'}
+                    </span>
+                ) : (
+                    <span className="text-slate-500">No bids yet</span>
+                )}
+                {myBid && lowest.userId !== userId && (
+                    <span className="text-slate-500"> • Your bid: {formatCents(myBid.amount)}</span>
+                )}
+            </div>
+            <div className="flex gap-2 mt-2">
+                <MoneyInput
+                    valueCents={amount}
+                    onChange={setAmount}
+                    emptyWhenZero
+                    className="flex-1 px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 text-sm"
+                    placeholder={`Your price (${getCurrencySymbol()})`}
+                />
+                <button
+                    onClick={handleBid}
+                    className="bg-violet-600 hover:bg-violet-500 text-white px-4 py-2 rounded-lg text-sm font-semibold"
+                >
+                    Bid
+                </button>
+            </div>
+            {error && <div className="text-xs text-red-400 mt-1">{error}</div>}
+        </div>
+    );
+};
+
+/**
+ * Auction Board
+ * Open auctions children bid on; the lowest bid at the deadline gets the job.
+ * onBid(auctionId, amount) returns { success, reason }.
+ */
+export const AuctionBoard = ({ auctions, users, userId, onBid }) => {
+    if (auctions.length === 0) return null;
+
+    return (
+        <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 space-y-3">
+            <h3 className="font-semibold text-slate-100">🔨 Job Auctions</h3>
+            <p className="text-xs text-slate-400">Say what you'd do it for. The lowest bid when bidding closes gets the job.</p>
+            {auctions.map(auction => (
+                <AuctionBidCard
+                    key={auction.id}
+                    auction={auction}
+                    users={users}
+                    userId={userId}
+                    onBid={onBid}
+                />
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Auction Editor Modal (parent)
+ * onSave({ title, description, icon, maxPrice, deadline })
+ */
+export const AuctionEditorModal = ({ onSave, onClose }) => {
+    const [form, setForm] = useState(() => ({
+        title: '',
+        description: '',
+        icon: AUCTION_ICONS[0],
+        maxPrice: 0,
+        deadline: toDateTimeInput(new Date(Date.now() + 24 * 60 * 60 * 1000))
+    }));
+
+    const isValid = form.title.trim() && form.maxPrice > 0 && form.deadline && new Date(form.deadline) > new Date();
+
+    const handleSave = () => {
+        if (!isValid) return;
+        onSave({
+            title: form.title.trim(),
+            description: form.description.trim(),
+            icon: form.icon,
+            maxPrice: form.maxPrice,
+            deadline: new Date(form.deadline).toISOString()
+        });
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-2">🔨 New Job Auction</h2>
+                <p className="text-sm text-slate-400 mb-4">
+                    Kids bid what they'd do it for, up to your max. When bidding closes, the lowest
+                    bidder gets the job at their price.
+                </p>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Job</label>
+                        <input
+                            type="text"
+                            value={form.title}
+                            onChange={(e) => setForm({ ...form, title: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                            placeholder="e.g., Clean the garage"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Icon</label>
+                        <div className="flex flex-wrap gap-2">
+                            {AUCTION_ICONS.map(icon => (
+                                <button
+                                    key={icon}
+                                    type="button"
+                                    onClick={() => setForm({ ...form, icon })}
+                                    className={`text-2xl p-2 rounded-lg transition-all ${
+                                        form.icon === icon
+                                            ? 'bg-violet-600 scale-110'
+                                            : 'bg-slate-700 hover:bg-slate-600'
+                                    }`}
+                                >
+                                    {icon}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">
+                            Details <span className="text-slate-500">(optional)</span>
+                        </label>
+                        <textarea
+                            value={form.description}
+                            onChange={(e) => setForm({ ...form, description: e.target.value })}
+                            rows={2}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Max price ({getCurrencySymbol()})</label>
+                        <MoneyInput
+                            valueCents={form.maxPrice}
+                            onChange={(maxPrice) => setForm({ ...form, maxPrice })}
+                            emptyWhenZero
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Bidding closes</label>
+                        <input
+                            type="datetime-local"
+                            value={form.deadline}
+                            onChange={(e) => setForm({ ...form, deadline: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        />
+                    </div>
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={!isValid}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Post Auction
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Auction History Modal (parent)
+ * Every auction, newest first, with its outcome and bids.
+ */
+export const AuctionHistoryModal = ({ auctions, users, onNew, onCancel, onClose }) => {
+    const sorted = [...auctions].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const userName = (userId) => users.find(u => u.id === userId)?.name || 'Unknown';
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">🔨 Job Auctions</h2>
+
+                <button
+                    onClick={onNew}
+                    className="w-full py-3 bg-emerald-600 hover:bg-emerald-500 text-white rounded-xl font-semibold mb-4"
+                >
+                    + New Auction
+                </button>
+
+                <div className="space-y-3 max-h-96 overflow-y-auto">
+                    {sorted.length === 0 && (
+                        <p className="text-slate-500 text-sm text-center py-4">No auctions yet.</p>
+                    )}
+                    {sorted.map(auction => {
+                        const status = STATUS_LABELS[auction.status];
+                        return (
+                            <div key={auction.id} className="bg-slate-700/50 rounded-lg p-3 border border-slate-600">
+                                <div className="flex items-center gap-3">
+                                    <span className="text-2xl">{auction.icon}</span>
+                                    <div className="flex-1">
+                                        <div className="font-medium text-slate-100">{auction.title}</div>
+                                        <div className="text-xs text-slate-400">
+                                            Max {formatCents(auction.maxPrice)} • {auction.status === AUCTION_STATUS.OPEN
+                                                ? describeAuctionDeadline(auction)
+                                                : `Closed ${formatDate(auction.closedAt, 'datetime')}`}
+                                        </div>
+                                    </div>
+                                    <span className={`px-2 py-1 rounded-lg text-xs font-bold border ${status.className}`}>
+                                        {status.label}
+                                    </span>
+                                </div>
+                                {auction.status === AUCTION_STATUS.AWARDED && (
+                                    <div className="text-sm text-emerald-400 mt-2">
+                                        🏆 {userName(auction.winnerId)} for {formatCents(auction.winningBid)}
+                                    </div>
+                                )}
+                                {auction.bids.length > 0 && (
+                                    <div className="mt-2 space-y-1">
+                                        {auction.bids.map(bid => (
+                                            <div key={bid.id} className="flex justify-between text-xs text-slate-400">
+                                                <span>{userName(bid.userId)} • {formatDate(bid.createdAt, 'datetime')}</span>
+                                                <span>{formatCents(bid.amount)}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                {auction.status === AUCTION_STATUS.OPEN && (
+                                    <button
+                                        onClick={() => onCancel(auction.id)}
+                                        className="mt-2 text-xs text-red-400 hover:text-red-300"
+                                    >
+                                        Cancel auction
+                                    </button>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <button
+                    onClick={onClose}
+                    className="w-full mt-4 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    AuctionBoard,
+    AuctionEditorModal,
+    AuctionHistoryModal
+};
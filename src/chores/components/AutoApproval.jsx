@@ -0,0 +1,101 @@
+/**
+ * Auto-Approval Components
+ *
+ * Editors for the auto-approval policy: the family rule (from Parent Review)
+ * and an optional rule of its own for a job (in the job editor).
+ */
+
+import React, { useState } from 'react';
+import { getCurrencySymbol } from '../utils/currency.js';
+import { MoneyInput } from './Currency.jsx';
+
+/**
+ * Auto-Approval Policy Editor
+ * Leaving the hours or amount empty turns that condition off.
+ */
+export const AutoApprovalPolicyEditor = ({ policy, onChange }) => {
+    return (
+        <div className="bg-slate-900/50 rounded-lg p-3 space-y-3">
+            <label className="flex items-center justify-between">
+                <span className="text-sm font-medium text-slate-300">Approve automatically</span>
+                <input
+                    type="checkbox"
+                    checked={policy.enabled}
+                    onChange={(e) => onChange({ ...policy, enabled: e.target.checked })}
+                    className="w-5 h-5 accent-violet-500"
+                />
+            </label>
+
+            {policy.enabled && (
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <label className="block text-xs text-slate-400 mb-1">After (hours)</label>
+                        <input
+                            type="number"
+                            min="1"
+                            value={policy.afterHours ?? ''}
+                            onChange={(e) => {
+                                const hours = parseInt(e.target.value, 10);
+                                onChange({ ...policy, afterHours: hours > 0 ? hours : null });
+                            }}
+                            className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            placeholder="Never"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-xs text-slate-400 mb-1">Or under ({getCurrencySymbol()})</label>
+                        <MoneyInput
+                            valueCents={policy.belowCents || 0}
+                            onChange={(cents) => onChange({ ...policy, belowCents: cents > 0 ? cents : null })}
+                            emptyWhenZero
+                            className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            placeholder="Any amount"
+                        />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Auto-Approval Settings Modal (parent)
+ * The family rule, used by every job without a rule of its own.
+ */
+export const AutoApprovalSettingsModal = ({ policy, onSave, onClose }) => {
+    const [form, setForm] = useState(policy);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-2">⏱️ Auto-Approval</h2>
+                <p className="text-sm text-slate-400 mb-4">
+                    Pending jobs are approved for you after a while, or right away when they're worth
+                    little, so earnings don't wait while you're away. Jobs can have their own rule.
+                </p>
+
+                <AutoApprovalPolicyEditor policy={form} onChange={setForm} />
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onSave(form)}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    AutoApprovalPolicyEditor,
+    AutoApprovalSettingsModal
+};
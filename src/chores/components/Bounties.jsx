@@ -0,0 +1,124 @@
+/**
+ * Bounty Components
+ *
+ * The bounty board children claim library jobs from, and the bounty settings
+ * parents set on a library job.
+ */
+
+import React from 'react';
+import { formatCents } from '../utils/currency.js';
+
+/**
+ * Bounty Board
+ * Open bounties with who has claimed them; siblings see each other's claims, and
+ * claims that ran out before they were done.
+ * @param {{ bounty: Object, claims: Object[], releasedClaims: Object[], canClaim: boolean, reason: string | null }[]} entries - From getBountyBoard
+ */
+export const BountyBoard = ({ entries, users, onClaim }) => {
+    if (entries.length === 0) return null;
+
+    return (
+        <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 space-y-3">
+            <h3 className="font-semibold text-slate-100">🎯 Bounty Board</h3>
+            <p className="text-xs text-slate-400">First come, first served. Claim a job, then finish it before your claim runs out.</p>
+
+            {entries.map(({ bounty, claims, releasedClaims = [], canClaim, reason }) => (
+                <div key={bounty.id} className="bg-slate-700/50 rounded-lg p-3 border border-slate-600">
+                    <div className="flex items-center gap-3">
+                        <span className="text-2xl">{bounty.icon || '💵'}</span>
+                        <div className="flex-1">
+                            <div className="font-medium text-slate-100">{bounty.title}</div>
+                            <div className="text-xs text-slate-400">
+                                <span className="text-emerald-400">{formatCents(bounty.value)}</span>
+                                {' • '}{claims.length}/{bounty.bounty.maxClaims} claimed
+                                {bounty.bounty.claimHours && ` • ${bounty.bounty.claimHours}h to finish`}
+                            </div>
+                        </div>
+                        {canClaim ? (
+                            <button
+                                onClick={() => onClaim(bounty.id)}
+                                className="bg-emerald-600 hover:bg-emerald-500 text-white px-3 py-2 rounded-lg text-sm font-semibold"
+                            >
+                                Claim
+                            </button>
+                        ) : (
+                            <span className="text-xs text-slate-500 text-right">{reason}</span>
+                        )}
+                    </div>
+                    {(claims.length > 0 || releasedClaims.length > 0) && (
+                        <div className="mt-2 flex flex-wrap gap-1">
+                            {claims.map(job => {
+                                const user = users.find(u => u.id === job.userId);
+                                return (
+                                    <span
+                                        key={job.id}
+                                        className="inline-flex items-center gap-1 bg-sky-600/30 text-sky-300 px-2 py-1 rounded-full text-xs border border-sky-500/30"
+                                    >
+                                        <span>{user?.avatar || '👤'}</span>
+                                        <span>{user?.name || 'Unknown'}</span>
+                                        {job.claim.completedAt && <span>✓</span>}
+                                    </span>
+                                );
+                            })}
+                            {releasedClaims.map(job => {
+                                const user = users.find(u => u.id === job.userId);
+                                return (
+                                    <span
+                                        key={job.id}
+                                        className="inline-flex items-center gap-1 bg-slate-600/30 text-slate-400 px-2 py-1 rounded-full text-xs border border-slate-500/30 line-through"
+                                        title="Claim ran out"
+                                    >
+                                        <span>{user?.avatar || '👤'}</span>
+                                        <span>{user?.name || 'Unknown'}</span>
+                                        <span>⌛</span>
+                                    </span>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Bounty Settings Editor (parent)
+ * How many children can claim the bounty, and how long a claim lasts.
+ * @param {Bounty} bounty
+ */
+export const BountySettingsEditor = ({ bounty, onChange }) => {
+    return (
+        <div className="bg-slate-900/50 rounded-lg p-3 grid grid-cols-2 gap-2">
+            <div>
+                <label className="block text-xs text-slate-400 mb-1">Kids who can claim it</label>
+                <input
+                    type="number"
+                    min="1"
+                    value={bounty.maxClaims}
+                    onChange={(e) => onChange({ ...bounty, maxClaims: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                    className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                />
+            </div>
+            <div>
+                <label className="block text-xs text-slate-400 mb-1">Claim lasts (hours)</label>
+                <input
+                    type="number"
+                    min="1"
+                    value={bounty.claimHours ?? ''}
+                    onChange={(e) => {
+                        const hours = parseInt(e.target.value, 10);
+                        onChange({ ...bounty, claimHours: hours > 0 ? hours : null });
+                    }}
+                    className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                    placeholder="No limit"
+                />
+            </div>
+        </div>
+    );
+};
+
+export default {
+    BountyBoard,
+    BountySettingsEditor
+};
@@ -7,6 +7,9 @@
 
 import React from 'react';
 import { REPEAT_TYPES } from '../constants.js';
+import { needsRedo } from '../utils/redo.js';
+import { RedoNotice } from './Redo.jsx';
+import { ScheduleCountdown } from './Schedule.jsx';
 
 /**
  * Gem Icon Component
@@ -131,6 +134,8 @@ export const ChoreCard = ({
                                 </span>
                             )}
                         </div>
+                        {needsRedo(chore) && <RedoNotice rejection={chore.rejection} />}
+                        {!chore.completed && <ScheduleCountdown schedule={chore.schedule} />}
                     </div>
                 </div>
 
@@ -0,0 +1,177 @@
+/**
+ * Completion Review Components
+ *
+ * Parent review of a job's pending completions one at a time: approve as
+ * claimed, approve a lower count or amount, or reject with a reason, with an
+ * optional quality rating. Redos show the rejection they answer, and photo
+ * proof is shown with its completion.
+ */
+
+import React, { useState } from 'react';
+import { APPROVAL_STATUS } from '../schema.js';
+import { formatCents, getCurrencySymbol } from '../utils/currency.js';
+import { formatDate } from '../utils/dateTime.js';
+import { calculateTotalValue } from '../utils/jobHelpers.js';
+import { getRedoneAttempt } from '../utils/redo.js';
+import { MoneyInput } from './Currency.jsx';
+import { StarRating } from './Quality.jsx';
+import { RejectionForm, RedoNotice } from './Redo.jsx';
+import { TimingBadge } from './Schedule.jsx';
+import { CompletionPhoto } from './Photos.jsx';
+
+/**
+ * Adjust Completion Form
+ * Lowering the count re-prices the completion at the job value; the amount can then be
+ * changed on its own for partial pay.
+ */
+const AdjustCompletionForm = ({ completion, rating, onSubmit, onCancel }) => {
+    const [count, setCount] = useState(completion.count);
+    const [amount, setAmount] = useState(completion.totalEarned);
+    const [error, setError] = useState(null);
+
+    const handleCountChange = (value) => {
+        const nextCount = parseInt(value, 10) || 1;
+        setCount(nextCount);
+        setAmount(calculateTotalValue(completion.valueAtCompletion, nextCount));
+    };
+
+    const handleSubmit = () => {
+        const result = onSubmit({ count, amount, rating });
+        if (result && !result.success) setError(result.reason);
+    };
+
+    return (
+        <div className="mt-2 bg-slate-900/50 rounded-lg p-3 space-y-2">
+            <div className="grid grid-cols-2 gap-2">
+                <div>
+                    <label className="block text-xs text-slate-400 mb-1">Done (of {completion.count})</label>
+                    <input
+                        type="number"
+                        min="1"
+                        max={completion.count}
+                        value={count}
+                        onChange={(e) => handleCountChange(e.target.value)}
+                        disabled={completion.count === 1}
+                        className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 disabled:opacity-50"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs text-slate-400 mb-1">Pay ({getCurrencySymbol()})</label>
+                    <MoneyInput
+                        key={count}
+                        valueCents={amount}
+                        onChange={setAmount}
+                        className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                    />
+                </div>
+            </div>
+            {error && <p className="text-xs text-red-400">{error}</p>}
+            <div className="flex gap-2">
+                <button
+                    onClick={onCancel}
+                    className="flex-1 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-semibold"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={handleSubmit}
+                    className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-500 text-white rounded-lg text-sm font-semibold"
+                >
+                    Pay {formatCents(amount)}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Pending Completion List
+ * onApprove(completionId, adjustment) returns { success, reason };
+ * onReject(completionId, { reason, redoInstructions }).
+ * The adjustment carries the completion's star rating, if one was given.
+ */
+export const PendingCompletionList = ({ job, onApprove, onReject }) => {
+    const [adjustingId, setAdjustingId] = useState(null);
+    const [rejectingId, setRejectingId] = useState(null);
+    const [ratings, setRatings] = useState({});
+    const pending = job.completions.filter(c => c.status === APPROVAL_STATUS.PENDING);
+
+    return (
+        <div className="space-y-2">
+            {pending.map(completion => (
+                <div key={completion.id} className="bg-slate-800/60 rounded-lg p-2">
+                    <div className="flex items-center gap-2">
+                        <div className="flex-1 text-sm">
+                            <span className="text-slate-300">
+                                {completion.count > 1 ? `${completion.count}× · ` : ''}
+                                <span className="text-emerald-400">{formatCents(completion.totalEarned)}</span>
+                            </span>
+                            <span className="text-xs text-slate-500 ml-2">{formatDate(completion.timestamp, 'datetime')}</span>
+                            {completion.timing && (
+                                <span className="ml-2"><TimingBadge timing={completion.timing} percent={completion.timingPercent} /></span>
+                            )}
+                        </div>
+                        <StarRating
+                            rating={ratings[completion.id] || null}
+                            onChange={(rating) => setRatings(prev => ({ ...prev, [completion.id]: rating }))}
+                            size="text-base"
+                        />
+                        <button
+                            onClick={() => onApprove(completion.id, { rating: ratings[completion.id] || null })}
+                            className="px-2 py-1 bg-emerald-600 hover:bg-emerald-500 text-white rounded text-sm font-semibold"
+                            title="Approve"
+                        >
+                            ✓
+                        </button>
+                        <button
+                            onClick={() => {
+                                setAdjustingId(adjustingId === completion.id ? null : completion.id);
+                                setRejectingId(null);
+                            }}
+                            className="px-2 py-1 bg-slate-600 hover:bg-slate-500 text-slate-100 rounded text-sm font-semibold"
+                        >
+                            Adjust
+                        </button>
+                        <button
+                            onClick={() => {
+                                setRejectingId(rejectingId === completion.id ? null : completion.id);
+                                setAdjustingId(null);
+                            }}
+                            className="px-2 py-1 bg-red-600 hover:bg-red-500 text-white rounded text-sm font-semibold"
+                            title="Reject"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                    <RedoNotice rejection={getRedoneAttempt(job, completion)?.rejection} isResubmission />
+                    {completion.hasPhoto && <CompletionPhoto completionId={completion.id} />}
+                    {rejectingId === completion.id && (
+                        <RejectionForm
+                            onSubmit={(feedback) => {
+                                onReject(completion.id, feedback);
+                                setRejectingId(null);
+                            }}
+                            onCancel={() => setRejectingId(null)}
+                        />
+                    )}
+                    {adjustingId === completion.id && (
+                        <AdjustCompletionForm
+                            completion={completion}
+                            rating={ratings[completion.id] || null}
+                            onSubmit={(adjustment) => {
+                                const result = onApprove(completion.id, adjustment);
+                                if (result?.success) setAdjustingId(null);
+                                return result;
+                            }}
+                            onCancel={() => setAdjustingId(null)}
+                        />
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default {
+    PendingCompletionList
+};
@@ -0,0 +1,168 @@
+/**
+ * Currency Components
+ *
+ * Components for the family's currency: a money input that accepts the
+ * locale's number format, quick-amount buttons and the parent settings modal.
+ */
+
+import React, { useState } from 'react';
+import { SUPPORTED_CURRENCIES, SUPPORTED_LOCALES } from '../schema.js';
+import {
+    formatCentsForInput,
+    parseMoneyInput,
+    getQuickAmounts
+} from '../utils/currency.js';
+
+/**
+ * Look up a display name, falling back to the code where Intl.DisplayNames is missing
+ * @param {string} code - Currency or locale code
+ * @param {'currency' | 'language'} type
+ * @returns {string}
+ */
+const getDisplayName = (code, type) => {
+    try {
+        return new Intl.DisplayNames(undefined, { type }).of(code) || code;
+    } catch {
+        return code;
+    }
+};
+
+/**
+ * Money Input
+ * Text input in the family's currency; reports minor units as the user types
+ * and tidies the display on blur.
+ */
+export const MoneyInput = ({ valueCents, onChange, emptyWhenZero = false, className = '', placeholder }) => {
+    const toDisplay = (cents) => (emptyWhenZero && !cents ? '' : formatCentsForInput(cents || 0));
+    const [displayValue, setDisplayValue] = useState(() => toDisplay(valueCents));
+
+    const handleChange = (e) => {
+        const input = e.target.value;
+        setDisplayValue(input);
+
+        const cents = input.trim() === '' ? 0 : parseMoneyInput(input);
+        if (!Number.isNaN(cents) && cents >= 0) {
+            onChange(cents);
+        }
+    };
+
+    return (
+        <input
+            type="text"
+            inputMode="decimal"
+            value={displayValue}
+            onChange={handleChange}
+            onBlur={() => setDisplayValue(toDisplay(valueCents))}
+            className={className}
+            placeholder={placeholder ?? formatCentsForInput(0)}
+        />
+    );
+};
+
+/**
+ * Quick Amount Picker
+ * Preset amounts for the family's currency.
+ */
+export const QuickAmountPicker = ({ selectedCents, onSelect }) => {
+    return (
+        <div className="flex flex-wrap gap-2">
+            {getQuickAmounts().map(({ label, cents }) => (
+                <button
+                    key={cents}
+                    type="button"
+                    onClick={() => onSelect(cents)}
+                    className={`px-3 py-1 rounded-lg text-sm font-semibold transition-all ${
+                        selectedCents === cents
+                            ? 'bg-violet-600 text-white'
+                            : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                    }`}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Currency Settings Modal (parent)
+ */
+export const CurrencySettingsModal = ({ settings, onSave, onClose }) => {
+    const [currency, setCurrency] = useState(settings.currency || 'USD');
+    const [locale, setLocale] = useState(settings.locale || '');
+
+    const currencies = SUPPORTED_CURRENCIES.includes(currency)
+        ? SUPPORTED_CURRENCIES
+        : [currency, ...SUPPORTED_CURRENCIES];
+    const preview = new Intl.NumberFormat(locale || undefined, { style: 'currency', currency }).format(1234.5);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">💱 Money Settings</h2>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Currency</label>
+                        <select
+                            value={currency}
+                            onChange={(e) => setCurrency(e.target.value)}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        >
+                            {currencies.map(code => (
+                                <option key={code} value={code}>{code} · {getDisplayName(code, 'currency')}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Number format</label>
+                        <select
+                            value={locale}
+                            onChange={(e) => setLocale(e.target.value)}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        >
+                            {SUPPORTED_LOCALES.map(code => (
+                                <option key={code || 'device'} value={code || ''}>
+                                    {code ? `${getDisplayName(code, 'language')} (${code})` : 'This device'}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="bg-slate-900/50 rounded-lg p-3 text-center">
+                        <div className="text-xs text-slate-400">Amounts will look like</div>
+                        <div className="text-2xl font-bold text-emerald-400">{preview}</div>
+                    </div>
+
+                    {currency !== settings.currency && (
+                        <p className="text-xs text-amber-400">
+                            Balances and prices aren't converted between currencies — check job values and store prices after switching.
+                        </p>
+                    )}
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onSave({ currency, locale: locale || null })}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    MoneyInput,
+    QuickAmountPicker,
+    CurrencySettingsModal
+};
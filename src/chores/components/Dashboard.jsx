@@ -0,0 +1,252 @@
+/**
+ * Dashboard Components
+ *
+ * Earnings dashboard for the History tab: earnings, spending, balance and jobs
+ * done per day, week or month, for one child or the whole family, drawn as
+ * inline SVG charts.
+ */
+
+import React, { useState } from 'react';
+import { RECURRENCE_TYPE, ALLOWANCE_CADENCE } from '../schema.js';
+import { formatCents, formatCentsShort, getCurrencyConfig } from '../utils/currency.js';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = { top: 12, right: 8, bottom: 20, left: 8 };
+
+const COLORS = {
+    earned: '#34d399',  // emerald-400
+    spent: '#f87171',   // red-400
+    balance: '#a78bfa', // violet-400
+    jobs: '#fbbf24',    // amber-400
+    grid: '#334155',    // slate-700
+    label: '#94a3b8'    // slate-400
+};
+
+const BUCKETS = [
+    { id: RECURRENCE_TYPE.DAILY, label: 'Daily' },
+    { id: RECURRENCE_TYPE.WEEKLY, label: 'Weekly' },
+    { id: ALLOWANCE_CADENCE.MONTHLY, label: 'Monthly' }
+];
+
+/**
+ * Axis label for a period, e.g. "Oct 12" or "Oct"
+ */
+const formatPeriodLabel = (periodStart, bucket) => {
+    const options = bucket === ALLOWANCE_CADENCE.MONTHLY
+        ? { month: 'short' }
+        : { month: 'short', day: 'numeric' };
+    return periodStart.toLocaleDateString(getCurrencyConfig().locale, options);
+};
+
+/**
+ * Period labels along the bottom of a chart; thinned out so they don't overlap
+ */
+const PeriodLabels = ({ periods, bucket, xFor }) => {
+    const step = Math.ceil(periods.length / 7);
+    return periods.map((p, index) => (index % step === 0 || index === periods.length - 1) && (
+        <text
+            key={p.periodStart.toISOString()}
+            x={xFor(index)}
+            y={CHART_HEIGHT - 6}
+            textAnchor="middle"
+            fontSize="9"
+            fill={COLORS.label}
+        >
+            {formatPeriodLabel(p.periodStart, bucket)}
+        </text>
+    ));
+};
+
+/**
+ * Bar Chart
+ * One group of bars per period, one bar per series.
+ * @param {Object[]} periods - Dashboard periods
+ * @param {{ key: string, label: string, color: string }[]} series - Period fields to draw
+ * @param {(value: number) => string} formatValue - Tooltip formatting
+ */
+export const BarChart = ({ periods, series, bucket, formatValue = String }) => {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const max = Math.max(1, ...periods.flatMap(p => series.map(s => p[s.key])));
+    const groupWidth = plotWidth / periods.length;
+    const barWidth = Math.max(1, (groupWidth * 0.8) / series.length);
+    const xFor = (index) => CHART_PADDING.left + groupWidth * (index + 0.5);
+    const baseline = CHART_PADDING.top + plotHeight;
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full" role="img">
+            <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={baseline} y2={baseline} stroke={COLORS.grid} />
+            {periods.map((p, index) => series.map((s, seriesIndex) => {
+                const height = (p[s.key] / max) * plotHeight;
+                return (
+                    <rect
+                        key={`${p.periodStart.toISOString()}-${s.key}`}
+                        x={xFor(index) - (barWidth * series.length) / 2 + barWidth * seriesIndex}
+                        y={baseline - height}
+                        width={barWidth}
+                        height={height}
+                        rx="1.5"
+                        fill={s.color}
+                    >
+                        <title>{`${formatPeriodLabel(p.periodStart, bucket)} · ${s.label}: ${formatValue(p[s.key])}`}</title>
+                    </rect>
+                );
+            }))}
+            <PeriodLabels periods={periods} bucket={bucket} xFor={xFor} />
+        </svg>
+    );
+};
+
+/**
+ * Line Chart
+ * One point per period, with the area under the line shaded.
+ * @param {Object[]} periods - Dashboard periods
+ * @param {string} valueKey - Period field to draw
+ */
+export const LineChart = ({ periods, valueKey, color, bucket, formatValue = String }) => {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const values = periods.map(p => p[valueKey]);
+    const max = Math.max(1, ...values);
+    const min = Math.min(0, ...values);
+    const baseline = CHART_PADDING.top + plotHeight;
+    const xFor = (index) => CHART_PADDING.left + (periods.length > 1 ? (plotWidth * index) / (periods.length - 1) : plotWidth / 2);
+    const yFor = (value) => CHART_PADDING.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+    const points = values.map((value, index) => `${xFor(index)},${yFor(value)}`);
+    const area = `${xFor(0)},${baseline} ${points.join(' ')} ${xFor(values.length - 1)},${baseline}`;
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full" role="img">
+            <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={baseline} y2={baseline} stroke={COLORS.grid} />
+            <polygon points={area} fill={color} opacity="0.15" />
+            <polyline points={points.join(' ')} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+            {values.map((value, index) => (
+                <circle key={periods[index].periodStart.toISOString()} cx={xFor(index)} cy={yFor(value)} r="2.5" fill={color}>
+                    <title>{`${formatPeriodLabel(periods[index].periodStart, bucket)}: ${formatValue(value)}`}</title>
+                </circle>
+            ))}
+            <PeriodLabels periods={periods} bucket={bucket} xFor={xFor} />
+        </svg>
+    );
+};
+
+/**
+ * Chart card with a title and legend
+ */
+const ChartCard = ({ title, legend, children }) => (
+    <div className="bg-slate-900/50 rounded-lg p-3">
+        <div className="flex justify-between items-center mb-2">
+            <span className="text-sm font-semibold text-slate-300">{title}</span>
+            <div className="flex gap-3">
+                {legend.map(item => (
+                    <span key={item.label} className="flex items-center gap-1 text-xs text-slate-400">
+                        <span className="w-2 h-2 rounded-full" style={{ backgroundColor: item.color }} />
+                        {item.label}
+                    </span>
+                ))}
+            </div>
+        </div>
+        {children}
+    </div>
+);
+
+/**
+ * Earnings Dashboard
+ * getSeries(userIds, bucket) returns the series to chart (see getDashboardSeries).
+ * With showFamily, a "Family" option adds up every child in users.
+ */
+export const EarningsDashboard = ({ users, showFamily = false, getSeries }) => {
+    const [memberId, setMemberId] = useState(showFamily ? null : users[0]?.id);
+    const [bucket, setBucket] = useState(RECURRENCE_TYPE.WEEKLY);
+
+    const userIds = memberId ? [memberId] : users.map(u => u.id);
+    const { periods, totals } = getSeries(userIds, bucket);
+    const members = showFamily ? [{ id: null, name: 'Family', avatar: '👪' }, ...users] : users;
+
+    const earningSeries = [
+        { key: 'earned', label: 'Earned', color: COLORS.earned },
+        { key: 'spent', label: 'Spent', color: COLORS.spent }
+    ];
+
+    return (
+        <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+            <h3 className="font-bold text-slate-200 mb-4 flex items-center gap-2">
+                <span>📈</span> Dashboard
+            </h3>
+
+            {members.length > 1 && (
+                <div className="flex flex-wrap gap-2 mb-3">
+                    {members.map(member => (
+                        <button
+                            key={member.id || 'family'}
+                            onClick={() => setMemberId(member.id)}
+                            className={`px-3 py-1.5 rounded-lg flex items-center gap-1 text-sm font-semibold transition-all ${
+                                member.id === memberId
+                                    ? 'bg-violet-600 text-white'
+                                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                            }`}
+                        >
+                            <span>{member.avatar}</span>
+                            {member.name}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className="grid grid-cols-3 gap-2 mb-4">
+                {BUCKETS.map(option => (
+                    <button
+                        key={option.id}
+                        onClick={() => setBucket(option.id)}
+                        className={`py-1.5 rounded-lg text-sm font-semibold transition-all ${
+                            bucket === option.id
+                                ? 'bg-violet-600 text-white'
+                                : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                        }`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-3 gap-2 mb-4 text-center">
+                <div className="bg-slate-900/50 rounded-lg p-2">
+                    <div className="text-xs text-slate-400">Earned</div>
+                    <div className="font-bold text-emerald-400">{formatCents(totals.earned)}</div>
+                </div>
+                <div className="bg-slate-900/50 rounded-lg p-2">
+                    <div className="text-xs text-slate-400">Spent</div>
+                    <div className="font-bold text-red-400">{formatCents(totals.spent)}</div>
+                </div>
+                <div className="bg-slate-900/50 rounded-lg p-2">
+                    <div className="text-xs text-slate-400">Jobs done</div>
+                    <div className="font-bold text-amber-400">{totals.jobsDone}</div>
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                <ChartCard title="Earned vs. spent" legend={earningSeries}>
+                    <BarChart periods={periods} series={earningSeries} bucket={bucket} formatValue={formatCents} />
+                </ChartCard>
+                <ChartCard title="Balance" legend={[{ label: formatCentsShort(periods[periods.length - 1]?.balance || 0), color: COLORS.balance }]}>
+                    <LineChart periods={periods} valueKey="balance" color={COLORS.balance} bucket={bucket} formatValue={formatCents} />
+                </ChartCard>
+                <ChartCard title="Jobs done" legend={[]}>
+                    <BarChart
+                        periods={periods}
+                        series={[{ key: 'jobsDone', label: 'Jobs done', color: COLORS.jobs }]}
+                        bucket={bucket}
+                    />
+                </ChartCard>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    BarChart,
+    LineChart,
+    EarningsDashboard
+};
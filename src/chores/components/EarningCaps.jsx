@@ -0,0 +1,52 @@
+/**
+ * Earning Cap Components
+ *
+ * The daily/weekly earning cap editor used in the job editor (caps on one
+ * job) and the user editor (caps on everything a child earns from jobs).
+ */
+
+import React from 'react';
+import { getCurrencySymbol } from '../utils/currency.js';
+import { MoneyInput } from './Currency.jsx';
+
+/**
+ * Earning Caps Editor
+ * Leaving an amount empty means no cap for that period.
+ */
+export const EarningCapsEditor = ({ caps, onChange, label = 'Earning caps' }) => {
+    const setCap = (field, cents) => onChange({ ...caps, [field]: cents > 0 ? cents : null });
+
+    return (
+        <div className="bg-slate-900/50 rounded-lg p-3">
+            <div className="text-sm font-medium text-slate-300 mb-2">
+                🎯 {label} <span className="text-slate-500">(optional)</span>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                <div>
+                    <label className="block text-xs text-slate-400 mb-1">Per day ({getCurrencySymbol()})</label>
+                    <MoneyInput
+                        valueCents={caps?.dailyCents || 0}
+                        onChange={(cents) => setCap('dailyCents', cents)}
+                        emptyWhenZero
+                        className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        placeholder="No cap"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs text-slate-400 mb-1">Per week ({getCurrencySymbol()})</label>
+                    <MoneyInput
+                        valueCents={caps?.weeklyCents || 0}
+                        onChange={(cents) => setCap('weeklyCents', cents)}
+                        emptyWhenZero
+                        className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        placeholder="No cap"
+                    />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    EarningCapsEditor
+};
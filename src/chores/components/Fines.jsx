@@ -0,0 +1,82 @@
+/**
+ * Fine Components
+ *
+ * Components for fines on missed chores and jobs: the fine input used
+ * in the task editors and the per-child balance floor editor.
+ */
+
+import React from 'react';
+import { formatCents, formatCentsShort, getCurrencySymbol } from '../utils/currency.js';
+import { MoneyInput } from './Currency.jsx';
+
+/**
+ * Fine Amount Input
+ * Edits a fine in cents; 0 means no fine.
+ */
+export const FineInput = ({ fineCents, onChange }) => {
+    return (
+        <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">
+                Fine if missed ({getCurrencySymbol()}) <span className="text-slate-500">(optional)</span>
+            </label>
+            <MoneyInput
+                valueCents={fineCents}
+                onChange={onChange}
+                emptyWhenZero
+                className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                placeholder="No fine"
+            />
+        </div>
+    );
+};
+
+/**
+ * Fine Floor Editor
+ * Fines never take a child below $0 unless a parent allows them to owe money.
+ */
+export const FineFloorEditor = ({ floorCents, onChange }) => {
+    const allowNegative = floorCents < 0;
+
+    return (
+        <div className="bg-slate-900/50 rounded-lg p-3 space-y-3">
+            <label className="flex items-center justify-between">
+                <span className="text-sm font-medium text-slate-300">Fines can go below {formatCentsShort(0)}</span>
+                <input
+                    type="checkbox"
+                    checked={allowNegative}
+                    onChange={(e) => onChange(e.target.checked ? -500 : 0)}
+                    className="w-5 h-5 accent-violet-500"
+                />
+            </label>
+
+            {allowNegative && (
+                <div>
+                    <label className="block text-xs text-slate-400 mb-1">Can owe up to ({getCurrencySymbol()})</label>
+                    <MoneyInput
+                        valueCents={-floorCents}
+                        onChange={(cents) => onChange(-Math.max(25, cents))}
+                        className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Fine Warning
+ * Small inline note on a task that carries a fine.
+ */
+export const FineWarning = ({ fineCents }) => {
+    if (!fineCents) return null;
+
+    return (
+        <span className="text-red-400"> • {formatCents(fineCents)} fine if missed</span>
+    );
+};
+
+export default {
+    FineInput,
+    FineFloorEditor,
+    FineWarning
+};
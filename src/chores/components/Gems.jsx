@@ -0,0 +1,252 @@
+/**
+ * Gem Components
+ *
+ * Components for chore gems: the wallet card on the tasks tab, the gem
+ * history, the gem-to-cash exchange and the parent exchange-rate editor.
+ */
+
+import React, { useState } from 'react';
+import { GEM_ENTRY_TYPE } from '../schema.js';
+import { formatCents, getCurrencySymbol } from '../utils/currency.js';
+import { formatDate } from '../utils/dateTime.js';
+import { MoneyInput } from './Currency.jsx';
+
+/**
+ * Describe an exchange rate
+ * @param {GemExchangeSettings} exchange
+ * @returns {string} e.g. "10 gems = $1.00"
+ */
+const describeRate = (exchange) => `${exchange.gems} gems = ${formatCents(exchange.cents)}`;
+
+/**
+ * Gem Wallet Card
+ * Shows a child's gems, with history, exchange and (for parents) rate buttons.
+ */
+export const GemWalletCard = ({ user, exchange, onExchange, onViewHistory, onEditRate }) => {
+    if (!user) return null;
+
+    const canExchange = exchange?.enabled && user.gemBalance >= exchange.gems;
+
+    return (
+        <div className="bg-slate-800 rounded-xl p-4 border border-slate-700">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                    <span className="text-2xl">💎</span>
+                    <div>
+                        <div className="font-bold text-slate-100">{user.gemBalance} gems</div>
+                        <div className="text-xs text-slate-400">
+                            {exchange?.enabled ? describeRate(exchange) : 'Earned from approved tasks'}
+                        </div>
+                    </div>
+                </div>
+                <div className="flex gap-2">
+                    {onEditRate && (
+                        <button
+                            onClick={onEditRate}
+                            className="px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-semibold"
+                            title="Exchange rate"
+                        >
+                            ⚙️
+                        </button>
+                    )}
+                    <button
+                        onClick={onViewHistory}
+                        className="px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-semibold"
+                    >
+                        History
+                    </button>
+                    {exchange?.enabled && (
+                        <button
+                            onClick={onExchange}
+                            disabled={!canExchange}
+                            className="px-3 py-2 bg-violet-600 hover:bg-violet-500 text-white rounded-lg text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Exchange
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Gem History Modal
+ */
+export const GemHistoryModal = ({ entries, onClose }) => {
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()} style={{ maxHeight: '85vh', overflow: 'auto' }}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">💎 Gem History</h2>
+
+                {entries.length === 0 ? (
+                    <p className="text-slate-500 text-center py-4">No gems yet — finish tasks to earn some!</p>
+                ) : (
+                    <div className="space-y-2">
+                        {entries.map(entry => (
+                            <div key={entry.id} className="flex items-center justify-between bg-slate-900/50 rounded-lg px-3 py-2">
+                                <div>
+                                    <div className="text-slate-100 text-sm font-semibold">
+                                        {entry.type === GEM_ENTRY_TYPE.EXCHANGE ? '💵 ' : '✓ '}{entry.description}
+                                    </div>
+                                    <div className="text-xs text-slate-500">
+                                        {formatDate(entry.date)}
+                                        {entry.streakBonus > 0 && ` · includes 🔥 +${entry.streakBonus} streak bonus`}
+                                    </div>
+                                </div>
+                                <span className={`font-bold ${entry.amount < 0 ? 'text-red-400' : 'text-violet-400'}`}>
+                                    {entry.amount > 0 ? '+' : ''}{entry.amount} 💎
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <button
+                    onClick={onClose}
+                    className="w-full mt-6 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Gem Exchange Modal
+ * Child picks how many bundles of gems to trade for cash.
+ */
+export const GemExchangeModal = ({ user, exchange, getQuote, onExchange, onClose }) => {
+    const maxBundles = Math.floor(user.gemBalance / exchange.gems);
+    const [bundles, setBundles] = useState(Math.min(1, maxBundles));
+    const quote = getQuote(bundles * exchange.gems);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-1">💎 Exchange Gems</h2>
+                <p className="text-sm text-slate-400 mb-4">
+                    You have {user.gemBalance} gems · {describeRate(exchange)}
+                </p>
+
+                <div className="flex items-center justify-center gap-4 mb-4">
+                    <button
+                        onClick={() => setBundles(Math.max(1, bundles - 1))}
+                        disabled={bundles <= 1}
+                        className="w-10 h-10 bg-slate-700 hover:bg-slate-600 text-slate-100 rounded-full text-xl font-bold disabled:opacity-50"
+                    >
+                        −
+                    </button>
+                    <div className="text-center">
+                        <div className="text-3xl font-bold text-violet-400">{quote.gemsUsed} 💎</div>
+                        <div className="text-lg font-bold text-emerald-400">{formatCents(quote.cents)}</div>
+                    </div>
+                    <button
+                        onClick={() => setBundles(Math.min(maxBundles, bundles + 1))}
+                        disabled={bundles >= maxBundles}
+                        className="w-10 h-10 bg-slate-700 hover:bg-slate-600 text-slate-100 rounded-full text-xl font-bold disabled:opacity-50"
+                    >
+                        +
+                    </button>
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onExchange(quote.gemsUsed)}
+                        disabled={quote.bundles === 0}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Exchange
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Gem Exchange Settings Modal (parent)
+ */
+export const GemExchangeSettingsModal = ({ exchange, onSave, onClose }) => {
+    const [form, setForm] = useState({
+        enabled: exchange.enabled,
+        gems: String(exchange.gems),
+        cents: exchange.cents
+    });
+
+    const gems = parseInt(form.gems, 10) || 0;
+    const isValid = !form.enabled || (gems > 0 && form.cents > 0);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">💎 Gem Exchange</h2>
+
+                <div className="bg-slate-900/50 rounded-lg p-3 space-y-3">
+                    <label className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-slate-300">Children can exchange gems for cash</span>
+                        <input
+                            type="checkbox"
+                            checked={form.enabled}
+                            onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                            className="w-5 h-5 accent-violet-500"
+                        />
+                    </label>
+
+                    {form.enabled && (
+                        <div className="grid grid-cols-2 gap-2">
+                            <div>
+                                <label className="block text-xs text-slate-400 mb-1">Gems</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={form.gems}
+                                    onChange={(e) => setForm({ ...form, gems: e.target.value })}
+                                    className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-xs text-slate-400 mb-1">Are worth ({getCurrencySymbol()})</label>
+                                <MoneyInput
+                                    valueCents={form.cents}
+                                    onChange={(cents) => setForm({ ...form, cents })}
+                                    className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                />
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onSave({ enabled: form.enabled, gems, cents: form.cents })}
+                        disabled={!isValid}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    GemWalletCard,
+    GemHistoryModal,
+    GemExchangeModal,
+    GemExchangeSettingsModal
+};
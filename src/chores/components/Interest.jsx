@@ -0,0 +1,175 @@
+/**
+ * Interest Components
+ *
+ * Components for configuring interest on a child's savings and
+ * showing how their savings grow over time.
+ */
+
+import React from 'react';
+import { formatCents, formatCentsForInput, parseDollarString, getCurrencySymbol, subtractCents } from '../utils/currency.js';
+
+/**
+ * Milestones shown in the growth projection (in weeks)
+ */
+const GROWTH_MILESTONES = [
+    { week: 4, label: '1 month' },
+    { week: 13, label: '3 months' },
+    { week: 26, label: '6 months' },
+    { week: 52, label: '1 year' }
+];
+
+/**
+ * Interest Growth Card
+ * Shows projected savings growth assuming no further earning or spending.
+ */
+export const InterestGrowthCard = ({ balance, settings, projection }) => {
+    if (!settings?.enabled) return null;
+
+    const final = projection[projection.length - 1];
+    const nextInterest = projection[0]?.interest || 0;
+    const belowMinimum = balance < (settings.minBalanceCents || 0);
+
+    return (
+        <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+            <h3 className="font-bold text-slate-200 mb-1 flex items-center gap-2">
+                <span className="text-emerald-400">📈</span> Interest Growth
+            </h3>
+            <p className="text-sm text-slate-400 mb-4">
+                {settings.apr}% a year, paid every week
+                {settings.capCents !== null && settings.capCents !== undefined &&
+                    ` (up to ${formatCents(settings.capCents)} a week)`}
+            </p>
+
+            {belowMinimum ? (
+                <div className="text-slate-400 text-sm bg-slate-900/50 rounded-lg p-3">
+                    Save {formatCents(subtractCents(settings.minBalanceCents, balance))} more to start earning interest.
+                </div>
+            ) : (
+                <>
+                    <div className="bg-slate-900/50 rounded-lg p-3 mb-4 flex justify-between items-center">
+                        <span className="text-slate-400 text-sm">Next week's interest</span>
+                        <span className="font-bold text-emerald-400">+{formatCents(nextInterest)}</span>
+                    </div>
+
+                    <div className="space-y-2">
+                        {GROWTH_MILESTONES.filter(m => m.week <= projection.length).map(milestone => {
+                            const point = projection[milestone.week - 1];
+                            const width = final.balance > 0 ? (point.balance / final.balance) * 100 : 0;
+                            return (
+                                <div key={milestone.week}>
+                                    <div className="flex justify-between text-sm mb-1">
+                                        <span className="text-slate-400">In {milestone.label}</span>
+                                        <span className="text-slate-200 font-semibold">
+                                            {formatCents(point.balance)}
+                                            <span className="text-emerald-400 font-normal ml-2">
+                                                +{formatCents(subtractCents(point.balance, balance))}
+                                            </span>
+                                        </span>
+                                    </div>
+                                    <div className="w-full h-2 bg-slate-700 rounded-full overflow-hidden">
+                                        <div
+                                            className="h-full bg-emerald-500 rounded-full"
+                                            style={{ width: `${width}%` }}
+                                        />
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    <p className="text-xs text-slate-500 mt-3">
+                        If you don't add or spend anything. Interest earns interest too!
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Interest Settings Editor
+ * Edits a form object with dollar strings; use interestFormToSettings to convert.
+ */
+export const InterestSettingsEditor = ({ form, onChange }) => {
+    return (
+        <div className="bg-slate-900/50 rounded-lg p-3 space-y-3">
+            <label className="flex items-center justify-between">
+                <span className="text-sm font-medium text-slate-300">Pay interest on savings</span>
+                <input
+                    type="checkbox"
+                    checked={form.enabled}
+                    onChange={(e) => onChange({ ...form, enabled: e.target.checked })}
+                    className="w-5 h-5 accent-violet-500"
+                />
+            </label>
+
+            {form.enabled && (
+                <div className="grid grid-cols-3 gap-2">
+                    <div>
+                        <label className="block text-xs text-slate-400 mb-1">Rate (% / year)</label>
+                        <input
+                            type="number"
+                            step="0.1"
+                            min="0"
+                            value={form.apr}
+                            onChange={(e) => onChange({ ...form, apr: e.target.value })}
+                            className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-xs text-slate-400 mb-1">Min balance ({getCurrencySymbol()})</label>
+                        <input
+                            type="text"
+                            inputMode="decimal"
+                            value={form.minBalance}
+                            onChange={(e) => onChange({ ...form, minBalance: e.target.value })}
+                            className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-xs text-slate-400 mb-1">Weekly cap ({getCurrencySymbol()})</label>
+                        <input
+                            type="text"
+                            inputMode="decimal"
+                            value={form.cap}
+                            onChange={(e) => onChange({ ...form, cap: e.target.value })}
+                            className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            placeholder="None"
+                        />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Build the editor form from saved interest settings
+ * @param {InterestSettings} settings
+ * @returns {{ enabled: boolean, apr: string, minBalance: string, cap: string }}
+ */
+export const interestSettingsToForm = (settings) => ({
+    enabled: !!settings?.enabled,
+    apr: String(settings?.apr ?? 5),
+    minBalance: formatCentsForInput(settings?.minBalanceCents ?? 100),
+    cap: settings?.capCents === null ? '' : formatCentsForInput(settings?.capCents ?? 500)
+});
+
+/**
+ * Convert the editor form back into interest settings
+ * @param {Object} form - Editor form
+ * @returns {Object} Interest settings (without startedAt)
+ */
+export const interestFormToSettings = (form) => ({
+    enabled: form.enabled,
+    apr: Math.max(0, parseFloat(form.apr) || 0),
+    minBalanceCents: parseDollarString(form.minBalance),
+    capCents: form.cap === '' ? null : parseDollarString(form.cap)
+});
+
+export default {
+    InterestGrowthCard,
+    InterestSettingsEditor,
+    interestSettingsToForm,
+    interestFormToSettings
+};
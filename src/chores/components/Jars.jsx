@@ -0,0 +1,191 @@
+/**
+ * Jar Components
+ *
+ * Components for Spend / Save / Give jars: per-jar balances,
+ * the split settings editor and the parent-only move-money modal.
+ */
+
+import React, { useState } from 'react';
+import { JAR } from '../schema.js';
+import { formatCents, formatCentsForInput, parseDollarString, getCurrencySymbol } from '../utils/currency.js';
+import { JAR_INFO } from '../utils/jars.js';
+
+const JAR_ORDER = [JAR.SPEND, JAR.SAVE, JAR.GIVE];
+
+/**
+ * Jar Balance Card
+ */
+export const JarBalanceCard = ({ jarBalances, onMoveMoney }) => {
+    return (
+        <div className="bg-slate-800 rounded-xl p-5 border border-slate-700">
+            <h3 className="font-bold text-slate-200 mb-4 flex items-center gap-2">
+                <span>🫙</span> Jars
+            </h3>
+            <div className="grid grid-cols-3 gap-2">
+                {JAR_ORDER.map(jar => (
+                    <div key={jar} className="bg-slate-900/50 rounded-lg p-3 text-center">
+                        <div className="text-2xl">{JAR_INFO[jar].icon}</div>
+                        <div className="text-slate-400 text-xs">{JAR_INFO[jar].label}</div>
+                        <div className="font-bold text-slate-100">{formatCents(jarBalances[jar] || 0)}</div>
+                    </div>
+                ))}
+            </div>
+
+            {onMoveMoney && (
+                <button
+                    onClick={onMoveMoney}
+                    className="w-full mt-4 py-3 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-xl font-semibold flex items-center justify-center gap-2"
+                >
+                    <span>🔀</span> Move Money Between Jars
+                </button>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Jar Settings Editor
+ * Edits { enabled, split } with whole-number percentages.
+ */
+export const JarSettingsEditor = ({ settings, onChange }) => {
+    const total = JAR_ORDER.reduce((sum, jar) => sum + (settings.split[jar] || 0), 0);
+
+    const setShare = (jar, value) => {
+        const percent = Math.max(0, Math.min(100, parseInt(value, 10) || 0));
+        onChange({ ...settings, split: { ...settings.split, [jar]: percent } });
+    };
+
+    return (
+        <div className="bg-slate-900/50 rounded-lg p-3 space-y-3">
+            <label className="flex items-center justify-between">
+                <span className="text-sm font-medium text-slate-300">Split earnings into jars</span>
+                <input
+                    type="checkbox"
+                    checked={settings.enabled}
+                    onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+                    className="w-5 h-5 accent-violet-500"
+                />
+            </label>
+
+            {settings.enabled && (
+                <>
+                    <div className="grid grid-cols-3 gap-2">
+                        {JAR_ORDER.map(jar => (
+                            <div key={jar}>
+                                <label className="block text-xs text-slate-400 mb-1">
+                                    {JAR_INFO[jar].icon} {JAR_INFO[jar].label} %
+                                </label>
+                                <input
+                                    type="number"
+                                    step="5"
+                                    min="0"
+                                    max="100"
+                                    value={settings.split[jar]}
+                                    onChange={(e) => setShare(jar, e.target.value)}
+                                    className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                />
+                            </div>
+                        ))}
+                    </div>
+                    {total !== 100 && (
+                        <p className="text-xs text-red-400">Shares add up to {total}% - they need to add up to 100%.</p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Jar Picker
+ */
+export const JarPicker = ({ value, onSelect, disabledJar }) => {
+    return (
+        <div className="grid grid-cols-3 gap-2">
+            {JAR_ORDER.map(jar => (
+                <button
+                    key={jar}
+                    type="button"
+                    onClick={() => onSelect(jar)}
+                    disabled={jar === disabledJar}
+                    className={`py-2 rounded-lg font-semibold transition-all disabled:opacity-30 ${
+                        value === jar
+                            ? 'bg-violet-600 text-white'
+                            : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                    }`}
+                >
+                    {JAR_INFO[jar].icon} {JAR_INFO[jar].label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Move Money Between Jars Modal
+ */
+export const MoveJarMoneyModal = ({ user, onMove, onClose }) => {
+    const [fromJar, setFromJar] = useState(JAR.SPEND);
+    const [toJar, setToJar] = useState(JAR.SAVE);
+    const [amount, setAmount] = useState('');
+
+    const available = user.jarBalances?.[fromJar] || 0;
+    const amountCents = parseDollarString(amount);
+    const isValid = fromJar !== toJar && amountCents > 0 && amountCents <= available;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4 flex items-center gap-2">
+                    <span>🔀</span> Move Money
+                </h2>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">From</label>
+                        <JarPicker value={fromJar} onSelect={setFromJar} disabledJar={toJar} />
+                        <p className="text-xs text-slate-500 mt-1">{formatCents(available)} available</p>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">To</label>
+                        <JarPicker value={toJar} onSelect={setToJar} disabledJar={fromJar} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Amount ({getCurrencySymbol()})</label>
+                        <input
+                            type="text"
+                            inputMode="decimal"
+                            value={amount}
+                            onChange={(e) => setAmount(e.target.value)}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                            placeholder={formatCentsForInput(0)}
+                        />
+                    </div>
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => isValid && onMove(fromJar, toJar, amountCents)}
+                        disabled={!isValid}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Move {amountCents > 0 ? formatCents(amountCents) : ''}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    JarBalanceCard,
+    JarSettingsEditor,
+    JarPicker,
+    MoveJarMoneyModal
+};
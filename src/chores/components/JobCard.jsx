@@ -9,6 +9,11 @@ import React, { useState } from 'react';
 import { RECURRENCE_TYPE, APPROVAL_STATUS } from '../schema.js';
 import { formatCents, formatCentsShort, calculateBillCount } from '../utils/currency.js';
 import { getPeriodLabel } from '../utils/dateTime.js';
+import { getCompletionsWithinBudget, describeEarningBudget } from '../utils/earningCaps.js';
+import { getRedoCompletion } from '../utils/redo.js';
+import { RedoNotice } from './Redo.jsx';
+import { PhotoCaptureButton } from './Photos.jsx';
+import { ScheduleCountdown } from './Schedule.jsx';
 
 /**
  * Job Value Display
@@ -133,6 +138,24 @@ export const CompletionCounter = ({
     );
 };
 
+/**
+ * Earning Budget Indicator
+ * Shows how much more the job can earn before the tightest earning cap.
+ */
+export const EarningBudgetIndicator = ({ budget }) => {
+    if (!budget || budget.remaining === null) return null;
+
+    const isSpent = budget.remaining === 0;
+
+    return (
+        <span className={`text-xs px-2 py-1 rounded-full ${
+            isSpent ? 'bg-red-100 text-red-700' : 'bg-sky-100 text-sky-700'
+        }`}>
+            🎯 {describeEarningBudget(budget)}
+        </span>
+    );
+};
+
 /**
  * Multiple Completion Input
  */
@@ -231,6 +254,7 @@ export const JobCard = ({
     pendingCompletions = 0,
     onComplete,
     canComplete,
+    earningBudget = null,
     disabled = false
 }) => {
     const {
@@ -246,10 +270,14 @@ export const JobCard = ({
 
     const { isUnlocked } = unlockProgress;
 
-    // Calculate remaining completions
-    const remainingCompletions = maxCompletionsPerPeriod !== null
+    // Calculate remaining completions (the earning cap may allow fewer)
+    const periodRemaining = maxCompletionsPerPeriod !== null
         ? maxCompletionsPerPeriod - currentCompletions
         : null;
+    const budgetRemaining = earningBudget ? getCompletionsWithinBudget(job, earningBudget) : null;
+    const remainingCompletions = periodRemaining === null || budgetRemaining === null
+        ? (periodRemaining ?? budgetRemaining)
+        : Math.min(periodRemaining, budgetRemaining);
 
     const isCompleted = !allowMultipleCompletions && currentCompletions > 0;
     const isMaxedOut = maxCompletionsPerPeriod !== null && currentCompletions >= maxCompletionsPerPeriod;
@@ -297,10 +325,20 @@ export const JobCard = ({
                                 🔁 Multiple
                             </span>
                         )}
+
+                        <EarningBudgetIndicator budget={earningBudget} />
                     </div>
                 </div>
             </div>
 
+            {/* Rejected attempt waiting on a redo */}
+            {isUnlocked && (
+                <div className="mb-4">
+                    <RedoNotice rejection={getRedoCompletion(job)?.rejection} />
+                    <ScheduleCountdown schedule={job.schedule} />
+                </div>
+            )}
+
             {/* Unlock Status */}
             {!isUnlocked && (
                 <div className="mb-4 p-3 bg-amber-50 rounded-xl">
@@ -323,9 +361,17 @@ export const JobCard = ({
                 </div>
             )}
 
-            {/* Action Button */}
+            {/* Action Button (jobs needing photo proof complete one at a time, with a photo) */}
             {isUnlocked && !isCompleted && !isMaxedOut && (
-                allowMultipleCompletions ? (
+                job.requiresPhoto ? (
+                    <PhotoCaptureButton
+                        onCapture={(photo) => onComplete(1, photo)}
+                        disabled={disabled || !canComplete.canComplete}
+                        className="block w-full py-3 text-center bg-gradient-to-r from-green-500 to-emerald-500 text-white rounded-xl font-bold transition-all"
+                    >
+                        📷 Complete with a photo for {formatCents(value)}
+                    </PhotoCaptureButton>
+                ) : allowMultipleCompletions ? (
                     <MultipleCompletionInput
                         onComplete={onComplete}
                         maxAllowed={remainingCompletions}
@@ -360,6 +406,7 @@ export const JobList = ({
     getUnlockProgress,
     getCurrentPeriodCompletions,
     canCompleteJob,
+    getEarningBudget = null,
     onCompleteJob,
     recurrenceFilter = null // 'daily', 'weekly', or null for all
 }) => {
@@ -393,8 +440,9 @@ export const JobList = ({
                         unlockProgress={unlockProgress}
                         currentCompletions={currentCompletions}
                         pendingCompletions={pendingCompletions}
-                        onComplete={(count) => onCompleteJob(job.id, count)}
+                        onComplete={(count, photo) => onCompleteJob(job.id, count, photo)}
                         canComplete={canComplete}
+                        earningBudget={getEarningBudget ? getEarningBudget(job) : null}
                     />
                 );
             })}
@@ -434,6 +482,7 @@ export default {
     UnlockProgressBar,
     UnlockStatus,
     CompletionCounter,
+    EarningBudgetIndicator,
     MultipleCompletionInput,
     JobCard,
     JobList,
@@ -6,10 +6,11 @@
  * and multiple completion settings.
  */
 
-import React, { useState } from 'react';
+import React from 'react';
 import { CHORE_ICONS, REPEAT_TYPES } from '../constants.js';
-import { RECURRENCE_TYPE } from '../schema.js';
-import { formatCents, dollarsToCents, centsToDollars } from '../utils/currency.js';
+import { RECURRENCE_TYPE, createDefaultEarningCaps } from '../schema.js';
+import { formatCents, getCurrencySymbol } from '../utils/currency.js';
+import { MoneyInput } from './Currency.jsx';
 
 /**
  * Icon Picker Component (reused from ChoreEditor)
@@ -39,47 +40,17 @@ export const JobIconPicker = ({ selectedIcon, onSelect }) => {
  * Cash Value Input Component
  */
 export const CashValueInput = ({ valueCents, onChange, label = "Cash Value" }) => {
-    const [displayValue, setDisplayValue] = useState(
-        centsToDollars(valueCents).toFixed(2)
-    );
-
-    const handleChange = (e) => {
-        const input = e.target.value;
-        setDisplayValue(input);
-
-        // Parse and convert to cents
-        const dollars = parseFloat(input);
-        if (!isNaN(dollars) && dollars >= 0) {
-            onChange(dollarsToCents(dollars));
-        }
-    };
-
-    const handleBlur = () => {
-        // Normalize display on blur
-        const dollars = parseFloat(displayValue);
-        if (!isNaN(dollars) && dollars >= 0) {
-            setDisplayValue(dollars.toFixed(2));
-        } else {
-            setDisplayValue(centsToDollars(valueCents).toFixed(2));
-        }
-    };
-
     return (
         <div>
             <label className="block text-sm font-semibold text-gray-700 mb-2">
                 {label}
             </label>
             <div className="flex items-center gap-2">
-                <span className="text-2xl text-green-600">$</span>
-                <input
-                    type="number"
-                    step="0.01"
-                    min="0"
+                <span className="text-2xl text-green-600">{getCurrencySymbol()}</span>
+                <MoneyInput
+                    valueCents={valueCents}
+                    onChange={onChange}
                     className="input-field flex-1"
-                    value={displayValue}
-                    onChange={handleChange}
-                    onBlur={handleBlur}
-                    placeholder="0.00"
                 />
             </div>
         </div>
@@ -415,7 +386,13 @@ export const DEFAULT_JOB_FORM = {
     unlockConditions: { dailyChores: 0, weeklyChores: 0 },
     allowMultipleCompletions: false,
     maxCompletionsPerPeriod: null,
+    earningCaps: createDefaultEarningCaps(),
+    autoApproval: null, // null = the family rule
     requiresApproval: true,
+    requiresPhoto: false,
+    schedule: null,
+    bounty: null,
+    fineCents: 0,
     description: ''
 };
 
@@ -0,0 +1,146 @@
+/**
+ * Ledger Export Components
+ *
+ * Parent modal for downloading the ledger as CSV (spreadsheets) or OFX
+ * (finance software), for one family member or everyone, over a date range.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { EXPORT_FORMAT } from '../schema.js';
+
+/**
+ * Save text as a file through the browser
+ * @param {{ filename: string, mimeType: string, content: string }} file
+ */
+const downloadFile = ({ filename, mimeType, content }) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Ledger Export Modal (parent)
+ * getExport(options) returns the file to download (see createLedgerExport).
+ */
+export const LedgerExportModal = ({ users, getExport, onClose }) => {
+    const [form, setForm] = useState({
+        format: EXPORT_FORMAT.CSV,
+        userId: null,
+        from: '',
+        to: ''
+    });
+
+    const file = useMemo(
+        () => getExport({ ...form, from: form.from || null, to: form.to || null }),
+        [form]
+    );
+    const isValidRange = !form.from || !form.to || form.from <= form.to;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">⬇️ Export Ledger</h2>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Who</label>
+                        <div className="flex flex-wrap gap-2">
+                            {[{ id: null, name: 'Whole family', avatar: '👪' }, ...users].map(user => (
+                                <button
+                                    key={user.id || 'family'}
+                                    type="button"
+                                    onClick={() => setForm({ ...form, userId: user.id })}
+                                    className={`px-3 py-2 rounded-lg flex items-center gap-2 font-semibold transition-all ${
+                                        form.userId === user.id
+                                            ? 'bg-violet-600 text-white'
+                                            : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                                    }`}
+                                >
+                                    <span className="text-xl">{user.avatar}</span>
+                                    {user.name}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">From</label>
+                            <input
+                                type="date"
+                                value={form.from}
+                                onChange={(e) => setForm({ ...form, from: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">To</label>
+                            <input
+                                type="date"
+                                value={form.to}
+                                onChange={(e) => setForm({ ...form, to: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Format</label>
+                        <div className="grid grid-cols-2 gap-2">
+                            {[
+                                { format: EXPORT_FORMAT.CSV, label: 'CSV', hint: 'Spreadsheets' },
+                                { format: EXPORT_FORMAT.OFX, label: 'OFX', hint: 'Finance software' }
+                            ].map(option => (
+                                <button
+                                    key={option.format}
+                                    type="button"
+                                    onClick={() => setForm({ ...form, format: option.format })}
+                                    className={`py-2 rounded-lg font-semibold transition-all ${
+                                        form.format === option.format
+                                            ? 'bg-violet-600 text-white'
+                                            : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                                    }`}
+                                >
+                                    {option.label}
+                                    <div className="text-xs font-normal opacity-75">{option.hint}</div>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <p className={`text-sm ${isValidRange ? 'text-slate-400' : 'text-red-400'}`}>
+                        {isValidRange
+                            ? `${file.count} ledger ${file.count === 1 ? 'entry' : 'entries'} in this range`
+                            : 'The start date is after the end date.'
+                        }
+                    </p>
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => downloadFile(file)}
+                        disabled={!isValidRange || file.count === 0}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Download
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    LedgerExportModal
+};
@@ -0,0 +1,271 @@
+/**
+ * Loan Components
+ *
+ * Components for advances: loan cards with repayment progress,
+ * the repayment schedule and the parent-only grant modal.
+ */
+
+import React, { useState } from 'react';
+import { formatCents, formatCentsForInput, parseDollarString, getCurrencySymbol } from '../utils/currency.js';
+import { formatDate } from '../utils/dateTime.js';
+
+/**
+ * Loan Card
+ */
+export const LoanCard = ({ loan, status, onViewSchedule }) => {
+    return (
+        <div className={`bg-slate-800 rounded-xl p-4 border ${
+            status.isRepaid ? 'border-emerald-500/40' : 'border-slate-700'
+        }`}>
+            <div className="flex items-center justify-between mb-2">
+                <div>
+                    <div className="font-bold text-slate-100">🤝 {loan.description}</div>
+                    <div className="text-xs text-slate-400">
+                        {formatCents(loan.principalCents)} borrowed
+                        {loan.interestCents > 0 && ` + ${formatCents(loan.interestCents)} interest`}
+                        {' · '}{loan.repaymentPercent}% of job earnings
+                    </div>
+                </div>
+                <div className="text-right">
+                    {status.isRepaid ? (
+                        <span className="font-bold text-emerald-400">Paid off ✓</span>
+                    ) : (
+                        <>
+                            <div className="font-bold text-red-400">{formatCents(status.remaining)}</div>
+                            <div className="text-xs text-slate-500">left to repay</div>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            <div className="w-full h-2 bg-slate-700 rounded-full overflow-hidden">
+                <div
+                    className={`h-full rounded-full ${status.isRepaid ? 'bg-emerald-500' : 'bg-amber-500'}`}
+                    style={{ width: `${status.percentage}%` }}
+                />
+            </div>
+
+            {onViewSchedule && (
+                <button
+                    onClick={() => onViewSchedule(loan)}
+                    className="w-full mt-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-semibold"
+                >
+                    View Schedule
+                </button>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Loan List
+ */
+export const LoanList = ({ loans, getStatus, onViewSchedule }) => {
+    if (loans.length === 0) return null;
+
+    return (
+        <div className="space-y-3">
+            {loans.map(loan => (
+                <LoanCard
+                    key={loan.id}
+                    loan={loan}
+                    status={getStatus(loan)}
+                    onViewSchedule={onViewSchedule}
+                />
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Loan Schedule Modal
+ * Repayments so far and the projected payoff date.
+ */
+export const LoanScheduleModal = ({ loan, schedule, onClose }) => {
+    const { payments, status, projection } = schedule;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()} style={{ maxHeight: '85vh', overflow: 'auto' }}>
+                <h2 className="text-xl font-bold text-slate-100 mb-1">🤝 {loan.description}</h2>
+                <p className="text-sm text-slate-400 mb-4">
+                    Borrowed {formatDate(loan.createdAt)} · {loan.interestRate}% interest · {loan.repaymentPercent}% of each job earning
+                </p>
+
+                <div className="grid grid-cols-3 gap-2 mb-4">
+                    <div className="bg-slate-900/50 rounded-lg p-3 text-center">
+                        <div className="text-xs text-slate-400">Principal left</div>
+                        <div className="font-bold text-slate-100">{formatCents(status.principalRemaining)}</div>
+                    </div>
+                    <div className="bg-slate-900/50 rounded-lg p-3 text-center">
+                        <div className="text-xs text-slate-400">Interest left</div>
+                        <div className="font-bold text-slate-100">{formatCents(status.interestRemaining)}</div>
+                    </div>
+                    <div className="bg-slate-900/50 rounded-lg p-3 text-center">
+                        <div className="text-xs text-slate-400">Paid off</div>
+                        <div className="font-bold text-slate-100">
+                            {status.isRepaid
+                                ? 'Done!'
+                                : projection.date ? formatDate(projection.date) : '—'}
+                        </div>
+                    </div>
+                </div>
+
+                {!status.isRepaid && !projection.date && (
+                    <p className="text-xs text-slate-500 mb-4">Earn money from jobs to see when it will be paid off.</p>
+                )}
+
+                {payments.length === 0 ? (
+                    <p className="text-slate-500 text-center py-4">No repayments yet</p>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-slate-400 text-xs">
+                                <th className="text-left py-1">Date</th>
+                                <th className="text-right py-1">Principal</th>
+                                <th className="text-right py-1">Interest</th>
+                                <th className="text-right py-1">Left</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {payments.map((payment, index) => (
+                                <tr key={index} className="border-t border-slate-700 text-slate-300">
+                                    <td className="py-2">{formatDate(payment.date)}</td>
+                                    <td className="py-2 text-right">{formatCents(payment.principal)}</td>
+                                    <td className="py-2 text-right">{formatCents(payment.interest)}</td>
+                                    <td className="py-2 text-right font-semibold">{formatCents(payment.remaining)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                <button
+                    onClick={onClose}
+                    className="w-full mt-6 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Grant Loan Modal (parent)
+ */
+export const GrantLoanModal = ({ user, onGrant, onClose }) => {
+    const [form, setForm] = useState({
+        description: '',
+        amount: '',
+        interestRate: '0',
+        repaymentPercent: '50'
+    });
+
+    const principalCents = parseDollarString(form.amount);
+    const interestRate = Math.max(0, parseFloat(form.interestRate) || 0);
+    const repaymentPercent = Math.max(1, Math.min(100, parseInt(form.repaymentPercent, 10) || 0));
+    const interestCents = Math.round(principalCents * interestRate / 100);
+    const isValid = form.description.trim() && principalCents > 0;
+
+    const handleGrant = () => {
+        if (!isValid) return;
+        onGrant({
+            description: form.description.trim(),
+            principalCents,
+            interestRate,
+            repaymentPercent
+        });
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">
+                    🤝 Advance for {user.name}
+                </h2>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">What's it for?</label>
+                        <input
+                            type="text"
+                            value={form.description}
+                            onChange={(e) => setForm({ ...form, description: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                            placeholder="e.g., New skateboard"
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-2">
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">Amount ({getCurrencySymbol()})</label>
+                            <input
+                                type="text"
+                                inputMode="decimal"
+                                value={form.amount}
+                                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                placeholder={formatCentsForInput(0)}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">Interest (%)</label>
+                            <input
+                                type="number"
+                                step="1"
+                                min="0"
+                                value={form.interestRate}
+                                onChange={(e) => setForm({ ...form, interestRate: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">Repay (% of pay)</label>
+                            <input
+                                type="number"
+                                step="5"
+                                min="1"
+                                max="100"
+                                value={form.repaymentPercent}
+                                onChange={(e) => setForm({ ...form, repaymentPercent: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            />
+                        </div>
+                    </div>
+
+                    {principalCents > 0 && (
+                        <div className="bg-slate-900/50 rounded-lg p-3 text-sm text-slate-300">
+                            {user.name} gets {formatCents(principalCents)} now and pays back{' '}
+                            <span className="font-bold">{formatCents(principalCents + interestCents)}</span>,
+                            {' '}{repaymentPercent}% of every job earning until it's cleared.
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleGrant}
+                        disabled={!isValid}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Grant
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    LoanCard,
+    LoanList,
+    LoanScheduleModal,
+    GrantLoanModal
+};
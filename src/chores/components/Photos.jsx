@@ -0,0 +1,130 @@
+/**
+ * Photo Components
+ *
+ * Photo proof for job completions: the button children use to take or pick
+ * a photo, the photo parents see in review, and how long photos are kept.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getPhoto } from '../utils/photos.js';
+
+/**
+ * Photo Capture Button
+ * Opens the camera on phones and tablets, or a file picker elsewhere.
+ * onCapture(file) gets the picked image as-is; downscale it before storing.
+ */
+export const PhotoCaptureButton = ({ onCapture, disabled = false, className = '', children = '📷 Add Photo' }) => {
+    return (
+        <label className={`${className} ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+            {children}
+            <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                disabled={disabled}
+                className="hidden"
+                onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = '';
+                    if (file) onCapture(file);
+                }}
+            />
+        </label>
+    );
+};
+
+/**
+ * Completion Photo
+ * Loads a completion's photo from IndexedDB; click to see it full size.
+ */
+export const CompletionPhoto = ({ completionId }) => {
+    const [url, setUrl] = useState(null);
+    const [isMissing, setIsMissing] = useState(false);
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    useEffect(() => {
+        let objectUrl = null;
+        let isCurrent = true;
+
+        getPhoto(completionId)
+            .then(blob => {
+                if (!isCurrent) return;
+                if (!blob) {
+                    setIsMissing(true);
+                    return;
+                }
+                objectUrl = URL.createObjectURL(blob);
+                setUrl(objectUrl);
+            })
+            .catch(() => isCurrent && setIsMissing(true));
+
+        return () => {
+            isCurrent = false;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [completionId]);
+
+    if (isMissing) {
+        return <div className="text-xs text-slate-500 mt-1">📷 Photo no longer available</div>;
+    }
+    if (!url) return null;
+
+    return (
+        <button type="button" onClick={() => setIsExpanded(!isExpanded)} className="block mt-2">
+            <img
+                src={url}
+                alt="Photo proof"
+                className={`rounded-lg border border-slate-600 ${isExpanded ? 'w-full' : 'h-20 w-auto'}`}
+            />
+        </button>
+    );
+};
+
+/**
+ * Photo Settings Modal (parent)
+ */
+export const PhotoSettingsModal = ({ retentionDays, onSave, onClose }) => {
+    const [days, setDays] = useState(retentionDays);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-2">📷 Photo Proof</h2>
+                <p className="text-sm text-slate-400 mb-4">
+                    Jobs can ask for a photo when they're done. Photos stay on this device only
+                    and are deleted after the number of days below.
+                </p>
+
+                <label className="block text-sm font-medium text-slate-300 mb-1">Keep photos for (days)</label>
+                <input
+                    type="number"
+                    min="1"
+                    value={days}
+                    onChange={(e) => setDays(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                    className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                />
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onSave(days)}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    PhotoCaptureButton,
+    CompletionPhoto,
+    PhotoSettingsModal
+};
@@ -0,0 +1,123 @@
+/**
+ * Quality Components
+ *
+ * Star ratings parents give when approving chores and jobs, the average
+ * quality children see on their jobs, and the bonus settings per rating.
+ */
+
+import React, { useState } from 'react';
+import { QUALITY_RATING } from '../schema.js';
+import { formatStars } from '../utils/quality.js';
+
+const STARS = Array.from(
+    { length: QUALITY_RATING.MAX - QUALITY_RATING.MIN + 1 },
+    (_, index) => QUALITY_RATING.MIN + index
+);
+
+/**
+ * Star Rating
+ * Clicking the current rating again clears it (approve without a rating).
+ */
+export const StarRating = ({ rating, onChange, size = 'text-xl' }) => {
+    return (
+        <div className="flex items-center gap-0.5" role="radiogroup" aria-label="Quality rating">
+            {STARS.map(star => (
+                <button
+                    key={star}
+                    type="button"
+                    role="radio"
+                    aria-checked={rating === star}
+                    onClick={() => onChange(rating === star ? null : star)}
+                    className={`${size} leading-none transition-all ${
+                        rating >= star ? 'text-amber-400' : 'text-slate-600 hover:text-slate-400'
+                    }`}
+                    title={`${star} star${star > 1 ? 's' : ''}`}
+                >
+                    ★
+                </button>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Quality Badge
+ * A job's average rating, e.g. "★★☆ 2.4 avg quality".
+ * @param {{ average: number, count: number } | null} quality - See getQualityByJob
+ */
+export const QualityBadge = ({ quality }) => {
+    if (!quality) return null;
+
+    return (
+        <span
+            className="text-xs text-amber-400"
+            title={`Rated ${quality.count} time${quality.count === 1 ? '' : 's'}`}
+        >
+            {formatStars(quality.average)} {quality.average.toFixed(1)} avg quality
+        </span>
+    );
+};
+
+/**
+ * Quality Bonus Settings Modal (parent)
+ * The bonus each rating earns, as a percentage of what was earned.
+ */
+export const QualityBonusSettingsModal = ({ settings, onSave, onClose }) => {
+    const [percentByRating, setPercentByRating] = useState(settings.percentByRating);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-2">⭐ Quality Bonuses</h2>
+                <p className="text-sm text-slate-400 mb-4">
+                    Rate chores and jobs when you approve them. A rating can add a bonus on top of
+                    what was earned: extra money for jobs, extra gems for chores.
+                </p>
+
+                <div className="space-y-2">
+                    {STARS.map(star => (
+                        <div key={star} className="flex items-center justify-between bg-slate-900/50 rounded-lg p-3">
+                            <span className="text-amber-400 text-lg">{formatStars(star)}</span>
+                            <div className="flex items-center gap-2">
+                                <span className="text-slate-400">+</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    value={percentByRating[star] ?? 0}
+                                    onChange={(e) => setPercentByRating(prev => ({
+                                        ...prev,
+                                        [star]: Math.max(0, parseInt(e.target.value, 10) || 0)
+                                    }))}
+                                    className="w-20 px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 text-right"
+                                />
+                                <span className="text-slate-400">%</span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onSave({ percentByRating })}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    StarRating,
+    QualityBadge,
+    QualityBonusSettingsModal
+};
@@ -0,0 +1,103 @@
+/**
+ * Redo Components
+ *
+ * Rejecting a chore or job completion with a reason and redo instructions,
+ * and the "needs redo" notice children see until they resubmit.
+ */
+
+import React, { useState } from 'react';
+import { formatDate } from '../utils/dateTime.js';
+
+const QUICK_REASONS = [
+    'Not finished',
+    'Needs to be neater',
+    'Missed a spot',
+    'Wasn\'t done yet'
+];
+
+/**
+ * Rejection Form
+ * onSubmit({ reason, redoInstructions }); both may be left empty.
+ */
+export const RejectionForm = ({ onSubmit, onCancel, submitLabel = '✕ Reject' }) => {
+    const [reason, setReason] = useState('');
+    const [redoInstructions, setRedoInstructions] = useState('');
+
+    return (
+        <div className="mt-2 bg-slate-900/50 rounded-lg p-3 space-y-2">
+            <div className="flex flex-wrap gap-1">
+                {QUICK_REASONS.map(option => (
+                    <button
+                        key={option}
+                        type="button"
+                        onClick={() => setReason(option)}
+                        className={`px-2 py-1 rounded text-xs font-semibold transition-all ${
+                            reason === option
+                                ? 'bg-violet-600 text-white'
+                                : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                        }`}
+                    >
+                        {option}
+                    </button>
+                ))}
+            </div>
+            <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 text-sm"
+                placeholder="Reason"
+            />
+            <textarea
+                value={redoInstructions}
+                onChange={(e) => setRedoInstructions(e.target.value)}
+                rows={2}
+                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 text-sm"
+                placeholder="How to redo it (optional)"
+            />
+            <div className="flex gap-2">
+                <button
+                    onClick={onCancel}
+                    className="flex-1 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg text-sm font-semibold"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={() => onSubmit({ reason, redoInstructions })}
+                    className="flex-1 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg text-sm font-semibold"
+                >
+                    {submitLabel}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Redo Notice
+ * For the child, a rejection waiting on a redo; with isResubmission, the
+ * rejection a resubmitted attempt answers (for the parent reviewing it).
+ * @param {Rejection | null} rejection
+ */
+export const RedoNotice = ({ rejection, isResubmission = false }) => {
+    if (!rejection) return null;
+
+    return (
+        <div className="mt-1 text-xs rounded-lg px-2 py-1 bg-orange-500/10 border border-orange-500/40 text-orange-500">
+            <div className="font-semibold">
+                {isResubmission
+                    ? `🔁 Redo of ${rejection.attemptAt ? formatDate(rejection.attemptAt, 'datetime') : 'a rejected attempt'}`
+                    : '🔁 Needs redo'}
+                {rejection.reason && `: ${rejection.reason}`}
+            </div>
+            {rejection.redoInstructions && (
+                <div className="opacity-90">{rejection.redoInstructions}</div>
+            )}
+        </div>
+    );
+};
+
+export default {
+    RejectionForm,
+    RedoNotice
+};
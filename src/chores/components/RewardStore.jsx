@@ -0,0 +1,346 @@
+/**
+ * Reward Store Components
+ *
+ * Components for the reward store: item cards children buy from,
+ * the parent item editor and the store management list.
+ */
+
+import React, { useState } from 'react';
+import { REWARD_ICONS, SPENDING_CATEGORY } from '../schema.js';
+import { formatCents, formatCentsForInput, parseDollarString, getCurrencySymbol } from '../utils/currency.js';
+import { SpendingCategoryPicker } from './Spending.jsx';
+
+/**
+ * Store Item Card
+ */
+export const StoreItemCard = ({ item, status, stockLeft, weeklyCount, onBuy }) => {
+    return (
+        <div className={`bg-slate-800 rounded-xl p-4 border border-slate-700 flex flex-col ${
+            status.canPurchase ? '' : 'opacity-70'
+        }`}>
+            <div className="text-4xl text-center mb-2">{item.icon}</div>
+            <div className="font-bold text-slate-100 text-center">{item.name}</div>
+            {item.description && (
+                <div className="text-xs text-slate-400 text-center mt-1">{item.description}</div>
+            )}
+
+            <div className="flex flex-wrap justify-center gap-1 mt-2 text-xs">
+                {stockLeft !== null && (
+                    <span className="px-2 py-0.5 rounded-full bg-slate-700 text-slate-300">
+                        {stockLeft} left
+                    </span>
+                )}
+                {item.weeklyLimit && (
+                    <span className="px-2 py-0.5 rounded-full bg-slate-700 text-slate-300">
+                        {weeklyCount}/{item.weeklyLimit} this week
+                    </span>
+                )}
+                {item.requiresApproval && (
+                    <span className="px-2 py-0.5 rounded-full bg-amber-500/20 text-amber-400">
+                        Needs OK
+                    </span>
+                )}
+            </div>
+
+            <div className="flex-1" />
+
+            <button
+                onClick={() => onBuy(item)}
+                disabled={!status.canPurchase}
+                className="w-full mt-3 py-2 bg-emerald-600 hover:bg-emerald-500 text-white rounded-lg font-bold disabled:bg-slate-700 disabled:text-slate-400 disabled:cursor-not-allowed"
+            >
+                {status.canPurchase ? formatCents(item.price) : status.reason}
+            </button>
+        </div>
+    );
+};
+
+/**
+ * Reward Store Grid
+ */
+export const RewardStore = ({
+    items,
+    getStatus,
+    getStock,
+    getWeeklyCount,
+    onBuy,
+    emptyMessage = 'The store is empty'
+}) => {
+    if (items.length === 0) {
+        return (
+            <div className="text-slate-500 text-center py-8 bg-slate-800/50 rounded-xl">
+                {emptyMessage}
+            </div>
+        );
+    }
+
+    return (
+        <div className="grid grid-cols-2 gap-3">
+            {items.map(item => (
+                <StoreItemCard
+                    key={item.id}
+                    item={item}
+                    status={getStatus(item)}
+                    stockLeft={getStock(item)}
+                    weeklyCount={getWeeklyCount(item)}
+                    onBuy={onBuy}
+                />
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Orders waiting for a parent's approval
+ */
+export const PendingOrdersList = ({ orders, items }) => {
+    if (orders.length === 0) return null;
+
+    return (
+        <div className="bg-slate-800 rounded-xl p-4 border border-amber-500/40">
+            <h3 className="font-semibold text-amber-400 text-sm mb-2">⏳ Waiting for a parent</h3>
+            <div className="space-y-1">
+                {orders.map(order => {
+                    const item = items.find(i => i.id === order.itemId);
+                    return (
+                        <div key={order.id} className="flex justify-between text-sm">
+                            <span className="text-slate-300">{item?.icon} {item?.name || 'Reward'}</span>
+                            <span className="text-slate-400">{formatCents(order.price)}</span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Store Management List (parent)
+ */
+export const StoreManagementList = ({ items, onEdit, onToggleActive }) => {
+    if (items.length === 0) {
+        return <p className="text-slate-400 text-center py-4">No rewards yet</p>;
+    }
+
+    return (
+        <div className="space-y-2">
+            {items.map(item => (
+                <div
+                    key={item.id}
+                    className={`flex items-center gap-3 p-3 rounded-xl bg-slate-700/50 border border-slate-600 ${
+                        item.isActive ? '' : 'opacity-50'
+                    }`}
+                >
+                    <span className="text-2xl">{item.icon}</span>
+                    <div className="flex-1 min-w-0">
+                        <div className="font-semibold text-slate-100 truncate">{item.name}</div>
+                        <div className="text-xs text-slate-400">
+                            {formatCents(item.price)}
+                            {item.stock !== null && ` · ${item.stock} in stock`}
+                            {item.weeklyLimit && ` · ${item.weeklyLimit}/week`}
+                            {item.requiresApproval && ' · needs approval'}
+                        </div>
+                    </div>
+                    <button
+                        onClick={() => onToggleActive(item)}
+                        className="px-2 py-1 text-xs rounded-lg bg-slate-600 hover:bg-slate-500 text-slate-200"
+                    >
+                        {item.isActive ? 'Hide' : 'Show'}
+                    </button>
+                    <button
+                        onClick={() => onEdit(item)}
+                        className="p-1 text-slate-400 hover:text-slate-200"
+                        title="Edit reward"
+                    >
+                        ✎
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Store Item Editor Modal
+ */
+export const StoreItemEditorModal = ({ item, onSave, onDelete, onClose }) => {
+    const [form, setForm] = useState({
+        name: item?.name || '',
+        description: item?.description || '',
+        icon: item?.icon || REWARD_ICONS[0],
+        price: item ? formatCentsForInput(item.price) : '1.00',
+        stock: item?.stock ?? '',
+        weeklyLimit: item?.weeklyLimit ?? '',
+        requiresApproval: item?.requiresApproval || false,
+        category: item?.category || SPENDING_CATEGORY.TREATS,
+        customCategory: item?.customCategory || '',
+        isActive: item?.isActive ?? true
+    });
+
+    const priceCents = parseDollarString(form.price);
+    const isValid = form.name.trim() && priceCents > 0;
+
+    const handleSave = () => {
+        if (!isValid) return;
+        onSave({
+            name: form.name.trim(),
+            description: form.description.trim(),
+            icon: form.icon,
+            price: priceCents,
+            stock: form.stock === '' ? null : Math.max(0, parseInt(form.stock, 10) || 0),
+            weeklyLimit: form.weeklyLimit === '' ? null : Math.max(1, parseInt(form.weeklyLimit, 10) || 1),
+            requiresApproval: form.requiresApproval,
+            category: form.category,
+            customCategory: form.customCategory.trim(),
+            isActive: form.isActive
+        });
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()} style={{ maxHeight: '85vh', overflow: 'auto' }}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">
+                    {item ? 'Edit Reward' : 'New Reward'}
+                </h2>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Name</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            onChange={(e) => setForm({ ...form, name: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                            placeholder="e.g., 30 min screen time"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">
+                            Description <span className="text-slate-500">(optional)</span>
+                        </label>
+                        <input
+                            type="text"
+                            value={form.description}
+                            onChange={(e) => setForm({ ...form, description: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Icon</label>
+                        <div className="flex flex-wrap gap-2">
+                            {REWARD_ICONS.map(icon => (
+                                <button
+                                    key={icon}
+                                    type="button"
+                                    onClick={() => setForm({ ...form, icon })}
+                                    className={`text-2xl p-2 rounded-lg transition-all ${
+                                        form.icon === icon
+                                            ? 'bg-violet-600 scale-110'
+                                            : 'bg-slate-700 hover:bg-slate-600'
+                                    }`}
+                                >
+                                    {icon}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-2">
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">Price ({getCurrencySymbol()})</label>
+                            <input
+                                type="text"
+                                inputMode="decimal"
+                                value={form.price}
+                                onChange={(e) => setForm({ ...form, price: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">Stock</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.stock}
+                                onChange={(e) => setForm({ ...form, stock: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                placeholder="∞"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">Per week</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={form.weeklyLimit}
+                                onChange={(e) => setForm({ ...form, weeklyLimit: e.target.value })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                                placeholder="Any"
+                            />
+                        </div>
+                    </div>
+
+                    <SpendingCategoryPicker
+                        category={form.category}
+                        customCategory={form.customCategory}
+                        onChange={(category) => setForm({ ...form, ...category })}
+                    />
+
+                    <label className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-slate-300">Parent approves each purchase</span>
+                        <input
+                            type="checkbox"
+                            checked={form.requiresApproval}
+                            onChange={(e) => setForm({ ...form, requiresApproval: e.target.checked })}
+                            className="w-5 h-5 accent-violet-500"
+                        />
+                    </label>
+
+                    <label className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-slate-300">Show in store</span>
+                        <input
+                            type="checkbox"
+                            checked={form.isActive}
+                            onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                            className="w-5 h-5 accent-violet-500"
+                        />
+                    </label>
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    {item && onDelete && (
+                        <button
+                            onClick={() => onDelete(item.id)}
+                            className="py-3 px-4 bg-red-600/20 hover:bg-red-600/40 text-red-400 rounded-xl font-semibold"
+                        >
+                            Delete
+                        </button>
+                    )}
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={!isValid}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    StoreItemCard,
+    RewardStore,
+    PendingOrdersList,
+    StoreManagementList,
+    StoreItemEditorModal
+};
@@ -0,0 +1,337 @@
+/**
+ * Savings Goal Components
+ *
+ * Components for creating savings goals, earmarking cash toward them,
+ * and tracking progress and projected completion.
+ */
+
+import React, { useState } from 'react';
+import { GOAL_ICONS } from '../schema.js';
+import { formatCents, formatCentsForInput, parseDollarString, getCurrencySymbol } from '../utils/currency.js';
+import { formatDate } from '../utils/dateTime.js';
+
+/**
+ * Goal Progress Bar
+ */
+export const GoalProgressBar = ({ percentage, isReached }) => {
+    return (
+        <div className="w-full h-3 bg-slate-700 rounded-full overflow-hidden">
+            <div
+                className={`h-full rounded-full transition-all duration-500 ${
+                    isReached ? 'bg-emerald-500' : 'bg-violet-500'
+                }`}
+                style={{ width: `${Math.min(100, percentage)}%` }}
+            />
+        </div>
+    );
+};
+
+/**
+ * Projected completion text for a goal
+ */
+export const GoalProjection = ({ projection, isReached }) => {
+    if (isReached) {
+        return <span className="text-emerald-400">Goal reached! 🎉</span>;
+    }
+
+    if (!projection.date) {
+        return <span className="text-slate-500">Earn money from jobs to see when you'll get there</span>;
+    }
+
+    const onTrackClass = projection.onTrack === false ? 'text-amber-400' : 'text-slate-400';
+
+    return (
+        <span className={onTrackClass}>
+            At your pace: {formatDate(projection.date)}
+            {' '}({projection.daysRemaining} {projection.daysRemaining === 1 ? 'day' : 'days'})
+            {projection.onTrack === false && ' - after the deadline'}
+        </span>
+    );
+};
+
+/**
+ * Savings Goal Card
+ */
+export const SavingsGoalCard = ({
+    goal,
+    progress,
+    projection,
+    availableCents,
+    onDeposit,
+    onWithdraw,
+    onEdit,
+    onDelete
+}) => {
+    const [mode, setMode] = useState(null); // null | 'deposit' | 'withdraw'
+    const [amount, setAmount] = useState('');
+
+    const amountCents = parseDollarString(amount);
+    const maxCents = mode === 'withdraw' ? progress.saved : availableCents;
+    const isValid = amountCents > 0 && amountCents <= maxCents;
+
+    const handleSubmit = () => {
+        if (!isValid) return;
+        if (mode === 'deposit') {
+            onDeposit(goal.id, amountCents);
+        } else {
+            onWithdraw(goal.id, amountCents);
+        }
+        setMode(null);
+        setAmount('');
+    };
+
+    return (
+        <div className={`bg-slate-800 rounded-xl p-4 border ${
+            progress.isReached ? 'border-emerald-500/50' : 'border-slate-700'
+        }`}>
+            <div className="flex items-start gap-3">
+                <span className="text-3xl">{goal.icon}</span>
+                <div className="flex-1 min-w-0">
+                    <div className="flex items-center justify-between gap-2">
+                        <h3 className="font-bold text-slate-100 truncate">{goal.name}</h3>
+                        <div className="flex gap-1">
+                            {onEdit && (
+                                <button
+                                    onClick={() => onEdit(goal)}
+                                    className="p-1 text-slate-400 hover:text-slate-200"
+                                    title="Edit goal"
+                                >
+                                    ✎
+                                </button>
+                            )}
+                            {onDelete && (
+                                <button
+                                    onClick={() => onDelete(goal.id)}
+                                    className="p-1 text-slate-400 hover:text-red-400"
+                                    title="Delete goal"
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    <div className="text-sm text-slate-400">
+                        <span className="font-semibold text-violet-400">{formatCents(progress.saved)}</span>
+                        {' '}of {formatCents(progress.target)}
+                        {goal.deadline && <span> · by {formatDate(goal.deadline)}</span>}
+                    </div>
+                </div>
+            </div>
+
+            <div className="mt-3">
+                <GoalProgressBar percentage={progress.percentage} isReached={progress.isReached} />
+                <div className="flex justify-between text-xs mt-1">
+                    <GoalProjection projection={projection} isReached={progress.isReached} />
+                    <span className="text-slate-500">{progress.percentage}%</span>
+                </div>
+            </div>
+
+            {mode ? (
+                <div className="mt-3 flex gap-2">
+                    <input
+                        type="text"
+                        inputMode="decimal"
+                        value={amount}
+                        onChange={(e) => setAmount(e.target.value)}
+                        className="flex-1 min-w-0 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                        placeholder={`Up to ${formatCents(maxCents)}`}
+                        autoFocus
+                    />
+                    <button
+                        onClick={() => { setMode(null); setAmount(''); }}
+                        className="px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSubmit}
+                        disabled={!isValid}
+                        className="px-3 py-2 bg-violet-600 hover:bg-violet-500 text-white rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {mode === 'deposit' ? 'Save' : 'Take out'}
+                    </button>
+                </div>
+            ) : (
+                <div className="mt-3 flex gap-2">
+                    <button
+                        onClick={() => setMode('deposit')}
+                        disabled={availableCents <= 0 || progress.isReached}
+                        className="flex-1 py-2 bg-violet-600 hover:bg-violet-500 text-white rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        + Add money
+                    </button>
+                    <button
+                        onClick={() => setMode('withdraw')}
+                        disabled={progress.saved <= 0}
+                        className="flex-1 py-2 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Take out
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Savings Goal List
+ */
+export const SavingsGoalList = ({
+    goals,
+    getProgress,
+    getProjection,
+    availableCents,
+    onDeposit,
+    onWithdraw,
+    onEdit,
+    onDelete,
+    emptyMessage = 'No savings goals yet'
+}) => {
+    if (goals.length === 0) {
+        return (
+            <div className="text-slate-500 text-center py-8 bg-slate-800/50 rounded-xl">
+                {emptyMessage}
+            </div>
+        );
+    }
+
+    // Goals still in progress first, reached goals at the bottom
+    const sorted = [...goals].sort((a, b) => {
+        if (!!a.completedAt !== !!b.completedAt) return a.completedAt ? 1 : -1;
+        return new Date(a.createdAt) - new Date(b.createdAt);
+    });
+
+    return (
+        <div className="space-y-3">
+            {sorted.map(goal => (
+                <SavingsGoalCard
+                    key={goal.id}
+                    goal={goal}
+                    progress={getProgress(goal)}
+                    projection={getProjection(goal)}
+                    availableCents={availableCents}
+                    onDeposit={onDeposit}
+                    onWithdraw={onWithdraw}
+                    onEdit={onEdit}
+                    onDelete={onDelete}
+                />
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Savings Goal Editor Modal
+ */
+export const SavingsGoalEditorModal = ({ goal, onSave, onClose }) => {
+    const [form, setForm] = useState({
+        name: goal?.name || '',
+        icon: goal?.icon || GOAL_ICONS[0],
+        target: goal ? formatCentsForInput(goal.targetCents) : '',
+        deadline: goal?.deadline ? goal.deadline.slice(0, 10) : ''
+    });
+
+    const targetCents = parseDollarString(form.target);
+    const isValid = form.name.trim() && targetCents > 0;
+
+    const handleSave = () => {
+        if (!isValid) return;
+        onSave({
+            name: form.name.trim(),
+            icon: form.icon,
+            targetCents,
+            deadline: form.deadline ? new Date(`${form.deadline}T23:59:59`).toISOString() : null
+        });
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4 flex items-center gap-2">
+                    <span className="text-violet-400">🎯</span> {goal ? 'Edit Goal' : 'New Savings Goal'}
+                </h2>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">What are you saving for?</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            onChange={(e) => setForm({ ...form, name: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                            placeholder="e.g., New bike"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Icon</label>
+                        <div className="flex flex-wrap gap-2">
+                            {GOAL_ICONS.map(icon => (
+                                <button
+                                    key={icon}
+                                    type="button"
+                                    onClick={() => setForm({ ...form, icon })}
+                                    className={`text-2xl p-2 rounded-lg transition-all ${
+                                        form.icon === icon
+                                            ? 'bg-violet-600 scale-110'
+                                            : 'bg-slate-700 hover:bg-slate-600'
+                                    }`}
+                                >
+                                    {icon}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Target ({getCurrencySymbol()})</label>
+                        <input
+                            type="text"
+                            inputMode="decimal"
+                            value={form.target}
+                            onChange={(e) => setForm({ ...form, target: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                            placeholder={formatCentsForInput(2000)}
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">
+                            Deadline <span className="text-slate-500">(optional)</span>
+                        </label>
+                        <input
+                            type="date"
+                            value={form.deadline}
+                            onChange={(e) => setForm({ ...form, deadline: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                        />
+                    </div>
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={!isValid}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {goal ? 'Save Changes' : 'Create Goal'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    GoalProgressBar,
+    GoalProjection,
+    SavingsGoalCard,
+    SavingsGoalList,
+    SavingsGoalEditorModal
+};
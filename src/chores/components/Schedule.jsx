@@ -0,0 +1,113 @@
+/**
+ * Schedule Components
+ *
+ * Due times and availability windows: the countdown children see on cards,
+ * the early/late badge parents see in review, and the schedule editor.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { hasSchedule, describeSchedule, describeTiming, SCHEDULE_TICK_MS } from '../utils/schedule.js';
+
+const TONE_CLASSES = {
+    closed: 'text-slate-500',
+    bonus: 'text-emerald-400',
+    due: 'text-sky-400',
+    late: 'text-red-400'
+};
+
+/**
+ * Schedule Countdown
+ * Where a job or chore's schedule stands now ("Due in 1h 20m"); refreshes every minute.
+ * @param {Schedule | null} schedule
+ */
+export const ScheduleCountdown = ({ schedule }) => {
+    const [now, setNow] = useState(() => new Date());
+    const isScheduled = hasSchedule(schedule);
+
+    useEffect(() => {
+        if (!isScheduled) return;
+        const intervalId = setInterval(() => setNow(new Date()), SCHEDULE_TICK_MS);
+        return () => clearInterval(intervalId);
+    }, [isScheduled]);
+
+    const status = describeSchedule(schedule, now);
+    if (!status) return null;
+
+    return (
+        <div className={`text-xs mt-1 ${TONE_CLASSES[status.tone]}`}>
+            ⏰ {status.text}
+        </div>
+    );
+};
+
+/**
+ * Timing Badge
+ * Whether a completion was early (bonus) or late (penalty); nothing if on time.
+ */
+export const TimingBadge = ({ timing, percent }) => {
+    const label = describeTiming(timing, percent);
+    if (!label) return null;
+
+    return (
+        <span className={`text-xs font-semibold ${percent > 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+            {label}
+        </span>
+    );
+};
+
+/**
+ * Schedule Editor (parent)
+ * Times are optional; leave one empty to not use it.
+ * @param {Schedule} schedule
+ */
+export const ScheduleEditor = ({ schedule, onChange }) => {
+    const timeField = (key, label) => (
+        <div>
+            <label className="block text-xs text-slate-400 mb-1">{label}</label>
+            <input
+                type="time"
+                value={schedule[key] || ''}
+                onChange={(e) => onChange({ ...schedule, [key]: e.target.value || null })}
+                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+            />
+        </div>
+    );
+
+    const percentField = (key, label) => (
+        <div>
+            <label className="block text-xs text-slate-400 mb-1">{label}</label>
+            <input
+                type="number"
+                min="0"
+                max="100"
+                value={schedule[key]}
+                onChange={(e) => onChange({ ...schedule, [key]: Math.min(100, Math.max(0, parseInt(e.target.value, 10) || 0)) })}
+                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+            />
+        </div>
+    );
+
+    return (
+        <div className="bg-slate-900/50 rounded-lg p-3 space-y-2">
+            <div className="grid grid-cols-2 gap-2">
+                {timeField('availableFrom', 'Available from')}
+                {timeField('availableUntil', 'Available until')}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                {timeField('earlyBirdBy', 'Early bird before')}
+                {percentField('earlyBirdPercent', 'Early-bird bonus (%)')}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                {timeField('dueBy', 'Due by')}
+                {percentField('latePenaltyPercent', 'Late penalty (%)')}
+            </div>
+            <p className="text-xs text-slate-500">Times apply every day. Outside the window it can't be done.</p>
+        </div>
+    );
+};
+
+export default {
+    ScheduleCountdown,
+    TimingBadge,
+    ScheduleEditor
+};
@@ -0,0 +1,174 @@
+/**
+ * Spending Components
+ *
+ * Components for what children spend money on: the category picker used when
+ * recording spending and setting up store items, and the per-category
+ * breakdown by week or month.
+ */
+
+import React, { useState } from 'react';
+import { SPENDING_CATEGORY, RECURRENCE_TYPE, ALLOWANCE_CADENCE } from '../schema.js';
+import { formatCents, getCurrencyConfig } from '../utils/currency.js';
+import { formatDate } from '../utils/dateTime.js';
+import { SPENDING_CATEGORY_INFO } from '../utils/spending.js';
+
+/**
+ * Spending Category Picker
+ * 'custom' asks for a name; onChange receives { category, customCategory }.
+ */
+export const SpendingCategoryPicker = ({ category, customCategory = '', onChange }) => {
+    return (
+        <div>
+            <label className="block text-sm font-medium text-slate-300 mb-1">Category</label>
+            <div className="flex flex-wrap gap-2">
+                {Object.values(SPENDING_CATEGORY).map(id => (
+                    <button
+                        key={id}
+                        type="button"
+                        onClick={() => onChange({ category: id, customCategory: id === SPENDING_CATEGORY.CUSTOM ? customCategory : '' })}
+                        className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
+                            category === id
+                                ? 'bg-violet-600 text-white'
+                                : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                        }`}
+                    >
+                        {SPENDING_CATEGORY_INFO[id].icon} {SPENDING_CATEGORY_INFO[id].label}
+                    </button>
+                ))}
+            </div>
+            {category === SPENDING_CATEGORY.CUSTOM && (
+                <input
+                    type="text"
+                    value={customCategory}
+                    onChange={(e) => onChange({ category, customCategory: e.target.value })}
+                    className="w-full mt-2 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                    placeholder="e.g., Books, Clothes"
+                />
+            )}
+        </div>
+    );
+};
+
+/**
+ * Label for a breakdown period, e.g. "Week of Sep 7" or "September 2026"
+ */
+const describePeriod = (periodStart, period) => {
+    if (period === ALLOWANCE_CADENCE.MONTHLY) {
+        return periodStart.toLocaleDateString(getCurrencyConfig().locale, { month: 'long', year: 'numeric' });
+    }
+    return `Week of ${formatDate(periodStart)}`;
+};
+
+/**
+ * Spending Breakdown
+ * One block per period with a bar for each category.
+ */
+export const SpendingBreakdown = ({ periods, period }) => {
+    if (periods.every(p => p.total === 0)) {
+        return <p className="text-slate-500 text-center py-4">No spending in this time.</p>;
+    }
+
+    return (
+        <div className="space-y-4">
+            {periods.map(p => (
+                <div key={p.periodStart.toISOString()} className="bg-slate-900/50 rounded-lg p-3">
+                    <div className="flex justify-between text-sm font-semibold mb-2">
+                        <span className="text-slate-300">{describePeriod(p.periodStart, period)}</span>
+                        <span className="text-red-400">{formatCents(p.total)}</span>
+                    </div>
+                    {p.categories.length === 0 ? (
+                        <div className="text-xs text-slate-500">Nothing spent</div>
+                    ) : (
+                        <div className="space-y-2">
+                            {p.categories.map(category => (
+                                <div key={category.key}>
+                                    <div className="flex justify-between text-xs text-slate-400 mb-1">
+                                        <span>{category.icon} {category.label} · {category.count}×</span>
+                                        <span>{formatCents(category.total)} ({category.percentage}%)</span>
+                                    </div>
+                                    <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+                                        <div
+                                            className="h-full bg-violet-500 rounded-full"
+                                            style={{ width: `${category.percentage}%` }}
+                                        />
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Spending Breakdown Modal
+ * getBreakdown(userId, period) returns the periods to show (see getSpendingBreakdown).
+ */
+export const SpendingBreakdownModal = ({ users, initialUserId, getBreakdown, onClose }) => {
+    const [userId, setUserId] = useState(initialUserId || users[0]?.id);
+    const [period, setPeriod] = useState(RECURRENCE_TYPE.WEEKLY);
+    const periods = userId ? getBreakdown(userId, period) : [];
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">📊 Where the Money Goes</h2>
+
+                {users.length > 1 && (
+                    <div className="flex flex-wrap gap-2 mb-3">
+                        {users.map(u => (
+                            <button
+                                key={u.id}
+                                onClick={() => setUserId(u.id)}
+                                className={`px-3 py-2 rounded-lg flex items-center gap-2 font-semibold transition-all ${
+                                    u.id === userId
+                                        ? 'bg-violet-600 text-white'
+                                        : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                                }`}
+                            >
+                                <span className="text-xl">{u.avatar}</span>
+                                {u.name}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-2 mb-4">
+                    {[
+                        { id: RECURRENCE_TYPE.WEEKLY, label: 'By Week' },
+                        { id: ALLOWANCE_CADENCE.MONTHLY, label: 'By Month' }
+                    ].map(option => (
+                        <button
+                            key={option.id}
+                            onClick={() => setPeriod(option.id)}
+                            className={`py-2 rounded-lg font-semibold transition-all ${
+                                period === option.id
+                                    ? 'bg-violet-600 text-white'
+                                    : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                            }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+
+                <SpendingBreakdown periods={periods} period={period} />
+
+                <button
+                    onClick={onClose}
+                    className="w-full mt-6 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    SpendingCategoryPicker,
+    SpendingBreakdown,
+    SpendingBreakdownModal
+};
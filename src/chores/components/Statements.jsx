@@ -0,0 +1,181 @@
+/**
+ * Statement Components
+ *
+ * Monthly statements for a child: the printable statement sheet and the
+ * parent modal for picking a child and month and printing it.
+ */
+
+import React, { useState } from 'react';
+import { formatCents, getCurrencyConfig } from '../utils/currency.js';
+import { formatDate } from '../utils/dateTime.js';
+
+/**
+ * Format a statement month, e.g. "September 2026"
+ * @param {Date} monthStart
+ * @returns {string}
+ */
+const formatMonth = (monthStart) => {
+    return monthStart.toLocaleDateString(getCurrencyConfig().locale, { month: 'long', year: 'numeric' });
+};
+
+/**
+ * Monthly Statement Sheet
+ * Light, paper-style layout so it reads the same on screen and when printed.
+ */
+export const MonthlyStatement = ({ statement, user }) => {
+    const {
+        periodStart,
+        openingBalance,
+        closingBalance,
+        loanBalance,
+        groups,
+        totalEarned,
+        totalSpent,
+        topJobs
+    } = statement;
+
+    return (
+        <div className="statement-sheet bg-white text-gray-900 rounded-xl p-6">
+            <div className="flex justify-between items-start border-b-2 border-gray-800 pb-3 mb-4">
+                <div>
+                    <h2 className="text-xl font-bold">Monthly Statement</h2>
+                    <div className="text-sm text-gray-600">{formatMonth(periodStart)}</div>
+                </div>
+                <div className="text-right">
+                    <div className="text-2xl">{user.avatar}</div>
+                    <div className="font-semibold">{user.name}</div>
+                </div>
+            </div>
+
+            {/* Summary */}
+            <div className="grid grid-cols-2 gap-x-6 gap-y-1 text-sm mb-5">
+                <span className="text-gray-600">Opening balance</span>
+                <span className="text-right font-semibold">{formatCents(openingBalance)}</span>
+                <span className="text-gray-600">Total earned</span>
+                <span className="text-right font-semibold text-green-700">{formatCents(totalEarned)}</span>
+                <span className="text-gray-600">Total spent</span>
+                <span className="text-right font-semibold text-red-700">{formatCents(totalSpent)}</span>
+                <span className="font-bold border-t border-gray-300 pt-1">Closing balance</span>
+                <span className="text-right font-bold border-t border-gray-300 pt-1">{formatCents(closingBalance)}</span>
+                {loanBalance > 0 && (
+                    <>
+                        <span className="text-gray-600">Still owed on loans (included above)</span>
+                        <span className="text-right font-semibold">{formatCents(loanBalance)}</span>
+                    </>
+                )}
+            </div>
+
+            {/* Transactions by type */}
+            {groups.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-4">No transactions this month.</p>
+            ) : (
+                groups.map(group => (
+                    <div key={group.type} className="statement-group mb-4">
+                        <div className="flex justify-between font-semibold text-sm bg-gray-100 px-2 py-1 rounded">
+                            <span>{group.label}</span>
+                            <span>{formatCents(group.total, true)}</span>
+                        </div>
+                        {group.entries.map(entry => (
+                            <div key={entry.id} className="flex justify-between text-sm px-2 py-1 border-b border-gray-100">
+                                <span>
+                                    <span className="text-gray-500 mr-3">{formatDate(entry.date)}</span>
+                                    {entry.description}
+                                </span>
+                                <span className={entry.effect < 0 ? 'text-red-700' : 'text-green-700'}>
+                                    {formatCents(entry.effect, true)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                ))
+            )}
+
+            {/* Top jobs */}
+            {topJobs.length > 0 && (
+                <div className="statement-group mt-5">
+                    <div className="font-semibold text-sm bg-gray-100 px-2 py-1 rounded">Top Jobs</div>
+                    {topJobs.map(job => (
+                        <div key={job.jobId} className="flex justify-between text-sm px-2 py-1 border-b border-gray-100">
+                            <span>{job.title} <span className="text-gray-500">× {job.count}</span></span>
+                            <span className="font-semibold">{formatCents(job.total)}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Monthly Statement Modal (parent)
+ * Pick a child and any month since their first transaction, then print.
+ */
+export const MonthlyStatementModal = ({ users, initialUserId, getStatementMonths, getStatement, onClose }) => {
+    const [userId, setUserId] = useState(initialUserId || users[0]?.id);
+    const months = getStatementMonths(userId);
+    const [monthIndex, setMonthIndex] = useState(0);
+
+    const user = users.find(u => u.id === userId);
+    const month = months[Math.min(monthIndex, months.length - 1)];
+    const statement = user && month ? getStatement(user.id, month) : null;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content statement-modal bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <div className="no-print">
+                    <h2 className="text-xl font-bold text-slate-100 mb-4">📄 Monthly Statements</h2>
+
+                    <div className="flex flex-wrap gap-2 mb-3">
+                        {users.map(u => (
+                            <button
+                                key={u.id}
+                                onClick={() => { setUserId(u.id); setMonthIndex(0); }}
+                                className={`px-3 py-2 rounded-lg flex items-center gap-2 font-semibold transition-all ${
+                                    u.id === userId
+                                        ? 'bg-violet-600 text-white'
+                                        : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                                }`}
+                            >
+                                <span className="text-xl">{u.avatar}</span>
+                                {u.name}
+                            </button>
+                        ))}
+                    </div>
+
+                    <select
+                        value={monthIndex}
+                        onChange={(e) => setMonthIndex(Number(e.target.value))}
+                        className="w-full px-3 py-2 mb-4 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                    >
+                        {months.map((m, index) => (
+                            <option key={m.toISOString()} value={index}>{formatMonth(m)}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {statement && <MonthlyStatement statement={statement} user={user} />}
+
+                <div className="no-print flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Close
+                    </button>
+                    <button
+                        onClick={() => window.print()}
+                        disabled={!statement}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        🖨️ Print
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    MonthlyStatement,
+    MonthlyStatementModal
+};
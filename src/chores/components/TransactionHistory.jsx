@@ -1,13 +1,18 @@
 /**
  * Transaction History Components
  *
- * Components for displaying transaction history, earnings, and redemptions.
+ * Components for displaying transaction history, earnings, and redemptions,
+ * and for parents reversing a mistaken transaction.
  */
 
 import React, { useState, useMemo } from 'react';
-import { TRANSACTION_TYPE, APPROVAL_STATUS } from '../schema.js';
+import { TRANSACTION_TYPE, APPROVAL_STATUS, JAR } from '../schema.js';
 import { formatCents, formatCentsShort } from '../utils/currency.js';
 import { formatDate, isToday, isThisWeek } from '../utils/dateTime.js';
+import { getCashEffect, isInternalMove } from '../utils/ledger.js';
+import { getReversedIds, excludeReversed } from '../utils/reversals.js';
+import { JAR_INFO } from '../utils/jars.js';
+import { getSpendingCategory } from '../utils/spending.js';
 
 /**
  * Transaction Type Icon
@@ -17,7 +22,23 @@ export const TransactionIcon = ({ type }) => {
         [TRANSACTION_TYPE.EARN]: '💵',
         [TRANSACTION_TYPE.REDEEM]: '🛒',
         [TRANSACTION_TYPE.BONUS]: '🎁',
-        [TRANSACTION_TYPE.ADJUST]: '⚙️'
+        [TRANSACTION_TYPE.ADJUST]: '⚙️',
+        [TRANSACTION_TYPE.HOLD]: '⏳',
+        [TRANSACTION_TYPE.RELEASE]: '↩️',
+        [TRANSACTION_TYPE.GOAL_DEPOSIT]: '🎯',
+        [TRANSACTION_TYPE.GOAL_WITHDRAW]: '🎯',
+        [TRANSACTION_TYPE.INTEREST]: '📈',
+        [TRANSACTION_TYPE.JAR_ALLOCATE]: '🫙',
+        [TRANSACTION_TYPE.JAR_TRANSFER]: '🔀',
+        [TRANSACTION_TYPE.ALLOWANCE]: '🗓️',
+        [TRANSACTION_TYPE.FINE]: '🚫',
+        [TRANSACTION_TYPE.LOAN_ADVANCE]: '🤝',
+        [TRANSACTION_TYPE.LOAN_REPAYMENT]: '🤝',
+        [TRANSACTION_TYPE.LOAN_INTEREST]: '🤝',
+        [TRANSACTION_TYPE.GEM_EXCHANGE]: '💎',
+        [TRANSACTION_TYPE.REVERSAL]: '⏪',
+        [TRANSACTION_TYPE.TRANSFER_OUT]: '📤',
+        [TRANSACTION_TYPE.TRANSFER_IN]: '📥'
     };
     return <span className="text-2xl">{icons[type] || '📋'}</span>;
 };
@@ -27,7 +48,14 @@ export const TransactionIcon = ({ type }) => {
  */
 export const TransactionAmount = ({ amount, type }) => {
     const isPositive = amount > 0;
-    const colorClass = isPositive ? 'text-green-600' : 'text-red-500';
+    const isPendingMovement = type === TRANSACTION_TYPE.HOLD || type === TRANSACTION_TYPE.RELEASE;
+    const isJarMovement = type === TRANSACTION_TYPE.JAR_ALLOCATE || type === TRANSACTION_TYPE.JAR_TRANSFER;
+    const isLoanMovement = type === TRANSACTION_TYPE.LOAN_ADVANCE || type === TRANSACTION_TYPE.LOAN_REPAYMENT;
+    const colorClass = isPendingMovement
+        ? 'text-yellow-600'
+        : isJarMovement ? 'text-blue-500'
+        : isLoanMovement ? 'text-orange-500'
+        : isPositive ? 'text-green-600' : 'text-red-500';
 
     return (
         <span className={`font-bold ${colorClass}`}>
@@ -67,16 +95,24 @@ export const TransactionStatus = ({ status }) => {
 
 /**
  * Single Transaction Item
+ * Reversed entries are struck through; pass onReverse to offer a Reverse button.
+ * Transfers show the other family member's avatar when counterparty is given.
  */
-export const TransactionItem = ({ transaction, showStatus = true }) => {
+export const TransactionItem = ({ transaction, showStatus = true, isReversed = false, onReverse, counterparty }) => {
     const { type, amount, description, date, status, completionCount } = transaction;
 
     return (
-        <div className="flex items-center gap-4 p-4 bg-white rounded-xl border border-gray-100 hover:shadow-sm transition-shadow">
-            <TransactionIcon type={type} />
+        <div className={`flex items-center gap-4 p-4 bg-white rounded-xl border border-gray-100 hover:shadow-sm transition-shadow ${
+            isReversed ? 'opacity-60' : ''
+        }`}>
+            {counterparty ? (
+                <span className="text-2xl" title={counterparty.name}>{counterparty.avatar}</span>
+            ) : (
+                <TransactionIcon type={type} />
+            )}
 
             <div className="flex-1 min-w-0">
-                <div className="font-semibold text-gray-800 truncate">
+                <div className={`font-semibold text-gray-800 truncate ${isReversed ? 'line-through' : ''}`}>
                     {description}
                     {completionCount && completionCount > 1 && (
                         <span className="text-purple-600 ml-1">({completionCount}×)</span>
@@ -84,16 +120,37 @@ export const TransactionItem = ({ transaction, showStatus = true }) => {
                 </div>
                 <div className="text-sm text-gray-500">
                     {formatDate(date, 'datetime')}
+                    {type === TRANSACTION_TYPE.FINE && transaction.fineCents > -amount && (
+                        <span className="ml-1">· reduced from {formatCents(transaction.fineCents)} by balance floor</span>
+                    )}
+                    {type === TRANSACTION_TYPE.REDEEM && transaction.category && (
+                        <span className="ml-1">· {getSpendingCategory(transaction).icon} {getSpendingCategory(transaction).label}</span>
+                    )}
+                    {type === TRANSACTION_TYPE.REVERSAL && transaction.reason && (
+                        <span className="ml-1">· {transaction.reason}</span>
+                    )}
                 </div>
             </div>
 
             <div className="text-right">
                 <TransactionAmount amount={amount} type={type} />
-                {showStatus && status !== APPROVAL_STATUS.APPROVED && (
+                {isReversed ? (
+                    <div className="mt-1">
+                        <span className="text-xs px-2 py-1 rounded-full bg-gray-100 text-gray-600">Reversed</span>
+                    </div>
+                ) : showStatus && status !== APPROVAL_STATUS.APPROVED && (
                     <div className="mt-1">
                         <TransactionStatus status={status} />
                     </div>
                 )}
+                {onReverse && !isReversed && (
+                    <button
+                        onClick={() => onReverse(transaction)}
+                        className="mt-1 text-xs text-purple-600 font-semibold hover:text-purple-700"
+                    >
+                        Reverse
+                    </button>
+                )}
             </div>
         </div>
     );
@@ -124,7 +181,12 @@ export const TransactionFilterTabs = ({ activeFilter, onFilterChange }) => {
     const filters = [
         { key: 'all', label: 'All' },
         { key: TRANSACTION_TYPE.EARN, label: '💵 Earned' },
-        { key: TRANSACTION_TYPE.REDEEM, label: '🛒 Spent' }
+        { key: TRANSACTION_TYPE.REDEEM, label: '🛒 Spent' },
+        { key: 'goals', label: '🎯 Goals' },
+        { key: 'jars', label: '🫙 Jars' },
+        { key: TRANSACTION_TYPE.FINE, label: '🚫 Fines' },
+        { key: 'loans', label: '🤝 Loans' },
+        { key: 'transfers', label: '🔁 Transfers' }
     ];
 
     return (
@@ -146,19 +208,43 @@ export const TransactionFilterTabs = ({ activeFilter, onFilterChange }) => {
     );
 };
 
+/**
+ * Per-jar balances (Spend / Save / Give)
+ */
+export const JarBalances = ({ jarBalances }) => {
+    return (
+        <div className="grid grid-cols-3 gap-2">
+            {[JAR.SPEND, JAR.SAVE, JAR.GIVE].map(jar => (
+                <div key={jar} className="bg-white/20 rounded-xl p-3 text-center">
+                    <div className="text-white/80 text-xs">{JAR_INFO[jar].icon} {JAR_INFO[jar].label}</div>
+                    <div className="text-lg font-bold">{formatCents(jarBalances[jar] || 0)}</div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
 /**
  * Transaction Summary Card
+ * Pass jarBalances to show Spend/Save/Give balances (when the child uses jars).
  */
 export const TransactionSummaryCard = ({
     totalEarned,
     totalSpent,
     currentBalance,
-    pendingBalance
+    pendingBalance,
+    jarBalances
 }) => {
     return (
         <div className="bg-gradient-to-br from-purple-500 to-pink-500 rounded-2xl p-6 text-white mb-6">
             <h3 className="text-lg font-semibold mb-4">💰 Balance Overview</h3>
 
+            {jarBalances && (
+                <div className="mb-4">
+                    <JarBalances jarBalances={jarBalances} />
+                </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4">
                 <div className="bg-white/20 rounded-xl p-4">
                     <div className="text-white/80 text-sm">Available</div>
@@ -192,18 +278,42 @@ export const TransactionSummaryCard = ({
 
 /**
  * Full Transaction History Component
+ * Pass canReverse and onReverse to let a parent reverse entries, and users to show
+ * who was on the other side of a transfer.
  */
 export const TransactionHistory = ({
     transactions,
     currentBalance,
     pendingBalance,
-    showSummary = true
+    jarBalances,
+    showSummary = true,
+    canReverse,
+    onReverse,
+    users = []
 }) => {
     const [filter, setFilter] = useState('all');
 
+    const reversedIds = useMemo(() => getReversedIds(transactions), [transactions]);
+
     // Filter transactions
     const filteredTransactions = useMemo(() => {
         if (filter === 'all') return transactions;
+        if (filter === 'goals') {
+            return transactions.filter(t =>
+                t.type === TRANSACTION_TYPE.GOAL_DEPOSIT || t.type === TRANSACTION_TYPE.GOAL_WITHDRAW
+            );
+        }
+        if (filter === 'loans') {
+            return transactions.filter(t => t.loanId);
+        }
+        if (filter === 'transfers') {
+            return transactions.filter(t => t.transferId);
+        }
+        if (filter === 'jars') {
+            return transactions.filter(t =>
+                t.type === TRANSACTION_TYPE.JAR_ALLOCATE || t.type === TRANSACTION_TYPE.JAR_TRANSFER
+            );
+        }
         return transactions.filter(t => t.type === filter);
     }, [transactions, filter]);
 
@@ -231,19 +341,24 @@ export const TransactionHistory = ({
                 groups[label] = { transactions: [], total: 0 };
             }
             groups[label].transactions.push(txn);
-            groups[label].total += txn.amount;
+            if (!isInternalMove(txn) && txn.type !== TRANSACTION_TYPE.REVERSAL && !reversedIds.has(txn.id)) {
+                groups[label].total += getCashEffect(txn);
+            }
         });
 
         return groups;
-    }, [filteredTransactions]);
+    }, [filteredTransactions, reversedIds]);
 
-    // Calculate totals
+    // Calculate totals (cash movements only - held earnings aren't earned yet,
+    // money set aside in a goal isn't spent, and reversed entries never happened)
     const { totalEarned, totalSpent } = useMemo(() => {
-        return transactions.reduce((acc, txn) => {
-            if (txn.amount > 0) {
-                acc.totalEarned += txn.amount;
+        return excludeReversed(transactions).reduce((acc, txn) => {
+            if (isInternalMove(txn)) return acc;
+            const cashEffect = getCashEffect(txn);
+            if (cashEffect > 0) {
+                acc.totalEarned += cashEffect;
             } else {
-                acc.totalSpent += Math.abs(txn.amount);
+                acc.totalSpent += Math.abs(cashEffect);
             }
             return acc;
         }, { totalEarned: 0, totalSpent: 0 });
@@ -258,6 +373,7 @@ export const TransactionHistory = ({
                     totalSpent={totalSpent}
                     currentBalance={currentBalance}
                     pendingBalance={pendingBalance}
+                    jarBalances={jarBalances}
                 />
             )}
 
@@ -283,7 +399,13 @@ export const TransactionHistory = ({
                             />
                             <div className="space-y-2">
                                 {group.transactions.map(txn => (
-                                    <TransactionItem key={txn.id} transaction={txn} />
+                                    <TransactionItem
+                                        key={txn.id}
+                                        transaction={txn}
+                                        isReversed={reversedIds.has(txn.id)}
+                                        onReverse={onReverse && canReverse?.(txn).canReverse ? onReverse : undefined}
+                                        counterparty={users.find(u => u.id === txn.counterpartyId)}
+                                    />
                                 ))}
                             </div>
                         </div>
@@ -300,9 +422,11 @@ export const TransactionHistory = ({
 export const RecentTransactions = ({
     transactions,
     limit = 5,
-    onViewAll
+    onViewAll,
+    users = []
 }) => {
     const recent = transactions.slice(0, limit);
+    const reversedIds = useMemo(() => getReversedIds(transactions), [transactions]);
 
     return (
         <div className="bg-white rounded-2xl p-6 shadow-lg">
@@ -323,7 +447,13 @@ export const RecentTransactions = ({
             ) : (
                 <div className="space-y-2">
                     {recent.map(txn => (
-                        <TransactionItem key={txn.id} transaction={txn} showStatus={false} />
+                        <TransactionItem
+                            key={txn.id}
+                            transaction={txn}
+                            showStatus={false}
+                            isReversed={reversedIds.has(txn.id)}
+                            counterparty={users.find(u => u.id === txn.counterpartyId)}
+                        />
                     ))}
                 </div>
             )}
@@ -331,6 +461,89 @@ export const RecentTransactions = ({
     );
 };
 
+/**
+ * Describe what reversing an entry undoes besides the money
+ * @param {Object} transaction - Entry being reversed
+ * @returns {string | null}
+ */
+const describeReversalEffect = (transaction) => {
+    if (transaction.type === TRANSACTION_TYPE.EARN && transaction.jobId) {
+        return 'The job completion will be marked as rejected.';
+    }
+    if (transaction.orderId) return 'The item goes back in stock.';
+    if (transaction.type === TRANSACTION_TYPE.GEM_EXCHANGE) {
+        return `${transaction.gemsExchanged} gems are returned.`;
+    }
+    if (transaction.type === TRANSACTION_TYPE.LOAN_ADVANCE) return 'The loan is cancelled.';
+    return null;
+};
+
+/**
+ * Reverse Transaction Modal (parent)
+ * Confirms a reversal and records why it was made.
+ */
+export const ReverseTransactionModal = ({ transaction, user, onReverse, onClose }) => {
+    const [reason, setReason] = useState('');
+
+    const cashAfter = (user?.cashBalance || 0) - getCashEffect(transaction);
+    const effect = describeReversalEffect(transaction);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">⏪ Reverse Transaction</h2>
+
+                <div className="bg-slate-900/50 rounded-lg p-3 flex items-center justify-between">
+                    <div>
+                        <div className="font-semibold text-slate-100">{transaction.description}</div>
+                        <div className="text-xs text-slate-500">{formatDate(transaction.date, 'datetime')}</div>
+                    </div>
+                    <span className={`font-bold ${transaction.amount >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {transaction.amount >= 0 ? '+' : ''}{formatCents(transaction.amount)}
+                    </span>
+                </div>
+
+                <div className="mt-4 space-y-2 text-sm text-slate-300">
+                    <p>A matching entry cancels this one out. Loan repayments and jar splits taken from it are reversed too.</p>
+                    {effect && <p>{effect}</p>}
+                    {cashAfter < 0 && (
+                        <p className="text-amber-400">
+                            {user.name} will be left with {formatCents(cashAfter)}.
+                        </p>
+                    )}
+                </div>
+
+                <div className="mt-4">
+                    <label className="block text-sm font-medium text-slate-300 mb-1">Reason</label>
+                    <input
+                        type="text"
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                        placeholder="e.g., Credited to the wrong child"
+                    />
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onReverse(reason.trim())}
+                        disabled={!reason.trim()}
+                        className="flex-1 py-3 bg-red-600 hover:bg-red-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Reverse
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
 export default {
     TransactionIcon,
     TransactionAmount,
@@ -338,7 +551,9 @@ export default {
     TransactionItem,
     TransactionGroupHeader,
     TransactionFilterTabs,
+    JarBalances,
     TransactionSummaryCard,
     TransactionHistory,
-    RecentTransactions
+    RecentTransactions,
+    ReverseTransactionModal
 };
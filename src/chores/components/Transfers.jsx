@@ -0,0 +1,231 @@
+/**
+ * Transfer Components
+ *
+ * Components for money sent between family members: the send-money modal,
+ * pending transfers awaiting a parent and the parent approval-rule editor.
+ */
+
+import React, { useState } from 'react';
+import { USER_ROLE } from '../schema.js';
+import { formatCents, getCurrencySymbol } from '../utils/currency.js';
+import { canTransfer, requiresTransferApproval } from '../utils/transfers.js';
+import { MoneyInput } from './Currency.jsx';
+
+/**
+ * Send Money Modal
+ * The sender picks who to pay, how much and what it's for.
+ */
+export const TransferModal = ({ fromUser, users, settings, onSend, onClose }) => {
+    const recipients = users.filter(u => u.id !== fromUser.id);
+    const [form, setForm] = useState({
+        toUserId: recipients[0]?.id || null,
+        amount: 0,
+        note: ''
+    });
+
+    const toUser = recipients.find(u => u.id === form.toUserId);
+    const { canTransfer: isValid, reason } = canTransfer(fromUser, toUser, form.amount);
+    const needsApproval = requiresTransferApproval(form.amount, settings) && fromUser.role !== USER_ROLE.PARENT;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-1">🔁 Send Money</h2>
+                <p className="text-sm text-slate-400 mb-4">
+                    {fromUser.name} has {formatCents(fromUser.cashBalance || 0)} to spend
+                </p>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Send to</label>
+                        <div className="flex flex-wrap gap-2">
+                            {recipients.map(user => (
+                                <button
+                                    key={user.id}
+                                    type="button"
+                                    onClick={() => setForm({ ...form, toUserId: user.id })}
+                                    className={`px-3 py-2 rounded-lg flex items-center gap-2 font-semibold transition-all ${
+                                        form.toUserId === user.id
+                                            ? 'bg-violet-600 text-white'
+                                            : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                                    }`}
+                                >
+                                    <span className="text-xl">{user.avatar}</span>
+                                    {user.name}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Amount ({getCurrencySymbol()})</label>
+                        <MoneyInput
+                            valueCents={form.amount}
+                            onChange={(amount) => setForm({ ...form, amount })}
+                            emptyWhenZero
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">What's it for?</label>
+                        <input
+                            type="text"
+                            value={form.note}
+                            onChange={(e) => setForm({ ...form, note: e.target.value })}
+                            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100 focus:ring-2 focus:ring-violet-500"
+                            placeholder="e.g., Swapped dish duty"
+                        />
+                    </div>
+
+                    {form.amount > 0 && !isValid && (
+                        <p className="text-sm text-red-400">{reason}</p>
+                    )}
+                    {isValid && needsApproval && (
+                        <p className="text-sm text-amber-400">
+                            A parent needs to approve transfers over {formatCents(settings.thresholdCents)}.
+                        </p>
+                    )}
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onSend(form.toUserId, form.amount, form.note.trim())}
+                        disabled={!isValid}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {needsApproval ? 'Ask to Send' : 'Send'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Pending Transfers List
+ * Transfers waiting for a parent; pass onApprove/onReject to show review buttons.
+ */
+export const PendingTransfersList = ({ transfers, users, onApprove, onReject }) => {
+    if (transfers.length === 0) return null;
+
+    return (
+        <div className="space-y-2">
+            {transfers.map(transfer => {
+                const fromUser = users.find(u => u.id === transfer.fromUserId);
+                const toUser = users.find(u => u.id === transfer.toUserId);
+                const canAfford = (fromUser?.cashBalance || 0) >= transfer.amount;
+
+                return (
+                    <div key={transfer.id} className="bg-slate-700/50 rounded-xl p-4 border border-slate-600">
+                        <div className="flex items-center gap-3 mb-3">
+                            <span className="text-2xl">{fromUser?.avatar}</span>
+                            <span className="text-slate-400">→</span>
+                            <span className="text-2xl">{toUser?.avatar}</span>
+                            <div className="flex-1">
+                                <div className="font-semibold text-slate-100">
+                                    {fromUser?.name} to {toUser?.name}
+                                </div>
+                                <div className="text-sm text-slate-400">
+                                    <span className="text-emerald-400">{formatCents(transfer.amount)}</span>
+                                    {transfer.note && ` • ${transfer.note}`}
+                                    {!canAfford && <span className="text-amber-400"> • not enough money</span>}
+                                </div>
+                            </div>
+                        </div>
+                        {onApprove && onReject && (
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => onApprove(transfer.id)}
+                                    disabled={!canAfford}
+                                    className="flex-1 py-2 bg-emerald-600 hover:bg-emerald-500 text-white rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    ✓ Approve
+                                </button>
+                                <button
+                                    onClick={() => onReject(transfer.id)}
+                                    className="flex-1 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg font-semibold"
+                                >
+                                    ✕ Reject
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+/**
+ * Transfer Settings Modal (parent)
+ */
+export const TransferSettingsModal = ({ settings, onSave, onClose }) => {
+    const [form, setForm] = useState({
+        requireApproval: settings.requireApproval,
+        thresholdCents: settings.thresholdCents
+    });
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content bg-slate-800 border border-slate-700" onClick={e => e.stopPropagation()}>
+                <h2 className="text-xl font-bold text-slate-100 mb-4">🔁 Transfer Rules</h2>
+
+                <div className="bg-slate-900/50 rounded-lg p-3 space-y-3">
+                    <label className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-slate-300">Large transfers need a parent</span>
+                        <input
+                            type="checkbox"
+                            checked={form.requireApproval}
+                            onChange={(e) => setForm({ ...form, requireApproval: e.target.checked })}
+                            className="w-5 h-5 accent-violet-500"
+                        />
+                    </label>
+
+                    {form.requireApproval && (
+                        <div>
+                            <label className="block text-xs text-slate-400 mb-1">
+                                Approve transfers over ({getCurrencySymbol()})
+                            </label>
+                            <MoneyInput
+                                valueCents={form.thresholdCents}
+                                onChange={(thresholdCents) => setForm({ ...form, thresholdCents })}
+                                className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-slate-100"
+                            />
+                            <p className="text-xs text-slate-500 mt-1">
+                                Set to {formatCents(0)} to approve every transfer.
+                            </p>
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-3 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-xl font-semibold"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onSave(form)}
+                        className="flex-1 py-3 bg-violet-600 hover:bg-violet-500 text-white rounded-xl font-semibold"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default {
+    TransferModal,
+    PendingTransfersList,
+    TransferSettingsModal
+};
@@ -16,5 +16,28 @@ export * from './PatternLock.jsx';
 export * from './UserProfile.jsx';
 export * from './JobCard.jsx';
 export * from './JobEditor.jsx';
+export * from './EarningCaps.jsx';
 export * from './TransactionHistory.jsx';
+export * from './Statements.jsx';
+export * from './LedgerExport.jsx';
 export * from './MoneyAnimation.jsx';
+export * from './Currency.jsx';
+export * from './SavingsGoals.jsx';
+export * from './Interest.jsx';
+export * from './Jars.jsx';
+export * from './Allowance.jsx';
+export * from './Fines.jsx';
+export * from './Loans.jsx';
+export * from './Gems.jsx';
+export * from './Transfers.jsx';
+export * from './RewardStore.jsx';
+export * from './Spending.jsx';
+export * from './Dashboard.jsx';
+export * from './AutoApproval.jsx';
+export * from './CompletionReview.jsx';
+export * from './Quality.jsx';
+export * from './Redo.jsx';
+export * from './Photos.jsx';
+export * from './Bounties.jsx';
+export * from './Auctions.jsx';
+export * from './Schedule.jsx';
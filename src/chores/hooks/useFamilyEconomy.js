@@ -5,11 +5,35 @@
  * - User profiles and switching
  * - Jobs with cash rewards
  * - Enhanced chores with daily/weekly recurrence
- * - Transactions and balance tracking
+ * - Transactions and balance tracking (balances derived from the ledger)
+ * - Parent reversals of mistaken transactions
+ * - Money transfers between family members, with optional approval
+ * - Savings goals with earmarked funds
+ * - Weekly interest on savings
+ * - Spend / Save / Give jars
+ * - Reward store with stock, weekly limits and optional approval
+ * - Scheduled allowances with optional chore conditions and catch-up
+ * - Fines for chores and jobs left incomplete at period end
+ * - Parent advances (loans) repaid automatically from job earnings
+ * - Chore gems with streak bonuses and an optional gem-to-cash exchange
+ * - Family currency and locale for money formatting
+ * - Daily/weekly earning caps per child and per job
+ * - Monthly statements per child
+ * - Ledger export to CSV and OFX
+ * - Spending categories with per-period breakdowns
+ * - Earnings dashboard series over time
+ * - Auto-approval of pending job completions by age or amount
+ * - Per-completion review with adjusted counts or partial pay
+ * - Quality ratings on approval with bonus multipliers
+ * - Rejection reasons and redos
+ * - Photo proof on job completions, stored in IndexedDB
+ * - Bounty board for claiming library jobs
+ * - Job auctions where children bid down the price
+ * - Due times and availability windows with early-bird bonuses and late penalties
  * - Lock/unlock logic
  */
 
-import { useState, useCallback, useEffect, useMemo } from 'react';
+import { useState, useCallback, useEffect, useLayoutEffect, useMemo } from 'react';
 import {
     RECURRENCE_TYPE,
     USER_ROLE,
@@ -18,12 +42,30 @@ import {
     createDefaultUser,
     createDefaultJob,
     createDefaultChore,
-    createTransaction,
+    createLedgerEntry,
+    createSavingsGoal,
+    createDefaultInterestSettings,
+    createDefaultJarSettings,
+    createDefaultAllowanceSettings,
+    createDefaultGemExchangeSettings,
+    createDefaultTransferSettings,
+    createDefaultAutoApprovalPolicy,
+    createDefaultQualityBonusSettings,
+    createGemEntry,
+    createTransfer,
+    createAuction,
+    createRedemptionItem,
+    createLoan,
+    createStoreOrder,
     createChoreTemplate,
     createJobTemplate,
     createDefaultFamilyState,
+    GEM_ENTRY_TYPE,
+    AUCTION_STATUS,
+    AUTO_APPROVER,
     FAMILY_STORAGE_KEY,
-    DEFAULT_WEEKLY_RESET_DAY
+    DEFAULT_WEEKLY_RESET_DAY,
+    DEFAULT_PHOTO_RETENTION_DAYS
 } from '../schema.js';
 import {
     needsReset,
@@ -36,13 +78,99 @@ import {
     getUnlockProgress,
     getCurrentPeriodCompletions,
     canCompleteJob,
-    completeJob,
+    createCompletionEvent,
+    getCompletionPayment,
+    approveCompletion,
+    rejectCompletion,
     approveAllCompletions,
     resetJob,
+    isOneOffSettled,
     updateJobLockStatus,
+    createJob,
     getJobsNeedingApproval
 } from '../utils/jobHelpers.js';
-import { addCents, subtractCents } from '../utils/currency.js';
+import {
+    applyBalances,
+    getOwnedBalance,
+    describeJobEarning,
+    createHoldEntry,
+    createApprovedEarnEntry,
+    createReleaseEntry,
+    createUnpaidReleaseEntry,
+    reconcileLedger
+} from '../utils/ledger.js';
+import { canReverseTransaction, createReversalEntries } from '../utils/reversals.js';
+import { getEarningBudget } from '../utils/earningCaps.js';
+import { getStatementMonths, buildMonthlyStatement } from '../utils/statements.js';
+import { createLedgerExport } from '../utils/ledgerExport.js';
+import { getSpendingBreakdown } from '../utils/spending.js';
+import { getDashboardSeries } from '../utils/dashboard.js';
+import { AUTO_APPROVAL_CHECK_INTERVAL_MS, getAutoApprovalPolicy, getDueAutoApprovals } from '../utils/autoApproval.js';
+import { normalizeRating, withQualityBonus, getQualityByJob } from '../utils/quality.js';
+import { markChoreForRedo, resubmitChore } from '../utils/redo.js';
+import { savePhoto, prunePhotos } from '../utils/photos.js';
+import { checkSchedule, getCompletionTiming, applyTimingPercent } from '../utils/schedule.js';
+import {
+    BOUNTY_CHECK_INTERVAL_MS,
+    getOpenBounties,
+    getBountyClaims,
+    canClaimBounty,
+    createClaimedJob,
+    completeClaim,
+    reopenClaim,
+    isClaimExpired,
+    releaseClaim,
+    getReleasedClaims,
+    isClaimSettled
+} from '../utils/bounties.js';
+import {
+    AUCTION_CHECK_INTERVAL_MS,
+    getOpenAuctions,
+    isAuctionDue,
+    canPlaceBid,
+    addAuctionBid,
+    closeAuction,
+    markAuctionCancelled,
+    createAuctionJob
+} from '../utils/auctions.js';
+import { requiresTransferApproval, canTransfer, createTransferEntries } from '../utils/transfers.js';
+import {
+    getGoalProgress,
+    projectGoalCompletion,
+    createGoalDepositEntry,
+    createGoalWithdrawEntry
+} from '../utils/savingsGoals.js';
+import { accrueInterest, projectInterestGrowth } from '../utils/interest.js';
+import {
+    accrueAllowance,
+    isAllowanceConditionMet,
+    isAllowanceEarnedThisPeriod,
+    recordConditionMet,
+    getNextAllowanceDate
+} from '../utils/allowance.js';
+import { assessFines } from '../utils/fines.js';
+import { isValidJarSplit, createJarTransferEntry } from '../utils/jars.js';
+import {
+    getLoanStatus,
+    getLoanSchedule,
+    createLoanAdvanceEntry,
+    withLoanRepayment
+} from '../utils/loans.js';
+import {
+    canPurchaseItem,
+    getAvailableStock,
+    getWeeklyPurchaseCount,
+    createStoreRedeemEntry
+} from '../utils/store.js';
+import { setCurrencyConfig, getCurrencyConfig } from '../utils/currency.js';
+import { calculateStreakBonus } from '../utils/choreHelpers.js';
+import {
+    applyGemBalances,
+    getUserGemHistory,
+    createChoreGemEntry,
+    getExchangeQuote,
+    createGemExchange
+} from '../utils/gems.js';
 
 /**
  * Main family economy hook
@@ -57,7 +185,8 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
     // Initialize from saved state or defaults
     const initialState = savedState || createDefaultFamilyState();
 
-    const [users, setUsers] = useState(initialState.users || []);
+    // Profiles hold everything except balances, which are derived from the ledger
+    const [userProfiles, setUserProfiles] = useState(initialState.users || []);
     const [activeUserId, setActiveUserId] = useState(initialState.activeUserId);
     const [jobs, setJobs] = useState(initialState.jobs || []);
     const [chores, setChores] = useState(initialState.chores || []);
@@ -65,10 +194,17 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
     const [jobTemplates, setJobTemplates] = useState(initialState.jobTemplates || []);
     const [transactions, setTransactions] = useState(initialState.transactions || []);
     const [redemptionItems, setRedemptionItems] = useState(initialState.redemptionItems || []);
+    const [storeOrders, setStoreOrders] = useState(initialState.storeOrders || []);
+    const [savingsGoals, setSavingsGoals] = useState(initialState.savingsGoals || []);
+    const [loans, setLoans] = useState(initialState.loans || []);
+    const [gemHistory, setGemHistory] = useState(initialState.gemHistory || []);
+    const [transfers, setTransfers] = useState(initialState.transfers || []);
+    const [auctions, setAuctions] = useState(initialState.auctions || []);
     const [parentPassword, setParentPassword] = useState(initialState.parentPassword);
     const [settings, setSettings] = useState(initialState.settings || {
         weeklyResetDay: DEFAULT_WEEKLY_RESET_DAY,
         currency: 'USD',
+        locale: null,
         requireApprovalForJobs: true,
         requireApprovalForChores: true
     });
@@ -80,6 +216,11 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
 
     // ========== COMPUTED VALUES ==========
 
+    // Users with ledger-derived balances and gem balances
+    const users = useMemo(() => {
+        return applyGemBalances(applyBalances(userProfiles, transactions), gemHistory);
+    }, [userProfiles, transactions, gemHistory]);
+
     // Active user
     const activeUser = useMemo(() => {
         return users.find(u => u.id === activeUserId) || null;
@@ -114,6 +255,44 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
             .sort((a, b) => new Date(b.date) - new Date(a.date));
     }, [transactions, activeUserId]);
 
+    // Active user's savings goals
+    const activeUserGoals = useMemo(() => {
+        if (!activeUserId) return [];
+        return savingsGoals.filter(g => g.userId === activeUserId);
+    }, [savingsGoals, activeUserId]);
+
+    // Active user's loans (reversed advances are dropped)
+    const activeUserLoans = useMemo(() => {
+        if (!activeUserId) return [];
+        return loans.filter(l => l.userId === activeUserId && !l.cancelledAt);
+    }, [loans, activeUserId]);
+
+    // Active user's gem history, newest first
+    const activeUserGemHistory = useMemo(() => {
+        if (!activeUserId) return [];
+        return getUserGemHistory(gemHistory, activeUserId);
+    }, [gemHistory, activeUserId]);
+
+    // Store items children can see
+    const activeRedemptionItems = useMemo(() => {
+        return redemptionItems.filter(item => item.isActive);
+    }, [redemptionItems]);
+
+    // Store orders needing approval (for parents)
+    const storeOrdersNeedingApproval = useMemo(() => {
+        return storeOrders.filter(o => o.status === APPROVAL_STATUS.PENDING);
+    }, [storeOrders]);
+
+    // Transfers needing approval (for parents)
+    const transfersNeedingApproval = useMemo(() => {
+        return transfers.filter(t => t.status === APPROVAL_STATUS.PENDING);
+    }, [transfers]);
+
+    // Auctions still taking bids
+    const openAuctions = useMemo(() => {
+        return getOpenAuctions(auctions);
+    }, [auctions]);
+
     // Jobs needing approval (for parents)
     const jobsNeedingApproval = useMemo(() => {
         return getJobsNeedingApproval(jobs);
@@ -122,6 +301,48 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
     // Weekly reset day from settings
     const weeklyResetDay = settings.weeklyResetDay || DEFAULT_WEEKLY_RESET_DAY;
 
+    // Gem exchange rate, with defaults for families saved before it existed
+    const gemExchange = useMemo(() => ({
+        ...createDefaultGemExchangeSettings(),
+        ...settings.gemExchange
+    }), [settings.gemExchange]);
+
+    // Transfer approval rule, with defaults for families saved before it existed
+    const transferSettings = useMemo(() => ({
+        ...createDefaultTransferSettings(),
+        ...settings.transfers
+    }), [settings.transfers]);
+
+    // Family auto-approval policy, with defaults for families saved before it existed
+    const autoApprovalPolicy = useMemo(() => ({
+        ...createDefaultAutoApprovalPolicy(),
+        ...settings.autoApproval
+    }), [settings.autoApproval]);
+
+    // Quality bonus per star rating, with defaults for families saved before it existed
+    const qualityBonusSettings = useMemo(() => ({
+        ...createDefaultQualityBonusSettings(),
+        ...settings.qualityBonus
+    }), [settings.qualityBonus]);
+
+    const photoRetentionDays = settings.photoRetentionDays ?? DEFAULT_PHOTO_RETENTION_DAYS;
+
+    // Bumped when the currency config changes outside updateCurrencySettings (e.g. a loaded save),
+    // so everything formatted with the old one renders again
+    const [, setCurrencyRevision] = useState(0);
+
+    // ========== CURRENCY EFFECT ==========
+
+    // Money formatting follows the family's currency; applied before paint so nothing shows the old one
+    useLayoutEffect(() => {
+        const previous = getCurrencyConfig();
+        setCurrencyConfig({ currency: settings.currency, locale: settings.locale });
+        const current = getCurrencyConfig();
+        if (current.currency !== previous.currency || current.locale !== previous.locale) {
+            setCurrencyRevision(revision => revision + 1);
+        }
+    }, [settings.currency, settings.locale]);
+
     // ========== DAILY/WEEKLY RESET EFFECT ==========
 
     useEffect(() => {
@@ -137,6 +358,8 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
                         completed: false,
                         pendingApproval: false,
                         completedAt: null,
+                        rejection: null,
+                        redoOf: null,
                         lastReset: today
                     };
                 }
@@ -144,18 +367,19 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
             })
         );
 
-        // Reset jobs that need it
+        // Reset jobs that need it; finished bounty claims are cleared, reopening the
+        // bounty, and finished one-off jobs are removed
         setJobs(prevJobs =>
-            prevJobs.map(job => {
+            prevJobs.flatMap(job => {
                 if (needsReset(job.lastReset, job.recurrence, weeklyResetDay)) {
-                    return resetJob(job);
+                    return isClaimSettled(job) || isOneOffSettled(job) ? [] : [resetJob(job)];
                 }
-                return job;
+                return [job];
             })
         );
 
         // Update streaks for users
-        setUsers(prevUsers =>
+        setUserProfiles(prevUsers =>
             prevUsers.map(user => {
                 if (user.lastActiveDate && isYesterday(user.lastActiveDate)) {
                     // Streak continues
@@ -167,6 +391,31 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
                 return user;
             })
         );
+
+        // Pay allowances, charge fines for chores and jobs missed in the period that
+        // just ended, then pay interest. Computed from the latest ledger so a repeated
+        // run adds nothing. Allowances go first so fines can draw on them and so a
+        // week's allowance earns interest like any other deposit that week.
+        setTransactions(prevTransactions => {
+            const allowanceEntries = userProfiles.flatMap(user =>
+                accrueAllowance(prevTransactions, user, weeklyResetDay)
+            );
+            const withAllowances = [...prevTransactions, ...allowanceEntries];
+            const fineEntries = assessFines({
+                transactions: withAllowances,
+                users: userProfiles,
+                chores,
+                jobs,
+                resetDay: weeklyResetDay
+            });
+            const withFines = [...withAllowances, ...fineEntries];
+            const interestEntries = userProfiles.flatMap(user =>
+                accrueInterest(withFines, user, weeklyResetDay)
+            );
+            return withFines.length > prevTransactions.length || interestEntries.length > 0
+                ? [...withFines, ...interestEntries]
+                : prevTransactions;
+        });
     }, [weeklyResetDay]);
 
     // Update job lock status when chores change
@@ -176,6 +425,26 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         );
     }, [chores, weeklyResetDay]);
 
+    // Record each period a child meets their allowance condition in, since chores are
+    // cleared on reset before the allowance for that period is paid
+    useEffect(() => {
+        const now = new Date();
+        setUserProfiles(prevUsers => {
+            let changed = false;
+            const nextUsers = prevUsers.map(user => {
+                const allowance = user.allowance;
+                if (!allowance?.enabled || !allowance.condition) return user;
+
+                if (isAllowanceEarnedThisPeriod(allowance, weeklyResetDay, now)) return user;
+                if (!isAllowanceConditionMet(user, chores, weeklyResetDay)) return user;
+
+                changed = true;
+                return { ...user, allowance: recordConditionMet(allowance, weeklyResetDay, now) };
+            });
+            return changed ? nextUsers : prevUsers;
+        });
+    }, [chores, weeklyResetDay]);
+
     // ========== USER ACTIONS ==========
 
     /**
@@ -187,7 +456,7 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
             ...userData
         };
 
-        setUsers(prev => [...prev, newUser]);
+        setUserProfiles(prev => [...prev, newUser]);
 
         // If there's no active user, make this user active
         // Or if this is the first child, make them active
@@ -201,26 +470,100 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
 
     /**
      * Update a user
+     * Balances are derived from the ledger, so they are ignored here.
      */
     const updateUser = useCallback((userId, updates) => {
-        setUsers(prev =>
+        const { cashBalance, pendingBalance, goalBalance, jarBalances, loanBalance, gemBalance, ...profileUpdates } = updates;
+        setUserProfiles(prev =>
             prev.map(user =>
-                user.id === userId ? { ...user, ...updates } : user
+                user.id === userId ? { ...user, ...profileUpdates } : user
             )
         );
         soundSystem?.buttonClick?.();
     }, [soundSystem]);
 
+    /**
+     * Update a child's interest settings
+     * Switching interest on starts the clock, so no interest is paid for earlier weeks.
+     */
+    const updateInterestSettings = useCallback((userId, interestSettings) => {
+        setUserProfiles(prev =>
+            prev.map(user => {
+                if (user.id !== userId) return user;
+
+                const wasEnabled = !!user.interest?.enabled;
+                const startedAt = interestSettings.enabled && !wasEnabled
+                    ? new Date().toISOString()
+                    : user.interest?.startedAt || null;
+
+                return {
+                    ...user,
+                    interest: { ...createDefaultInterestSettings(), ...interestSettings, startedAt }
+                };
+            })
+        );
+    }, []);
+
+    /**
+     * Update a child's allowance settings
+     * Switching the allowance on starts the clock, so nothing is paid for earlier periods.
+     */
+    const updateAllowanceSettings = useCallback((userId, allowanceSettings) => {
+        setUserProfiles(prev =>
+            prev.map(user => {
+                if (user.id !== userId) return user;
+
+                const wasEnabled = !!user.allowance?.enabled;
+                const startedAt = allowanceSettings.enabled && !wasEnabled
+                    ? new Date().toISOString()
+                    : user.allowance?.startedAt || null;
+
+                return {
+                    ...user,
+                    allowance: {
+                        ...createDefaultAllowanceSettings(),
+                        ...allowanceSettings,
+                        startedAt,
+                        conditionMetPeriods: user.allowance?.conditionMetPeriods || [],
+                        conditionMetAt: user.allowance?.conditionMetAt || null
+                    }
+                };
+            })
+        );
+    }, []);
+
+    /**
+     * Update a child's jar settings
+     * Invalid splits (not adding up to 100%) are ignored.
+     */
+    const updateJarSettings = useCallback((userId, jarSettings) => {
+        const merged = { ...createDefaultJarSettings(), ...jarSettings };
+        if (!isValidJarSplit(merged.split)) return false;
+
+        setUserProfiles(prev =>
+            prev.map(user =>
+                user.id === userId ? { ...user, jars: merged } : user
+            )
+        );
+        return true;
+    }, []);
+
     /**
      * Delete a user
      */
     const deleteUser = useCallback((userId) => {
-        setUsers(prev => prev.filter(u => u.id !== userId));
+        setUserProfiles(prev => prev.filter(u => u.id !== userId));
 
         // Also delete their chores, jobs, and transactions
         setChores(prev => prev.filter(c => c.userId !== userId));
         setJobs(prev => prev.filter(j => j.userId !== userId));
         setTransactions(prev => prev.filter(t => t.userId !== userId));
+        setSavingsGoals(prev => prev.filter(g => g.userId !== userId));
+        setStoreOrders(prev => prev.filter(o => o.userId !== userId));
+        setLoans(prev => prev.filter(l => l.userId !== userId));
+        setGemHistory(prev => prev.filter(e => e.userId !== userId));
+        setTransfers(prev => prev.filter(t => t.fromUserId !== userId && t.toUserId !== userId));
+        setAuctions(prev => prev.map(a => ({ ...a, bids: a.bids.filter(b => b.userId !== userId) })));
 
         // If deleting active user, switch to another
         if (activeUserId === userId) {
@@ -280,27 +623,28 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
 
     /**
      * Complete a chore
+     * @param {string} choreId
+     * @returns {{ success: boolean, reason?: string, requiresApproval?: boolean }}
      */
     const completeChore = useCallback((choreId) => {
         const chore = chores.find(c => c.id === choreId);
-        if (!chore || chore.completed) return;
+        if (!chore) return { success: false, reason: 'Chore not found' };
+        if (chore.completed) return { success: false, reason: 'Already done.' };
+
+        // Only inside the chore's availability window
+        const now = new Date();
+        const schedule = checkSchedule(chore.schedule, now);
+        if (!schedule.canComplete) {
+            soundSystem?.error?.();
+            return { success: false, reason: schedule.reason };
+        }
 
         // Parents don't need approval for their own completions
         const isParentCompleting = activeUser?.role === USER_ROLE.PARENT;
         const needsApproval = settings.requireApprovalForChores && !isParentCompleting;
 
-        setChores(prev =>
-            prev.map(c =>
-                c.id === choreId
-                    ? {
-                        ...c,
-                        completed: true,
-                        pendingApproval: needsApproval,
-                        completedAt: new Date().toISOString()
-                    }
-                    : c
-            )
-        );
+        // Streak including today, used to lock in this chore's gem bonus
+        let streak = activeUser?.currentStreak || 0;
 
         // Update user streak
         if (activeUser) {
@@ -310,6 +654,7 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
 
             if (isNewDay) {
                 const newStreak = wasYesterday ? activeUser.currentStreak + 1 : 1;
+                streak = newStreak;
                 updateUser(activeUser.id, {
                     currentStreak: newStreak,
                     longestStreak: Math.max(newStreak, activeUser.longestStreak || 0),
@@ -322,33 +667,59 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
             }
         }
 
+        // A redo goes back into the review queue carrying the rejection it answers.
+        // The early-bird bonus or late penalty is locked in like the streak bonus.
+        const { timing, percent } = getCompletionTiming(chore.schedule, now);
+        const completedChore = resubmitChore(chore, {
+            completed: true,
+            pendingApproval: needsApproval,
+            completedAt: now.toISOString(),
+            streakBonus: calculateStreakBonus(streak),
+            timing,
+            timingPercent: percent,
+            timingBonus: applyTimingPercent(chore.points || 0, percent) - (chore.points || 0)
+        });
+
+        setChores(prev => prev.map(c => c.id === choreId ? completedChore : c));
+
+        // Chores that skip approval earn their gems straight away
+        if (!needsApproval) {
+            const gemEntry = createChoreGemEntry(completedChore);
+            if (gemEntry) setGemHistory(prev => [...prev, gemEntry]);
+        }
+
         soundSystem?.taskComplete?.();
+        return { success: true, requiresApproval: needsApproval };
     }, [chores, activeUser, settings.requireApprovalForChores, updateUser, soundSystem]);
 
     /**
      * Approve a chore
+     * @param {string} choreId
+     * @param {string} approvedBy
+     * @param {number | null} rating - Quality rating (1-3 stars); earns bonus gems
      */
-    const approveChore = useCallback((choreId, approvedBy) => {
+    const approveChore = useCallback((choreId, approvedBy, rating = null) => {
         const chore = chores.find(c => c.id === choreId);
         if (!chore || !chore.pendingApproval) return;
 
+        const approvedChore = { ...chore, pendingApproval: false, rating: normalizeRating(rating), redoOf: null };
         setChores(prev =>
             prev.map(c =>
                 c.id === choreId
-                    ? { ...c, pendingApproval: false }
+                    ? approvedChore
                     : c
             )
         );
 
         // Award gems to user
         const user = users.find(u => u.id === chore.userId);
-        if (user) {
-            // For now, chores still award gems (not cash)
-            // This keeps the existing gem system intact
+        const gemEntry = user && createChoreGemEntry(approvedChore, qualityBonusSettings);
+        if (gemEntry) {
+            setGemHistory(prev => [...prev, gemEntry]);
         }
 
         soundSystem?.taskComplete?.();
-    }, [chores, users, soundSystem]);
+    }, [chores, users, qualityBonusSettings, soundSystem]);
 
     // ========== TEMPLATE ACTIONS ==========
 
@@ -400,6 +771,7 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
                 icon: template.icon,
                 points: template.points,
                 recurrence: template.recurrence,
+                fineCents: template.fineCents || 0,
                 templateId: template.id
             };
             createdChores.push(newChore);
@@ -463,6 +835,7 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
                 allowMultipleCompletions: template.allowMultipleCompletions,
                 maxCompletionsPerPeriod: template.maxCompletionsPerPeriod,
                 requiresApproval: template.requiresApproval,
+                fineCents: template.fineCents || 0,
                 templateId: template.id
             };
             // Set initial lock status
@@ -482,14 +855,7 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
      */
     const addJob = useCallback((jobData, userId = activeUserId, createdBy) => {
         // Allow null userId for library items (unassigned jobs)
-        const newJob = {
-            ...createDefaultJob(userId, createdBy),
-            ...jobData,
-            userId: userId || null  // Explicitly set to null if undefined
-        };
-
-        // Set initial lock status
-        const lockedJob = updateJobLockStatus(newJob, chores, weeklyResetDay);
+        const lockedJob = createJob(jobData, userId, createdBy, chores, weeklyResetDay);
         setJobs(prev => [...prev, lockedJob]);
 
         soundSystem?.buttonClick?.();
@@ -518,173 +884,428 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
 
     /**
      * Complete a job (with optional count for multi-completion)
+     * @param {string} jobId
+     * @param {number} count
+     * @param {Blob | null} photo - Downscaled photo proof (see downscaleImage); required by
+     *   jobs with requiresPhoto unless a parent is completing
+     * @returns {Promise<Object>} Resolves once the photo is stored; nothing is recorded if storing it fails
      */
-    const completeJobAction = useCallback((jobId, count = 1) => {
+    const completeJobAction = useCallback(async (jobId, count = 1, photo = null) => {
         const job = jobs.find(j => j.id === jobId);
         if (!job) return { success: false, reason: 'Job not found' };
 
-        const { canComplete, reason } = canCompleteJob(job, chores, weeklyResetDay);
+        // Parents don't need approval (or photo proof) for their own job completions
+        const isParentCompleting = activeUser?.role === USER_ROLE.PARENT;
+        if (job.requiresPhoto && !photo && !isParentCompleting) {
+            return { success: false, reason: 'Add a photo to complete this job.' };
+        }
+
+        const { canComplete, reason } = canCompleteJob(job, chores, weeklyResetDay, {
+            count,
+            user: users.find(u => u.id === job.userId),
+            transactions
+        });
         if (!canComplete) {
             return { success: false, reason };
         }
 
-        // Parents don't need approval for their own job completions
-        const isParentCompleting = activeUser?.role === USER_ROLE.PARENT;
         const needsApproval = job.requiresApproval && !isParentCompleting;
 
         // Create completion with appropriate approval status
-        const updatedJob = needsApproval
-            ? completeJob(job, count)
-            : completeJob({ ...job, requiresApproval: false }, count);
+        const completion = needsApproval
+            ? createCompletionEvent(job, count, Boolean(photo))
+            : createCompletionEvent({ ...job, requiresApproval: false }, count, Boolean(photo));
+
+        // Photos are kept in IndexedDB, out of the saved family state. The completion is
+        // only recorded once its photo is stored, so hasPhoto always has a photo behind it.
+        if (photo) {
+            try {
+                await savePhoto(completion.id, photo, { jobId: job.id, userId: job.userId });
+            } catch (error) {
+                console.error('Failed to save photo:', error);
+                return { success: false, reason: 'Couldn\'t save the photo, so the job wasn\'t marked done. Try again.' };
+            }
+        }
 
+        // Add to the job as it is now, so changes made while the photo saved are kept
         setJobs(prev =>
-            prev.map(j => j.id === jobId ? updatedJob : j)
+            prev.map(j => j.id === jobId
+                ? completeClaim({ ...j, completions: [...j.completions, completion] })
+                : j)
         );
 
-        // Update user's pending balance if requires approval
-        if (needsApproval) {
-            const earned = job.value * count;
-            const user = users.find(u => u.id === job.userId);
-            if (user) {
-                updateUser(user.id, {
-                    pendingBalance: addCents(user.pendingBalance, earned)
-                });
-            }
-        } else {
-            // Auto-approved (or parent completing) - add directly to balance
-            const earned = job.value * count;
-            const user = users.find(u => u.id === job.userId);
-            if (user) {
-                updateUser(user.id, {
-                    cashBalance: addCents(user.cashBalance, earned)
-                });
+        const user = users.find(u => u.id === job.userId);
 
-                // Create transaction
-                const txn = createTransaction(
+        if (user) {
+            if (needsApproval) {
+                // Hold the earnings in pending until a parent reviews them
+                setTransactions(prev => [...prev, createHoldEntry(job, completion)]);
+            } else {
+                // Auto-approved (or parent completing) - credit cash directly
+                const txn = createLedgerEntry(
                     user.id,
                     TRANSACTION_TYPE.EARN,
-                    earned,
-                    `${job.title}${count > 1 ? ` (${count}×)` : ''}`
+                    completion.totalEarned,
+                    describeJobEarning(job, count),
+                    {
+                        jobId: job.id,
+                        completionIds: [completion.id],
+                        completionCount: count
+                    }
                 );
-                txn.jobId = job.id;
-                txn.completionCount = count;
-                txn.status = APPROVAL_STATUS.APPROVED;
-                setTransactions(prev => [...prev, txn]);
+                setTransactions(prev => [...prev, ...withLoanRepayment(txn, user, loans, prev)]);
             }
         }
 
         soundSystem?.purchase?.();
-        return { success: true, earned: job.value * count, jobTitle: job.title };
-    }, [jobs, chores, weeklyResetDay, users, activeUser, updateUser, soundSystem]);
+        return { success: true, earned: completion.totalEarned, jobTitle: job.title };
+    }, [jobs, chores, weeklyResetDay, users, transactions, loans, activeUser, soundSystem]);
 
     /**
      * Approve all pending completions for a job
+     * @param {string} jobId
+     * @param {string} approvedBy
+     * @param {number | null} rating - Quality rating (1-3 stars) for every completion; earns a bonus
      */
-    const approveJob = useCallback((jobId, approvedBy) => {
+    const approveJob = useCallback((jobId, approvedBy, rating = null) => {
         const job = jobs.find(j => j.id === jobId);
         if (!job) return { success: false };
 
-        const { job: updatedJob, totalApproved } = approveAllCompletions(job, approvedBy);
+        const quality = normalizeRating(rating);
+        const pendingCompletions = job.completions.filter(c => c.status === APPROVAL_STATUS.PENDING);
+        const { job: updatedJob, totalApproved } = approveAllCompletions(job, approvedBy, quality);
 
         setJobs(prev =>
             prev.map(j => j.id === jobId ? updatedJob : j)
         );
 
-        // Move pending to actual balance
+        // Move the held earnings from pending into cash
         const user = users.find(u => u.id === job.userId);
-        if (user && totalApproved > 0) {
-            updateUser(user.id, {
-                cashBalance: addCents(user.cashBalance, totalApproved),
-                pendingBalance: subtractCents(user.pendingBalance, totalApproved)
-            });
-
-            // Create transaction
-            const pendingCompletions = job.completions.filter(c => c.status === APPROVAL_STATUS.PENDING);
-            const totalCount = pendingCompletions.reduce((sum, c) => sum + c.count, 0);
-
-            const txn = createTransaction(
-                user.id,
-                TRANSACTION_TYPE.EARN,
-                totalApproved,
-                `${job.title}${totalCount > 1 ? ` (${totalCount}×)` : ''}`
-            );
-            txn.jobId = job.id;
-            txn.completionCount = totalCount;
-            txn.approvedBy = approvedBy;
-            txn.status = APPROVAL_STATUS.APPROVED;
-            setTransactions(prev => [...prev, txn]);
+        if (user && pendingCompletions.length > 0) {
+            const earning = createApprovedEarnEntry(job, pendingCompletions, approvedBy, quality);
+            setTransactions(prev => [...prev, ...withQualityBonus(earning, user, loans, prev, qualityBonusSettings)]);
         }
 
         soundSystem?.taskComplete?.();
         return { success: true, totalApproved };
-    }, [jobs, users, updateUser, soundSystem]);
+    }, [jobs, users, loans, qualityBonusSettings, soundSystem]);
+
+    /**
+     * Reject a chore so the child redoes it
+     * @param {string} choreId
+     * @param {string} rejectedBy
+     * @param {{ reason?: string, redoInstructions?: string }} feedback - Shown to the child
+     */
+    const rejectChore = useCallback((choreId, rejectedBy, feedback = {}) => {
+        const chore = chores.find(c => c.id === choreId);
+        if (!chore || !chore.pendingApproval) return;
+
+        setChores(prev => prev.map(c => c.id === choreId ? markChoreForRedo(c, rejectedBy, feedback) : c));
+        soundSystem?.defeat?.();
+    }, [chores, soundSystem]);
 
     /**
      * Reject all pending completions for a job
+     * @param {string} jobId
+     * @param {string} rejectedBy
+     * @param {{ reason?: string, redoInstructions?: string }} feedback - Shown to the child
      */
-    const rejectJob = useCallback((jobId, rejectedBy) => {
+    const rejectJob = useCallback((jobId, rejectedBy, feedback = {}) => {
         const job = jobs.find(j => j.id === jobId);
         if (!job) return;
 
-        // Calculate total that was pending
-        const totalPending = job.completions
-            .filter(c => c.status === APPROVAL_STATUS.PENDING)
-            .reduce((sum, c) => sum + c.totalEarned, 0);
+        const pendingCompletions = job.completions.filter(c => c.status === APPROVAL_STATUS.PENDING);
 
-        // Update job - mark all pending as rejected
+        // Update job - mark all pending as rejected (a rejected bounty gets a fresh claim to redo it)
         setJobs(prev =>
-            prev.map(j => {
-                if (j.id !== jobId) return j;
-                return {
-                    ...j,
-                    completions: j.completions.map(c =>
-                        c.status === APPROVAL_STATUS.PENDING
-                            ? { ...c, status: APPROVAL_STATUS.REJECTED, approvedBy: rejectedBy, approvedAt: new Date().toISOString() }
-                            : c
-                    )
-                };
-            })
+            prev.map(j => j.id === jobId
+                ? reopenClaim(
+                    pendingCompletions.reduce((updated, c) => rejectCompletion(updated, c.id, rejectedBy, feedback), j),
+                    prev.find(b => b.id === j.claim?.bountyId)
+                )
+                : j
+            )
         );
 
-        // Remove from pending balance
+        // Release the held earnings from pending
         const user = users.find(u => u.id === job.userId);
-        if (user && totalPending > 0) {
-            updateUser(user.id, {
-                pendingBalance: subtractCents(user.pendingBalance, totalPending)
-            });
+        if (user && pendingCompletions.length > 0) {
+            setTransactions(prev => [...prev, createReleaseEntry(job, pendingCompletions, rejectedBy)]);
+        }
+
+        soundSystem?.defeat?.();
+    }, [jobs, users, soundSystem]);
+
+    /**
+     * Approve one pending completion, optionally for a lower count or amount
+     * Any held amount that isn't paid is released from pending.
+     * @param {string} jobId
+     * @param {string} completionId
+     * @param {string} approvedBy
+     * @param {{ count?: number, amount?: number, rating?: number }} adjustment - See
+     *   getCompletionPayment; rating is the quality rating (1-3 stars), which earns a bonus
+     */
+    const approveJobCompletion = useCallback((jobId, completionId, approvedBy, adjustment = {}) => {
+        const job = jobs.find(j => j.id === jobId);
+        const completion = job?.completions.find(c => c.id === completionId && c.status === APPROVAL_STATUS.PENDING);
+        if (!completion) return { success: false, reason: 'Completion not found' };
+
+        const payment = getCompletionPayment(completion, adjustment);
+        if (!payment.valid) {
+            soundSystem?.error?.();
+            return { success: false, reason: payment.reason };
+        }
+
+        const rating = normalizeRating(adjustment.rating);
+        const updatedJob = approveCompletion(job, completionId, approvedBy, payment, rating);
+        setJobs(prev =>
+            prev.map(j => j.id === jobId ? approveCompletion(j, completionId, approvedBy, payment, rating) : j)
+        );
+
+        // Pay the approved amount out of pending, then release whatever is left
+        const user = users.find(u => u.id === job.userId);
+        if (user) {
+            const approved = updatedJob.completions.find(c => c.id === completionId);
+            const earning = createApprovedEarnEntry(job, [approved], approvedBy, rating);
+            const unpaid = completion.totalEarned - payment.amount;
+            const release = unpaid > 0
+                ? [createUnpaidReleaseEntry(job, completion, unpaid, approvedBy, earning.id)]
+                : [];
+            setTransactions(prev => [
+                ...prev,
+                ...withQualityBonus(earning, user, loans, prev, qualityBonusSettings),
+                ...release
+            ]);
+        }
+
+        soundSystem?.taskComplete?.();
+        return { success: true, paid: payment.amount };
+    }, [jobs, users, loans, qualityBonusSettings, soundSystem]);
+
+    /**
+     * Reject one pending completion
+     * @param {string} jobId
+     * @param {string} completionId
+     * @param {string} rejectedBy
+     * @param {{ reason?: string, redoInstructions?: string }} feedback - Shown to the child
+     */
+    const rejectJobCompletion = useCallback((jobId, completionId, rejectedBy, feedback = {}) => {
+        const job = jobs.find(j => j.id === jobId);
+        const completion = job?.completions.find(c => c.id === completionId && c.status === APPROVAL_STATUS.PENDING);
+        if (!completion) return;
+
+        setJobs(prev =>
+            prev.map(j => j.id === jobId
+                ? reopenClaim(rejectCompletion(j, completionId, rejectedBy, feedback), prev.find(b => b.id === j.claim?.bountyId))
+                : j
+            )
+        );
+
+        // Release the held earnings from pending
+        if (users.some(u => u.id === job.userId)) {
+            setTransactions(prev => [...prev, createReleaseEntry(job, [completion], rejectedBy)]);
         }
 
         soundSystem?.defeat?.();
-    }, [jobs, users, updateUser, soundSystem]);
+    }, [jobs, users, soundSystem]);
+
+    // ========== AUTO-APPROVAL ==========
+
+    // Re-check on a timer while anything is pending, so completions are approved as
+    // they come due while the app is open
+    const [autoApprovalCheckedAt, setAutoApprovalCheckedAt] = useState(() => Date.now());
+    const hasPendingCompletions = jobsNeedingApproval.length > 0;
+    useEffect(() => {
+        if (!hasPendingCompletions) return;
+        const intervalId = setInterval(() => setAutoApprovalCheckedAt(Date.now()), AUTO_APPROVAL_CHECK_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [hasPendingCompletions]);
+
+    // Approve completions that are due under the auto-approval policy, on load, on
+    // the timer and whenever completions change. Earn entries are only added for
+    // completions the ledger hasn't settled yet, so a repeated run adds nothing.
+    useEffect(() => {
+        const due = getDueAutoApprovals(jobs, autoApprovalPolicy, new Date());
+        if (due.length === 0) return;
+
+        setJobs(prev =>
+            prev.map(job => {
+                const dueJob = due.find(d => d.job.id === job.id);
+                if (!dueJob) return job;
+                return dueJob.completions
+                    .filter(c => job.completions.some(current => current.id === c.id && current.status === APPROVAL_STATUS.PENDING))
+                    .reduce((updated, c) => approveCompletion(updated, c.id, AUTO_APPROVER), job);
+            })
+        );
+
+        // Move the held earnings from pending into cash, as a parent approval would
+        setTransactions(prev => {
+            const settledIds = new Set(
+                prev
+                    .filter(t => t.type === TRANSACTION_TYPE.EARN || t.type === TRANSACTION_TYPE.RELEASE)
+                    .flatMap(t => t.completionIds || [])
+            );
+            return due.reduce((next, { job, completions }) => {
+                const user = users.find(u => u.id === job.userId);
+                const unsettled = completions.filter(c => !settledIds.has(c.id));
+                if (!user || unsettled.length === 0) return next;
+
+                const earning = createApprovedEarnEntry(job, unsettled, AUTO_APPROVER);
+                return [...next, ...withLoanRepayment(earning, user, loans, next)];
+            }, prev);
+        });
+    }, [jobs, autoApprovalPolicy, autoApprovalCheckedAt, users, loans]);
+
+    // ========== BOUNTIES ==========
+
+    /**
+     * Claim a job from the bounty board for the active user
+     * @param {string} bountyId - Library job with a bounty
+     * @returns {{ success: boolean, reason?: string }}
+     */
+    const claimBounty = useCallback((bountyId) => {
+        const bounty = jobs.find(j => j.id === bountyId);
+        if (!activeUser) return { success: false, reason: 'No user' };
+
+        const now = new Date();
+        const { canClaim, reason } = canClaimBounty(bounty, jobs, activeUser.id, now);
+        if (!canClaim) {
+            soundSystem?.error?.();
+            return { success: false, reason };
+        }
+
+        const claimedJob = updateJobLockStatus(createClaimedJob(bounty, activeUser.id, now), chores, weeklyResetDay);
+        setJobs(prev => [...prev, claimedJob]);
+        soundSystem?.buttonClick?.();
+        return { success: true };
+    }, [jobs, chores, weeklyResetDay, activeUser, soundSystem]);
+
+    // Re-check on a timer while any claim can expire, so expired claims are released
+    // while the app is open
+    const [bountyCheckedAt, setBountyCheckedAt] = useState(() => Date.now());
+    const hasExpiringClaims = jobs.some(j => j.claim?.expiresAt && !j.claim.completedAt && !j.claim.releasedAt);
+    useEffect(() => {
+        if (!hasExpiringClaims) return;
+        const intervalId = setInterval(() => setBountyCheckedAt(Date.now()), BOUNTY_CHECK_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [hasExpiringClaims]);
+
+    // Release expired claims, freeing their slot on the bounty board. The job stays,
+    // with its completions, until the period reset. Released claims are skipped on a
+    // repeated run.
+    useEffect(() => {
+        const now = new Date();
+        const isUnreleased = (j) => isClaimExpired(j, now) && !j.claim.releasedAt;
+        if (!jobs.some(isUnreleased)) return;
+        setJobs(prev => prev.map(j => isUnreleased(j) ? releaseClaim(j, now) : j));
+    }, [jobs, bountyCheckedAt]);
+
+    // ========== AUCTIONS ==========
+
+    /**
+     * Post a job auction
+     * @param {{ title: string, description?: string, icon?: string, maxPrice: number, deadline: string }} fields
+     * @param {string} createdBy - Parent user ID
+     * @returns {Object} New auction
+     */
+    const addAuction = useCallback((fields, createdBy) => {
+        const auction = createAuction(fields, createdBy);
+        setAuctions(prev => [...prev, auction]);
+        soundSystem?.buttonClick?.();
+        return auction;
+    }, [soundSystem]);
+
+    /**
+     * Bid on an auction for the active user
+     * @param {string} auctionId
+     * @param {number} amount - Cents
+     * @returns {{ success: boolean, reason?: string }}
+     */
+    const placeBid = useCallback((auctionId, amount) => {
+        const auction = auctions.find(a => a.id === auctionId);
+        const { canBid, reason } = canPlaceBid(auction, activeUserId, amount);
+        if (!canBid) {
+            soundSystem?.error?.();
+            return { success: false, reason };
+        }
+
+        setAuctions(prev => prev.map(a => a.id === auctionId ? addAuctionBid(a, activeUserId, amount) : a));
+        soundSystem?.buttonClick?.();
+        return { success: true };
+    }, [auctions, activeUserId, soundSystem]);
+
+    /**
+     * Cancel an open auction; it's kept in the history with its bids
+     */
+    const cancelAuction = useCallback((auctionId) => {
+        setAuctions(prev =>
+            prev.map(a => a.id === auctionId && a.status === AUCTION_STATUS.OPEN ? markAuctionCancelled(a) : a)
+        );
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
+
+    // Re-check on a timer while auctions are open, so they close at their deadline
+    // while the app is open
+    const [auctionCheckedAt, setAuctionCheckedAt] = useState(() => Date.now());
+    const hasOpenAuctions = openAuctions.length > 0;
+    useEffect(() => {
+        if (!hasOpenAuctions) return;
+        const intervalId = setInterval(() => setAuctionCheckedAt(Date.now()), AUCTION_CHECK_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [hasOpenAuctions]);
+
+    // Close auctions past their deadline, giving the lowest bidder the job at their
+    // bid. Both updates skip what's already done (an auction no longer open, a job
+    // already added for it), so a repeated run changes nothing.
+    useEffect(() => {
+        const now = new Date();
+        const dueAuctions = auctions.filter(a => isAuctionDue(a, now));
+        if (dueAuctions.length === 0) return;
+
+        setAuctions(prev => prev.map(a => isAuctionDue(a, now) ? closeAuction(a, now) : a));
+
+        // Bidding stops at the deadline, so these are the final bids
+        const wonJobs = dueAuctions
+            .map(a => createAuctionJob(a, chores, weeklyResetDay))
+            .filter(Boolean);
+        setJobs(prev => {
+            const newJobs = wonJobs.filter(job => !prev.some(j => j.auctionId === job.auctionId));
+            return newJobs.length > 0 ? [...prev, ...newJobs] : prev;
+        });
+    }, [auctions, auctionCheckedAt, chores, weeklyResetDay]);
+
+    // ========== PHOTOS ==========
+
+    // Delete completion photos past the retention period on load and when it changes
+    useEffect(() => {
+        prunePhotos(photoRetentionDays)
+            .catch(error => console.error('Failed to prune photos:', error));
+    }, [photoRetentionDays]);
 
     // ========== TRANSACTION ACTIONS ==========
 
     /**
      * Redeem cash for a reward
+     * Spending always comes out of cash, which is the Spend jar.
      */
-    const redeemCash = useCallback((userId, amount, description) => {
+    const redeemCash = useCallback((userId, amount, description, category = null, customCategory = '') => {
         const user = users.find(u => u.id === userId);
         if (!user || user.cashBalance < amount) {
             return { success: false, reason: 'Insufficient balance' };
         }
 
-        // Deduct from balance
-        updateUser(userId, {
-            cashBalance: subtractCents(user.cashBalance, amount)
-        });
-
-        // Create transaction
-        const txn = createTransaction(
+        const txn = createLedgerEntry(
             userId,
             TRANSACTION_TYPE.REDEEM,
             -amount, // Negative for redemption
-            description
+            description,
+            { category, customCategory }
         );
         setTransactions(prev => [...prev, txn]);
 
         soundSystem?.purchase?.();
         return { success: true };
-    }, [users, updateUser, soundSystem]);
+    }, [users, soundSystem]);
 
     /**
      * Add a manual balance adjustment (parent only)
@@ -693,22 +1314,495 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         const user = users.find(u => u.id === userId);
         if (!user) return;
 
-        updateUser(userId, {
-            cashBalance: addCents(user.cashBalance, amount)
-        });
-
-        const txn = createTransaction(
+        const txn = createLedgerEntry(
             userId,
             TRANSACTION_TYPE.ADJUST,
             amount,
-            description
+            description,
+            { approvedBy: adjustedBy }
+        );
+        setTransactions(prev => [...prev, txn]);
+
+        soundSystem?.buttonClick?.();
+    }, [users, soundSystem]);
+
+    /**
+     * Reverse a transaction (parent only)
+     * Posts linked reversal entries instead of editing history, then undoes what the
+     * entry stood for: job earnings flip their completions to rejected, store purchases
+     * are refunded and restocked, gem exchanges return the gems and advances cancel the loan.
+     */
+    const reverseTransaction = useCallback((transactionId, reversedBy, reason = '') => {
+        const entry = transactions.find(t => t.id === transactionId);
+        const check = canReverseTransaction(entry, transactions);
+        if (!check.canReverse) {
+            soundSystem?.error?.();
+            return { success: false, reason: check.reason };
+        }
+
+        const reversals = createReversalEntries(entry, transactions, reversedBy, reason);
+        setTransactions(prev => [...prev, ...reversals]);
+        const now = new Date().toISOString();
+
+        if (entry.type === TRANSACTION_TYPE.EARN && entry.jobId && entry.completionIds) {
+            const completionIds = new Set(entry.completionIds);
+            setJobs(prev =>
+                prev.map(job => {
+                    if (job.id !== entry.jobId) return job;
+                    return {
+                        ...job,
+                        completions: job.completions.map(c =>
+                            completionIds.has(c.id)
+                                ? { ...c, status: APPROVAL_STATUS.REJECTED, approvedBy: reversedBy, approvedAt: now }
+                                : c
+                        )
+                    };
+                })
+            );
+        }
+
+        if (entry.orderId) {
+            const order = storeOrders.find(o => o.id === entry.orderId);
+            setStoreOrders(prev =>
+                prev.map(o => o.id === entry.orderId ? { ...o, refundedAt: now, refundedBy: reversedBy } : o)
+            );
+            if (order) {
+                setRedemptionItems(prev =>
+                    prev.map(i =>
+                        i.id === order.itemId && i.stock !== null && i.stock !== undefined
+                            ? { ...i, stock: i.stock + 1 }
+                            : i
+                    )
+                );
+            }
+        }
+
+        if (entry.type === TRANSACTION_TYPE.GEM_EXCHANGE && entry.gemsExchanged > 0) {
+            setGemHistory(prev => [
+                ...prev,
+                createGemEntry(
+                    entry.userId,
+                    GEM_ENTRY_TYPE.REFUND,
+                    entry.gemsExchanged,
+                    'Exchange reversed',
+                    { transactionId: reversals[0].id }
+                )
+            ]);
+        }
+
+        if (entry.type === TRANSACTION_TYPE.LOAN_ADVANCE) {
+            setLoans(prev =>
+                prev.map(l => l.id === entry.loanId ? { ...l, cancelledAt: now } : l)
+            );
+        }
+
+        soundSystem?.buttonClick?.();
+        return { success: true, reversal: reversals[0] };
+    }, [transactions, storeOrders, soundSystem]);
+
+    /**
+     * Move money between a child's jars (parent only)
+     */
+    const moveBetweenJars = useCallback((userId, fromJar, toJar, amount, movedBy) => {
+        const user = users.find(u => u.id === userId);
+        if (!user || fromJar === toJar || amount <= 0) {
+            return { success: false, reason: 'Invalid move' };
+        }
+        if ((user.jarBalances[fromJar] || 0) < amount) {
+            return { success: false, reason: 'Insufficient balance' };
+        }
+
+        setTransactions(prev => [...prev, createJarTransferEntry(userId, fromJar, toJar, amount, movedBy)]);
+        soundSystem?.buttonClick?.();
+        return { success: true };
+    }, [users, soundSystem]);
+
+    // ========== TRANSFER ACTIONS ==========
+
+    /**
+     * Send money from one family member to another
+     * Transfers above the family's threshold wait for a parent; nothing moves until approved.
+     */
+    const sendTransfer = useCallback((fromUserId, toUserId, amount, note = '') => {
+        const fromUser = users.find(u => u.id === fromUserId);
+        const toUser = users.find(u => u.id === toUserId);
+
+        const check = canTransfer(fromUser, toUser, amount);
+        if (!check.canTransfer) {
+            soundSystem?.error?.();
+            return { success: false, reason: check.reason };
+        }
+
+        const needsApproval = requiresTransferApproval(amount, transferSettings) &&
+            fromUser.role !== USER_ROLE.PARENT;
+        const transfer = createTransfer(fromUserId, toUserId, amount, note, needsApproval);
+        setTransfers(prev => [...prev, transfer]);
+
+        if (needsApproval) {
+            soundSystem?.approvalNeeded?.();
+            return { success: true, requiresApproval: true, transfer };
+        }
+
+        setTransactions(prev => [...prev, ...createTransferEntries(transfer, fromUser, toUser)]);
+        soundSystem?.cashRegister?.();
+        return { success: true, requiresApproval: false, transfer };
+    }, [users, transferSettings, soundSystem]);
+
+    /**
+     * Approve a pending transfer and move the money
+     */
+    const approveTransfer = useCallback((transferId, approvedBy) => {
+        const transfer = transfers.find(t => t.id === transferId);
+        if (!transfer || transfer.status !== APPROVAL_STATUS.PENDING) {
+            return { success: false, reason: 'Transfer not found' };
+        }
+
+        const fromUser = users.find(u => u.id === transfer.fromUserId);
+        const toUser = users.find(u => u.id === transfer.toUserId);
+        const check = canTransfer(fromUser, toUser, transfer.amount);
+        if (!check.canTransfer) {
+            return { success: false, reason: check.reason };
+        }
+
+        setTransactions(prev => [...prev, ...createTransferEntries(transfer, fromUser, toUser, approvedBy)]);
+        setTransfers(prev =>
+            prev.map(t =>
+                t.id === transferId
+                    ? { ...t, status: APPROVAL_STATUS.APPROVED, reviewedAt: new Date().toISOString(), reviewedBy: approvedBy }
+                    : t
+            )
+        );
+
+        soundSystem?.cashRegister?.();
+        return { success: true };
+    }, [transfers, users, soundSystem]);
+
+    /**
+     * Reject a pending transfer
+     */
+    const rejectTransfer = useCallback((transferId, rejectedBy) => {
+        setTransfers(prev =>
+            prev.map(t =>
+                t.id === transferId && t.status === APPROVAL_STATUS.PENDING
+                    ? { ...t, status: APPROVAL_STATUS.REJECTED, reviewedAt: new Date().toISOString(), reviewedBy: rejectedBy }
+                    : t
+            )
         );
-        txn.approvedBy = adjustedBy;
-        txn.status = APPROVAL_STATUS.APPROVED;
+        soundSystem?.defeat?.();
+    }, [soundSystem]);
+
+    // ========== REWARD STORE ACTIONS ==========
+
+    /**
+     * Add a store item
+     */
+    const addRedemptionItem = useCallback((itemData) => {
+        const newItem = {
+            ...createRedemptionItem(),
+            ...itemData
+        };
+
+        setRedemptionItems(prev => [...prev, newItem]);
+        soundSystem?.buttonClick?.();
+        return newItem;
+    }, [soundSystem]);
+
+    /**
+     * Update a store item
+     */
+    const updateRedemptionItem = useCallback((itemId, updates) => {
+        setRedemptionItems(prev =>
+            prev.map(item =>
+                item.id === itemId ? { ...item, ...updates } : item
+            )
+        );
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
+
+    /**
+     * Delete a store item
+     * Orders still awaiting approval are rejected; paid orders stay in the history.
+     */
+    const deleteRedemptionItem = useCallback((itemId, deletedBy) => {
+        setRedemptionItems(prev => prev.filter(item => item.id !== itemId));
+        setStoreOrders(prev =>
+            prev.map(order =>
+                order.itemId === itemId && order.status === APPROVAL_STATUS.PENDING
+                    ? { ...order, status: APPROVAL_STATUS.REJECTED, reviewedAt: new Date().toISOString(), reviewedBy: deletedBy }
+                    : order
+            )
+        );
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
+
+    /**
+     * Buy a store item
+     * Items that need approval create a pending order; nothing is deducted until a parent approves.
+     */
+    const purchaseItem = useCallback((itemId, userId = activeUserId) => {
+        const item = redemptionItems.find(i => i.id === itemId);
+        const user = users.find(u => u.id === userId);
+        if (!item || !user) return { success: false, reason: 'Item not found' };
+
+        const { canPurchase, reason } = canPurchaseItem(item, user, storeOrders, weeklyResetDay);
+        if (!canPurchase) {
+            soundSystem?.error?.();
+            return { success: false, reason };
+        }
+
+        const order = createStoreOrder(item, userId);
+
+        if (item.requiresApproval) {
+            setStoreOrders(prev => [...prev, order]);
+            soundSystem?.approvalNeeded?.();
+            return { success: true, requiresApproval: true, order };
+        }
+
+        const txn = createStoreRedeemEntry(order, item);
+        setStoreOrders(prev => [...prev, { ...order, transactionId: txn.id }]);
         setTransactions(prev => [...prev, txn]);
+        if (item.stock !== null && item.stock !== undefined) {
+            setRedemptionItems(prev =>
+                prev.map(i => i.id === itemId ? { ...i, stock: Math.max(0, i.stock - 1) } : i)
+            );
+        }
+
+        soundSystem?.purchase?.();
+        return { success: true, requiresApproval: false, order };
+    }, [activeUserId, redemptionItems, users, storeOrders, weeklyResetDay, soundSystem]);
+
+    /**
+     * Approve a pending store order and deduct its price
+     */
+    const approveStoreOrder = useCallback((orderId, approvedBy) => {
+        const order = storeOrders.find(o => o.id === orderId);
+        if (!order || order.status !== APPROVAL_STATUS.PENDING) {
+            return { success: false, reason: 'Order not found' };
+        }
+
+        const user = users.find(u => u.id === order.userId);
+        if (!user || user.cashBalance < order.price) {
+            return { success: false, reason: 'Not enough money' };
+        }
+
+        const item = redemptionItems.find(i => i.id === order.itemId);
+        const txn = createStoreRedeemEntry(order, item || { id: order.itemId, name: 'Reward' }, approvedBy);
+
+        setTransactions(prev => [...prev, txn]);
+        setStoreOrders(prev =>
+            prev.map(o =>
+                o.id === orderId
+                    ? { ...o, status: APPROVAL_STATUS.APPROVED, reviewedAt: new Date().toISOString(), reviewedBy: approvedBy, transactionId: txn.id }
+                    : o
+            )
+        );
+        if (item && item.stock !== null && item.stock !== undefined) {
+            setRedemptionItems(prev =>
+                prev.map(i => i.id === item.id ? { ...i, stock: Math.max(0, i.stock - 1) } : i)
+            );
+        }
+
+        soundSystem?.purchase?.();
+        return { success: true };
+    }, [storeOrders, users, redemptionItems, soundSystem]);
+
+    /**
+     * Reject a pending store order
+     */
+    const rejectStoreOrder = useCallback((orderId, rejectedBy) => {
+        setStoreOrders(prev =>
+            prev.map(o =>
+                o.id === orderId && o.status === APPROVAL_STATUS.PENDING
+                    ? { ...o, status: APPROVAL_STATUS.REJECTED, reviewedAt: new Date().toISOString(), reviewedBy: rejectedBy }
+                    : o
+            )
+        );
+        soundSystem?.defeat?.();
+    }, [soundSystem]);
+
+    // ========== SAVINGS GOAL ACTIONS ==========
+
+    /**
+     * Add a savings goal
+     */
+    const addSavingsGoal = useCallback((goalData, userId = activeUserId) => {
+        const newGoal = {
+            ...createSavingsGoal(userId),
+            ...goalData,
+            userId
+        };
+
+        setSavingsGoals(prev => [...prev, newGoal]);
+        soundSystem?.buttonClick?.();
+        return newGoal;
+    }, [activeUserId, soundSystem]);
+
+    /**
+     * Update a savings goal
+     */
+    const updateSavingsGoal = useCallback((goalId, updates) => {
+        setSavingsGoals(prev =>
+            prev.map(goal =>
+                goal.id === goalId ? { ...goal, ...updates } : goal
+            )
+        );
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
+
+    /**
+     * Delete a savings goal, returning any earmarked cash to the balance
+     */
+    const deleteSavingsGoal = useCallback((goalId) => {
+        const goal = savingsGoals.find(g => g.id === goalId);
+        if (!goal) return;
+
+        const { saved } = getGoalProgress(transactions, goal);
+        if (saved > 0) {
+            setTransactions(prev => [...prev, createGoalWithdrawEntry(goal, saved)]);
+        }
+
+        setSavingsGoals(prev => prev.filter(g => g.id !== goalId));
+        soundSystem?.buttonClick?.();
+    }, [savingsGoals, transactions, soundSystem]);
+
+    /**
+     * Earmark cash for a savings goal
+     */
+    const depositToGoal = useCallback((goalId, amount) => {
+        const goal = savingsGoals.find(g => g.id === goalId);
+        if (!goal) return { success: false, reason: 'Goal not found' };
+
+        const user = users.find(u => u.id === goal.userId);
+        if (!user || amount <= 0 || user.cashBalance < amount) {
+            return { success: false, reason: 'Insufficient balance' };
+        }
+
+        setTransactions(prev => [...prev, createGoalDepositEntry(goal, amount)]);
+
+        // Mark the goal reached the first time the target is hit
+        const { saved } = getGoalProgress(transactions, goal);
+        const goalReached = !goal.completedAt && saved + amount >= goal.targetCents;
+        if (goalReached) {
+            setSavingsGoals(prev =>
+                prev.map(g =>
+                    g.id === goalId ? { ...g, completedAt: new Date().toISOString() } : g
+                )
+            );
+            soundSystem?.levelUp?.();
+        } else {
+            soundSystem?.cashRegister?.();
+        }
+
+        return { success: true, goalReached };
+    }, [savingsGoals, users, transactions, soundSystem]);
+
+    /**
+     * Return earmarked cash from a savings goal to the balance
+     */
+    const withdrawFromGoal = useCallback((goalId, amount) => {
+        const goal = savingsGoals.find(g => g.id === goalId);
+        if (!goal) return { success: false, reason: 'Goal not found' };
+
+        const { saved } = getGoalProgress(transactions, goal);
+        if (amount <= 0 || amount > saved) {
+            return { success: false, reason: 'Not enough saved' };
+        }
+
+        setTransactions(prev => [...prev, createGoalWithdrawEntry(goal, amount)]);
+        soundSystem?.buttonClick?.();
+        return { success: true };
+    }, [savingsGoals, transactions, soundSystem]);
+
+    // ========== LOAN ACTIONS ==========
+
+    /**
+     * Advance cash to a child as a loan
+     * A share of each later job earning goes to repayment until it's cleared.
+     */
+    const grantLoan = useCallback((userId, terms, grantedBy) => {
+        if (!(terms.principalCents > 0)) return null;
+
+        const loan = createLoan(userId, terms, grantedBy);
+        setLoans(prev => [...prev, loan]);
+        setTransactions(prev => [...prev, createLoanAdvanceEntry(loan)]);
+
+        soundSystem?.cashRegister?.();
+        return loan;
+    }, [soundSystem]);
+
+    // ========== GEM ACTIONS ==========
+
+    /**
+     * Exchange a child's gems for cash at the family's rate
+     * Only whole bundles are exchanged; the cash is split into jars like other earnings.
+     */
+    const exchangeGems = useCallback((userId, gems) => {
+        const user = users.find(u => u.id === userId);
+        if (!user) return null;
+
+        const exchange = createGemExchange(user, gems, gemExchange);
+        if (!exchange) return null;
+
+        setGemHistory(prev => [...prev, exchange.gemEntry]);
+        setTransactions(prev => [...prev, ...exchange.transactions]);
+
+        soundSystem?.cashRegister?.();
+        return exchange.transactions[0];
+    }, [users, gemExchange, soundSystem]);
+
+    // ========== SETTINGS ACTIONS ==========
+
+    /**
+     * Update the family's currency and locale
+     * Stored amounts aren't converted: they are read in the new currency's minor units.
+     * @param {{ currency: string, locale: string | null }} currencySettings
+     */
+    const updateCurrencySettings = useCallback(({ currency, locale }) => {
+        setCurrencyConfig({ currency, locale });
+        setSettings(prev => ({ ...prev, currency, locale: locale || null }));
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
 
+    /**
+     * Update the gem-to-cash exchange rate
+     * @param {GemExchangeSettings} updates
+     */
+    const updateGemExchangeSettings = useCallback((updates) => {
+        setSettings(prev => ({ ...prev, gemExchange: { ...createDefaultGemExchangeSettings(), ...updates } }));
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
+
+    /**
+     * Update when transfers need parent approval
+     */
+    const updateTransferSettings = useCallback((updates) => {
+        setSettings(prev => ({ ...prev, transfers: { ...createDefaultTransferSettings(), ...updates } }));
         soundSystem?.buttonClick?.();
-    }, [users, updateUser, soundSystem]);
+    }, [soundSystem]);
+
+    /**
+     * Update the family auto-approval policy
+     */
+    const updateAutoApprovalSettings = useCallback((updates) => {
+        setSettings(prev => ({ ...prev, autoApproval: { ...createDefaultAutoApprovalPolicy(), ...updates } }));
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
+
+    /**
+     * Update how many days completion photos are kept
+     */
+    const updatePhotoRetention = useCallback((days) => {
+        setSettings(prev => ({ ...prev, photoRetentionDays: Math.max(1, days) }));
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
+
+    /**
+     * Update the bonus earned for each quality rating
+     */
+    const updateQualityBonusSettings = useCallback((updates) => {
+        setSettings(prev => ({ ...prev, qualityBonus: { ...createDefaultQualityBonusSettings(), ...updates } }));
+        soundSystem?.buttonClick?.();
+    }, [soundSystem]);
 
     // ========== PERSISTENCE ==========
 
@@ -724,10 +1818,16 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         jobTemplates,
         transactions,
         redemptionItems,
+        storeOrders,
+        savingsGoals,
+        loans,
+        gemHistory,
+        transfers,
+        auctions,
         parentPassword,
         settings,
         lastSaved: new Date().toISOString()
-    }), [users, activeUserId, jobs, chores, choreTemplates, jobTemplates, transactions, redemptionItems, parentPassword, settings]);
+    }), [users, activeUserId, jobs, chores, choreTemplates, jobTemplates, transactions, redemptionItems, storeOrders, savingsGoals, loans, gemHistory, transfers, auctions, parentPassword, settings]);
 
     /**
      * Save state to localStorage
@@ -750,7 +1850,7 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         }, 500); // Debounce saves
 
         return () => clearTimeout(timeoutId);
-    }, [users, activeUserId, jobs, chores, choreTemplates, jobTemplates, transactions, redemptionItems, parentPassword, settings, saveState]);
+    }, [users, activeUserId, jobs, chores, choreTemplates, jobTemplates, transactions, redemptionItems, storeOrders, savingsGoals, loans, gemHistory, transfers, auctions, parentPassword, settings, saveState]);
 
     // ========== RETURN ==========
 
@@ -767,6 +1867,18 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         jobTemplates,
         transactions,
         redemptionItems,
+        storeOrders,
+        savingsGoals,
+        loans,
+        gemHistory,
+        gemExchange,
+        transfers,
+        transferSettings,
+        auctions,
+        openAuctions,
+        autoApprovalPolicy,
+        qualityBonusSettings,
+        photoRetentionDays,
         parentPassword,
         settings,
 
@@ -774,6 +1886,12 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         activeUserChores,
         activeUserJobs,
         activeUserTransactions,
+        activeUserGoals,
+        activeUserLoans,
+        activeUserGemHistory,
+        activeRedemptionItems,
+        storeOrdersNeedingApproval,
+        transfersNeedingApproval,
         jobsNeedingApproval,
 
         // UI State
@@ -789,6 +1907,9 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         updateUser,
         deleteUser,
         switchUser,
+        updateInterestSettings,
+        updateAllowanceSettings,
+        updateJarSettings,
 
         // Chore actions
         addChore,
@@ -796,6 +1917,7 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         deleteChore,
         completeChore,
         approveChore,
+        rejectChore,
 
         // Job actions
         addJob,
@@ -804,6 +1926,12 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         completeJob: completeJobAction,
         approveJob,
         rejectJob,
+        approveJobCompletion,
+        rejectJobCompletion,
+        claimBounty,
+        addAuction,
+        placeBid,
+        cancelAuction,
 
         // Template actions
         addChoreTemplate,
@@ -818,16 +1946,94 @@ export const useFamilyEconomy = ({ savedState, soundSystem } = {}) => {
         // Transaction actions
         redeemCash,
         adjustBalance,
+        reverseTransaction,
+        moveBetweenJars,
+
+        // Transfer actions
+        sendTransfer,
+        approveTransfer,
+        rejectTransfer,
+
+        // Reward store actions
+        addRedemptionItem,
+        updateRedemptionItem,
+        deleteRedemptionItem,
+        purchaseItem,
+        approveStoreOrder,
+        rejectStoreOrder,
+
+        // Savings goal actions
+        addSavingsGoal,
+        updateSavingsGoal,
+        deleteSavingsGoal,
+        depositToGoal,
+        withdrawFromGoal,
+
+        // Loan actions
+        grantLoan,
+
+        // Gem actions
+        exchangeGems,
 
         // Settings
         setParentPassword,
         setSettings,
+        updateCurrencySettings,
+        updateGemExchangeSettings,
+        updateTransferSettings,
+        updateAutoApprovalSettings,
+        updateQualityBonusSettings,
+        updatePhotoRetention,
         setRedemptionItems,
 
         // Helpers
         getUnlockProgress: (job) => getUnlockProgress(job, chores, weeklyResetDay),
-        canCompleteJob: (job) => canCompleteJob(job, chores, weeklyResetDay),
+        canCompleteJob: (job, count = 1) => canCompleteJob(job, chores, weeklyResetDay, {
+            count,
+            user: users.find(u => u.id === job.userId),
+            transactions
+        }),
+        getEarningBudget: (job) => getEarningBudget(job, {
+            user: users.find(u => u.id === job.userId),
+            transactions,
+            resetDay: weeklyResetDay
+        }),
         getCurrentPeriodCompletions: (job) => getCurrentPeriodCompletions(job, weeklyResetDay),
+        canPurchaseItem: (item, user = activeUser) =>
+            user ? canPurchaseItem(item, user, storeOrders, weeklyResetDay) : { canPurchase: false, reason: 'No user' },
+        getAvailableStock: (item) => getAvailableStock(item, storeOrders),
+        getWeeklyPurchaseCount: (item, userId = activeUserId) =>
+            getWeeklyPurchaseCount(storeOrders, item.id, userId, weeklyResetDay),
+        getGoalProgress: (goal) => getGoalProgress(transactions, goal),
+        projectGoalCompletion: (goal) => projectGoalCompletion(transactions, goal),
+        getLoanStatus: (loan) => getLoanStatus(loan, transactions),
+        getLoanSchedule: (loan) => getLoanSchedule(loan, transactions),
+        getExchangeQuote: (gems) => getExchangeQuote(gems, gemExchange),
+        canReverseTransaction: (txn) => canReverseTransaction(txn, transactions),
+        getStatementMonths: (userId) => getStatementMonths(transactions, userId),
+        getMonthlyStatement: (userId, month) =>
+            buildMonthlyStatement(transactions, users.find(u => u.id === userId), month, jobs),
+        getLedgerExport: (options) => createLedgerExport(transactions, users, options),
+        getSpendingBreakdown: (userId, period) =>
+            getSpendingBreakdown(transactions, userId, { period, count: period === 'monthly' ? 6 : 4, resetDay: weeklyResetDay }),
+        getAutoApprovalPolicy: (job) => getAutoApprovalPolicy(job, autoApprovalPolicy),
+        getQualityByJob: (userId) => getQualityByJob(transactions, userId),
+        getBountyBoard: (userId) => getOpenBounties(jobs).map(bounty => ({
+            bounty,
+            claims: getBountyClaims(jobs, bounty.id),
+            releasedClaims: getReleasedClaims(jobs, bounty.id),
+            ...canClaimBounty(bounty, jobs, userId)
+        })),
+        getDashboardSeries: (userIds, bucket) =>
+            getDashboardSeries(transactions, jobs, { userIds, bucket, resetDay: weeklyResetDay }),
+        projectInterestGrowth: (user, weeks) =>
+            projectInterestGrowth(getOwnedBalance(user), user.interest, weeks),
+        getAllowanceStatus: (user) => user?.allowance?.enabled
+            ? {
+                nextDate: getNextAllowanceDate(user.allowance, weeklyResetDay),
+                earned: isAllowanceEarnedThisPeriod(user.allowance, weeklyResetDay)
+            }
+            : null,
 
         // Persistence
         getState,
@@ -858,6 +2064,19 @@ export const loadFamilyEconomyState = () => {
         data.jobTemplates = Array.isArray(data.jobTemplates) ? data.jobTemplates : [];
         data.transactions = Array.isArray(data.transactions) ? data.transactions : [];
         data.redemptionItems = Array.isArray(data.redemptionItems) ? data.redemptionItems : [];
+        data.storeOrders = Array.isArray(data.storeOrders) ? data.storeOrders : [];
+        data.savingsGoals = Array.isArray(data.savingsGoals) ? data.savingsGoals : [];
+        data.loans = Array.isArray(data.loans) ? data.loans : [];
+        data.gemHistory = Array.isArray(data.gemHistory) ? data.gemHistory : [];
+        data.transfers = Array.isArray(data.transfers) ? data.transfers : [];
+        data.auctions = Array.isArray(data.auctions) ? data.auctions : [];
+
+        // Repair saves whose stored balances drifted from the ledger
+        const { transactions, repairs } = reconcileLedger(data);
+        if (repairs.length > 0) {
+            console.warn(`Reconciled ${repairs.length} ledger discrepancies in family economy save`);
+            data.transactions = transactions;
+        }
 
         return data;
     } catch (e) {
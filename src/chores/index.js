@@ -9,7 +9,31 @@
  * - Daily/weekly recurrence for chores and jobs
  * - Job lock/unlock based on chore completion
  * - Multiple completion events for jobs
- * - Cash balance and transaction tracking
+ * - Per-child and per-job daily/weekly earning caps
+ * - Cash balances derived from an append-only transaction ledger
+ * - Parent reversals and refunds linked to the original entry
+ * - Money transfers between family members, with optional parent approval
+ * - Printable monthly statements for each child
+ * - CSV and OFX export of the ledger by family member and date range
+ * - Savings goals with earmarked funds and projected completion
+ * - Weekly compound interest on savings, paid by parents
+ * - Spend / Save / Give jars splitting every earning
+ * - Scheduled daily/weekly/monthly allowances, optionally tied to chores
+ * - Optional fines for chores and jobs missed at period end
+ * - Parent advances repaid automatically from job earnings
+ * - Chore gems with streak bonuses and an optional gem-to-cash exchange
+ * - Reward store with stock, weekly limits and optional parent approval
+ * - Spending categories with weekly/monthly per-category breakdowns
+ * - Earnings dashboard with daily/weekly/monthly SVG charts
+ * - Auto-approval of pending job completions by age or amount
+ * - Per-completion approval with adjusted counts and partial pay
+ * - 1-3 star quality ratings on approval with configurable bonuses
+ * - Rejection reasons and redo instructions, with redos linked to the rejected attempt
+ * - Photo proof on job completions, downscaled and kept in IndexedDB for a set period
+ * - Bounty board of library jobs children claim first come, first served, with claim expiry
+ * - Job auctions where children bid down the price of one-off jobs
+ * - Due times and availability windows on jobs and chores, with early-bird bonuses and late penalties
+ * - Locale- and currency-aware money formatting and input
  * - Multi-user profiles (parents and children)
  * - 9-dot pattern lock security for parent access
  * - localStorage persistence
@@ -42,13 +66,50 @@ export {
 // Schema and Types
 export {
     RECURRENCE_TYPE,
+    ALLOWANCE_CADENCE,
     USER_ROLE,
     TRANSACTION_TYPE,
+    GEM_ENTRY_TYPE,
     APPROVAL_STATUS,
+    AUCTION_STATUS,
+    COMPLETION_TIMING,
+    EXPORT_FORMAT,
+    SPENDING_CATEGORY,
+    AUTO_APPROVER,
+    QUALITY_RATING,
+    DEFAULT_PHOTO_RETENTION_DAYS,
+    LEDGER_ACCOUNT,
+    JAR,
+    JAR_ACCOUNT,
+    GOAL_ICONS,
+    REWARD_ICONS,
+    CURRENCY_PRESETS,
+    SUPPORTED_CURRENCIES,
+    SUPPORTED_LOCALES,
     createDefaultUser,
     createDefaultJob,
+    createDefaultBounty,
+    createDefaultSchedule,
+    createAuction,
+    createAuctionBid,
     createDefaultChore,
     createTransaction,
+    createLedgerEntry,
+    createSavingsGoal,
+    createDefaultInterestSettings,
+    createDefaultJarSettings,
+    createDefaultAllowanceSettings,
+    createRedemptionItem,
+    createLoan,
+    createGemEntry,
+    createDefaultGemExchangeSettings,
+    createDefaultTransferSettings,
+    createDefaultEarningCaps,
+    createDefaultAutoApprovalPolicy,
+    createDefaultQualityBonusSettings,
+    createRejection,
+    createTransfer,
+    createStoreOrder,
     createChoreTemplate,
     createJobTemplate
 } from './schema.js';
@@ -107,11 +168,16 @@ export {
     UnlockProgressBar,
     UnlockStatus,
     CompletionCounter,
+    EarningBudgetIndicator,
     MultipleCompletionInput,
     JobCard,
     JobList
 } from './components/JobCard.jsx';
 
+export {
+    EarningCapsEditor
+} from './components/EarningCaps.jsx';
+
 export {
     JobEditorModal,
     JobIconPicker,
@@ -130,9 +196,11 @@ export {
     TransactionItem,
     TransactionGroupHeader,
     TransactionFilterTabs,
+    JarBalances,
     TransactionSummaryCard,
     TransactionHistory,
-    RecentTransactions
+    RecentTransactions,
+    ReverseTransactionModal
 } from './components/TransactionHistory.jsx';
 
 export {
@@ -147,6 +215,139 @@ export {
     MONEY_ANIMATION_CSS
 } from './components/MoneyAnimation.jsx';
 
+export {
+    MoneyInput,
+    QuickAmountPicker,
+    CurrencySettingsModal
+} from './components/Currency.jsx';
+
+export {
+    GoalProgressBar,
+    GoalProjection,
+    SavingsGoalCard,
+    SavingsGoalList,
+    SavingsGoalEditorModal
+} from './components/SavingsGoals.jsx';
+
+export {
+    InterestGrowthCard,
+    InterestSettingsEditor,
+    interestSettingsToForm,
+    interestFormToSettings
+} from './components/Interest.jsx';
+
+export {
+    JarBalanceCard,
+    JarSettingsEditor,
+    JarPicker,
+    MoveJarMoneyModal
+} from './components/Jars.jsx';
+
+export {
+    AllowanceStatusCard,
+    AllowanceSettingsEditor,
+    allowanceSettingsToForm,
+    allowanceFormToSettings
+} from './components/Allowance.jsx';
+
+export {
+    FineInput,
+    FineFloorEditor,
+    FineWarning
+} from './components/Fines.jsx';
+
+export {
+    LoanCard,
+    LoanList,
+    LoanScheduleModal,
+    GrantLoanModal
+} from './components/Loans.jsx';
+
+export {
+    GemWalletCard,
+    GemHistoryModal,
+    GemExchangeModal,
+    GemExchangeSettingsModal
+} from './components/Gems.jsx';
+
+export {
+    TransferModal,
+    PendingTransfersList,
+    TransferSettingsModal
+} from './components/Transfers.jsx';
+
+export {
+    MonthlyStatement,
+    MonthlyStatementModal
+} from './components/Statements.jsx';
+
+export {
+    LedgerExportModal
+} from './components/LedgerExport.jsx';
+
+export {
+    StoreItemCard,
+    RewardStore,
+    PendingOrdersList,
+    StoreManagementList,
+    StoreItemEditorModal
+} from './components/RewardStore.jsx';
+
+export {
+    SpendingCategoryPicker,
+    SpendingBreakdown,
+    SpendingBreakdownModal
+} from './components/Spending.jsx';
+
+export {
+    BarChart,
+    LineChart,
+    EarningsDashboard
+} from './components/Dashboard.jsx';
+
+export {
+    AutoApprovalPolicyEditor,
+    AutoApprovalSettingsModal
+} from './components/AutoApproval.jsx';
+
+export {
+    PendingCompletionList
+} from './components/CompletionReview.jsx';
+
+export {
+    StarRating,
+    QualityBadge,
+    QualityBonusSettingsModal
+} from './components/Quality.jsx';
+
+export {
+    RejectionForm,
+    RedoNotice
+} from './components/Redo.jsx';
+
+export {
+    PhotoCaptureButton,
+    CompletionPhoto,
+    PhotoSettingsModal
+} from './components/Photos.jsx';
+
+export {
+    BountyBoard,
+    BountySettingsEditor
+} from './components/Bounties.jsx';
+
+export {
+    AuctionBoard,
+    AuctionEditorModal,
+    AuctionHistoryModal
+} from './components/Auctions.jsx';
+
+export {
+    ScheduleCountdown,
+    TimingBadge,
+    ScheduleEditor
+} from './components/Schedule.jsx';
+
 // Pattern Lock Utilities
 export {
     getDotCenter,
@@ -161,6 +362,7 @@ export {
 // Chore Utilities
 export {
     createChore,
+    calculateStreakBonus,
     createPendingApproval,
     canCompleteChore,
     resetDailyTasks,
@@ -186,6 +388,15 @@ export {
     centsToDollars,
     formatCents,
     formatCentsShort,
+    formatCentsForInput,
+    formatCentsDecimal,
+    parseMoneyInput,
+    parseDollarString,
+    setCurrencyConfig,
+    getCurrencyConfig,
+    getCurrencySymbol,
+    getMinorUnitDigits,
+    getQuickAmounts,
     multiplyCents,
     calculateBillCount
 } from './utils/currency.js';
@@ -201,9 +412,232 @@ export {
     formatDate,
     getNextResetTime,
     getTimeUntilReset,
+    getTimeOfDay,
+    getTimeUntilTimeOfDay,
+    formatCountdown,
+    formatTimeOfDay,
+    getPeriodStart,
+    getNextPeriodStart,
+    getElapsedPeriodStarts,
     DEFAULT_WEEKLY_RESET_DAY
 } from './utils/dateTime.js';
 
+// Ledger Utilities
+export {
+    getEntryAccount,
+    getCashEffect,
+    getOwnedEffect,
+    isInternalMove,
+    computeAccountBalances,
+    computeBalances,
+    getOwnedBalance,
+    applyBalances,
+    getLatestEntryDate,
+    reconcileLedger
+} from './utils/ledger.js';
+
+// Reversal Utilities
+export {
+    getReversedIds,
+    excludeReversed,
+    canReverseTransaction,
+    createReversalEntries
+} from './utils/reversals.js';
+
+// Savings Goal Utilities
+export {
+    getGoalAccount,
+    getGoalBalance,
+    getGoalProgress,
+    getAverageDailyEarnings,
+    projectGoalCompletion
+} from './utils/savingsGoals.js';
+
+// Interest Utilities
+export {
+    calculateWeeklyInterest,
+    getInterestBearingBalance,
+    accrueInterest,
+    projectInterestGrowth
+} from './utils/interest.js';
+
+// Jar Utilities
+export {
+    JAR_INFO,
+    isValidJarSplit,
+    splitAmount,
+    createJarAllocationEntries,
+    withJarAllocation
+} from './utils/jars.js';
+
+// Allowance Utilities
+export {
+    isAllowanceConditionMet,
+    isAllowanceEarnedThisPeriod,
+    recordConditionMet,
+    accrueAllowance,
+    getNextAllowanceDate,
+    describeAllowance
+} from './utils/allowance.js';
+
+// Fine Utilities
+export {
+    getFineFloor,
+    isChoreMissed,
+    isJobMissed,
+    assessFines
+} from './utils/fines.js';
+
+// Loan Utilities
+export {
+    getLoanAccount,
+    getLoanStatus,
+    getActiveLoans,
+    withLoanRepayment,
+    getLoanSchedule
+} from './utils/loans.js';
+
+// Gem Utilities
+export {
+    getGemBalance,
+    applyGemBalances,
+    getUserGemHistory,
+    createChoreGemEntry,
+    getExchangeQuote,
+    createGemExchange
+} from './utils/gems.js';
+
+// Statement Utilities
+export {
+    getStatementTypeLabel,
+    getStatementMonths,
+    buildMonthlyStatement
+} from './utils/statements.js';
+
+// Ledger Export Utilities
+export {
+    getExportRange,
+    filterTransactionsForExport,
+    getApproverName,
+    transactionsToCsv,
+    transactionsToOfx,
+    createLedgerExport
+} from './utils/ledgerExport.js';
+
+// Transfer Utilities
+export {
+    requiresTransferApproval,
+    canTransfer,
+    createTransferEntries
+} from './utils/transfers.js';
+
+// Reward Store Utilities
+export {
+    getWeeklyPurchaseCount,
+    getAvailableStock,
+    canPurchaseItem
+} from './utils/store.js';
+
+// Spending Utilities
+export {
+    SPENDING_CATEGORY_INFO,
+    getSpendingCategory,
+    getSpendingEntries,
+    summarizeSpending,
+    getSpendingBreakdown
+} from './utils/spending.js';
+
+// Dashboard Utilities
+export {
+    DASHBOARD_PERIOD_COUNTS,
+    getDashboardSeries
+} from './utils/dashboard.js';
+
+// Auto-Approval Utilities
+export {
+    AUTO_APPROVAL_CHECK_INTERVAL_MS,
+    getAutoApprovalPolicy,
+    getAutoApprovalTime,
+    getDueAutoApprovals,
+    getNextAutoApprovalTime,
+    describeAutoApprovalTime,
+    describeAutoApprovalPolicy
+} from './utils/autoApproval.js';
+
+// Quality Utilities
+export {
+    normalizeRating,
+    formatStars,
+    getQualityBonusPercent,
+    calculateQualityBonus,
+    createQualityBonusEntry,
+    withQualityBonus,
+    getQualityByJob
+} from './utils/quality.js';
+
+// Redo Utilities
+export {
+    markChoreForRedo,
+    resubmitChore,
+    needsRedo,
+    getRedoCompletion,
+    getRedoneAttempt
+} from './utils/redo.js';
+
+// Photo Utilities
+export {
+    PHOTO_MAX_DIMENSION,
+    PHOTO_QUALITY,
+    downscaleImage,
+    savePhoto,
+    getPhoto,
+    prunePhotos
+} from './utils/photos.js';
+
+// Bounty Utilities
+export {
+    BOUNTY_CHECK_INTERVAL_MS,
+    getOpenBounties,
+    isClaimExpired,
+    releaseClaim,
+    getReleasedClaims,
+    getBountyClaims,
+    canClaimBounty,
+    createClaimedJob,
+    completeClaim,
+    reopenClaim,
+    isClaimSettled,
+    describeClaimExpiry
+} from './utils/bounties.js';
+
+// Auction Utilities
+export {
+    AUCTION_CHECK_INTERVAL_MS,
+    getOpenAuctions,
+    isAuctionDue,
+    getLowestBid,
+    getUserBid,
+    canPlaceBid,
+    addAuctionBid,
+    closeAuction,
+    markAuctionCancelled,
+    createAuctionJob,
+    describeAuctionDeadline
+} from './utils/auctions.js';
+
+// Schedule Utilities
+export {
+    SCHEDULE_TICK_MS,
+    hasSchedule,
+    isWithinWindow,
+    checkSchedule,
+    getCompletionTiming,
+    applyTimingPercent,
+    describeSchedule,
+    describeScheduleTimes,
+    describeTiming
+} from './utils/schedule.js';
+
 // Job Utilities
 export {
     countCompletedChores,
@@ -215,17 +649,30 @@ export {
     completeJob,
     getPendingEarnings,
     getApprovedEarnings,
+    getCompletionPayment,
     approveCompletion,
     rejectCompletion,
     approveAllCompletions,
     resetJob,
+    isOneOffDone,
+    isOneOffSettled,
     checkAndResetJob,
     updateJobLockStatus,
+    createJob,
     getJobsNeedingApproval,
     calculateTotalValue,
     getCompletionDisplayText
 } from './utils/jobHelpers.js';
 
+// Earning Cap Utilities
+export {
+    getJobEarningsThisPeriod,
+    getEarningBudget,
+    getCompletionsWithinBudget,
+    describeEarningBudget,
+    checkEarningCaps
+} from './utils/earningCaps.js';
+
 // Default export for convenience
 export default {
     // Hooks
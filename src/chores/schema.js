@@ -6,6 +6,7 @@
  * - Jobs with cash rewards
  * - Enhanced chores with daily/weekly recurrence
  * - Transactions and balance tracking
+ * - Chore gems and the gem-to-cash exchange
  */
 
 // ============ ENUMS & CONSTANTS ============
@@ -18,6 +19,16 @@ export const RECURRENCE_TYPE = {
     WEEKLY: 'weekly'
 };
 
+/**
+ * How often an allowance is paid
+ * Daily and weekly match RECURRENCE_TYPE so the same period helpers apply.
+ */
+export const ALLOWANCE_CADENCE = {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly'
+};
+
 /**
  * User roles
  */
@@ -33,7 +44,63 @@ export const TRANSACTION_TYPE = {
     EARN: 'earn',      // Earned from job completion
     REDEEM: 'redeem',  // Spent on rewards/items
     BONUS: 'bonus',    // Bonus rewards (streaks, etc.)
-    ADJUST: 'adjust'   // Parent adjustment
+    ADJUST: 'adjust',  // Parent adjustment
+    HOLD: 'hold',      // Earnings held while awaiting approval
+    RELEASE: 'release', // Held earnings released without payment (rejected)
+    GOAL_DEPOSIT: 'goal_deposit',   // Cash earmarked for a savings goal
+    GOAL_WITHDRAW: 'goal_withdraw', // Earmarked cash returned from a savings goal
+    INTEREST: 'interest',           // Parent-paid interest on savings
+    JAR_ALLOCATE: 'jar_allocate',   // Share of an earning split into the Save/Give jars
+    JAR_TRANSFER: 'jar_transfer',   // Parent moved money between jars
+    ALLOWANCE: 'allowance',         // Scheduled allowance deposit
+    FINE: 'fine',                   // Penalty for a chore or job left incomplete at period end
+    LOAN_ADVANCE: 'loan_advance',   // Parent advanced cash on a loan
+    LOAN_REPAYMENT: 'loan_repayment', // Loan principal repaid from earnings
+    LOAN_INTEREST: 'loan_interest', // Loan interest paid from earnings
+    GEM_EXCHANGE: 'gem_exchange',   // Gems exchanged for cash
+    REVERSAL: 'reversal',           // Undoes an earlier entry (linked by reversesId)
+    TRANSFER_OUT: 'transfer_out',   // Money sent to another family member
+    TRANSFER_IN: 'transfer_in'      // Money received from another family member
+};
+
+/**
+ * Gem history entry types
+ */
+export const GEM_ENTRY_TYPE = {
+    CHORE: 'chore',       // Gems awarded for an approved chore (points + streak bonus)
+    EXCHANGE: 'exchange', // Gems spent on a cash exchange
+    REFUND: 'refund'      // Gems returned when an exchange is reversed
+};
+
+/**
+ * Ledger accounts a transaction can move money in or out of
+ */
+export const LEDGER_ACCOUNT = {
+    CASH: 'cash',       // Spendable balance
+    PENDING: 'pending', // Earnings awaiting parent approval
+    GOAL_PREFIX: 'goal:', // Prefix for per-goal accounts (e.g. 'goal:goal_123')
+    JAR_SAVE: 'jar:save', // Save jar
+    JAR_GIVE: 'jar:give', // Give jar
+    LOAN_PREFIX: 'loan:'  // Prefix for per-loan accounts; negative while principal is owed
+};
+
+/**
+ * Money jars
+ * The Spend jar is the cash account, so spending always draws from it.
+ */
+export const JAR = {
+    SPEND: 'spend',
+    SAVE: 'save',
+    GIVE: 'give'
+};
+
+/**
+ * Ledger account backing each jar
+ */
+export const JAR_ACCOUNT = {
+    [JAR.SPEND]: LEDGER_ACCOUNT.CASH,
+    [JAR.SAVE]: LEDGER_ACCOUNT.JAR_SAVE,
+    [JAR.GIVE]: LEDGER_ACCOUNT.JAR_GIVE
 };
 
 /**
@@ -45,6 +112,56 @@ export const APPROVAL_STATUS = {
     REJECTED: 'rejected'
 };
 
+/**
+ * Job auction status
+ */
+export const AUCTION_STATUS = {
+    OPEN: 'open',           // Taking bids until the deadline
+    AWARDED: 'awarded',     // Lowest bidder was given the job
+    NO_BIDS: 'no_bids',     // Deadline passed with no bids
+    CANCELLED: 'cancelled'  // A parent called it off
+};
+
+/**
+ * When a job or chore was completed against its schedule
+ */
+export const COMPLETION_TIMING = {
+    EARLY: 'early', // Before the early-bird time: bonus
+    LATE: 'late'    // After the due time: penalty
+};
+
+/**
+ * Approver recorded on job completions approved by the auto-approval policy
+ */
+export const AUTO_APPROVER = 'auto';
+
+/**
+ * Quality ratings a parent can give when approving (stars)
+ */
+export const QUALITY_RATING = {
+    MIN: 1,
+    MAX: 3
+};
+
+/**
+ * What spending (redeem entries) went on
+ */
+export const SPENDING_CATEGORY = {
+    TOYS: 'toys',
+    TREATS: 'treats',
+    GAMES: 'games',
+    SAVINGS_WITHDRAWAL: 'savings_withdrawal', // Savings taken out as real money (e.g. to the bank)
+    CUSTOM: 'custom'                          // Named by the parent in customCategory
+};
+
+/**
+ * Ledger export file formats
+ */
+export const EXPORT_FORMAT = {
+    CSV: 'csv', // Spreadsheets
+    OFX: 'ofx'  // Personal finance software
+};
+
 /**
  * Days of the week for weekly reset
  */
@@ -63,6 +180,11 @@ export const WEEK_DAYS = {
  */
 export const DEFAULT_WEEKLY_RESET_DAY = WEEK_DAYS.SUNDAY;
 
+/**
+ * Default days a completion photo is kept before it's deleted
+ */
+export const DEFAULT_PHOTO_RETENTION_DAYS = 14;
+
 // ============ TYPE DEFINITIONS (JSDoc) ============
 
 /**
@@ -74,13 +196,29 @@ export const DEFAULT_WEEKLY_RESET_DAY = WEEK_DAYS.SUNDAY;
  */
 
 /**
- * @typedef {'earn' | 'redeem' | 'bonus' | 'adjust'} TransactionType
+ * @typedef {'earn' | 'redeem' | 'bonus' | 'adjust' | 'hold' | 'release' | 'goal_deposit' | 'goal_withdraw' | 'interest' | 'jar_allocate' | 'jar_transfer' | 'allowance' | 'fine' | 'loan_advance' | 'loan_repayment' | 'loan_interest' | 'gem_exchange' | 'reversal' | 'transfer_out' | 'transfer_in'} TransactionType
  */
 
 /**
  * @typedef {'pending' | 'approved' | 'rejected'} ApprovalStatus
  */
 
+/**
+ * @typedef {'open' | 'awarded' | 'no_bids' | 'cancelled'} AuctionStatus
+ */
+
+/**
+ * @typedef {'early' | 'late'} CompletionTiming
+ */
+
+/**
+ * @typedef {'toys' | 'treats' | 'games' | 'savings_withdrawal' | 'custom'} SpendingCategory
+ */
+
+/**
+ * @typedef {'cash' | 'pending' | 'jar:save' | 'jar:give' | string} LedgerAccount - 'goal:<id>' for savings goals
+ */
+
 /**
  * User Profile
  * @typedef {Object} User
@@ -88,25 +226,93 @@ export const DEFAULT_WEEKLY_RESET_DAY = WEEK_DAYS.SUNDAY;
  * @property {string} name - Display name
  * @property {string} avatar - Avatar emoji or image reference
  * @property {UserRole} role - 'parent' or 'child'
- * @property {number} cashBalance - Current cash balance in cents
- * @property {number} pendingBalance - Pending approval balance in cents
+ * @property {number} cashBalance - Current cash balance in cents (derived from the ledger)
+ * @property {number} pendingBalance - Pending approval balance in cents (derived from the ledger)
+ * @property {number} gemBalance - Gems held (derived from the gem history)
+ * @property {InterestSettings} [interest] - Interest paid on this child's savings
+ * @property {JarSettings} [jars] - How this child's earnings are split between jars
+ * @property {AllowanceSettings} [allowance] - Scheduled allowance for this child
+ * @property {number} [fineFloorCents] - Lowest cash balance fines may leave (0 = never below $0, negative = may owe)
+ * @property {EarningCaps} [earningCaps] - Most this child can earn from jobs per day/week
  * @property {number} currentStreak - Current consecutive day streak
  * @property {number} longestStreak - Personal best streak
  * @property {string | null} lastActiveDate - ISO date string of last activity
  * @property {string} createdAt - ISO timestamp
  */
 
+/**
+ * Interest Settings
+ * Interest is paid weekly on the weekly reset day and compounds because each
+ * payment is added to the balance the next week's interest is calculated on.
+ * @typedef {Object} InterestSettings
+ * @property {boolean} enabled - Whether interest is paid
+ * @property {number} apr - Annual rate as a percentage (e.g. 5 = 5%)
+ * @property {number} minBalanceCents - Balance below which no interest is paid
+ * @property {number | null} capCents - Most interest paid in a single week (null = no cap)
+ * @property {string | null} startedAt - ISO timestamp interest was switched on; no interest is paid for earlier weeks
+ */
+
+/**
+ * Jar Settings
+ * Percentages of each credited earning placed in each jar; they add up to 100.
+ * @typedef {Object} JarSettings
+ * @property {boolean} enabled - Whether earnings are split
+ * @property {{ spend: number, save: number, give: number }} split - Percentage per jar
+ */
+
+/**
+ * Allowance Settings
+ * @typedef {Object} AllowanceSettings
+ * @property {boolean} enabled - Whether the allowance is paid
+ * @property {number} amountCents - Amount paid each period
+ * @property {'daily' | 'weekly' | 'monthly'} cadence - How often it's paid
+ * @property {Object | null} condition - Chores required to earn it, in job unlockConditions form
+ *   ({ requireAllChores: true } or { dailyChores, weeklyChores }); null = always paid
+ * @property {string | null} startedAt - ISO timestamp the allowance was switched on; earlier periods aren't paid
+ * @property {string[]} conditionMetPeriods - Starts (ISO) of the periods the condition was met in
+ * @property {string | null} conditionMetAt - Legacy: latest period it was met in, from saves before conditionMetPeriods
+ */
+
+/**
+ * Earning Caps
+ * Limits on job earnings in the current day and week, counted from when the work
+ * is done (pending completions included).
+ * @typedef {Object} EarningCaps
+ * @property {number | null} dailyCents - Most earned per day (null = no cap)
+ * @property {number | null} weeklyCents - Most earned per week (null = no cap)
+ */
+
 /**
  * Job Completion Event
  * @typedef {Object} JobCompletionEvent
  * @property {string} id - Unique event identifier
  * @property {string} timestamp - ISO timestamp of completion
  * @property {number} count - Number of completions in this event (for multi-completion jobs)
- * @property {number} valueAtCompletion - Job value in cents at time of completion
+ * @property {number} valueAtCompletion - Job value in cents at time of completion, after any early-bird bonus or late penalty
  * @property {number} totalEarned - Total cash earned (count × value) in cents
  * @property {ApprovalStatus} status - 'pending' | 'approved' | 'rejected'
- * @property {string | null} approvedBy - Parent user ID who approved
+ * @property {string | null} approvedBy - Parent user ID who approved, or 'auto' for the auto-approval policy
  * @property {string | null} approvedAt - ISO timestamp of approval
+ * @property {number} [claimedCount] - Count the child claimed, when a parent approved fewer
+ * @property {number} [claimedEarned] - Amount claimed, when a parent paid less
+ * @property {number | null} [rating] - Quality rating (1-3 stars) given on approval
+ * @property {Rejection | null} [rejection] - Why a parent rejected it
+ * @property {string | null} [redoOf] - Rejected completion this one redoes
+ * @property {boolean} [hasPhoto] - A photo was attached (kept in IndexedDB under the completion ID)
+ * @property {CompletionTiming | null} [timing] - 'early' or 'late' against the job's schedule
+ * @property {number} [timingPercent] - Early-bird bonus (+) or late penalty (-) in valueAtCompletion
+ */
+
+/**
+ * Schedule
+ * Times of day (local "HH:MM", every day of the period) for a job or chore.
+ * @typedef {Object} Schedule
+ * @property {string | null} availableFrom - Can't be completed before this time
+ * @property {string | null} availableUntil - Can't be completed after this time
+ * @property {string | null} dueBy - Completing after this time is late
+ * @property {string | null} earlyBirdBy - Completing before this time earns the early-bird bonus
+ * @property {number} earlyBirdPercent - Bonus for completing early, as a percentage
+ * @property {number} latePenaltyPercent - Deducted for completing late, as a percentage
  */
 
 /**
@@ -116,6 +322,25 @@ export const DEFAULT_WEEKLY_RESET_DAY = WEEK_DAYS.SUNDAY;
  * @property {number} weeklyChores - Number of weekly chores needed to unlock
  */
 
+/**
+ * Bounty
+ * Posts a library job (no userId) on the bounty board for children to claim.
+ * @typedef {Object} Bounty
+ * @property {number} maxClaims - How many children can claim it at once
+ * @property {number | null} claimHours - Hours a claim lasts before it's released (null = no expiry)
+ */
+
+/**
+ * Bounty Claim
+ * Set on the job a child gets by claiming a bounty.
+ * @typedef {Object} BountyClaim
+ * @property {string} bountyId - Library job that was claimed
+ * @property {string} claimedAt - ISO timestamp
+ * @property {string | null} expiresAt - When the claim is released if the job isn't done
+ * @property {string | null} completedAt - When the child completed it
+ * @property {string | null} releasedAt - When it ran out before being done; the job is kept until the reset
+ */
+
 /**
  * Job
  * @typedef {Object} Job
@@ -130,9 +355,18 @@ export const DEFAULT_WEEKLY_RESET_DAY = WEEK_DAYS.SUNDAY;
  * @property {UnlockConditions} unlockConditions - Conditions to unlock
  * @property {boolean} allowMultipleCompletions - Can be completed multiple times per period
  * @property {number | null} maxCompletionsPerPeriod - Max completions (null = unlimited)
+ * @property {EarningCaps} [earningCaps] - Most this job can earn per day/week
+ * @property {AutoApprovalPolicy | null} [autoApproval] - This job's auto-approval rule (null = the family rule)
  * @property {JobCompletionEvent[]} completions - Completion events for current period
  * @property {string} lastReset - ISO timestamp of last daily/weekly reset
  * @property {boolean} requiresApproval - Whether parent approval is needed
+ * @property {boolean} [requiresPhoto] - Children must attach a photo when completing
+ * @property {Schedule | null} [schedule] - Due time, availability window and early/late adjustments
+ * @property {Bounty | null} [bounty] - Library jobs only: posted on the bounty board
+ * @property {BountyClaim | null} [claim] - Set on a job claimed from the bounty board
+ * @property {boolean} [oneOff] - Done once, then removed at the period reset after approval
+ * @property {string | null} [auctionId] - Auction the job was won in
+ * @property {number} fineCents - Fine if not done at all in a period (0 = no fine)
  * @property {string} createdAt - ISO timestamp
  * @property {string} createdBy - Parent user ID who created
  */
@@ -144,28 +378,53 @@ export const DEFAULT_WEEKLY_RESET_DAY = WEEK_DAYS.SUNDAY;
  * @property {string} name - Chore name
  * @property {string} icon - Emoji icon
  * @property {number} points - Gem points awarded
+ * @property {number} [streakBonus] - Bonus gems locked in from the streak when completed
+ * @property {Schedule | null} [schedule] - Due time, availability window and early/late adjustments
+ * @property {CompletionTiming | null} [timing] - 'early' or 'late' against the schedule, when completed
+ * @property {number} [timingPercent] - Early-bird bonus (+) or late penalty (-) applied to the gems
+ * @property {number} [timingBonus] - Gems locked in when completed: early-bird bonus (+) or late penalty (-)
+ * @property {number | null} [rating] - Quality rating (1-3 stars) given on the last approval
+ * @property {Rejection | null} [rejection] - Set while a rejected chore needs redoing
+ * @property {Rejection | null} [redoOf] - Rejection a resubmitted chore redoes
  * @property {RecurrenceType} recurrence - 'daily' or 'weekly'
  * @property {string} userId - Assigned user ID
  * @property {boolean} completed - Whether completed this period
  * @property {boolean} pendingApproval - Awaiting parent approval
  * @property {string | null} completedAt - ISO timestamp of completion
  * @property {string} lastReset - ISO timestamp of last reset
+ * @property {number} fineCents - Fine if still incomplete at period end (0 = no fine)
  * @property {string} createdAt - ISO timestamp
  */
 
 /**
- * Transaction Record
+ * Transaction Record (ledger entry)
+ *
+ * Entries are append-only: balances are computed by summing entries per
+ * account, and mistakes are corrected by posting new entries.
+ *
  * @typedef {Object} Transaction
  * @property {string} id - Unique transaction identifier
  * @property {string} userId - User who earned/spent
- * @property {TransactionType} type - 'earn' | 'redeem' | 'bonus' | 'adjust'
- * @property {number} amount - Amount in cents (positive for earn, negative for redeem)
+ * @property {TransactionType} type - Kind of money movement
+ * @property {number} amount - Amount in cents applied to `account` (positive = credit, negative = debit)
+ * @property {LedgerAccount} account - Account the amount is applied to
+ * @property {LedgerAccount | null} counterAccount - Account that receives the opposite amount (transfers)
  * @property {string} date - ISO timestamp
  * @property {string} description - Human-readable description
- * @property {string | null} jobId - Related job ID (if type is 'earn')
+ * @property {string | null} jobId - Related job ID (if type is 'earn' or 'fine')
+ * @property {string | null} choreId - Chore that caused a fine
+ * @property {string[] | null} completionIds - Job completion events this entry settles
  * @property {number | null} completionCount - Number of completions (for multi-completion jobs)
- * @property {string | null} approvedBy - Parent user ID who approved
+ * @property {string | null} approvedBy - Parent user ID who approved, or 'auto' for the auto-approval policy
  * @property {ApprovalStatus} status - 'pending' | 'approved' | 'rejected'
+ * @property {number | null} [rating] - Quality rating on an approved job earning, and on its quality bonus
+ * @property {string} [reversesId] - Entry this reversal undoes (type 'reversal' only)
+ * @property {TransactionType} [reversedType] - Type of the entry it undoes
+ * @property {string} [reason] - Why the parent reversed it
+ * @property {string} [transferId] - Transfer this entry is one side of
+ * @property {string} [counterpartyId] - Family member on the other side of a transfer
+ * @property {SpendingCategory | null} [category] - What spending went on (type 'redeem' only)
+ * @property {string} [customCategory] - Category name when category is 'custom'
  */
 
 /**
@@ -176,10 +435,168 @@ export const DEFAULT_WEEKLY_RESET_DAY = WEEK_DAYS.SUNDAY;
  * @property {string} description - Item description
  * @property {string} icon - Emoji icon
  * @property {number} price - Price in cents
+ * @property {number | null} stock - Units left (null = unlimited)
+ * @property {number | null} weeklyLimit - Most a child may buy per week (null = no limit)
+ * @property {boolean} requiresApproval - Whether a parent must approve each purchase
+ * @property {SpendingCategory | null} category - Spending category purchases are recorded under
+ * @property {string} customCategory - Category name when category is 'custom'
  * @property {boolean} isActive - Whether available for redemption
  * @property {string} createdAt - ISO timestamp
  */
 
+/**
+ * Store Order (one purchase of a redemption item)
+ * Orders that need approval deduct nothing until a parent approves them.
+ * @typedef {Object} StoreOrder
+ * @property {string} id - Unique order identifier
+ * @property {string} itemId - Item purchased
+ * @property {string} userId - Child who bought it
+ * @property {number} price - Price in cents at the time of purchase
+ * @property {ApprovalStatus} status - 'pending' until reviewed; 'approved' once paid
+ * @property {string} requestedAt - ISO timestamp
+ * @property {string | null} reviewedAt - ISO timestamp of the parent decision
+ * @property {string | null} reviewedBy - Parent who reviewed it
+ * @property {string | null} transactionId - REDEEM entry that paid for it
+ * @property {string | null} refundedAt - ISO timestamp the purchase was reversed
+ * @property {string | null} refundedBy - Parent who reversed it
+ */
+
+/**
+ * Loan (cash a parent advances to a child, repaid from job earnings)
+ * Interest is a flat percentage of the principal, charged once.
+ * @typedef {Object} Loan
+ * @property {string} id - Unique loan identifier
+ * @property {string} userId - Child who borrowed
+ * @property {string} description - What the loan is for
+ * @property {number} principalCents - Amount advanced
+ * @property {number} interestRate - Flat interest as a percentage of the principal
+ * @property {number} interestCents - Interest owed on top of the principal
+ * @property {number} repaymentPercent - Share of each job earning diverted to repayment
+ * @property {string} grantedBy - Parent who granted it
+ * @property {string} createdAt - ISO timestamp
+ * @property {string | null} cancelledAt - ISO timestamp the advance was reversed
+ */
+
+/**
+ * Gem History Entry
+ * Gem balances are the sum of a user's entries, like the cash ledger.
+ * @typedef {Object} GemEntry
+ * @property {string} id - Unique entry identifier
+ * @property {string} userId - User whose gems changed
+ * @property {'chore' | 'exchange' | 'refund'} type - Kind of gem movement
+ * @property {number} amount - Gems gained (positive) or spent (negative)
+ * @property {string} description - Human-readable description
+ * @property {string} date - ISO timestamp
+ * @property {string | null} choreId - Chore that earned the gems
+ * @property {number} streakBonus - Part of the amount that came from the streak bonus
+ * @property {number} [qualityBonus] - Part of the amount that came from the quality rating
+ * @property {number} [timingBonus] - Part of the amount from the early-bird bonus (+) or late penalty (-)
+ * @property {number | null} [rating] - Quality rating the chore was approved with
+ * @property {string | null} transactionId - Ledger entry that paid out an exchange
+ */
+
+/**
+ * Gem Exchange Settings
+ * Gems are exchanged in whole bundles of `gems` for `cents` each.
+ * @typedef {Object} GemExchangeSettings
+ * @property {boolean} enabled - Whether children may exchange gems for cash
+ * @property {number} gems - Gems per bundle
+ * @property {number} cents - Cash paid per bundle
+ */
+
+/**
+ * Transfer between family members
+ * Transfers that need approval wait as 'pending'; nothing moves until a parent approves.
+ * @typedef {Object} Transfer
+ * @property {string} id - Unique transfer identifier
+ * @property {string} fromUserId - Sender
+ * @property {string} toUserId - Recipient
+ * @property {number} amount - Cents sent
+ * @property {string} note - What it's for
+ * @property {ApprovalStatus} status - 'pending' until reviewed; 'approved' once paid
+ * @property {string} requestedAt - ISO timestamp
+ * @property {string | null} reviewedAt - ISO timestamp of the parent decision
+ * @property {string | null} reviewedBy - Parent who reviewed it
+ */
+
+/**
+ * Transfer Settings
+ * @typedef {Object} TransferSettings
+ * @property {boolean} requireApproval - Whether large transfers need a parent
+ * @property {number} thresholdCents - Transfers above this need approval
+ */
+
+/**
+ * Rejection
+ * A parent's reason and redo instructions for a rejected chore or job completion.
+ * @typedef {Object} Rejection
+ * @property {string} reason - Why it was rejected (may be empty)
+ * @property {string} redoInstructions - What to do differently (may be empty)
+ * @property {string} rejectedBy - Parent user ID
+ * @property {string} rejectedAt - ISO timestamp
+ * @property {string | null} attemptAt - When the rejected attempt was completed
+ */
+
+/**
+ * Bid on a job auction
+ * @typedef {Object} AuctionBid
+ * @property {string} id - Unique bid identifier
+ * @property {string} userId - Child bidding
+ * @property {number} amount - Cents the child would do the job for
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Job auction
+ * Children bid down the price of a one-off job; at the deadline the lowest
+ * bidder is given the job at their bid. Auctions are kept as history.
+ * @typedef {Object} Auction
+ * @property {string} id - Unique auction identifier
+ * @property {string} title - Job title
+ * @property {string} description - Job description
+ * @property {string} icon - Emoji icon
+ * @property {number} maxPrice - Most the job pays, in cents
+ * @property {string} deadline - ISO timestamp bidding closes
+ * @property {AuctionBid[]} bids - Every bid, in the order made
+ * @property {AuctionStatus} status - 'open' until the deadline or cancellation
+ * @property {string | null} winnerId - Child given the job
+ * @property {number | null} winningBid - Cents the job was given for
+ * @property {string | null} jobId - Job created for the winner
+ * @property {string | null} closedAt - ISO timestamp
+ * @property {string} createdBy - Parent user ID
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Quality Bonus Settings
+ * Approving with a rating pays this percentage of the earning on top, as a
+ * separate bonus (bonus gems for chores).
+ * @typedef {Object} QualityBonusSettings
+ * @property {Object<number, number>} percentByRating - Bonus percent for each star rating
+ */
+
+/**
+ * Auto-Approval Policy
+ * Pending job completions are approved automatically once either condition is met.
+ * @typedef {Object} AutoApprovalPolicy
+ * @property {boolean} enabled - Whether completions are ever auto-approved
+ * @property {number | null} afterHours - Approve once pending this long (null = never by age)
+ * @property {number | null} belowCents - Approve at once when worth less than this (null = never by amount)
+ */
+
+/**
+ * Savings Goal (cash a child earmarks toward something they want)
+ * @typedef {Object} SavingsGoal
+ * @property {string} id - Unique goal identifier
+ * @property {string} userId - Child saving toward the goal
+ * @property {string} name - What they're saving for
+ * @property {string} icon - Emoji icon
+ * @property {number} targetCents - Goal amount in cents
+ * @property {string | null} deadline - ISO date they'd like to reach it by
+ * @property {string | null} completedAt - ISO timestamp the target was first reached
+ * @property {string} createdAt - ISO timestamp
+ */
+
 /**
  * Family/Household State
  * @typedef {Object} FamilyState
@@ -190,6 +607,12 @@ export const DEFAULT_WEEKLY_RESET_DAY = WEEK_DAYS.SUNDAY;
  * @property {Chore[]} chores - All chores
  * @property {Transaction[]} transactions - All transactions
  * @property {RedemptionItem[]} redemptionItems - Available rewards
+ * @property {StoreOrder[]} storeOrders - Reward store purchases
+ * @property {SavingsGoal[]} savingsGoals - Children's savings goals
+ * @property {Loan[]} loans - Advances granted to children
+ * @property {GemEntry[]} gemHistory - Gems earned and exchanged
+ * @property {Transfer[]} transfers - Money sent between family members
+ * @property {Auction[]} auctions - Job auctions, open and past
  * @property {number[]} parentPassword - Pattern lock password
  * @property {Object} settings - Family settings
  * @property {string} lastSaved - ISO timestamp of last save
@@ -211,15 +634,55 @@ export const JOB_ICONS = [
 ];
 
 /**
- * Quick-select cash amounts (in cents)
+ * Default reward store icons
+ */
+export const REWARD_ICONS = [
+    '🎁', '🍦', '🍭', '🎮', '📺', '🎬', '🧸', '📚',
+    '🛝', '🍕', '🌙', '🎟️', '🎨', '⚽', '🎧', '⭐'
+];
+
+/**
+ * Default savings goal icons
+ */
+export const GOAL_ICONS = [
+    '🎯', '🚲', '🎮', '🧸', '📱', '🎧', '⚽', '🛹',
+    '🎨', '📚', '🎁', '🏖️', '🎢', '🐶', '👟', '💻'
+];
+
+/**
+ * Per-currency money presets, in minor units (cents, pence, yen...)
+ * quickAmounts: quick-select amounts; billCents: value of one bill in the money animation.
+ * Currencies without an entry use DEFAULT.
+ */
+export const CURRENCY_PRESETS = {
+    DEFAULT: { quickAmounts: [25, 50, 100, 250, 500, 1000], billCents: 100 },
+    EUR: { quickAmounts: [20, 50, 100, 200, 500, 1000], billCents: 100 },
+    GBP: { quickAmounts: [20, 50, 100, 200, 500, 1000], billCents: 100 },
+    CHF: { quickAmounts: [50, 100, 200, 500, 1000, 2000], billCents: 100 },
+    SEK: { quickAmounts: [500, 1000, 2000, 5000, 10000, 20000], billCents: 1000 },
+    NOK: { quickAmounts: [500, 1000, 2000, 5000, 10000, 20000], billCents: 1000 },
+    DKK: { quickAmounts: [500, 1000, 2000, 5000, 10000, 20000], billCents: 1000 },
+    MXN: { quickAmounts: [500, 1000, 2000, 5000, 10000, 20000], billCents: 1000 },
+    INR: { quickAmounts: [1000, 2000, 5000, 10000, 20000, 50000], billCents: 1000 },
+    JPY: { quickAmounts: [50, 100, 200, 500, 1000, 2000], billCents: 100 },
+    KRW: { quickAmounts: [500, 1000, 2000, 5000, 10000, 20000], billCents: 1000 }
+};
+
+/**
+ * Currencies offered in the money settings
+ */
+export const SUPPORTED_CURRENCIES = [
+    'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF',
+    'SEK', 'NOK', 'DKK', 'MXN', 'INR', 'JPY', 'KRW'
+];
+
+/**
+ * Locales offered in the money settings (null = the device's locale)
  */
-export const QUICK_AMOUNTS = [
-    { label: '$0.25', cents: 25 },
-    { label: '$0.50', cents: 50 },
-    { label: '$1.00', cents: 100 },
-    { label: '$2.50', cents: 250 },
-    { label: '$5.00', cents: 500 },
-    { label: '$10.00', cents: 1000 }
+export const SUPPORTED_LOCALES = [
+    null, 'en-US', 'en-GB', 'en-CA', 'en-AU', 'en-IN', 'de-DE', 'de-CH',
+    'fr-FR', 'fr-CA', 'es-ES', 'es-MX', 'it-IT', 'nl-NL', 'sv-SE',
+    'nb-NO', 'da-DK', 'ja-JP', 'ko-KR'
 ];
 
 /**
@@ -240,6 +703,50 @@ export const createDefaultUser = (role = USER_ROLE.CHILD) => ({
     createdAt: new Date().toISOString()
 });
 
+/**
+ * Default interest settings for a child
+ * @returns {InterestSettings}
+ */
+export const createDefaultInterestSettings = () => ({
+    enabled: false,
+    apr: 5,
+    minBalanceCents: 100,  // $1.00
+    capCents: 500,         // $5.00 per week
+    startedAt: null
+});
+
+/**
+ * Default jar settings for a child
+ * @returns {JarSettings}
+ */
+export const createDefaultJarSettings = () => ({
+    enabled: false,
+    split: { spend: 70, save: 20, give: 10 }
+});
+
+/**
+ * Default allowance settings for a child
+ * @returns {AllowanceSettings}
+ */
+export const createDefaultAllowanceSettings = () => ({
+    enabled: false,
+    amountCents: 500, // $5.00
+    cadence: ALLOWANCE_CADENCE.WEEKLY,
+    condition: null,
+    startedAt: null,
+    conditionMetPeriods: [],
+    conditionMetAt: null
+});
+
+/**
+ * Default earning caps (no limits)
+ * @returns {EarningCaps}
+ */
+export const createDefaultEarningCaps = () => ({
+    dailyCents: null,
+    weeklyCents: null
+});
+
 /**
  * Default new job
  * @param {string} userId
@@ -261,13 +768,44 @@ export const createDefaultJob = (userId, createdBy) => ({
     },
     allowMultipleCompletions: false,
     maxCompletionsPerPeriod: null,
+    earningCaps: createDefaultEarningCaps(),
+    autoApproval: null,
     completions: [],
     lastReset: new Date().toISOString(),
     requiresApproval: true,
+    requiresPhoto: false,
+    schedule: null,
+    bounty: null,
+    claim: null,
+    oneOff: false,
+    auctionId: null,
+    fineCents: 0,
     createdAt: new Date().toISOString(),
     createdBy
 });
 
+/**
+ * Default schedule (no times set, so nothing is enforced)
+ * @returns {Schedule}
+ */
+export const createDefaultSchedule = () => ({
+    availableFrom: null,
+    availableUntil: null,
+    dueBy: null,
+    earlyBirdBy: null,
+    earlyBirdPercent: 10,
+    latePenaltyPercent: 25
+});
+
+/**
+ * Default bounty settings (one child, 24 hours to finish)
+ * @returns {Bounty}
+ */
+export const createDefaultBounty = () => ({
+    maxClaims: 1,
+    claimHours: 24
+});
+
 /**
  * Default enhanced chore
  * @param {string} userId
@@ -284,6 +822,8 @@ export const createDefaultChore = (userId) => ({
     pendingApproval: false,
     completedAt: null,
     lastReset: new Date().toISOString(),
+    schedule: null,
+    fineCents: 0,
     createdAt: new Date().toISOString()
 });
 
@@ -308,6 +848,231 @@ export const createTransaction = (userId, type, amount, description) => ({
     status: type === TRANSACTION_TYPE.REDEEM ? APPROVAL_STATUS.APPROVED : APPROVAL_STATUS.PENDING
 });
 
+/**
+ * Default ledger entry
+ * Ledger entries are posted immediately, so they are always approved.
+ * @param {string} userId
+ * @param {TransactionType} type
+ * @param {number} amount - Cents applied to the entry's account
+ * @param {string} description
+ * @param {Object} [fields] - Extra fields (account, counterAccount, jobId, ...)
+ * @returns {Transaction}
+ */
+export const createLedgerEntry = (userId, type, amount, description, fields = {}) => ({
+    ...createTransaction(userId, type, amount, description),
+    account: LEDGER_ACCOUNT.CASH,
+    counterAccount: null,
+    completionIds: null,
+    status: APPROVAL_STATUS.APPROVED,
+    ...fields
+});
+
+/**
+ * Default reward store item
+ * @returns {RedemptionItem}
+ */
+export const createRedemptionItem = () => ({
+    id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: '',
+    description: '',
+    icon: '🎁',
+    price: 100, // $1.00 default
+    stock: null,
+    weeklyLimit: null,
+    requiresApproval: false,
+    category: SPENDING_CATEGORY.TREATS,
+    customCategory: '',
+    isActive: true,
+    createdAt: new Date().toISOString()
+});
+
+/**
+ * Default store order
+ * @param {RedemptionItem} item
+ * @param {string} userId
+ * @returns {StoreOrder}
+ */
+export const createStoreOrder = (item, userId) => ({
+    id: `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    itemId: item.id,
+    userId,
+    price: item.price,
+    status: item.requiresApproval ? APPROVAL_STATUS.PENDING : APPROVAL_STATUS.APPROVED,
+    requestedAt: new Date().toISOString(),
+    reviewedAt: null,
+    reviewedBy: null,
+    transactionId: null,
+    refundedAt: null,
+    refundedBy: null
+});
+
+/**
+ * Default savings goal
+ * @param {string} userId
+ * @returns {SavingsGoal}
+ */
+export const createSavingsGoal = (userId) => ({
+    id: `goal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    userId,
+    name: '',
+    icon: '🎯',
+    targetCents: 2000, // $20.00 default
+    deadline: null,
+    completedAt: null,
+    createdAt: new Date().toISOString()
+});
+
+/**
+ * Create a loan
+ * @param {string} userId - Child borrowing
+ * @param {Object} terms - { principalCents, interestRate, repaymentPercent, description }
+ * @param {string} grantedBy - Parent granting it
+ * @returns {Loan}
+ */
+export const createLoan = (userId, terms, grantedBy) => ({
+    id: `loan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    userId,
+    description: terms.description || 'Advance',
+    principalCents: terms.principalCents,
+    interestRate: terms.interestRate || 0,
+    interestCents: Math.round(terms.principalCents * (terms.interestRate || 0) / 100),
+    repaymentPercent: terms.repaymentPercent ?? 50,
+    grantedBy,
+    createdAt: new Date().toISOString(),
+    cancelledAt: null
+});
+
+/**
+ * Default gem exchange settings (off until a parent sets a rate)
+ * @returns {GemExchangeSettings}
+ */
+export const createDefaultGemExchangeSettings = () => ({
+    enabled: false,
+    gems: 10,
+    cents: 100
+});
+
+/**
+ * Default transfer settings (no approval needed until a parent turns it on)
+ * @returns {TransferSettings}
+ */
+export const createDefaultTransferSettings = () => ({
+    requireApproval: false,
+    thresholdCents: 500
+});
+
+/**
+ * Create a rejection
+ * @param {string} rejectedBy - Parent user ID
+ * @param {{ reason?: string, redoInstructions?: string }} feedback
+ * @param {string | null} attemptAt - When the rejected attempt was completed
+ * @returns {Rejection}
+ */
+export const createRejection = (rejectedBy, { reason = '', redoInstructions = '' } = {}, attemptAt = null) => ({
+    reason: reason.trim(),
+    redoInstructions: redoInstructions.trim(),
+    rejectedBy,
+    rejectedAt: new Date().toISOString(),
+    attemptAt
+});
+
+/**
+ * Default quality bonus settings (3 stars = +25%)
+ * @returns {QualityBonusSettings}
+ */
+export const createDefaultQualityBonusSettings = () => ({
+    percentByRating: { 1: 0, 2: 0, 3: 25 }
+});
+
+/**
+ * Default auto-approval policy (off until a parent turns it on)
+ * @returns {AutoApprovalPolicy}
+ */
+export const createDefaultAutoApprovalPolicy = () => ({
+    enabled: false,
+    afterHours: 24,
+    belowCents: null
+});
+
+/**
+ * Default transfer
+ * @param {string} fromUserId
+ * @param {string} toUserId
+ * @param {number} amount - Cents
+ * @param {string} note
+ * @param {boolean} requiresApproval
+ * @returns {Transfer}
+ */
+export const createTransfer = (fromUserId, toUserId, amount, note, requiresApproval) => ({
+    id: `transfer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    fromUserId,
+    toUserId,
+    amount,
+    note: note || '',
+    status: requiresApproval ? APPROVAL_STATUS.PENDING : APPROVAL_STATUS.APPROVED,
+    requestedAt: new Date().toISOString(),
+    reviewedAt: null,
+    reviewedBy: null
+});
+
+/**
+ * Default job auction
+ * @param {{ title: string, description?: string, icon?: string, maxPrice: number, deadline: string }} fields
+ * @param {string} createdBy - Parent user ID
+ * @returns {Auction}
+ */
+export const createAuction = (fields, createdBy) => ({
+    id: `auction_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    title: fields.title,
+    description: fields.description || '',
+    icon: fields.icon || '🔨',
+    maxPrice: fields.maxPrice,
+    deadline: fields.deadline,
+    bids: [],
+    status: AUCTION_STATUS.OPEN,
+    winnerId: null,
+    winningBid: null,
+    jobId: null,
+    closedAt: null,
+    createdBy,
+    createdAt: new Date().toISOString()
+});
+
+/**
+ * Create a bid on a job auction
+ * @param {string} userId - Child bidding
+ * @param {number} amount - Cents
+ * @returns {AuctionBid}
+ */
+export const createAuctionBid = (userId, amount) => ({
+    id: `bid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    userId,
+    amount,
+    createdAt: new Date().toISOString()
+});
+
+/**
+ * Create a gem history entry
+ * @param {string} userId
+ * @param {'chore' | 'exchange'} type
+ * @param {number} amount - Gems gained (positive) or spent (negative)
+ * @param {string} description
+ * @param {Object} [fields] - Extra fields (choreId, streakBonus, transactionId)
+ * @returns {GemEntry}
+ */
+export const createGemEntry = (userId, type, amount, description, fields = {}) => ({
+    id: `gem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    userId,
+    type,
+    amount,
+    description,
+    date: new Date().toISOString(),
+    choreId: null,
+    streakBonus: 0,
+    transactionId: null,
+    ...fields
+});
+
 /**
  * Default chore template (not assigned to a user)
  * @returns {Object}
@@ -318,6 +1083,7 @@ export const createChoreTemplate = () => ({
     icon: '📋',
     points: 5,
     recurrence: RECURRENCE_TYPE.DAILY,
+    fineCents: 0,
     createdAt: new Date().toISOString()
 });
 
@@ -339,6 +1105,7 @@ export const createJobTemplate = () => ({
     allowMultipleCompletions: false,
     maxCompletionsPerPeriod: null,
     requiresApproval: true,
+    fineCents: 0,
     createdAt: new Date().toISOString()
 });
 
@@ -356,10 +1123,22 @@ export const createDefaultFamilyState = () => ({
     jobTemplates: [],
     transactions: [],
     redemptionItems: [],
+    storeOrders: [],
+    savingsGoals: [],
+    loans: [],
+    gemHistory: [],
+    transfers: [],
+    auctions: [],
     parentPassword: null,
     settings: {
         weeklyResetDay: DEFAULT_WEEKLY_RESET_DAY,
         currency: 'USD',
+        locale: null,
+        gemExchange: createDefaultGemExchangeSettings(),
+        transfers: createDefaultTransferSettings(),
+        autoApproval: createDefaultAutoApprovalPolicy(),
+        qualityBonus: createDefaultQualityBonusSettings(),
+        photoRetentionDays: DEFAULT_PHOTO_RETENTION_DAYS,
         requireApprovalForJobs: true,
         requireApprovalForChores: true
     },
@@ -0,0 +1,199 @@
+/**
+ * Allowance Utility Functions
+ *
+ * Handles scheduled allowances:
+ * - Daily / weekly / monthly payments with catch-up for missed periods
+ * - Optional chore conditions, using the same rules as job unlock conditions
+ *
+ * A condition counts as met for a period if it was met at any point during that
+ * period. The hook records each period it was met in (conditionMetPeriods) as
+ * chores are completed, because chore state itself is cleared on reset and a
+ * period may not be paid until after the next one has started.
+ */
+
+import { TRANSACTION_TYPE, DEFAULT_WEEKLY_RESET_DAY, createLedgerEntry } from '../schema.js';
+import { formatCents } from './currency.js';
+import { getPeriodStart, getNextPeriodStart, getElapsedPeriodStarts } from './dateTime.js';
+import { getLatestEntryDate } from './ledger.js';
+import { isJobUnlocked } from './jobHelpers.js';
+import { withJarAllocation } from './jars.js';
+
+const CADENCE_LABELS = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Monthly'
+};
+
+/**
+ * Most condition periods kept (a year of daily allowances); older ones were paid long ago
+ */
+const CONDITION_PERIODS_LIMIT = 366;
+
+/**
+ * Build the period key recorded on allowance entries
+ * @param {Date} periodStart - Start of the period the allowance was paid at
+ * @returns {string}
+ */
+export const getAllowancePeriodKey = (periodStart) => {
+    return `allowance:${periodStart.toISOString()}`;
+};
+
+/**
+ * Check whether a child currently meets their allowance condition
+ * @param {Object} user - User with allowance settings
+ * @param {Object[]} chores - All chores
+ * @param {number} resetDay - Weekly reset day
+ * @returns {boolean}
+ */
+export const isAllowanceConditionMet = (user, chores, resetDay = DEFAULT_WEEKLY_RESET_DAY) => {
+    const condition = user.allowance?.condition;
+    if (!condition) return true;
+
+    return isJobUnlocked({ userId: user.id, unlockConditions: condition }, chores, resetDay);
+};
+
+/**
+ * Get the starts of the periods the condition was met in
+ * Saves from before conditionMetPeriods only have the latest time it was met (conditionMetAt).
+ * @param {AllowanceSettings} settings - Allowance settings
+ * @param {number} resetDay - Weekly reset day
+ * @returns {string[]} ISO period starts
+ */
+const getConditionMetPeriods = (settings, resetDay) => {
+    const periods = settings.conditionMetPeriods || [];
+    if (!settings.conditionMetAt) return periods;
+
+    return [...periods, getPeriodStart(settings.conditionMetAt, settings.cadence, resetDay).toISOString()];
+};
+
+/**
+ * Check whether the condition was met during the period that ended at a given start
+ * @param {AllowanceSettings} settings - Allowance settings
+ * @param {Date} periodEnd - Start of the following period
+ * @param {number} resetDay - Weekly reset day
+ * @returns {boolean}
+ */
+export const wasConditionMetForPeriod = (settings, periodEnd, resetDay = DEFAULT_WEEKLY_RESET_DAY) => {
+    if (!settings.condition) return true;
+
+    const periodStart = getPeriodStart(new Date(periodEnd.getTime() - 1), settings.cadence, resetDay);
+    return getConditionMetPeriods(settings, resetDay).includes(periodStart.toISOString());
+};
+
+/**
+ * Check whether the current period's allowance has been earned so far
+ * @param {AllowanceSettings} settings - Allowance settings
+ * @param {number} resetDay - Weekly reset day
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isAllowanceEarnedThisPeriod = (settings, resetDay = DEFAULT_WEEKLY_RESET_DAY, now = new Date()) => {
+    if (!settings.condition) return true;
+
+    const periodStart = getPeriodStart(now, settings.cadence, resetDay);
+    return getConditionMetPeriods(settings, resetDay).includes(periodStart.toISOString());
+};
+
+/**
+ * Record that the condition was met in the current period
+ * Each period is kept separately, so meeting it again after a period boundary
+ * doesn't lose a period whose allowance hasn't been paid yet.
+ * @param {AllowanceSettings} settings - Allowance settings
+ * @param {number} resetDay - Weekly reset day
+ * @param {Date} now - Reference time
+ * @returns {AllowanceSettings} Updated settings
+ */
+export const recordConditionMet = (settings, resetDay = DEFAULT_WEEKLY_RESET_DAY, now = new Date()) => {
+    const periodStart = getPeriodStart(now, settings.cadence, resetDay).toISOString();
+    const periods = getConditionMetPeriods(settings, resetDay).filter(p => p !== periodStart);
+
+    return {
+        ...settings,
+        conditionMetPeriods: [...periods, periodStart].sort().slice(-CONDITION_PERIODS_LIMIT),
+        conditionMetAt: null
+    };
+};
+
+/**
+ * Create an allowance entry
+ * @param {string} userId - User ID
+ * @param {AllowanceSettings} settings - Allowance settings
+ * @param {Date} periodStart - Start of the period it is paid at
+ * @returns {Object} Ledger entry dated at the start of the period
+ */
+export const createAllowanceEntry = (userId, settings, periodStart) => {
+    return {
+        ...createLedgerEntry(
+            userId,
+            TRANSACTION_TYPE.ALLOWANCE,
+            settings.amountCents,
+            `${CADENCE_LABELS[settings.cadence] || ''} allowance`.trim(),
+            { periodKey: getAllowancePeriodKey(periodStart) }
+        ),
+        date: periodStart.toISOString()
+    };
+};
+
+/**
+ * Work out the allowance owed for every period that ended since the last payment
+ * Safe to call repeatedly: periods already paid are skipped.
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} user - User with allowance (and optionally jar) settings
+ * @param {number} resetDay - Weekly reset day
+ * @param {Date} now - Reference time
+ * @returns {Object[]} New entries (allowances plus jar allocations) in chronological order
+ */
+export const accrueAllowance = (transactions, user, resetDay = DEFAULT_WEEKLY_RESET_DAY, now = new Date()) => {
+    const settings = user.allowance;
+    if (!settings?.enabled || !(settings.amountCents > 0) || !settings.startedAt) return [];
+
+    const lastPaid = getLatestEntryDate(transactions, user.id, TRANSACTION_TYPE.ALLOWANCE);
+    const since = lastPaid && lastPaid > settings.startedAt ? lastPaid : settings.startedAt;
+
+    const paidKeys = new Set(
+        transactions
+            .filter(t => t.userId === user.id && t.type === TRANSACTION_TYPE.ALLOWANCE)
+            .map(t => t.periodKey)
+    );
+
+    return getElapsedPeriodStarts(since, settings.cadence, resetDay, now)
+        .filter(periodStart => !paidKeys.has(getAllowancePeriodKey(periodStart)))
+        .filter(periodStart => wasConditionMetForPeriod(settings, periodStart, resetDay))
+        .flatMap(periodStart =>
+            // Jar shares are dated with the allowance so each period's history stays together
+            withJarAllocation(createAllowanceEntry(user.id, settings, periodStart), user)
+                .map(entry => ({ ...entry, date: periodStart.toISOString() }))
+        );
+};
+
+/**
+ * Get when the next allowance is due
+ * @param {AllowanceSettings} settings - Allowance settings
+ * @param {number} resetDay - Weekly reset day
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+export const getNextAllowanceDate = (settings, resetDay = DEFAULT_WEEKLY_RESET_DAY, now = new Date()) => {
+    return getNextPeriodStart(getPeriodStart(now, settings.cadence, resetDay), settings.cadence);
+};
+
+/**
+ * Describe an allowance for display (e.g. "$5.00 weekly")
+ * @param {AllowanceSettings} settings
+ * @returns {string}
+ */
+export const describeAllowance = (settings) => {
+    return `${formatCents(settings.amountCents)} ${(CADENCE_LABELS[settings.cadence] || '').toLowerCase()}`.trim();
+};
+
+export default {
+    getAllowancePeriodKey,
+    isAllowanceConditionMet,
+    wasConditionMetForPeriod,
+    isAllowanceEarnedThisPeriod,
+    recordConditionMet,
+    createAllowanceEntry,
+    accrueAllowance,
+    getNextAllowanceDate,
+    describeAllowance
+};
@@ -0,0 +1,197 @@
+/**
+ * Auction Utility Functions
+ *
+ * Handles job auctions, where children bid down the price of a one-off job:
+ * - Bid checks (under the max price and under the current lowest bid)
+ * - The lowest bid, and closing an auction at its deadline
+ * - The job the winner is given
+ *
+ * Auctions are never deleted; closed and cancelled ones stay as history with
+ * every bid made.
+ */
+
+import { AUCTION_STATUS, RECURRENCE_TYPE, createAuctionBid } from '../schema.js';
+import { formatCents } from './currency.js';
+import { createJob } from './jobHelpers.js';
+
+/**
+ * How often the app checks for auctions past their deadline
+ */
+export const AUCTION_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get auctions still taking bids
+ * @param {Object[]} auctions - All auctions
+ * @returns {Object[]}
+ */
+export const getOpenAuctions = (auctions) => {
+    return auctions.filter(a => a.status === AUCTION_STATUS.OPEN);
+};
+
+/**
+ * Check whether an open auction has reached its deadline
+ * @param {Object} auction
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isAuctionDue = (auction, now = new Date()) => {
+    return auction.status === AUCTION_STATUS.OPEN && new Date(auction.deadline) <= now;
+};
+
+/**
+ * Get the winning bid so far: the lowest, the earliest on a tie
+ * @param {Object} auction
+ * @returns {Object | null} Bid
+ */
+export const getLowestBid = (auction) => {
+    return auction.bids.reduce((lowest, bid) => (!lowest || bid.amount < lowest.amount ? bid : lowest), null);
+};
+
+/**
+ * Get a child's lowest bid on an auction
+ * @param {Object} auction
+ * @param {string} userId
+ * @returns {Object | null} Bid
+ */
+export const getUserBid = (auction, userId) => {
+    return getLowestBid({ bids: auction.bids.filter(b => b.userId === userId) });
+};
+
+/**
+ * Check whether a child can place a bid
+ * A bid must be under the max price and under the current lowest bid.
+ * @param {Object} auction
+ * @param {string} userId - Child bidding
+ * @param {number} amount - Cents
+ * @param {Date} now - Reference time
+ * @returns {{ canBid: boolean, reason: string | null }}
+ */
+export const canPlaceBid = (auction, userId, amount, now = new Date()) => {
+    if (!auction || auction.status !== AUCTION_STATUS.OPEN || new Date(auction.deadline) <= now) {
+        return { canBid: false, reason: 'Bidding has closed' };
+    }
+    if (!userId) {
+        return { canBid: false, reason: 'No user' };
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return { canBid: false, reason: 'Enter an amount to bid' };
+    }
+    if (amount > auction.maxPrice) {
+        return { canBid: false, reason: `Bids can't be over ${formatCents(auction.maxPrice)}` };
+    }
+
+    const lowest = getLowestBid(auction);
+    if (lowest && amount >= lowest.amount) {
+        return { canBid: false, reason: `Bid under ${formatCents(lowest.amount)} to win it` };
+    }
+    return { canBid: true, reason: null };
+};
+
+/**
+ * Add a bid to an auction
+ * @param {Object} auction
+ * @param {string} userId - Child bidding
+ * @param {number} amount - Cents
+ * @returns {Object} Updated auction
+ */
+export const addAuctionBid = (auction, userId, amount) => ({
+    ...auction,
+    bids: [...auction.bids, createAuctionBid(userId, amount)]
+});
+
+/**
+ * Get the ID of the job an auction's winner is given
+ * Fixed per auction, so the auction and its job always point at each other.
+ * @param {string} auctionId
+ * @returns {string}
+ */
+const getAuctionJobId = (auctionId) => {
+    return `job_${auctionId}`;
+};
+
+/**
+ * Close an auction at its deadline, awarding it to the lowest bid
+ * @param {Object} auction
+ * @param {Date} now - Reference time
+ * @returns {Object} Updated auction (jobId is the winner's job, see createAuctionJob)
+ */
+export const closeAuction = (auction, now = new Date()) => {
+    const lowest = getLowestBid(auction);
+    return {
+        ...auction,
+        status: lowest ? AUCTION_STATUS.AWARDED : AUCTION_STATUS.NO_BIDS,
+        winnerId: lowest?.userId || null,
+        winningBid: lowest?.amount ?? null,
+        jobId: lowest ? getAuctionJobId(auction.id) : null,
+        closedAt: now.toISOString()
+    };
+};
+
+/**
+ * Cancel an open auction; its bids are kept
+ * @param {Object} auction
+ * @param {Date} now - Reference time
+ * @returns {Object} Updated auction
+ */
+export const markAuctionCancelled = (auction, now = new Date()) => ({
+    ...auction,
+    status: AUCTION_STATUS.CANCELLED,
+    closedAt: now.toISOString()
+});
+
+/**
+ * Create the job for an auction's winner
+ * A one-off job for the lowest bidder paying their bid; it's removed at the weekly
+ * reset once approved. Made by createJob, as addJob does, so it starts locked or
+ * unlocked like any other job. Has no side effects, so it's safe inside state updates.
+ * @param {Object} auction
+ * @param {Object[]} chores - All chores
+ * @param {number} resetDay - Weekly reset day
+ * @returns {Object | null} Job, or null if nobody bid
+ */
+export const createAuctionJob = (auction, chores, resetDay) => {
+    const lowest = getLowestBid(auction);
+    if (!lowest) return null;
+
+    return createJob({
+        id: getAuctionJobId(auction.id),
+        title: auction.title,
+        description: auction.description,
+        icon: auction.icon,
+        value: lowest.amount,
+        recurrence: RECURRENCE_TYPE.WEEKLY,
+        oneOff: true,
+        auctionId: auction.id,
+        requiresApproval: true
+    }, lowest.userId, auction.createdBy, chores, resetDay);
+};
+
+/**
+ * Describe how long bidding has left, e.g. "Bidding closes in 5h"
+ * @param {Object} auction
+ * @param {Date} now - Reference time
+ * @returns {string} Empty once it's closed
+ */
+export const describeAuctionDeadline = (auction, now = new Date()) => {
+    if (auction.status !== AUCTION_STATUS.OPEN) return '';
+
+    const diffMins = Math.ceil((new Date(auction.deadline).getTime() - now.getTime()) / (60 * 1000));
+    if (diffMins <= 1) return 'Bidding closes in a moment';
+    if (diffMins < 60) return `Bidding closes in ${diffMins}m`;
+    if (diffMins < 48 * 60) return `Bidding closes in ${Math.ceil(diffMins / 60)}h`;
+    return `Bidding closes in ${Math.ceil(diffMins / (24 * 60))}d`;
+};
+
+export default {
+    AUCTION_CHECK_INTERVAL_MS,
+    getOpenAuctions,
+    isAuctionDue,
+    getLowestBid,
+    getUserBid,
+    canPlaceBid,
+    addAuctionBid,
+    closeAuction,
+    markAuctionCancelled,
+    createAuctionJob,
+    describeAuctionDeadline
+};
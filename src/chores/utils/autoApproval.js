@@ -0,0 +1,129 @@
+/**
+ * Auto-Approval Utility Functions
+ *
+ * Handles approving job completions nobody has reviewed:
+ * - Which policy applies to a job (its own rule or the family's)
+ * - When a pending completion becomes due for approval
+ * - Which completions are due now
+ *
+ * Due completions are approved with AUTO_APPROVER ('auto') as the approver and
+ * paid with the same earn entry a parent approval would create.
+ */
+
+import { APPROVAL_STATUS, createDefaultAutoApprovalPolicy } from '../schema.js';
+import { formatCents } from './currency.js';
+
+/**
+ * How often the app checks for completions due for auto-approval
+ */
+export const AUTO_APPROVAL_CHECK_INTERVAL_MS = 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the policy that applies to a job
+ * @param {Object} job - Job
+ * @param {Object} familyPolicy - Family auto-approval policy
+ * @returns {Object} The job's own policy, or the family's when it has none
+ */
+export const getAutoApprovalPolicy = (job, familyPolicy) => {
+    return {
+        ...createDefaultAutoApprovalPolicy(),
+        ...(job.autoApproval || familyPolicy)
+    };
+};
+
+/**
+ * Get when a pending completion will be auto-approved
+ * @param {Object} completion - Job completion event
+ * @param {Object} policy - Auto-approval policy
+ * @returns {Date | null} null if the policy never approves it
+ */
+export const getAutoApprovalTime = (completion, policy) => {
+    if (!policy.enabled || completion.status !== APPROVAL_STATUS.PENDING) return null;
+
+    if (policy.belowCents !== null && completion.totalEarned < policy.belowCents) {
+        return new Date(completion.timestamp);
+    }
+    if (policy.afterHours !== null) {
+        return new Date(new Date(completion.timestamp).getTime() + policy.afterHours * HOUR_MS);
+    }
+    return null;
+};
+
+/**
+ * Get the completions due for auto-approval
+ * @param {Object[]} jobs - All jobs
+ * @param {Object} familyPolicy - Family auto-approval policy
+ * @param {Date} now - Reference time
+ * @returns {{ job: Object, completions: Object[] }[]} Jobs with their due completions
+ */
+export const getDueAutoApprovals = (jobs, familyPolicy, now = new Date()) => {
+    return jobs
+        .map(job => {
+            const policy = getAutoApprovalPolicy(job, familyPolicy);
+            const completions = job.completions.filter(c => {
+                const dueAt = getAutoApprovalTime(c, policy);
+                return dueAt && dueAt <= now;
+            });
+            return { job, completions };
+        })
+        .filter(({ completions }) => completions.length > 0);
+};
+
+/**
+ * Get when a job's next pending completion will be auto-approved
+ * @param {Object} job - Job
+ * @param {Object} familyPolicy - Family auto-approval policy
+ * @returns {Date | null} null if none of its pending completions will be
+ */
+export const getNextAutoApprovalTime = (job, familyPolicy) => {
+    const policy = getAutoApprovalPolicy(job, familyPolicy);
+    return job.completions
+        .map(c => getAutoApprovalTime(c, policy))
+        .filter(Boolean)
+        .reduce((earliest, dueAt) => (!earliest || dueAt < earliest ? dueAt : earliest), null);
+};
+
+/**
+ * Describe how long until an auto-approval, e.g. "Auto-approves in 5h"
+ * @param {Date | null} dueAt - When it will be approved
+ * @param {Date} now - Reference time
+ * @returns {string} Empty if it won't be
+ */
+export const describeAutoApprovalTime = (dueAt, now = new Date()) => {
+    if (!dueAt) return '';
+
+    const diffMins = Math.ceil((dueAt.getTime() - now.getTime()) / (60 * 1000));
+    if (diffMins <= 1) return 'Auto-approves in a moment';
+    if (diffMins < 60) return `Auto-approves in ${diffMins}m`;
+    return `Auto-approves in ${Math.ceil(diffMins / 60)}h`;
+};
+
+/**
+ * Describe a policy for parents, e.g. "After 24h or under $1.00"
+ * @param {Object} policy - Auto-approval policy
+ * @returns {string}
+ */
+export const describeAutoApprovalPolicy = (policy) => {
+    if (!policy.enabled) return 'Off';
+
+    const rules = [
+        policy.afterHours !== null && `after ${policy.afterHours}h`,
+        policy.belowCents !== null && `under ${formatCents(policy.belowCents)}`
+    ].filter(Boolean);
+    if (rules.length === 0) return 'Off';
+
+    const text = rules.join(' or ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+export default {
+    AUTO_APPROVAL_CHECK_INTERVAL_MS,
+    getAutoApprovalPolicy,
+    getAutoApprovalTime,
+    getDueAutoApprovals,
+    getNextAutoApprovalTime,
+    describeAutoApprovalTime,
+    describeAutoApprovalPolicy
+};
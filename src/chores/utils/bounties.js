@@ -0,0 +1,209 @@
+/**
+ * Bounty Utility Functions
+ *
+ * Handles the bounty board, where children claim library jobs first come,
+ * first served:
+ * - Which bounties are open and who has claimed them
+ * - Whether a child can claim one (one claim each, up to the bounty's limit)
+ * - The job a claim gives the child, and when the claim expires
+ *
+ * A claim is a copy of the library job assigned to the child, carrying a
+ * `claim` that links back to the bounty. It goes through the usual completion,
+ * approval and ledger flow. Claims not completed in time are released: marked,
+ * not deleted, so the job keeps its history (rejected attempts and all) and the
+ * board shows who lost one. Finished and released claims are cleared at the
+ * period reset.
+ */
+
+import { APPROVAL_STATUS, createDefaultJob, createDefaultBounty } from '../schema.js';
+
+/**
+ * How often the app checks for expired claims
+ */
+export const BOUNTY_CHECK_INTERVAL_MS = 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the jobs posted on the bounty board
+ * @param {Object[]} jobs - All jobs
+ * @returns {Object[]} Library jobs with a bounty
+ */
+export const getOpenBounties = (jobs) => {
+    return jobs.filter(j => !j.userId && j.bounty);
+};
+
+/**
+ * Check whether a claim ran out before the job was done
+ * @param {Object} job - Claimed job
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isClaimExpired = (job, now = new Date()) => {
+    const claim = job.claim;
+    return Boolean(claim && !claim.completedAt && claim.expiresAt && new Date(claim.expiresAt) <= now);
+};
+
+/**
+ * Mark an expired claim as released, freeing its slot; the job is kept
+ * @param {Object} job - Claimed job
+ * @param {Date} now - Reference time
+ * @returns {Object} Updated job
+ */
+export const releaseClaim = (job, now = new Date()) => ({
+    ...job,
+    claim: { ...job.claim, releasedAt: now.toISOString() }
+});
+
+/**
+ * Get the claims on a bounty that ran out before they were done
+ * @param {Object[]} jobs - All jobs
+ * @param {string} bountyId - Library job ID
+ * @returns {Object[]} Claimed jobs
+ */
+export const getReleasedClaims = (jobs, bountyId) => {
+    return jobs.filter(j => j.claim?.bountyId === bountyId && j.claim.releasedAt);
+};
+
+/**
+ * Get the claims on a bounty that still hold a slot
+ * @param {Object[]} jobs - All jobs
+ * @param {string} bountyId - Library job ID
+ * @param {Date} now - Reference time
+ * @returns {Object[]} Claimed jobs
+ */
+export const getBountyClaims = (jobs, bountyId, now = new Date()) => {
+    return jobs.filter(j => j.claim?.bountyId === bountyId && !isClaimExpired(j, now));
+};
+
+/**
+ * Check whether a child can claim a bounty
+ * @param {Object} bounty - Library job with a bounty
+ * @param {Object[]} jobs - All jobs
+ * @param {string} userId - Child claiming
+ * @param {Date} now - Reference time
+ * @returns {{ canClaim: boolean, reason: string | null }}
+ */
+export const canClaimBounty = (bounty, jobs, userId, now = new Date()) => {
+    if (!bounty?.bounty || bounty.userId) {
+        return { canClaim: false, reason: 'This job isn\'t on the bounty board' };
+    }
+
+    const claims = getBountyClaims(jobs, bounty.id, now);
+    if (claims.some(j => j.userId === userId)) {
+        return { canClaim: false, reason: 'You already claimed this one' };
+    }
+    if (claims.length >= bounty.bounty.maxClaims) {
+        return { canClaim: false, reason: 'Already claimed' };
+    }
+    return { canClaim: true, reason: null };
+};
+
+/**
+ * Get when a claim made now would expire
+ * @param {Object} bounty - Library job with a bounty
+ * @param {Date} now - Reference time
+ * @returns {string | null} ISO timestamp, or null if claims don't expire
+ */
+const getClaimExpiry = (bounty, now) => {
+    const { claimHours } = { ...createDefaultBounty(), ...bounty.bounty };
+    return claimHours ? new Date(now.getTime() + claimHours * HOUR_MS).toISOString() : null;
+};
+
+/**
+ * Create the job a child gets by claiming a bounty
+ * It's done once; fines don't apply since nobody had to take it.
+ * @param {Object} bounty - Library job with a bounty
+ * @param {string} userId - Child claiming
+ * @param {Date} now - Reference time
+ * @returns {Object} Job assigned to the child
+ */
+export const createClaimedJob = (bounty, userId, now = new Date()) => ({
+    ...createDefaultJob(userId, bounty.createdBy),
+    title: bounty.title,
+    description: bounty.description || '',
+    icon: bounty.icon,
+    value: bounty.value,
+    recurrence: bounty.recurrence,
+    unlockConditions: bounty.unlockConditions,
+    earningCaps: bounty.earningCaps,
+    autoApproval: bounty.autoApproval || null,
+    requiresApproval: bounty.requiresApproval,
+    requiresPhoto: bounty.requiresPhoto || false,
+    claim: {
+        bountyId: bounty.id,
+        claimedAt: now.toISOString(),
+        expiresAt: getClaimExpiry(bounty, now),
+        completedAt: null,
+        releasedAt: null
+    }
+});
+
+/**
+ * Mark a claimed job done when it's completed
+ * @param {Object} job - Job that was just completed
+ * @returns {Object} Updated job
+ */
+export const completeClaim = (job) => {
+    if (!job.claim) return job;
+    return { ...job, claim: { ...job.claim, completedAt: new Date().toISOString() } };
+};
+
+/**
+ * Reopen a claim whose completion was rejected, with a fresh window to redo it
+ * @param {Object} job - Claimed job
+ * @param {Object | undefined} bounty - Library job it was claimed from
+ * @param {Date} now - Reference time
+ * @returns {Object} Updated job
+ */
+export const reopenClaim = (job, bounty, now = new Date()) => {
+    if (!job.claim) return job;
+    return {
+        ...job,
+        claim: {
+            ...job.claim,
+            completedAt: null,
+            expiresAt: bounty ? getClaimExpiry(bounty, now) : job.claim.expiresAt
+        }
+    };
+};
+
+/**
+ * Check whether a claimed job is finished with: done (or released) and nothing left to review
+ * @param {Object} job - Claimed job
+ * @returns {boolean}
+ */
+export const isClaimSettled = (job) => {
+    return Boolean(job.claim?.completedAt || job.claim?.releasedAt) &&
+        !job.completions.some(c => c.status === APPROVAL_STATUS.PENDING);
+};
+
+/**
+ * Describe how long a claim has left, e.g. "Claim expires in 5h"
+ * @param {Object} job - Claimed job
+ * @param {Date} now - Reference time
+ * @returns {string} Empty if it doesn't expire or is done
+ */
+export const describeClaimExpiry = (job, now = new Date()) => {
+    if (!job.claim?.expiresAt || job.claim.completedAt) return '';
+
+    const diffMins = Math.ceil((new Date(job.claim.expiresAt).getTime() - now.getTime()) / (60 * 1000));
+    if (diffMins <= 1) return 'Claim expires in a moment';
+    if (diffMins < 60) return `Claim expires in ${diffMins}m`;
+    return `Claim expires in ${Math.ceil(diffMins / 60)}h`;
+};
+
+export default {
+    BOUNTY_CHECK_INTERVAL_MS,
+    getOpenBounties,
+    isClaimExpired,
+    releaseClaim,
+    getReleasedClaims,
+    getBountyClaims,
+    canClaimBounty,
+    createClaimedJob,
+    completeClaim,
+    reopenClaim,
+    isClaimSettled,
+    describeClaimExpiry
+};
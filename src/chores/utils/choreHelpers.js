@@ -27,6 +27,17 @@ export const createChore = (formData) => {
     };
 };
 
+/**
+ * Calculate the bonus gems a streak earns on each chore
+ * One extra gem for every 5 days of streak.
+ *
+ * @param {number} streak - Current streak count
+ * @returns {number} Bonus gems
+ */
+export const calculateStreakBonus = (streak) => {
+    return Math.floor((streak || 0) / 5);
+};
+
 /**
  * Create a pending approval entry from a completed chore
  *
@@ -35,7 +46,7 @@ export const createChore = (formData) => {
  * @returns {Object} Pending approval entry
  */
 export const createPendingApproval = (chore, streak) => {
-    const streakBonus = Math.floor(streak / 5);
+    const streakBonus = calculateStreakBonus(streak);
     const totalPoints = chore.points + streakBonus;
 
     return {
@@ -1,75 +1,218 @@
 /**
  * Currency Utility Functions
  *
- * Handles all currency operations in cents to avoid floating point errors.
- * Display functions convert to dollars with proper formatting.
+ * Handles all currency operations in minor units ("cents") to avoid floating point errors.
+ * Display and parsing follow the family's currency and locale (settings.currency /
+ * settings.locale), set once with setCurrencyConfig. For zero-decimal currencies such
+ * as JPY a minor unit is a whole yen, so "cents" and "dollars" are the same amount.
  */
 
+import { CURRENCY_PRESETS } from '../schema.js';
+
+let currencyConfig = { currency: 'USD', locale: undefined };
+const formatters = new Map();
+
+/**
+ * Get a cached Intl.NumberFormat for the current currency and locale
+ * @param {Object} options - Extra Intl.NumberFormat options
+ * @returns {Intl.NumberFormat}
+ */
+const getFormatter = (options = {}) => {
+    const { currency, locale } = currencyConfig;
+    const key = JSON.stringify([currency, locale, options]);
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency, ...options }));
+    }
+    return formatters.get(key);
+};
+
+/**
+ * Set the currency and locale used to format and parse money
+ * Unknown currency codes fall back to USD.
+ * @param {{ currency?: string, locale?: string | null }} config
+ */
+export const setCurrencyConfig = ({ currency, locale } = {}) => {
+    const next = { currency: currency || 'USD', locale: locale || undefined };
+
+    try {
+        new Intl.NumberFormat(next.locale, { style: 'currency', currency: next.currency });
+    } catch {
+        next.currency = 'USD';
+        next.locale = undefined;
+    }
+
+    currencyConfig = next;
+};
+
+/**
+ * Get the currency and locale money is formatted with
+ * @returns {{ currency: string, locale: string | undefined }}
+ */
+export const getCurrencyConfig = () => {
+    return { ...currencyConfig };
+};
+
+/**
+ * Number of decimal places the current currency uses (2 for USD, 0 for JPY)
+ * @returns {number}
+ */
+export const getMinorUnitDigits = () => {
+    return getFormatter().resolvedOptions().maximumFractionDigits;
+};
+
+/**
+ * Minor units in one major unit (100 for USD, 1 for JPY)
+ * @returns {number}
+ */
+const getMinorUnitsPerMajor = () => {
+    return 10 ** getMinorUnitDigits();
+};
+
+/**
+ * Get the symbol of the current currency in the current locale
+ * @returns {string} e.g. "$", "€", "¥", "CHF"
+ */
+export const getCurrencySymbol = () => {
+    const part = getFormatter().formatToParts(0).find(p => p.type === 'currency');
+    return part ? part.value : currencyConfig.currency;
+};
+
+/**
+ * Get the decimal and grouping separators of the current locale
+ * @returns {{ decimal: string, group: string }}
+ */
+export const getSeparators = () => {
+    const parts = new Intl.NumberFormat(currencyConfig.locale).formatToParts(1234567.5);
+    return {
+        decimal: parts.find(p => p.type === 'decimal')?.value || '.',
+        group: parts.find(p => p.type === 'group')?.value || ','
+    };
+};
+
 /**
- * Convert dollars to cents
- * @param {number} dollars - Amount in dollars
- * @returns {number} Amount in cents
+ * Convert major units (dollars, euros, yen...) to minor units
+ * @param {number} dollars - Amount in major units
+ * @returns {number} Amount in minor units
  */
 export const dollarsToCents = (dollars) => {
-    return Math.round(dollars * 100);
+    return Math.round(dollars * getMinorUnitsPerMajor());
 };
 
 /**
- * Convert cents to dollars
- * @param {number} cents - Amount in cents
- * @returns {number} Amount in dollars
+ * Convert minor units to major units
+ * @param {number} cents - Amount in minor units
+ * @returns {number} Amount in major units
  */
 export const centsToDollars = (cents) => {
-    return cents / 100;
+    return cents / getMinorUnitsPerMajor();
 };
 
 /**
- * Format cents as a dollar string
- * @param {number} cents - Amount in cents
- * @param {boolean} showSign - Whether to show +/- sign
- * @returns {string} Formatted dollar string (e.g., "$5.00")
+ * Format minor units as a currency string
+ * @param {number} cents - Amount in minor units
+ * @param {boolean} showSign - Whether to show a + sign on positive amounts
+ * @returns {string} Formatted string (e.g., "$5.00", "5,00 €", "¥500")
  */
 export const formatCents = (cents, showSign = false) => {
-    const dollars = Math.abs(cents) / 100;
-    const formatted = dollars.toLocaleString('en-US', {
-        style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    });
-
-    if (showSign && cents > 0) {
-        return '+' + formatted;
-    } else if (cents < 0) {
-        return '-' + formatted;
-    }
-
-    return formatted;
+    return getFormatter({ signDisplay: showSign ? 'exceptZero' : 'auto' }).format(centsToDollars(cents));
 };
 
 /**
- * Format cents as a short dollar string (no cents if whole dollar)
- * @param {number} cents - Amount in cents
+ * Format minor units as a short currency string (no decimals if a whole amount)
+ * @param {number} cents - Amount in minor units
  * @returns {string} Short formatted string (e.g., "$5" or "$5.50")
  */
 export const formatCentsShort = (cents) => {
-    const dollars = cents / 100;
-    if (cents % 100 === 0) {
-        return `$${Math.floor(dollars)}`;
+    if (cents % getMinorUnitsPerMajor() === 0) {
+        return getFormatter({ minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(centsToDollars(cents));
     }
     return formatCents(cents);
 };
 
 /**
- * Parse a dollar string to cents
- * @param {string} dollarString - String like "$5.00" or "5.50"
- * @returns {number} Amount in cents
+ * Format minor units for a text input: locale decimal separator, no symbol or grouping
+ * @param {number} cents - Amount in minor units
+ * @returns {string} e.g. "5.00", "5,00", "500"
+ */
+export const formatCentsForInput = (cents) => {
+    const digits = getMinorUnitDigits();
+    return new Intl.NumberFormat(currencyConfig.locale, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+        useGrouping: false
+    }).format(centsToDollars(cents));
+};
+
+/**
+ * Format minor units as a plain decimal for files other programs read (CSV, OFX)
+ * Always "." as the decimal separator, no symbol or grouping; built from the integer
+ * amount so no floating-point rounding can creep in.
+ * @param {number} cents - Amount in minor units
+ * @returns {string} e.g. "-5.05", "500" (JPY)
+ */
+export const formatCentsDecimal = (cents) => {
+    const digits = getMinorUnitDigits();
+    const sign = cents < 0 ? '-' : '';
+    const minor = String(Math.abs(Math.round(cents))).padStart(digits + 1, '0');
+    if (digits === 0) return `${sign}${minor}`;
+    return `${sign}${minor.slice(0, -digits)}.${minor.slice(-digits)}`;
+};
+
+/**
+ * Parse a typed money amount to minor units
+ * Accepts the locale's own format ("1.234,50" in de-DE) as well as a plain "." decimal,
+ * with or without a currency symbol. A lone separator followed by exactly three digits
+ * is read as grouping unless it is the locale's decimal separator.
+ * @param {string} input - What the user typed
+ * @returns {number} Amount in minor units, or NaN if it isn't a number
+ */
+export const parseMoneyInput = (input) => {
+    const { decimal } = getSeparators();
+    let cleaned = String(input ?? '').replace(/[^0-9.,-]/g, '');
+    const isNegative = cleaned.startsWith('-');
+    cleaned = cleaned.replace(/-/g, '');
+    if (!/\d/.test(cleaned)) return NaN;
+
+    const lastIndex = Math.max(cleaned.lastIndexOf('.'), cleaned.lastIndexOf(','));
+    let decimalIndex = -1;
+
+    if (lastIndex !== -1) {
+        const separator = cleaned[lastIndex];
+        const other = separator === '.' ? ',' : '.';
+        const isOnlyOne = cleaned.indexOf(separator) === lastIndex;
+        const digitsAfter = cleaned.length - lastIndex - 1;
+
+        if (cleaned.includes(other)) {
+            decimalIndex = lastIndex;
+        } else if (isOnlyOne && (separator === decimal || digitsAfter !== 3)) {
+            decimalIndex = lastIndex;
+        }
+    }
+
+    const whole = (decimalIndex === -1 ? cleaned : cleaned.slice(0, decimalIndex)).replace(/[.,]/g, '');
+    const fraction = decimalIndex === -1 ? '' : cleaned.slice(decimalIndex + 1);
+    const cents = dollarsToCents(Number(`${whole || '0'}.${fraction || '0'}`));
+
+    return isNegative ? -cents : cents;
+};
+
+/**
+ * Parse a money string to minor units
+ * @param {string} dollarString - String like "$5.00", "5,50 €" or "5.50"
+ * @returns {number} Amount in minor units (0 if it can't be parsed)
  */
 export const parseDollarString = (dollarString) => {
-    // Remove currency symbol and any non-numeric characters except decimal
-    const cleaned = dollarString.replace(/[^0-9.-]/g, '');
-    const dollars = parseFloat(cleaned) || 0;
-    return dollarsToCents(dollars);
+    const cents = parseMoneyInput(dollarString);
+    return Number.isNaN(cents) ? 0 : cents;
+};
+
+/**
+ * Get the quick-select amounts for the current currency
+ * @returns {{ label: string, cents: number }[]}
+ */
+export const getQuickAmounts = () => {
+    const preset = CURRENCY_PRESETS[currencyConfig.currency] || CURRENCY_PRESETS.DEFAULT;
+    return preset.quickAmounts.map(cents => ({ label: formatCentsShort(cents), cents }));
 };
 
 /**
@@ -84,19 +227,19 @@ export const isValidCentsAmount = (cents, min = 1, max = 1000000) => {
 };
 
 /**
- * Calculate number of dollar bills for animation
- * Rounds to create satisfying visual effect
- * @param {number} cents - Amount in cents
- * @returns {number} Number of dollar bills to animate
+ * Calculate number of bills for animation
+ * One bill per billCents of the current currency, rounded up for satisfaction
+ * @param {number} cents - Amount in minor units
+ * @returns {number} Number of bills to animate
  */
 export const calculateBillCount = (cents) => {
-    const dollars = cents / 100;
+    const { billCents } = CURRENCY_PRESETS[currencyConfig.currency] || CURRENCY_PRESETS.DEFAULT;
 
     // For small amounts, show at least 1 bill
-    if (dollars < 1) return 1;
+    if (cents < billCents) return 1;
 
     // Round up for satisfaction
-    return Math.ceil(dollars);
+    return Math.ceil(cents / billCents);
 };
 
 /**
@@ -173,11 +316,20 @@ export const percentageOf = (amount, total) => {
 };
 
 export default {
+    setCurrencyConfig,
+    getCurrencyConfig,
+    getMinorUnitDigits,
+    getCurrencySymbol,
+    getSeparators,
     dollarsToCents,
     centsToDollars,
     formatCents,
     formatCentsShort,
+    formatCentsForInput,
+    formatCentsDecimal,
+    parseMoneyInput,
     parseDollarString,
+    getQuickAmounts,
     isValidCentsAmount,
     calculateBillCount,
     calculateCoins,
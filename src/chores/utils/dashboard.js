@@ -0,0 +1,148 @@
+/**
+ * Dashboard Utility Functions
+ *
+ * Builds the earnings dashboard series from the ledger and job completions:
+ * - Earnings, spending and balance per day, week or month
+ * - Jobs done per period
+ * - One child or several added together (family-wide)
+ *
+ * Earnings are money paid into the family (jobs, bonuses, allowance, interest and
+ * gem exchanges); transfers between family members and loans aren't counted, so
+ * family-wide totals aren't inflated by money moving between children. Spending is
+ * the redeem entries. Reversed entries are left out of both.
+ */
+
+import { TRANSACTION_TYPE, RECURRENCE_TYPE, ALLOWANCE_CADENCE, DEFAULT_WEEKLY_RESET_DAY } from '../schema.js';
+import { computeBalances, getOwnedBalance, getOwnedEffect } from './ledger.js';
+import { excludeReversed } from './reversals.js';
+import { getPeriodStart, getNextPeriodStart } from './dateTime.js';
+import { addCents } from './currency.js';
+
+/**
+ * Entry types counted as earnings
+ */
+const EARNING_TYPES = [
+    TRANSACTION_TYPE.EARN,
+    TRANSACTION_TYPE.BONUS,
+    TRANSACTION_TYPE.ALLOWANCE,
+    TRANSACTION_TYPE.INTEREST,
+    TRANSACTION_TYPE.GEM_EXCHANGE
+];
+
+/**
+ * How many periods the dashboard shows for each bucket size
+ */
+export const DASHBOARD_PERIOD_COUNTS = {
+    [RECURRENCE_TYPE.DAILY]: 14,
+    [RECURRENCE_TYPE.WEEKLY]: 8,
+    [ALLOWANCE_CADENCE.MONTHLY]: 6
+};
+
+/**
+ * Get the completion times and counts behind approved job earnings
+ *
+ * Jobs only keep the current period's completions, so older ones come from the
+ * completion IDs on approved earn entries; a completion still on its job is
+ * dated by when it was done rather than when it was approved.
+ *
+ * @param {Object[]} earnEntries - Approved earn entries (not reversed)
+ * @param {Object[]} jobs - Jobs with their completion events
+ * @returns {{ date: string, count: number }[]}
+ */
+const getApprovedCompletions = (earnEntries, jobs) => {
+    const completionsById = new Map(
+        jobs.flatMap(job => job.completions || []).map(c => [c.id, c])
+    );
+
+    return earnEntries.map(entry => {
+        const known = (entry.completionIds || [])
+            .map(id => completionsById.get(id))
+            .filter(Boolean);
+        const date = known.length > 0
+            ? known.reduce((earliest, c) => (c.timestamp < earliest ? c.timestamp : earliest), known[0].timestamp)
+            : entry.date;
+        return { date, count: entry.completionCount || 1 };
+    });
+};
+
+/**
+ * Build dashboard series for one or more children
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object[]} jobs - All jobs
+ * @param {Object} options
+ * @param {string[]} options.userIds - Children to include (several = family-wide)
+ * @param {'daily' | 'weekly' | 'monthly'} [options.bucket] - Period size
+ * @param {number} [options.count] - How many periods, ending with the current one
+ * @param {number} [options.resetDay] - Day weeks start on
+ * @param {Date} [options.now] - Reference time
+ * @returns {{
+ *   periods: { periodStart: Date, periodEnd: Date, earned: number, spent: number, balance: number, jobsDone: number }[],
+ *   totals: { earned: number, spent: number, jobsDone: number }
+ * }}
+ *   Periods oldest first; balance is what the children own at the end of the period
+ */
+export const getDashboardSeries = (transactions, jobs, {
+    userIds,
+    bucket = RECURRENCE_TYPE.WEEKLY,
+    count = DASHBOARD_PERIOD_COUNTS[bucket] || 8,
+    resetDay = DEFAULT_WEEKLY_RESET_DAY,
+    now = new Date()
+}) => {
+    const members = new Set(userIds);
+    const memberEntries = transactions.filter(t => members.has(t.userId));
+    const counted = excludeReversed(memberEntries);
+    const earnings = counted.filter(t => EARNING_TYPES.includes(t.type));
+    const spending = counted.filter(t => t.type === TRANSACTION_TYPE.REDEEM);
+    const completions = getApprovedCompletions(
+        counted.filter(t => t.type === TRANSACTION_TYPE.EARN && t.jobId),
+        jobs.filter(job => members.has(job.userId))
+    );
+
+    // Period starts, counting back from the current period
+    const starts = [getPeriodStart(now, bucket, resetDay)];
+    while (starts.length < count) {
+        const previous = new Date(starts[0]);
+        previous.setDate(previous.getDate() - 1);
+        starts.unshift(getPeriodStart(previous, bucket, resetDay));
+    }
+
+    const periods = starts.map(periodStart => {
+        const periodEnd = getNextPeriodStart(periodStart, bucket);
+        const inPeriod = (date) => {
+            const time = new Date(date);
+            return time >= periodStart && time < periodEnd;
+        };
+
+        return {
+            periodStart,
+            periodEnd,
+            earned: earnings
+                .filter(t => inPeriod(t.date))
+                .reduce((sum, t) => addCents(sum, getOwnedEffect(t)), 0),
+            spent: spending
+                .filter(t => inPeriod(t.date))
+                .reduce((sum, t) => addCents(sum, -t.amount), 0),
+            balance: userIds.reduce((sum, userId) => addCents(sum, getOwnedBalance(computeBalances(
+                memberEntries.filter(t => new Date(t.date) < periodEnd),
+                userId
+            ))), 0),
+            jobsDone: completions
+                .filter(c => inPeriod(c.date))
+                .reduce((sum, c) => sum + c.count, 0)
+        };
+    });
+
+    return {
+        periods,
+        totals: {
+            earned: periods.reduce((sum, p) => addCents(sum, p.earned), 0),
+            spent: periods.reduce((sum, p) => addCents(sum, p.spent), 0),
+            jobsDone: periods.reduce((sum, p) => sum + p.jobsDone, 0)
+        }
+    };
+};
+
+export default {
+    DASHBOARD_PERIOD_COUNTS,
+    getDashboardSeries
+};
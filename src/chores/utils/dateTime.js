@@ -2,10 +2,11 @@
  * Date & Time Utility Functions
  *
  * Handles daily/weekly reset logic, date comparisons,
- * and period tracking for the recurrence system.
+ * period tracking for the recurrence system, and times of day
+ * (due times and availability windows).
  */
 
-import { RECURRENCE_TYPE, DEFAULT_WEEKLY_RESET_DAY, WEEK_DAYS } from '../schema.js';
+import { RECURRENCE_TYPE, ALLOWANCE_CADENCE, DEFAULT_WEEKLY_RESET_DAY, WEEK_DAYS } from '../schema.js';
 
 /**
  * Get start of today (midnight local time)
@@ -180,6 +181,124 @@ export const getTimeUntilReset = (recurrence, resetDay = DEFAULT_WEEKLY_RESET_DA
     return { hours, minutes, seconds, totalMs };
 };
 
+/**
+ * Get the moment a time of day ("HH:MM") falls on the same day as a date
+ * @param {string} time - Time of day, e.g. "08:00"
+ * @param {Date} date - Day to place it on
+ * @returns {Date | null} null if the time isn't valid
+ */
+export const getTimeOfDay = (time, date = new Date()) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) return null;
+
+    const at = new Date(date);
+    at.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    return at;
+};
+
+/**
+ * Get time remaining until a time of day, today
+ * Negative once the time has passed.
+ * @param {string} time - Time of day, e.g. "08:00"
+ * @param {Date} now - Reference time
+ * @returns {{ hours: number, minutes: number, seconds: number, totalMs: number } | null}
+ */
+export const getTimeUntilTimeOfDay = (time, now = new Date()) => {
+    const at = getTimeOfDay(time, now);
+    if (!at) return null;
+
+    const totalMs = at.getTime() - now.getTime();
+    const absMs = Math.abs(totalMs);
+    const hours = Math.floor(absMs / (1000 * 60 * 60));
+    const minutes = Math.floor((absMs % (1000 * 60 * 60)) / (1000 * 60));
+    const seconds = Math.floor((absMs % (1000 * 60)) / 1000);
+
+    return { hours, minutes, seconds, totalMs };
+};
+
+/**
+ * Format a time remaining as a short countdown, e.g. "2h 15m" or "40m"
+ * @param {{ hours: number, minutes: number }} remaining - From getTimeUntilReset or getTimeUntilTimeOfDay
+ * @returns {string}
+ */
+export const formatCountdown = ({ hours, minutes }) => {
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return minutes > 0 ? `${minutes}m` : 'under a minute';
+};
+
+/**
+ * Format a time of day for display, e.g. "08:00" -> "8:00 AM"
+ * @param {string} time - Time of day
+ * @returns {string}
+ */
+export const formatTimeOfDay = (time) => {
+    const at = getTimeOfDay(time);
+    return at ? formatDate(at, 'time') : '';
+};
+
+/**
+ * Get the start of the period containing a date
+ * @param {string | Date} date - Date inside the period
+ * @param {string} recurrence - 'daily', 'weekly' or 'monthly'
+ * @param {number} resetDay - Day of week for weekly reset
+ * @returns {Date}
+ */
+export const getPeriodStart = (date, recurrence, resetDay = DEFAULT_WEEKLY_RESET_DAY) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+
+    if (recurrence === ALLOWANCE_CADENCE.MONTHLY) {
+        start.setDate(1);
+    } else if (recurrence === RECURRENCE_TYPE.WEEKLY) {
+        let daysToSubtract = start.getDay() - resetDay;
+        if (daysToSubtract < 0) {
+            daysToSubtract += 7;
+        }
+        start.setDate(start.getDate() - daysToSubtract);
+    }
+
+    return start;
+};
+
+/**
+ * Get the start of the period after the one starting at a date
+ * @param {Date} periodStart - Start of a period
+ * @param {string} recurrence - 'daily', 'weekly' or 'monthly'
+ * @returns {Date}
+ */
+export const getNextPeriodStart = (periodStart, recurrence) => {
+    const next = new Date(periodStart);
+
+    if (recurrence === ALLOWANCE_CADENCE.MONTHLY) {
+        next.setMonth(next.getMonth() + 1);
+    } else {
+        next.setDate(next.getDate() + (recurrence === RECURRENCE_TYPE.WEEKLY ? 7 : 1));
+    }
+
+    return next;
+};
+
+/**
+ * Get the start of every period that began after a date, up to now
+ * Used to catch up on periodic work (e.g. interest) missed while the app was closed.
+ * @param {string | Date} since - Last processed time
+ * @param {string} recurrence - 'daily', 'weekly' or 'monthly'
+ * @param {number} resetDay - Day of week for weekly reset
+ * @param {Date} now - Reference time
+ * @returns {Date[]} Period starts in chronological order
+ */
+export const getElapsedPeriodStarts = (since, recurrence, resetDay = DEFAULT_WEEKLY_RESET_DAY, now = new Date()) => {
+    const starts = [];
+    let cursor = getNextPeriodStart(getPeriodStart(since, recurrence, resetDay), recurrence);
+
+    while (cursor <= now) {
+        starts.push(cursor);
+        cursor = getNextPeriodStart(cursor, recurrence);
+    }
+
+    return starts;
+};
+
 /**
  * Format a date for display
  * @param {string | Date} date - Date to format
@@ -311,6 +430,13 @@ export default {
     needsReset,
     getNextResetTime,
     getTimeUntilReset,
+    getTimeOfDay,
+    getTimeUntilTimeOfDay,
+    formatCountdown,
+    formatTimeOfDay,
+    getPeriodStart,
+    getNextPeriodStart,
+    getElapsedPeriodStarts,
     formatDate,
     getRelativeTime,
     getDayName,
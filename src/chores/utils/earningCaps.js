@@ -0,0 +1,169 @@
+/**
+ * Earning Cap Utility Functions
+ *
+ * Handles per-child and per-job limits on what jobs can earn in a day or week:
+ * - Job earnings so far this day/week, read from the ledger
+ * - The tightest remaining budget across all caps that apply
+ * - Whether a completion (or batch of completions) fits in that budget
+ *
+ * Earnings count from the moment the job is done, including completions still
+ * awaiting approval; rejected and reversed earnings don't count.
+ */
+
+import { TRANSACTION_TYPE, LEDGER_ACCOUNT, RECURRENCE_TYPE, DEFAULT_WEEKLY_RESET_DAY } from '../schema.js';
+import { isToday, isThisWeek } from './dateTime.js';
+import { formatCents } from './currency.js';
+import { excludeReversed } from './reversals.js';
+
+/**
+ * Ledger entries that record job earnings as the work is done
+ * Holds for pending completions and auto-approved earnings; approvals only settle
+ * holds, so they aren't counted again. Rejected holds are dropped, and holds a
+ * parent paid only part of count for the part paid.
+ * @param {Object[]} transactions - All ledger entries
+ * @returns {Object[]}
+ */
+const getJobEarningEntries = (transactions) => {
+    const entries = excludeReversed(transactions);
+
+    // Cents released per completion; a release covering several completions rejects them all
+    const releasedById = new Map();
+    entries
+        .filter(t => t.type === TRANSACTION_TYPE.RELEASE)
+        .forEach(t => {
+            const ids = t.completionIds || [];
+            ids.forEach(id => releasedById.set(id, ids.length === 1 ? -t.amount : Infinity));
+        });
+
+    return entries
+        .filter(t => t.jobId && (
+            t.type === TRANSACTION_TYPE.HOLD ||
+            (t.type === TRANSACTION_TYPE.EARN && t.counterAccount !== LEDGER_ACCOUNT.PENDING)
+        ))
+        .map(t => {
+            if (t.type !== TRANSACTION_TYPE.HOLD) return t;
+            const released = (t.completionIds || []).reduce((sum, id) => sum + (releasedById.get(id) || 0), 0);
+            return { ...t, amount: Math.max(0, t.amount - released) };
+        })
+        .filter(t => t.amount > 0);
+};
+
+/**
+ * Sum job earnings in the current day or week
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} filter
+ * @param {string} [filter.userId] - Only this child's jobs
+ * @param {string} [filter.jobId] - Only this job
+ * @param {'daily' | 'weekly'} period - Window to sum
+ * @param {number} resetDay - Weekly reset day
+ * @returns {number} Cents earned
+ */
+export const getJobEarningsThisPeriod = (transactions, { userId, jobId }, period, resetDay = DEFAULT_WEEKLY_RESET_DAY) => {
+    const inPeriod = period === RECURRENCE_TYPE.DAILY
+        ? (date) => isToday(date)
+        : (date) => isThisWeek(date, resetDay);
+
+    return getJobEarningEntries(transactions)
+        .filter(t =>
+            (!userId || t.userId === userId) &&
+            (!jobId || t.jobId === jobId) &&
+            inPeriod(t.date)
+        )
+        .reduce((sum, t) => sum + t.amount, 0);
+};
+
+/**
+ * Get the tightest remaining earning budget for a job
+ * Checks the job's own caps and the child's caps; whichever has least left wins.
+ * @param {Object} job - Job
+ * @param {Object} options
+ * @param {Object} [options.user] - Child doing the job (with earningCaps)
+ * @param {Object[]} [options.transactions] - All ledger entries
+ * @param {number} [options.resetDay] - Weekly reset day
+ * @returns {{ remaining: number | null, cap: number | null, period: string | null, scope: 'job' | 'child' | null }}
+ *   remaining is null when no cap applies
+ */
+export const getEarningBudget = (job, { user, transactions = [], resetDay = DEFAULT_WEEKLY_RESET_DAY } = {}) => {
+    const limits = [
+        { scope: 'job', caps: job.earningCaps, filter: { jobId: job.id } },
+        { scope: 'child', caps: user?.earningCaps, filter: { userId: user?.id } }
+    ];
+
+    let budget = { remaining: null, cap: null, period: null, scope: null };
+
+    limits.forEach(({ scope, caps, filter }) => {
+        [
+            [RECURRENCE_TYPE.DAILY, caps?.dailyCents],
+            [RECURRENCE_TYPE.WEEKLY, caps?.weeklyCents]
+        ].forEach(([period, cap]) => {
+            if (cap === null || cap === undefined) return;
+
+            const earned = getJobEarningsThisPeriod(transactions, filter, period, resetDay);
+            const remaining = Math.max(0, cap - earned);
+            if (budget.remaining === null || remaining < budget.remaining) {
+                budget = { remaining, cap, period, scope };
+            }
+        });
+    });
+
+    return budget;
+};
+
+/**
+ * Most completions of a job that still fit in the budget
+ * @param {Object} job - Job
+ * @param {{ remaining: number | null }} budget - From getEarningBudget
+ * @returns {number | null} null when unlimited
+ */
+export const getCompletionsWithinBudget = (job, budget) => {
+    if (budget.remaining === null) return null;
+    if (!(job.value > 0)) return null;
+    return Math.floor(budget.remaining / job.value);
+};
+
+/**
+ * Describe what's left of a budget, e.g. "$3.00 left today"
+ * @param {{ remaining: number | null, period: string | null }} budget - From getEarningBudget
+ * @returns {string | null} null when no cap applies
+ */
+export const describeEarningBudget = (budget) => {
+    if (budget.remaining === null) return null;
+    const when = budget.period === RECURRENCE_TYPE.DAILY ? 'today' : 'this week';
+    return `${formatCents(budget.remaining)} left ${when}`;
+};
+
+/**
+ * Check whether completing a job would go over an earning cap
+ * @param {Object} job - Job
+ * @param {number} count - Completions being recorded
+ * @param {Object} options - As for getEarningBudget
+ * @returns {{ canComplete: boolean, reason: string | null }}
+ */
+export const checkEarningCaps = (job, count, options) => {
+    const budget = getEarningBudget(job, options);
+    const allowed = getCompletionsWithinBudget(job, budget);
+    if (allowed === null || count <= allowed) {
+        return { canComplete: true, reason: null };
+    }
+
+    const limit = `${budget.period === RECURRENCE_TYPE.DAILY ? 'daily' : 'weekly'} limit of ${formatCents(budget.cap)}`;
+    const whose = budget.scope === 'job'
+        ? 'this job\'s'
+        : `${options.user?.name || 'the child'}'s`;
+
+    if (allowed === 0) {
+        return { canComplete: false, reason: `Earning cap reached: ${whose} ${limit}.` };
+    }
+    return {
+        canComplete: false,
+        reason: `Only ${allowed} more allowed before ${whose} ${limit}.`
+    };
+};
+
+export default {
+    getJobEarningsThisPeriod,
+    getEarningBudget,
+    getCompletionsWithinBudget,
+    describeEarningBudget,
+    checkEarningCaps
+};
@@ -0,0 +1,147 @@
+/**
+ * Fine Utility Functions
+ *
+ * Handles penalties for chores and jobs left incomplete at period end:
+ * - Deciding which chores/jobs were missed when their period resets
+ * - Capping fines at each child's balance floor
+ *
+ * Fines are assessed from the state a chore or job is in just before it resets,
+ * so a period the app was never opened in isn't fined a second time.
+ */
+
+import {
+    TRANSACTION_TYPE,
+    APPROVAL_STATUS,
+    DEFAULT_WEEKLY_RESET_DAY,
+    createLedgerEntry
+} from '../schema.js';
+import { needsReset, getPeriodStart, getNextPeriodStart } from './dateTime.js';
+import { computeBalances } from './ledger.js';
+
+/**
+ * Lowest cash balance fines may leave a child with
+ * @param {Object} user - User
+ * @returns {number} Cents (0 or negative)
+ */
+export const getFineFloor = (user) => {
+    return Math.min(0, user?.fineFloorCents ?? 0);
+};
+
+/**
+ * Build the period key recorded on a fine
+ * @param {Object} item - Chore or job
+ * @returns {string}
+ */
+export const getFinePeriodKey = (item) => {
+    return `fine:${item.id}:${item.lastReset}`;
+};
+
+/**
+ * Check whether a chore was left incomplete this period
+ * Chores waiting for approval were done, so they aren't missed.
+ * @param {Object} chore - Chore
+ * @returns {boolean}
+ */
+export const isChoreMissed = (chore) => {
+    return !chore.completed;
+};
+
+/**
+ * Check whether a job was not done at all this period
+ * Locked jobs couldn't be done, so they aren't missed.
+ * @param {Object} job - Job
+ * @returns {boolean}
+ */
+export const isJobMissed = (job) => {
+    if (job.isLocked) return false;
+
+    return !job.completions.some(c =>
+        c.status !== APPROVAL_STATUS.REJECTED && c.timestamp >= job.lastReset
+    );
+};
+
+/**
+ * Create a fine entry
+ * @param {Object} item - Chore or job that was missed
+ * @param {'chore' | 'job'} kind - What the item is
+ * @param {number} amount - Cents actually charged
+ * @param {Date} periodEnd - When the missed period ended
+ * @returns {Object} Ledger entry
+ */
+export const createFineEntry = (item, kind, amount, periodEnd) => {
+    return {
+        ...createLedgerEntry(
+            item.userId,
+            TRANSACTION_TYPE.FINE,
+            -amount,
+            `Missed: ${kind === 'job' ? item.title : item.name}`,
+            {
+                choreId: kind === 'chore' ? item.id : null,
+                jobId: kind === 'job' ? item.id : null,
+                fineCents: item.fineCents,
+                periodKey: getFinePeriodKey(item)
+            }
+        ),
+        date: periodEnd.toISOString()
+    };
+};
+
+/**
+ * Work out the fines owed for chores and jobs about to reset
+ * Call before resetting them. Safe to call repeatedly: periods already fined are skipped.
+ * @param {Object} params
+ * @param {Object[]} params.transactions - All ledger entries
+ * @param {Object[]} params.users - All users
+ * @param {Object[]} params.chores - All chores
+ * @param {Object[]} params.jobs - All jobs
+ * @param {number} params.resetDay - Weekly reset day
+ * @returns {Object[]} New fine entries in chronological order
+ */
+export const assessFines = ({ transactions, users, chores, jobs, resetDay = DEFAULT_WEEKLY_RESET_DAY }) => {
+    const finedKeys = new Set(
+        transactions.filter(t => t.type === TRANSACTION_TYPE.FINE).map(t => t.periodKey)
+    );
+    const usersById = new Map(users.map(u => [u.id, u]));
+
+    const isDue = (item) =>
+        item.fineCents > 0 &&
+        usersById.has(item.userId) &&
+        needsReset(item.lastReset, item.recurrence, resetDay) &&
+        !finedKeys.has(getFinePeriodKey(item));
+
+    const missed = [
+        ...chores.filter(c => isDue(c) && isChoreMissed(c)).map(item => ({ item, kind: 'chore' })),
+        ...jobs.filter(j => isDue(j) && isJobMissed(j)).map(item => ({ item, kind: 'job' }))
+    ].map(fine => ({
+        ...fine,
+        periodEnd: getNextPeriodStart(getPeriodStart(fine.item.lastReset, fine.item.recurrence, resetDay), fine.item.recurrence)
+    })).sort((a, b) => a.periodEnd - b.periodEnd);
+
+    // Track each child's cash as fines are charged so the floor holds across several fines
+    const cash = new Map();
+    const entries = [];
+
+    missed.forEach(({ item, kind, periodEnd }) => {
+        if (!cash.has(item.userId)) {
+            cash.set(item.userId, computeBalances(transactions, item.userId).cashBalance);
+        }
+
+        const available = cash.get(item.userId) - getFineFloor(usersById.get(item.userId));
+        const amount = Math.min(item.fineCents, Math.max(0, available));
+        if (amount <= 0) return;
+
+        cash.set(item.userId, cash.get(item.userId) - amount);
+        entries.push(createFineEntry(item, kind, amount, periodEnd));
+    });
+
+    return entries;
+};
+
+export default {
+    getFineFloor,
+    getFinePeriodKey,
+    isChoreMissed,
+    isJobMissed,
+    createFineEntry,
+    assessFines
+};
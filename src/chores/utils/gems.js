@@ -0,0 +1,137 @@
+/**
+ * Gem Utility Functions
+ *
+ * Handles the gems children earn for approved chores:
+ * - Gem awards (chore points plus streak and quality bonuses)
+ * - Gem balances derived from the gem history
+ * - Exchanging gems for cash at a parent-set rate
+ *
+ * Gems live in their own history rather than the cash ledger; an exchange
+ * posts a matching ledger entry so the cash side stays append-only too.
+ */
+
+import { TRANSACTION_TYPE, GEM_ENTRY_TYPE, createGemEntry, createLedgerEntry } from '../schema.js';
+import { withJarAllocation } from './jars.js';
+import { calculateQualityBonus } from './quality.js';
+
+/**
+ * Get a user's gem balance
+ * @param {GemEntry[]} gemHistory - All gem entries
+ * @param {string} userId - User ID
+ * @returns {number} Gems
+ */
+export const getGemBalance = (gemHistory, userId) => {
+    return gemHistory
+        .filter(e => e.userId === userId)
+        .reduce((sum, e) => sum + e.amount, 0);
+};
+
+/**
+ * Attach gem balances to user profiles
+ * @param {Object[]} users - Users
+ * @param {GemEntry[]} gemHistory - All gem entries
+ * @returns {Object[]} Users with gemBalance
+ */
+export const applyGemBalances = (users, gemHistory) => {
+    const balances = new Map();
+    gemHistory.forEach(e => balances.set(e.userId, (balances.get(e.userId) || 0) + e.amount));
+    return users.map(user => ({ ...user, gemBalance: balances.get(user.id) || 0 }));
+};
+
+/**
+ * Get a user's gem history, newest first
+ * @param {GemEntry[]} gemHistory - All gem entries
+ * @param {string} userId - User ID
+ * @returns {GemEntry[]}
+ */
+export const getUserGemHistory = (gemHistory, userId) => {
+    return gemHistory
+        .filter(e => e.userId === userId)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+/**
+ * Create the gem award for a completed chore
+ * Uses the streak bonus and early-bird bonus or late penalty locked in when the
+ * chore was completed, plus the quality bonus for the chore's rating (a
+ * percentage of its points).
+ * @param {Chore} chore - Chore being approved
+ * @param {QualityBonusSettings | null} qualitySettings - Bonus per rating
+ * @returns {GemEntry | null} null if the chore awards no gems
+ */
+export const createChoreGemEntry = (chore, qualitySettings = null) => {
+    const points = chore.points || 0;
+    const streakBonus = chore.streakBonus || 0;
+    const qualityBonus = calculateQualityBonus(points, chore.rating, qualitySettings);
+    const timingBonus = chore.timingBonus || 0;
+    const total = points + streakBonus + qualityBonus + timingBonus;
+    if (total <= 0) return null;
+
+    return createGemEntry(
+        chore.userId,
+        GEM_ENTRY_TYPE.CHORE,
+        total,
+        chore.name,
+        { choreId: chore.id, streakBonus, qualityBonus, timingBonus, rating: chore.rating || null }
+    );
+};
+
+/**
+ * Work out how many gems an exchange uses and what it pays
+ * Gems are exchanged in whole bundles; any remainder stays in the wallet.
+ * @param {number} gems - Gems the child wants to exchange
+ * @param {GemExchangeSettings} exchange - Exchange rate
+ * @returns {{ bundles: number, gemsUsed: number, cents: number }}
+ */
+export const getExchangeQuote = (gems, exchange) => {
+    if (!exchange?.enabled || !(exchange.gems > 0) || !(exchange.cents > 0)) {
+        return { bundles: 0, gemsUsed: 0, cents: 0 };
+    }
+
+    const bundles = Math.floor(Math.max(0, gems) / exchange.gems);
+    return {
+        bundles,
+        gemsUsed: bundles * exchange.gems,
+        cents: bundles * exchange.cents
+    };
+};
+
+/**
+ * Create the entries for exchanging gems for cash
+ * @param {Object} user - Child exchanging (with gemBalance and jar settings)
+ * @param {number} gems - Gems requested (rounded down to whole bundles)
+ * @param {GemExchangeSettings} exchange - Exchange rate
+ * @returns {{ gemEntry: GemEntry, transactions: Object[] } | null} null if nothing can be exchanged
+ */
+export const createGemExchange = (user, gems, exchange) => {
+    const quote = getExchangeQuote(Math.min(gems, user.gemBalance || 0), exchange);
+    if (quote.bundles === 0) return null;
+
+    const earning = createLedgerEntry(
+        user.id,
+        TRANSACTION_TYPE.GEM_EXCHANGE,
+        quote.cents,
+        `Exchanged ${quote.gemsUsed} gems`,
+        { gemsExchanged: quote.gemsUsed }
+    );
+
+    return {
+        gemEntry: createGemEntry(
+            user.id,
+            GEM_ENTRY_TYPE.EXCHANGE,
+            -quote.gemsUsed,
+            'Exchanged for cash',
+            { transactionId: earning.id }
+        ),
+        transactions: withJarAllocation(earning, user)
+    };
+};
+
+export default {
+    getGemBalance,
+    applyGemBalances,
+    getUserGemHistory,
+    createChoreGemEntry,
+    getExchangeQuote,
+    createGemExchange
+};
@@ -10,3 +10,26 @@ export * from './storage.js';
 export * from './currency.js';
 export * from './dateTime.js';
 export * from './jobHelpers.js';
+export * from './earningCaps.js';
+export * from './ledger.js';
+export * from './reversals.js';
+export * from './statements.js';
+export * from './ledgerExport.js';
+export * from './savingsGoals.js';
+export * from './interest.js';
+export * from './jars.js';
+export * from './allowance.js';
+export * from './fines.js';
+export * from './loans.js';
+export * from './gems.js';
+export * from './transfers.js';
+export * from './store.js';
+export * from './spending.js';
+export * from './dashboard.js';
+export * from './autoApproval.js';
+export * from './quality.js';
+export * from './redo.js';
+export * from './photos.js';
+export * from './bounties.js';
+export * from './auctions.js';
+export * from './schedule.js';
@@ -0,0 +1,187 @@
+/**
+ * Interest Utility Functions
+ *
+ * Handles parent-paid interest on children's savings:
+ * - Weekly interest calculation with a minimum balance and weekly cap
+ * - Catch-up for weeks that ended while the app was closed
+ * - Projected growth for display
+ *
+ * Interest is calculated on what the child owns (cash, savings goals and jars,
+ * less loans still owed) at the moment each week ends, and paid into cash. Each payment
+ * is part of the next week's balance, so interest compounds weekly. The week
+ * interest is switched on in is paid only for the part of it after that.
+ */
+
+import { TRANSACTION_TYPE, RECURRENCE_TYPE, DEFAULT_WEEKLY_RESET_DAY, createLedgerEntry } from '../schema.js';
+import { computeBalances, getOwnedBalance, getLatestEntryDate } from './ledger.js';
+import { addCents } from './currency.js';
+import { getPeriodStart, getElapsedPeriodStarts } from './dateTime.js';
+
+const WEEKS_PER_YEAR = 52;
+
+/**
+ * Build the period key recorded on interest entries
+ * @param {Date} periodStart - Start of the week the interest was paid on
+ * @returns {string}
+ */
+export const getInterestPeriodKey = (periodStart) => {
+    return `interest:${periodStart.toISOString()}`;
+};
+
+/**
+ * Balance that earns interest (everything the user owns, less loans owed) just before a point in time
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @param {Date} asOf - Point in time
+ * @returns {number} Balance in cents
+ */
+export const getInterestBearingBalance = (transactions, userId, asOf) => {
+    const before = transactions.filter(t => new Date(t.date) < asOf);
+    return getOwnedBalance(computeBalances(before, userId));
+};
+
+/**
+ * Calculate one week of interest on a balance
+ * @param {number} balance - Balance in cents
+ * @param {InterestSettings} settings - Interest settings
+ * @returns {number} Interest in cents (0 when below the minimum balance)
+ */
+export const calculateWeeklyInterest = (balance, settings) => {
+    if (!settings?.enabled || settings.apr <= 0) return 0;
+    if (balance <= 0 || balance < (settings.minBalanceCents || 0)) return 0;
+
+    const interest = Math.round(balance * (settings.apr / 100) / WEEKS_PER_YEAR);
+
+    if (settings.capCents !== null && settings.capCents !== undefined) {
+        return Math.min(interest, settings.capCents);
+    }
+    return interest;
+};
+
+/**
+ * Get the most recent time interest was settled for a user
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} user - User with interest settings
+ * @returns {string | null} ISO timestamp, or null if interest never started
+ */
+export const getLastInterestDate = (transactions, user) => {
+    const startedAt = user.interest?.startedAt || null;
+
+    const lastPaid = getLatestEntryDate(transactions, user.id, TRANSACTION_TYPE.INTEREST);
+
+    if (!lastPaid) return startedAt;
+    if (!startedAt) return lastPaid;
+    return lastPaid > startedAt ? lastPaid : startedAt;
+};
+
+/**
+ * Share of a week that interest was on for
+ * Only the week interest was switched on in is partial.
+ * @param {Date} periodEnd - Start of the following week (when it's paid)
+ * @param {string | null} startedAt - ISO timestamp interest was switched on
+ * @param {number} resetDay - Weekly reset day
+ * @returns {number} 0 to 1
+ */
+const getAccruedWeekFraction = (periodEnd, startedAt, resetDay) => {
+    if (!startedAt) return 1;
+
+    const weekStart = getPeriodStart(new Date(periodEnd.getTime() - 1), RECURRENCE_TYPE.WEEKLY, resetDay);
+    const started = new Date(startedAt);
+    if (started <= weekStart) return 1;
+
+    return Math.max(0, (periodEnd - started) / (periodEnd - weekStart));
+};
+
+/**
+ * Create an interest entry for one week
+ * @param {string} userId - User ID
+ * @param {number} amount - Interest in cents
+ * @param {Date} periodStart - Start of the week the interest is paid at
+ * @param {number} apr - Rate used, for the description
+ * @returns {Object} Ledger entry dated at the start of the week
+ */
+export const createInterestEntry = (userId, amount, periodStart, apr) => {
+    return {
+        ...createLedgerEntry(
+            userId,
+            TRANSACTION_TYPE.INTEREST,
+            amount,
+            `Interest (${apr}% a year)`,
+            { periodKey: getInterestPeriodKey(periodStart) }
+        ),
+        date: periodStart.toISOString()
+    };
+};
+
+/**
+ * Work out the interest owed for every week that ended since the last payment
+ * Safe to call repeatedly: weeks already paid are skipped. The first week is
+ * pro-rated from when interest was switched on.
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} user - User with interest settings
+ * @param {number} resetDay - Weekly reset day
+ * @param {Date} now - Reference time
+ * @returns {Object[]} New interest entries in chronological order
+ */
+export const accrueInterest = (transactions, user, resetDay = DEFAULT_WEEKLY_RESET_DAY, now = new Date()) => {
+    const settings = user.interest;
+    if (!settings?.enabled) return [];
+
+    const since = getLastInterestDate(transactions, user);
+    if (!since) return [];
+
+    const paidKeys = new Set(
+        transactions
+            .filter(t => t.userId === user.id && t.type === TRANSACTION_TYPE.INTEREST)
+            .map(t => t.periodKey)
+    );
+
+    const entries = [];
+    let ledger = transactions;
+
+    getElapsedPeriodStarts(since, RECURRENCE_TYPE.WEEKLY, resetDay, now).forEach(periodStart => {
+        if (paidKeys.has(getInterestPeriodKey(periodStart))) return;
+
+        // Include earlier catch-up payments so missed weeks still compound
+        const balance = getInterestBearingBalance(ledger, user.id, periodStart);
+        const fraction = getAccruedWeekFraction(periodStart, settings.startedAt, resetDay);
+        const interest = Math.round(calculateWeeklyInterest(balance, settings) * fraction);
+        if (interest <= 0) return;
+
+        const entry = createInterestEntry(user.id, interest, periodStart, settings.apr);
+        entries.push(entry);
+        ledger = [...ledger, entry];
+    });
+
+    return entries;
+};
+
+/**
+ * Project how a balance grows with weekly interest and no other activity
+ * @param {number} balance - Starting balance in cents
+ * @param {InterestSettings} settings - Interest settings
+ * @param {number} weeks - Number of weeks to project
+ * @returns {{ week: number, balance: number, interest: number }[]} Balance after each week
+ */
+export const projectInterestGrowth = (balance, settings, weeks = WEEKS_PER_YEAR) => {
+    const projection = [];
+    let current = balance;
+
+    for (let week = 1; week <= weeks; week++) {
+        const interest = calculateWeeklyInterest(current, settings);
+        current = addCents(current, interest);
+        projection.push({ week, balance: current, interest });
+    }
+
+    return projection;
+};
+
+export default {
+    getInterestPeriodKey,
+    getInterestBearingBalance,
+    calculateWeeklyInterest,
+    getLastInterestDate,
+    createInterestEntry,
+    accrueInterest,
+    projectInterestGrowth
+};
@@ -0,0 +1,124 @@
+/**
+ * Jar Utility Functions
+ *
+ * Handles Spend / Save / Give jars:
+ * - Splitting credited earnings between jars by a per-child percentage rule
+ * - Moving money between jars
+ *
+ * The Spend jar is the cash account; Save and Give are separate ledger accounts.
+ * An earning is credited to cash first, then allocation entries move the Save
+ * and Give shares out of cash, so the history shows both the full earning and the split.
+ */
+
+import {
+    TRANSACTION_TYPE,
+    JAR,
+    JAR_ACCOUNT,
+    createLedgerEntry
+} from '../schema.js';
+
+/**
+ * Display info for each jar
+ */
+export const JAR_INFO = {
+    [JAR.SPEND]: { label: 'Spend', icon: '🛍️' },
+    [JAR.SAVE]: { label: 'Save', icon: '🏦' },
+    [JAR.GIVE]: { label: 'Give', icon: '💝' }
+};
+
+/**
+ * Check that a split adds up to 100%
+ * @param {{ spend: number, save: number, give: number }} split
+ * @returns {boolean}
+ */
+export const isValidJarSplit = (split) => {
+    const values = [split?.[JAR.SPEND], split?.[JAR.SAVE], split?.[JAR.GIVE]];
+    if (values.some(v => typeof v !== 'number' || v < 0)) return false;
+    return values.reduce((sum, v) => sum + v, 0) === 100;
+};
+
+/**
+ * Split an amount between jars
+ * Save and Give shares are rounded down; the Spend jar keeps the remainder so no cent is lost.
+ * @param {number} amount - Amount in cents
+ * @param {{ spend: number, save: number, give: number }} split - Percentages
+ * @returns {{ spend: number, save: number, give: number }} Cents per jar
+ */
+export const splitAmount = (amount, split) => {
+    const save = Math.floor(amount * (split[JAR.SAVE] || 0) / 100);
+    const give = Math.floor(amount * (split[JAR.GIVE] || 0) / 100);
+
+    return {
+        [JAR.SPEND]: amount - save - give,
+        [JAR.SAVE]: save,
+        [JAR.GIVE]: give
+    };
+};
+
+/**
+ * Create entries moving the Save/Give share of an earning out of the Spend jar
+ * @param {Object} earning - Ledger entry that credited cash
+ * @param {JarSettings} jarSettings - The child's jar settings
+ * @returns {Object[]} Allocation entries (empty when jars are off or nothing to move)
+ */
+export const createJarAllocationEntries = (earning, jarSettings) => {
+    if (!jarSettings?.enabled || earning.amount <= 0) return [];
+
+    const shares = splitAmount(earning.amount, jarSettings.split);
+
+    return [JAR.SAVE, JAR.GIVE]
+        .filter(jar => shares[jar] > 0)
+        .map(jar => createLedgerEntry(
+            earning.userId,
+            TRANSACTION_TYPE.JAR_ALLOCATE,
+            -shares[jar],
+            `${JAR_INFO[jar].label} jar share of ${earning.description}`,
+            {
+                counterAccount: JAR_ACCOUNT[jar],
+                jar,
+                sourceTransactionId: earning.id
+            }
+        ));
+};
+
+/**
+ * Credit an earning and split it between the child's jars
+ * @param {Object} earning - Ledger entry that credits cash
+ * @param {Object} user - Child receiving the earning
+ * @returns {Object[]} The earning followed by any allocation entries
+ */
+export const withJarAllocation = (earning, user) => {
+    return [earning, ...createJarAllocationEntries(earning, user?.jars)];
+};
+
+/**
+ * Create an entry moving money from one jar to another
+ * @param {string} userId - User ID
+ * @param {string} fromJar - Jar to take from
+ * @param {string} toJar - Jar to put into
+ * @param {number} amount - Cents to move
+ * @param {string} movedBy - Parent user ID
+ * @returns {Object} Ledger entry
+ */
+export const createJarTransferEntry = (userId, fromJar, toJar, amount, movedBy) => {
+    return createLedgerEntry(
+        userId,
+        TRANSACTION_TYPE.JAR_TRANSFER,
+        -amount,
+        `Moved from ${JAR_INFO[fromJar].label} to ${JAR_INFO[toJar].label}`,
+        {
+            account: JAR_ACCOUNT[fromJar],
+            counterAccount: JAR_ACCOUNT[toJar],
+            approvedBy: movedBy
+        }
+    );
+};
+
+export default {
+    JAR_INFO,
+    isValidJarSplit,
+    splitAmount,
+    createJarAllocationEntries,
+    withJarAllocation,
+    createJarTransferEntry
+};
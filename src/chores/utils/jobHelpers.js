@@ -3,8 +3,11 @@
  *
  * Handles job-related operations including:
  * - Lock/unlock logic based on chore completion
+ * - Creating jobs with their initial lock status
  * - Job completion and tracking
  * - Multiple completion events
+ * - Rejections and the redos linked to them
+ * - One-off jobs, done once and then removed
  * - Job reset logic
  */
 
@@ -12,10 +15,16 @@ import {
     RECURRENCE_TYPE,
     APPROVAL_STATUS,
     createTransaction,
+    createRejection,
+    createDefaultJob,
     TRANSACTION_TYPE
 } from '../schema.js';
 import { needsReset, isCurrentPeriod } from './dateTime.js';
 import { multiplyCents } from './currency.js';
+import { checkEarningCaps } from './earningCaps.js';
+import { getRedoCompletion } from './redo.js';
+import { isClaimExpired } from './bounties.js';
+import { checkSchedule, getCompletionTiming, applyTimingPercent } from './schedule.js';
 
 /**
  * Count completed chores by recurrence type for a user
@@ -155,13 +164,17 @@ export const getUnlockProgress = (job, chores, resetDay) => {
 
 /**
  * Get completion count for current period
+ * Rejected completions don't count, so they can be redone.
  * @param {Object} job - Job to check
  * @param {number} resetDay - Weekly reset day
  * @returns {number} Number of completions this period
  */
 export const getCurrentPeriodCompletions = (job, resetDay) => {
     return job.completions
-        .filter(c => isCurrentPeriod(c.timestamp, job.recurrence, resetDay))
+        .filter(c =>
+            c.status !== APPROVAL_STATUS.REJECTED &&
+            isCurrentPeriod(c.timestamp, job.recurrence, resetDay)
+        )
         .reduce((sum, c) => sum + c.count, 0);
 };
 
@@ -170,14 +183,32 @@ export const getCurrentPeriodCompletions = (job, resetDay) => {
  * @param {Object} job - Job to check
  * @param {Object[]} chores - All chores
  * @param {number} resetDay - Weekly reset day
+ * @param {Object} [options]
+ * @param {number} [options.count] - Completions being recorded (default 1)
+ * @param {Object} [options.user] - Child doing the job, for their earning caps
+ * @param {Object[]} [options.transactions] - All ledger entries, for earning caps
+ * @param {Date} [options.now] - Reference time, for the job's schedule
  * @returns {{ canComplete: boolean, reason: string | null }}
  */
-export const canCompleteJob = (job, chores, resetDay) => {
+export const canCompleteJob = (job, chores, resetDay, { count = 1, user = null, transactions = [], now = new Date() } = {}) => {
     // Check if locked
     if (!isJobUnlocked(job, chores, resetDay)) {
         return { canComplete: false, reason: 'Job is locked. Complete more chores to unlock.' };
     }
 
+    // Bounties are done once, while the claim lasts
+    if (job.claim?.completedAt) {
+        return { canComplete: false, reason: 'Bounty already done.' };
+    }
+    if (isClaimExpired(job)) {
+        return { canComplete: false, reason: 'Your claim on this bounty expired.' };
+    }
+
+    // One-off jobs (won at auction) are done once, whatever the period
+    if (isOneOffDone(job)) {
+        return { canComplete: false, reason: 'Already done.' };
+    }
+
     // Check if max completions reached
     if (job.maxCompletionsPerPeriod !== null) {
         const currentCount = getCurrentPeriodCompletions(job, resetDay);
@@ -197,27 +228,46 @@ export const canCompleteJob = (job, chores, resetDay) => {
         }
     }
 
-    return { canComplete: true, reason: null };
+    // Only inside the job's availability window
+    const schedule = checkSchedule(job.schedule, now);
+    if (!schedule.canComplete) {
+        return schedule;
+    }
+
+    // Check the job's and child's daily/weekly earning caps, at the value the
+    // early-bird bonus or late penalty would pay
+    const { percent } = getCompletionTiming(job.schedule, now);
+    return checkEarningCaps({ ...job, value: applyTimingPercent(job.value, percent) }, count, { user, transactions, resetDay });
 };
 
 /**
  * Create a job completion event
+ * An early-bird bonus or late penalty from the job's schedule is locked into
+ * valueAtCompletion, so approval and partial pay work from the adjusted value.
  * @param {Object} job - Job being completed
  * @param {number} count - Number of completions (default 1)
+ * @param {boolean} hasPhoto - Whether a photo was attached
+ * @param {Date} now - Completion time
  * @returns {Object} Completion event
  */
-export const createCompletionEvent = (job, count = 1) => {
-    const totalEarned = multiplyCents(job.value, count);
+export const createCompletionEvent = (job, count = 1, hasPhoto = false, now = new Date()) => {
+    const { timing, percent } = getCompletionTiming(job.schedule, now);
+    const valueAtCompletion = applyTimingPercent(job.value, percent);
+    const totalEarned = multiplyCents(valueAtCompletion, count);
 
     return {
         id: `completion_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        timestamp: new Date().toISOString(),
+        timestamp: now.toISOString(),
         count,
-        valueAtCompletion: job.value,
+        valueAtCompletion,
         totalEarned,
         status: job.requiresApproval ? APPROVAL_STATUS.PENDING : APPROVAL_STATUS.APPROVED,
         approvedBy: null,
-        approvedAt: null
+        approvedAt: null,
+        redoOf: getRedoCompletion(job)?.id || null,
+        hasPhoto,
+        timing,
+        timingPercent: percent
     };
 };
 
@@ -225,10 +275,11 @@ export const createCompletionEvent = (job, count = 1) => {
  * Complete a job
  * @param {Object} job - Job to complete
  * @param {number} count - Number of completions (default 1)
+ * @param {boolean} hasPhoto - Whether a photo was attached
  * @returns {Object} Updated job with new completion
  */
-export const completeJob = (job, count = 1) => {
-    const completion = createCompletionEvent(job, count);
+export const completeJob = (job, count = 1, hasPhoto = false) => {
+    const completion = createCompletionEvent(job, count, hasPhoto);
 
     return {
         ...job,
@@ -262,26 +313,72 @@ export const getApprovedEarnings = (job, resetDay) => {
         .reduce((sum, c) => sum + c.totalEarned, 0);
 };
 
+/**
+ * Work out what to pay for a completion a parent is approving
+ * The count can be lowered ("4 windows, not 6"), which pays the job value for that
+ * many; or an amount can be given directly. Neither can exceed what was claimed.
+ * @param {Object} completion - Pending completion event
+ * @param {Object} [adjustment]
+ * @param {number} [adjustment.count] - Completions actually done
+ * @param {number} [adjustment.amount] - Cents to pay
+ * @returns {{ valid: boolean, reason: string | null, count: number, amount: number, isAdjusted: boolean }}
+ */
+export const getCompletionPayment = (completion, { count = completion.count, amount } = {}) => {
+    const payAmount = amount ?? calculateTotalValue(completion.valueAtCompletion, count);
+    const result = {
+        valid: false,
+        reason: null,
+        count,
+        amount: payAmount,
+        isAdjusted: count !== completion.count || payAmount !== completion.totalEarned
+    };
+
+    if (!Number.isInteger(count) || count < 1 || count > completion.count) {
+        return { ...result, reason: `Count must be between 1 and ${completion.count}` };
+    }
+    if (!Number.isInteger(payAmount) || payAmount <= 0) {
+        return { ...result, reason: 'Reject the completion instead of paying nothing' };
+    }
+    if (payAmount > completion.totalEarned) {
+        return { ...result, reason: 'Can\'t pay more than was claimed' };
+    }
+    return { ...result, valid: true };
+};
+
 /**
  * Approve a job completion
+ * With a payment (see getCompletionPayment), the completion records the approved count
+ * and amount, keeping what was claimed in claimedCount / claimedEarned.
  * @param {Object} job - Job with completion to approve
  * @param {string} completionId - ID of completion to approve
  * @param {string} approvedBy - Parent user ID
+ * @param {{ count: number, amount: number, isAdjusted: boolean } | null} payment - Adjusted payment
+ * @param {number | null} rating - Quality rating (1-3 stars)
  * @returns {Object} Updated job
  */
-export const approveCompletion = (job, completionId, approvedBy) => {
+export const approveCompletion = (job, completionId, approvedBy, payment = null, rating = null) => {
     return {
         ...job,
-        completions: job.completions.map(c =>
-            c.id === completionId
-                ? {
-                    ...c,
-                    status: APPROVAL_STATUS.APPROVED,
-                    approvedBy,
-                    approvedAt: new Date().toISOString()
-                }
-                : c
-        )
+        completions: job.completions.map(c => {
+            if (c.id !== completionId) return c;
+
+            const approved = {
+                ...c,
+                status: APPROVAL_STATUS.APPROVED,
+                approvedBy,
+                approvedAt: new Date().toISOString(),
+                rating
+            };
+            if (!payment?.isAdjusted) return approved;
+
+            return {
+                ...approved,
+                count: payment.count,
+                totalEarned: payment.amount,
+                claimedCount: c.count,
+                claimedEarned: c.totalEarned
+            };
+        })
     };
 };
 
@@ -290,9 +387,10 @@ export const approveCompletion = (job, completionId, approvedBy) => {
  * @param {Object} job - Job with completion to reject
  * @param {string} completionId - ID of completion to reject
  * @param {string} rejectedBy - Parent user ID
+ * @param {{ reason?: string, redoInstructions?: string }} feedback - Shown to the child
  * @returns {Object} Updated job
  */
-export const rejectCompletion = (job, completionId, rejectedBy) => {
+export const rejectCompletion = (job, completionId, rejectedBy, feedback = {}) => {
     return {
         ...job,
         completions: job.completions.map(c =>
@@ -301,7 +399,8 @@ export const rejectCompletion = (job, completionId, rejectedBy) => {
                     ...c,
                     status: APPROVAL_STATUS.REJECTED,
                     approvedBy: rejectedBy,
-                    approvedAt: new Date().toISOString()
+                    approvedAt: new Date().toISOString(),
+                    rejection: createRejection(rejectedBy, feedback, c.timestamp)
                 }
                 : c
         )
@@ -312,9 +411,10 @@ export const rejectCompletion = (job, completionId, rejectedBy) => {
  * Approve all pending completions for a job
  * @param {Object} job - Job to approve all completions
  * @param {string} approvedBy - Parent user ID
+ * @param {number | null} rating - Quality rating (1-3 stars) given to every completion
  * @returns {{ job: Object, totalApproved: number }}
  */
-export const approveAllCompletions = (job, approvedBy) => {
+export const approveAllCompletions = (job, approvedBy, rating = null) => {
     let totalApproved = 0;
 
     const updatedJob = {
@@ -326,7 +426,8 @@ export const approveAllCompletions = (job, approvedBy) => {
                     ...c,
                     status: APPROVAL_STATUS.APPROVED,
                     approvedBy,
-                    approvedAt: new Date().toISOString()
+                    approvedAt: new Date().toISOString(),
+                    rating
                 };
             }
             return c;
@@ -338,17 +439,39 @@ export const approveAllCompletions = (job, approvedBy) => {
 
 /**
  * Reset a job for a new period
+ * Completions still awaiting approval are kept so their held earnings can be settled.
  * @param {Object} job - Job to reset
  * @returns {Object} Reset job
  */
 export const resetJob = (job) => {
     return {
         ...job,
-        completions: [],
+        completions: job.completions.filter(c => c.status === APPROVAL_STATUS.PENDING),
         lastReset: new Date().toISOString()
     };
 };
 
+/**
+ * Check whether a one-off job has been done (a rejected attempt doesn't count)
+ * @param {Object} job
+ * @returns {boolean}
+ */
+export const isOneOffDone = (job) => {
+    return Boolean(job.oneOff) && job.completions.some(c => c.status !== APPROVAL_STATUS.REJECTED);
+};
+
+/**
+ * Check whether a one-off job is finished with: approved and nothing left to review
+ * Settled one-off jobs are removed at the period reset instead of reset.
+ * @param {Object} job
+ * @returns {boolean}
+ */
+export const isOneOffSettled = (job) => {
+    return Boolean(job.oneOff) &&
+        job.completions.some(c => c.status === APPROVAL_STATUS.APPROVED) &&
+        !job.completions.some(c => c.status === APPROVAL_STATUS.PENDING);
+};
+
 /**
  * Check and reset job if needed
  * @param {Object} job - Job to check
@@ -377,6 +500,25 @@ export const updateJobLockStatus = (job, chores, resetDay) => {
     };
 };
 
+/**
+ * Create a job from the defaults and the given fields, locked or unlocked to match
+ * the assignee's chores. Has no side effects, so it's safe inside state updates.
+ * @param {Object} jobData - Fields to set on the job
+ * @param {string | null} userId - Assignee (null for library jobs)
+ * @param {string} createdBy - User ID of the creator
+ * @param {Object[]} chores - All chores
+ * @param {number} resetDay - Weekly reset day
+ * @returns {Object} New job
+ */
+export const createJob = (jobData, userId, createdBy, chores, resetDay) => {
+    const newJob = {
+        ...createDefaultJob(userId, createdBy),
+        ...jobData,
+        userId: userId || null  // Explicitly set to null if undefined
+    };
+    return updateJobLockStatus(newJob, chores, resetDay);
+};
+
 /**
  * Get jobs that need attention (pending approval)
  * @param {Object[]} jobs - All jobs
@@ -425,12 +567,16 @@ export default {
     completeJob,
     getPendingEarnings,
     getApprovedEarnings,
+    getCompletionPayment,
     approveCompletion,
     rejectCompletion,
     approveAllCompletions,
     resetJob,
+    isOneOffDone,
+    isOneOffSettled,
     checkAndResetJob,
     updateJobLockStatus,
+    createJob,
     getJobsNeedingApproval,
     calculateTotalValue,
     getCompletionDisplayText
@@ -0,0 +1,377 @@
+/**
+ * Ledger Utility Functions
+ *
+ * Treats the transactions array as an append-only ledger:
+ * - Every money movement is an entry against an account
+ * - Balances are computed from entries, never stored as the source of truth
+ * - Reconciliation repairs saves whose stored balances drifted from the ledger
+ */
+
+import {
+    TRANSACTION_TYPE,
+    LEDGER_ACCOUNT,
+    JAR,
+    APPROVAL_STATUS,
+    createLedgerEntry
+} from '../schema.js';
+import { addCents, subtractCents } from './currency.js';
+
+/**
+ * Get the account an entry applies to
+ * Entries saved before the ledger existed have no account, so infer it from the type.
+ * @param {Object} entry - Ledger entry
+ * @returns {string} Account name
+ */
+export const getEntryAccount = (entry) => {
+    if (entry.account) return entry.account;
+    if (entry.type === TRANSACTION_TYPE.HOLD || entry.type === TRANSACTION_TYPE.RELEASE) {
+        return LEDGER_ACCOUNT.PENDING;
+    }
+    return LEDGER_ACCOUNT.CASH;
+};
+
+/**
+ * Get the change an entry makes to a user's cash balance
+ * @param {Object} entry - Ledger entry
+ * @returns {number} Cents added to (or removed from) cash
+ */
+export const getCashEffect = (entry) => {
+    if (getEntryAccount(entry) === LEDGER_ACCOUNT.CASH) return entry.amount;
+    if (entry.counterAccount === LEDGER_ACCOUNT.CASH) return -entry.amount;
+    return 0;
+};
+
+const INTERNAL_MOVE_TYPES = [
+    TRANSACTION_TYPE.GOAL_DEPOSIT,
+    TRANSACTION_TYPE.GOAL_WITHDRAW,
+    TRANSACTION_TYPE.JAR_ALLOCATE,
+    TRANSACTION_TYPE.JAR_TRANSFER,
+    TRANSACTION_TYPE.LOAN_ADVANCE,
+    TRANSACTION_TYPE.LOAN_REPAYMENT
+];
+
+/**
+ * Whether an entry only moves money between a user's own accounts
+ * (e.g. into a savings goal, jar or loan) rather than earning or spending it
+ * @param {Object} entry - Ledger entry
+ * @returns {boolean}
+ */
+export const isInternalMove = (entry) => {
+    return INTERNAL_MOVE_TYPES.includes(entry.type);
+};
+
+/**
+ * Sum a user's entries per account
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @returns {Object.<string, number>} Map of account name to balance in cents
+ */
+export const computeAccountBalances = (transactions, userId) => {
+    const accounts = {
+        [LEDGER_ACCOUNT.CASH]: 0,
+        [LEDGER_ACCOUNT.PENDING]: 0
+    };
+
+    transactions.forEach(entry => {
+        if (entry.userId !== userId) return;
+
+        const account = getEntryAccount(entry);
+        accounts[account] = addCents(accounts[account], entry.amount);
+
+        if (entry.counterAccount) {
+            accounts[entry.counterAccount] = subtractCents(accounts[entry.counterAccount], entry.amount);
+        }
+    });
+
+    return accounts;
+};
+
+/**
+ * Compute a user's balances from the ledger
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @returns {{ cashBalance: number, pendingBalance: number, goalBalance: number, jarBalances: Object, loanBalance: number }}
+ *   cashBalance is the Spend jar; jarBalances repeats it alongside the Save and Give jars;
+ *   loanBalance is the loan principal still owed
+ */
+export const computeBalances = (transactions, userId) => {
+    const accounts = computeAccountBalances(transactions, userId);
+    const goalBalance = Object.entries(accounts)
+        .filter(([account]) => account.startsWith(LEDGER_ACCOUNT.GOAL_PREFIX))
+        .reduce((sum, [, balance]) => addCents(sum, balance), 0);
+    const loanBalance = Object.entries(accounts)
+        .filter(([account]) => account.startsWith(LEDGER_ACCOUNT.LOAN_PREFIX))
+        .reduce((sum, [, balance]) => subtractCents(sum, balance), 0);
+
+    return {
+        cashBalance: accounts[LEDGER_ACCOUNT.CASH],
+        pendingBalance: accounts[LEDGER_ACCOUNT.PENDING],
+        goalBalance,
+        jarBalances: {
+            [JAR.SPEND]: accounts[LEDGER_ACCOUNT.CASH],
+            [JAR.SAVE]: accounts[LEDGER_ACCOUNT.JAR_SAVE] || 0,
+            [JAR.GIVE]: accounts[LEDGER_ACCOUNT.JAR_GIVE] || 0
+        },
+        loanBalance
+    };
+};
+
+/**
+ * Everything a user owns: cash, savings goals and jars, less loan principal still owed
+ * (excludes pending earnings). Borrowed cash isn't the user's own, so an advance adds nothing.
+ * @param {{ cashBalance: number, goalBalance: number, jarBalances: Object, loanBalance: number }} balances - From computeBalances (or a user)
+ * @returns {number} Balance in cents (negative when more is owed than owned)
+ */
+export const getOwnedBalance = ({ cashBalance = 0, goalBalance = 0, jarBalances, loanBalance = 0 }) => {
+    return [cashBalance, goalBalance, jarBalances?.[JAR.SAVE] || 0, jarBalances?.[JAR.GIVE] || 0]
+        .reduce((sum, balance) => addCents(sum, balance), -loanBalance);
+};
+
+/**
+ * Get the change an entry makes to what its user owns (see getOwnedBalance)
+ * Moves between a user's own cash, jars and goals come to 0, as do loan advances and repayments.
+ * @param {Object} entry - Ledger entry
+ * @returns {number} Cents
+ */
+export const getOwnedEffect = (entry) => {
+    return getOwnedBalance(computeBalances([entry], entry.userId));
+};
+
+/**
+ * Attach ledger-derived balances to user profiles
+ * @param {Object[]} users - User profiles
+ * @param {Object[]} transactions - All ledger entries
+ * @returns {Object[]} Users with cashBalance/pendingBalance/goalBalance/jarBalances/loanBalance filled in
+ */
+export const applyBalances = (users, transactions) => {
+    return users.map(user => ({
+        ...user,
+        ...computeBalances(transactions, user.id)
+    }));
+};
+
+/**
+ * Get the date of a user's most recent entry of a type
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @param {TransactionType} type - Entry type
+ * @returns {string | null} ISO timestamp, or null if there are none
+ */
+export const getLatestEntryDate = (transactions, userId, type) => {
+    return transactions
+        .filter(t => t.userId === userId && t.type === type)
+        .reduce((latest, t) => (!latest || t.date > latest ? t.date : latest), null);
+};
+
+/**
+ * Build the description used for job earnings
+ * @param {Object} job - Job
+ * @param {number} count - Number of completions
+ * @returns {string}
+ */
+export const describeJobEarning = (job, count) => {
+    return `${job.title}${count > 1 ? ` (${count}×)` : ''}`;
+};
+
+/**
+ * Create a hold entry for a completion awaiting approval
+ * @param {Object} job - Job that was completed
+ * @param {Object} completion - Completion event
+ * @returns {Object} Ledger entry
+ */
+export const createHoldEntry = (job, completion) => {
+    return createLedgerEntry(
+        job.userId,
+        TRANSACTION_TYPE.HOLD,
+        completion.totalEarned,
+        describeJobEarning(job, completion.count),
+        {
+            account: LEDGER_ACCOUNT.PENDING,
+            jobId: job.id,
+            completionIds: [completion.id],
+            completionCount: completion.count
+        }
+    );
+};
+
+/**
+ * Create an earn entry that moves approved earnings out of pending into cash
+ * @param {Object} job - Job that was approved
+ * @param {Object[]} completions - Completion events being paid
+ * @param {string} approvedBy - Parent user ID
+ * @param {number | null} rating - Quality rating (1-3 stars)
+ * @returns {Object} Ledger entry
+ */
+export const createApprovedEarnEntry = (job, completions, approvedBy, rating = null) => {
+    const total = completions.reduce((sum, c) => sum + c.totalEarned, 0);
+    const count = completions.reduce((sum, c) => sum + c.count, 0);
+
+    return createLedgerEntry(
+        job.userId,
+        TRANSACTION_TYPE.EARN,
+        total,
+        describeJobEarning(job, count),
+        {
+            counterAccount: LEDGER_ACCOUNT.PENDING,
+            jobId: job.id,
+            completionIds: completions.map(c => c.id),
+            completionCount: count,
+            approvedBy,
+            rating
+        }
+    );
+};
+
+/**
+ * Create a release entry that drops rejected earnings from pending
+ * @param {Object} job - Job that was rejected
+ * @param {Object[]} completions - Completion events being rejected
+ * @param {string} rejectedBy - Parent user ID
+ * @returns {Object} Ledger entry
+ */
+export const createReleaseEntry = (job, completions, rejectedBy) => {
+    const total = completions.reduce((sum, c) => sum + c.totalEarned, 0);
+    const count = completions.reduce((sum, c) => sum + c.count, 0);
+
+    return createLedgerEntry(
+        job.userId,
+        TRANSACTION_TYPE.RELEASE,
+        -total,
+        `${describeJobEarning(job, count)} - not approved`,
+        {
+            account: LEDGER_ACCOUNT.PENDING,
+            jobId: job.id,
+            completionIds: completions.map(c => c.id),
+            completionCount: count,
+            approvedBy: rejectedBy
+        }
+    );
+};
+
+/**
+ * Create a release entry for the part of a held completion that wasn't paid
+ * Used when a parent approves fewer completions or a smaller amount than claimed.
+ * Linked to the earn entry by sourceTransactionId, so reversing the earning
+ * reverses this too and the pending account comes back to zero.
+ * @param {Object} job - Job that was approved
+ * @param {Object} completion - Completion as claimed (before adjustment)
+ * @param {number} unpaidCents - Held cents not paid
+ * @param {string} approvedBy - Parent user ID
+ * @param {string} earnEntryId - Earn entry that paid the rest
+ * @returns {Object} Ledger entry
+ */
+export const createUnpaidReleaseEntry = (job, completion, unpaidCents, approvedBy, earnEntryId) => {
+    return createLedgerEntry(
+        job.userId,
+        TRANSACTION_TYPE.RELEASE,
+        -unpaidCents,
+        `${describeJobEarning(job, completion.count)} - adjusted by parent`,
+        {
+            account: LEDGER_ACCOUNT.PENDING,
+            jobId: job.id,
+            completionIds: [completion.id],
+            completionCount: completion.count,
+            approvedBy,
+            sourceTransactionId: earnEntryId
+        }
+    );
+};
+
+/**
+ * Detect and repair drift between stored balances, pending completions and the ledger
+ *
+ * - Pending completions without a hold entry get one (older saves never recorded holds)
+ * - Remaining pending drift is corrected so pending equals what jobs are still awaiting
+ * - Cash drift is corrected with an adjustment so the ledger matches the stored balance
+ *
+ * @param {Object} state
+ * @param {Object[]} state.users - Saved user profiles (may carry stored balances)
+ * @param {Object[]} state.jobs - Saved jobs
+ * @param {Object[]} state.transactions - Saved ledger entries
+ * @returns {{ transactions: Object[], repairs: Object[] }} Repaired ledger and the entries added
+ */
+export const reconcileLedger = ({ users = [], jobs = [], transactions = [] }) => {
+    const repairs = [];
+
+    // Record holds for pending completions that never produced one
+    const heldCompletionIds = new Set();
+    transactions.forEach(entry => {
+        if (entry.type === TRANSACTION_TYPE.HOLD) {
+            (entry.completionIds || []).forEach(id => heldCompletionIds.add(id));
+        }
+    });
+
+    jobs.forEach(job => {
+        if (!job.userId) return;
+        (job.completions || []).forEach(completion => {
+            if (completion.status !== APPROVAL_STATUS.PENDING) return;
+            if (heldCompletionIds.has(completion.id)) return;
+
+            repairs.push({
+                ...createHoldEntry(job, completion),
+                date: completion.timestamp || new Date().toISOString()
+            });
+        });
+    });
+
+    const ledger = [...transactions, ...repairs];
+
+    users.forEach(user => {
+        const { cashBalance, pendingBalance } = computeBalances(ledger, user.id);
+
+        // Pending should equal the earnings still awaiting approval
+        const expectedPending = jobs
+            .filter(job => job.userId === user.id)
+            .flatMap(job => job.completions || [])
+            .filter(c => c.status === APPROVAL_STATUS.PENDING)
+            .reduce((sum, c) => sum + c.totalEarned, 0);
+
+        const pendingDrift = subtractCents(expectedPending, pendingBalance);
+        if (pendingDrift !== 0) {
+            repairs.push(createLedgerEntry(
+                user.id,
+                pendingDrift > 0 ? TRANSACTION_TYPE.HOLD : TRANSACTION_TYPE.RELEASE,
+                pendingDrift,
+                'Pending balance reconciliation',
+                { account: LEDGER_ACCOUNT.PENDING, reconciliation: true }
+            ));
+        }
+
+        // The stored cash balance is what the family has been seeing, so trust it
+        if (typeof user.cashBalance === 'number') {
+            const cashDrift = subtractCents(user.cashBalance, cashBalance);
+            if (cashDrift !== 0) {
+                repairs.push(createLedgerEntry(
+                    user.id,
+                    TRANSACTION_TYPE.ADJUST,
+                    cashDrift,
+                    'Balance reconciliation',
+                    { reconciliation: true }
+                ));
+            }
+        }
+    });
+
+    return {
+        transactions: repairs.length > 0 ? [...transactions, ...repairs] : transactions,
+        repairs
+    };
+};
+
+export default {
+    getEntryAccount,
+    getCashEffect,
+    isInternalMove,
+    computeAccountBalances,
+    computeBalances,
+    getOwnedBalance,
+    getOwnedEffect,
+    applyBalances,
+    getLatestEntryDate,
+    describeJobEarning,
+    createHoldEntry,
+    createApprovedEarnEntry,
+    createReleaseEntry,
+    createUnpaidReleaseEntry,
+    reconcileLedger
+};
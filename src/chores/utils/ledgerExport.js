@@ -0,0 +1,303 @@
+/**
+ * Ledger Export Utility Functions
+ *
+ * Exports ledger entries for spreadsheets and personal finance software:
+ * - Filtering by family member and date range
+ * - CSV with one row per ledger entry
+ * - OFX bank statements, one account per family member
+ *
+ * Amounts are written from the integer minor units with formatCentsDecimal, never
+ * through floating-point division.
+ */
+
+import { EXPORT_FORMAT } from '../schema.js';
+import { getOwnedEffect, getEntryAccount, getOwnedBalance, computeBalances } from './ledger.js';
+import { formatCentsDecimal, getCurrencyConfig } from './currency.js';
+
+const CSV_COLUMNS = [
+    'Date',
+    'Member',
+    'Type',
+    'Description',
+    'Amount',
+    'Currency',
+    'Account',
+    'Counter Account',
+    'Status',
+    'Job ID',
+    'Completion Count',
+    'Approved By',
+    'Transaction ID',
+    'Reverses ID'
+];
+
+/**
+ * Parse a date input value ("YYYY-MM-DD") as local midnight
+ * @param {string | null} value
+ * @returns {Date | null}
+ */
+const parseDateInput = (value) => {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Get the time range covered by an export
+ * @param {string | null} from - First day ("YYYY-MM-DD"), null = from the beginning
+ * @param {string | null} to - Last day ("YYYY-MM-DD"), included; null = up to now
+ * @returns {{ start: Date | null, end: Date | null }} end is exclusive
+ */
+export const getExportRange = (from, to) => {
+    const start = parseDateInput(from);
+    const end = parseDateInput(to);
+    if (end) end.setDate(end.getDate() + 1);
+    return { start, end };
+};
+
+/**
+ * Select the entries to export
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} options
+ * @param {string | null} [options.userId] - One family member, or null for everyone
+ * @param {string | null} [options.from] - First day ("YYYY-MM-DD")
+ * @param {string | null} [options.to] - Last day ("YYYY-MM-DD"), included
+ * @returns {Object[]} Entries, oldest first
+ */
+export const filterTransactionsForExport = (transactions, { userId = null, from = null, to = null } = {}) => {
+    const { start, end } = getExportRange(from, to);
+    return transactions
+        .filter(t =>
+            (!userId || t.userId === userId) &&
+            (!start || new Date(t.date) >= start) &&
+            (!end || new Date(t.date) < end)
+        )
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Get the display name of whoever approved an entry
+ * @param {string | null} approvedBy - User ID, or 'parent' for the shared parent login
+ * @param {Object[]} users - All users
+ * @returns {string} Empty if nobody approved it
+ */
+export const getApproverName = (approvedBy, users) => {
+    if (!approvedBy) return '';
+    if (approvedBy === 'parent') return 'Parent';
+    return users.find(u => u.id === approvedBy)?.name || approvedBy;
+};
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCsv = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stop free text from running as a spreadsheet formula when the CSV is opened
+ * Text starting with =, +, - or @ (or a tab or carriage return) gets a leading '.
+ * Only for text columns: amounts like "-5.00" must stay numbers.
+ * @param {*} value
+ * @returns {string}
+ */
+const neutralizeFormula = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+/**
+ * Write ledger entries as CSV
+ * @param {Object[]} transactions - Entries to export
+ * @param {Object[]} users - All users (for member and approver names)
+ * @returns {string}
+ */
+export const transactionsToCsv = (transactions, users) => {
+    const { currency } = getCurrencyConfig();
+    const rows = transactions.map(t => [
+        t.date,
+        neutralizeFormula(users.find(u => u.id === t.userId)?.name || t.userId),
+        t.type,
+        neutralizeFormula(t.description),
+        formatCentsDecimal(t.amount),
+        currency,
+        neutralizeFormula(getEntryAccount(t)),
+        neutralizeFormula(t.counterAccount),
+        t.status || '',
+        t.jobId || '',
+        t.completionCount ?? '',
+        neutralizeFormula(getApproverName(t.approvedBy, users)),
+        t.id,
+        t.reversesId || ''
+    ]);
+
+    return [CSV_COLUMNS, ...rows]
+        .map(row => row.map(escapeCsv).join(','))
+        .join('\r\n');
+};
+
+/**
+ * Format a date as an OFX timestamp (UTC)
+ * @param {string | Date} date
+ * @returns {string} e.g. "20260903120000.000[0:GMT]"
+ */
+const toOfxDate = (date) => {
+    const iso = new Date(date).toISOString();
+    return `${iso.slice(0, 19).replace(/[-:T]/g, '')}.${iso.slice(20, 23)}[0:GMT]`;
+};
+
+/**
+ * Escape text for an OFX (XML) element
+ * @param {string} text
+ * @param {number} maxLength - OFX field limit
+ * @returns {string}
+ */
+const escapeOfx = (text, maxLength) => {
+    return String(text || '')
+        .slice(0, maxLength)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+};
+
+/**
+ * Memo for an OFX transaction: type, job, completions and approver
+ * @param {Object} entry - Ledger entry
+ * @param {Object[]} users - All users
+ * @returns {string}
+ */
+const describeOfxMemo = (entry, users) => {
+    const approver = getApproverName(entry.approvedBy, users);
+    return [
+        entry.type,
+        entry.jobId && `job ${entry.jobId}`,
+        entry.completionCount && `${entry.completionCount}x`,
+        approver && `approved by ${approver}`
+    ].filter(Boolean).join('; ');
+};
+
+/**
+ * Write ledger entries as an OFX 2.2 bank statement file
+ *
+ * Each family member is an account whose balance is what they own (cash, jars and
+ * goals less loans owed, as on monthly statements); entries that don't change it,
+ * such as pending holds, loan advances and moves between their own jars, are left out.
+ *
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object[]} users - All users
+ * @param {Object} options - As for filterTransactionsForExport
+ * @returns {string}
+ */
+export const transactionsToOfx = (transactions, users, options = {}) => {
+    const { currency } = getCurrencyConfig();
+    const entries = filterTransactionsForExport(transactions, options);
+    const { start, end } = getExportRange(options.from, options.to);
+    const now = new Date();
+    const periodEnd = end && end < now ? end : now;
+
+    const accounts = users
+        .filter(u => options.userId ? u.id === options.userId : entries.some(t => t.userId === u.id))
+        .map((user, index) => {
+            const userEntries = entries.filter(t => t.userId === user.id);
+            const closing = getOwnedBalance(computeBalances(
+                transactions.filter(t => t.userId === user.id && new Date(t.date) < periodEnd),
+                user.id
+            ));
+
+            const statementLines = userEntries
+                .map(t => ({ entry: t, effect: getOwnedEffect(t) }))
+                .filter(({ effect }) => effect !== 0)
+                .map(({ entry, effect }) => [
+                    '<STMTTRN>',
+                    `<TRNTYPE>${effect > 0 ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+                    `<DTPOSTED>${toOfxDate(entry.date)}</DTPOSTED>`,
+                    `<TRNAMT>${formatCentsDecimal(effect)}</TRNAMT>`,
+                    `<FITID>${escapeOfx(entry.id, 255)}</FITID>`,
+                    `<NAME>${escapeOfx(entry.description, 32)}</NAME>`,
+                    `<MEMO>${escapeOfx(describeOfxMemo(entry, users), 255)}</MEMO>`,
+                    '</STMTTRN>'
+                ].join(''));
+
+            const firstDate = userEntries[0]?.date;
+            return [
+                '<STMTTRNRS>',
+                `<TRNUID>${index + 1}</TRNUID>`,
+                '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+                '<STMTRS>',
+                `<CURDEF>${currency}</CURDEF>`,
+                `<BANKACCTFROM><BANKID>FAMILY</BANKID><ACCTID>${escapeOfx(user.id.slice(-22), 22)}</ACCTID><ACCTTYPE>SAVINGS</ACCTTYPE></BANKACCTFROM>`,
+                '<BANKTRANLIST>',
+                `<DTSTART>${toOfxDate(start || firstDate || periodEnd)}</DTSTART>`,
+                `<DTEND>${toOfxDate(periodEnd)}</DTEND>`,
+                ...statementLines,
+                '</BANKTRANLIST>',
+                `<LEDGERBAL><BALAMT>${formatCentsDecimal(closing)}</BALAMT><DTASOF>${toOfxDate(periodEnd)}</DTASOF></LEDGERBAL>`,
+                '</STMTRS>',
+                '</STMTTRNRS>'
+            ].join('\n');
+        });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS>',
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<DTSERVER>${toOfxDate(now)}</DTSERVER>`,
+        '<LANGUAGE>ENG</LANGUAGE>',
+        '</SONRS></SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1>',
+        ...accounts,
+        '</BANKMSGSRSV1>',
+        '</OFX>'
+    ].join('\n');
+};
+
+/**
+ * Build an export file
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object[]} users - All users
+ * @param {Object} options
+ * @param {'csv' | 'ofx'} options.format - File format
+ * @param {string | null} [options.userId] - One family member, or null for everyone
+ * @param {string | null} [options.from] - First day ("YYYY-MM-DD")
+ * @param {string | null} [options.to] - Last day ("YYYY-MM-DD"), included
+ * @returns {{ filename: string, mimeType: string, content: string, count: number }}
+ *   count is the number of ledger entries in the range
+ */
+export const createLedgerExport = (transactions, users, { format, userId = null, from = null, to = null }) => {
+    const options = { userId, from, to };
+    const entries = filterTransactionsForExport(transactions, options);
+    const who = userId
+        ? (users.find(u => u.id === userId)?.name || 'member').toLowerCase().replace(/[^a-z0-9]+/g, '-')
+        : 'family';
+    const filename = ['ledger', who, from, to].filter(Boolean).join('-');
+
+    if (format === EXPORT_FORMAT.OFX) {
+        return {
+            filename: `${filename}.ofx`,
+            mimeType: 'application/x-ofx',
+            content: transactionsToOfx(transactions, users, options),
+            count: entries.length
+        };
+    }
+
+    return {
+        filename: `${filename}.csv`,
+        mimeType: 'text/csv',
+        content: transactionsToCsv(entries, users),
+        count: entries.length
+    };
+};
+
+export default {
+    getExportRange,
+    filterTransactionsForExport,
+    getApproverName,
+    transactionsToCsv,
+    transactionsToOfx,
+    createLedgerExport
+};
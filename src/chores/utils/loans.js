@@ -0,0 +1,221 @@
+/**
+ * Loan Utility Functions
+ *
+ * Handles advances a parent gives a child before they've saved up:
+ * - Advance and repayment entries against a per-loan ledger account
+ * - Diverting a share of each job earning to repayment
+ * - Repayment history and payoff projection
+ *
+ * The loan account holds the principal (negative while owed). Interest is a flat
+ * charge fixed when the loan is granted; each repayment is split between principal
+ * and interest in proportion to what is still owed of each.
+ */
+
+import { TRANSACTION_TYPE, LEDGER_ACCOUNT, createLedgerEntry } from '../schema.js';
+import { getAverageDailyEarnings } from './savingsGoals.js';
+import { createJarAllocationEntries } from './jars.js';
+import { excludeReversed } from './reversals.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the ledger account for a loan
+ * @param {string} loanId - Loan ID
+ * @returns {string}
+ */
+export const getLoanAccount = (loanId) => {
+    return `${LEDGER_ACCOUNT.LOAN_PREFIX}${loanId}`;
+};
+
+/**
+ * Get how much of a loan has been repaid and what is left
+ * @param {Loan} loan - Loan
+ * @param {Object[]} transactions - All ledger entries
+ * @returns {{ principalPaid: number, interestPaid: number, principalRemaining: number,
+ *   interestRemaining: number, remaining: number, total: number, percentage: number, isRepaid: boolean }}
+ */
+export const getLoanStatus = (loan, transactions) => {
+    let principalPaid = 0;
+    let interestPaid = 0;
+
+    excludeReversed(transactions).forEach(t => {
+        if (t.loanId !== loan.id) return;
+        if (t.type === TRANSACTION_TYPE.LOAN_REPAYMENT) principalPaid -= t.amount;
+        if (t.type === TRANSACTION_TYPE.LOAN_INTEREST) interestPaid -= t.amount;
+    });
+
+    const total = loan.principalCents + loan.interestCents;
+    const principalRemaining = Math.max(0, loan.principalCents - principalPaid);
+    const interestRemaining = Math.max(0, loan.interestCents - interestPaid);
+    const remaining = principalRemaining + interestRemaining;
+
+    return {
+        principalPaid,
+        interestPaid,
+        principalRemaining,
+        interestRemaining,
+        remaining,
+        total,
+        percentage: total > 0 ? Math.round(((total - remaining) / total) * 100) : 100,
+        isRepaid: remaining === 0
+    };
+};
+
+/**
+ * Get a child's loans that still have money owed, oldest first
+ * Loans whose advance was reversed are left out.
+ * @param {Loan[]} loans - All loans
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @returns {Loan[]}
+ */
+export const getActiveLoans = (loans, transactions, userId) => {
+    return loans
+        .filter(loan => loan.userId === userId && !loan.cancelledAt && !getLoanStatus(loan, transactions).isRepaid)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Create the entry advancing a loan's principal into cash
+ * @param {Loan} loan - Loan being granted
+ * @returns {Object} Ledger entry
+ */
+export const createLoanAdvanceEntry = (loan) => {
+    return createLedgerEntry(
+        loan.userId,
+        TRANSACTION_TYPE.LOAN_ADVANCE,
+        loan.principalCents,
+        `Advance: ${loan.description}`,
+        {
+            counterAccount: getLoanAccount(loan.id),
+            loanId: loan.id,
+            approvedBy: loan.grantedBy
+        }
+    );
+};
+
+/**
+ * Create the entries repaying part of a loan from cash
+ * @param {Loan} loan - Loan being repaid
+ * @param {number} amount - Cents to repay (capped at what is owed)
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string | null} sourceTransactionId - Earning the repayment came from
+ * @returns {Object[]} Principal and/or interest entries
+ */
+export const createLoanRepaymentEntries = (loan, amount, transactions, sourceTransactionId = null) => {
+    const { principalRemaining, interestRemaining, remaining } = getLoanStatus(loan, transactions);
+    const payment = Math.min(amount, remaining);
+    if (payment <= 0) return [];
+
+    // The final payment clears both parts exactly; earlier ones split proportionally
+    const interestPart = payment === remaining
+        ? interestRemaining
+        : Math.min(interestRemaining, Math.round(payment * interestRemaining / remaining));
+    const principalPart = payment - interestPart;
+
+    const fields = { loanId: loan.id, sourceTransactionId };
+
+    return [
+        principalPart > 0 && createLedgerEntry(
+            loan.userId,
+            TRANSACTION_TYPE.LOAN_REPAYMENT,
+            -principalPart,
+            `Loan repayment: ${loan.description}`,
+            { ...fields, counterAccount: getLoanAccount(loan.id) }
+        ),
+        interestPart > 0 && createLedgerEntry(
+            loan.userId,
+            TRANSACTION_TYPE.LOAN_INTEREST,
+            -interestPart,
+            `Loan interest: ${loan.description}`,
+            fields
+        )
+    ].filter(Boolean);
+};
+
+/**
+ * Credit an earning, divert each active loan's share to repayment, and split the rest into jars
+ * @param {Object} earning - Ledger entry that credits cash
+ * @param {Object} user - Child receiving the earning
+ * @param {Loan[]} loans - All loans
+ * @param {Object[]} transactions - All ledger entries (before the earning)
+ * @returns {Object[]} The earning followed by repayment and jar allocation entries
+ */
+export const withLoanRepayment = (earning, user, loans, transactions) => {
+    let left = earning.amount;
+    const repayments = [];
+
+    getActiveLoans(loans, transactions, earning.userId).forEach(loan => {
+        const share = Math.min(left, Math.floor(earning.amount * loan.repaymentPercent / 100));
+        const entries = createLoanRepaymentEntries(loan, share, transactions, earning.id);
+        entries.forEach(entry => { left += entry.amount; });
+        repayments.push(...entries);
+    });
+
+    return [
+        earning,
+        ...repayments,
+        ...createJarAllocationEntries({ ...earning, amount: left }, user?.jars)
+    ];
+};
+
+/**
+ * Build a loan's repayment schedule: payments so far and a projected payoff date
+ * @param {Loan} loan - Loan
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Date} now - Reference time
+ * @returns {{ payments: Object[], status: Object, projection: { date: Date | null, daysRemaining: number | null } }}
+ *   projection is based on recent job earnings; null when there are none to project from
+ */
+export const getLoanSchedule = (loan, transactions, now = new Date()) => {
+    const total = loan.principalCents + loan.interestCents;
+    const byPayment = new Map();
+
+    excludeReversed(transactions)
+        .filter(t =>
+            t.loanId === loan.id &&
+            (t.type === TRANSACTION_TYPE.LOAN_REPAYMENT || t.type === TRANSACTION_TYPE.LOAN_INTEREST)
+        )
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(t => {
+            // Principal and interest from the same earning form one payment
+            const key = t.sourceTransactionId || t.id;
+            const payment = byPayment.get(key) || { date: t.date, principal: 0, interest: 0 };
+            if (t.type === TRANSACTION_TYPE.LOAN_REPAYMENT) payment.principal -= t.amount;
+            else payment.interest -= t.amount;
+            byPayment.set(key, payment);
+        });
+
+    let owed = total;
+    const payments = [...byPayment.values()].map(payment => {
+        owed -= payment.principal + payment.interest;
+        return { ...payment, remaining: owed };
+    });
+
+    const status = getLoanStatus(loan, transactions);
+    if (status.isRepaid) {
+        return { payments, status, projection: { date: null, daysRemaining: 0 } };
+    }
+
+    const dailyRepayment = getAverageDailyEarnings(transactions, loan.userId, 28, now) * loan.repaymentPercent / 100;
+    if (dailyRepayment <= 0) {
+        return { payments, status, projection: { date: null, daysRemaining: null } };
+    }
+
+    const daysRemaining = Math.ceil(status.remaining / dailyRepayment);
+    return {
+        payments,
+        status,
+        projection: { date: new Date(now.getTime() + daysRemaining * MS_PER_DAY), daysRemaining }
+    };
+};
+
+export default {
+    getLoanAccount,
+    getLoanStatus,
+    getActiveLoans,
+    createLoanAdvanceEntry,
+    createLoanRepaymentEntries,
+    withLoanRepayment,
+    getLoanSchedule
+};
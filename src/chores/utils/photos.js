@@ -0,0 +1,155 @@
+/**
+ * Photo Utility Functions
+ *
+ * Handles photo proof attached to job completions:
+ * - Downscaling a picked or captured image before it's stored
+ * - Storing photos in IndexedDB, keyed by completion ID
+ * - Deleting photos older than the retention period
+ *
+ * Photos stay out of the family state (and localStorage); a completion only
+ * records `hasPhoto`. Everything here is asynchronous and returns promises.
+ */
+
+/**
+ * Longest side of a stored photo, in pixels
+ */
+export const PHOTO_MAX_DIMENSION = 1024;
+
+/**
+ * JPEG quality of a stored photo (0-1)
+ */
+export const PHOTO_QUALITY = 0.8;
+
+const PHOTO_DB_NAME = 'family_economy_photos';
+const PHOTO_DB_VERSION = 1;
+const PHOTO_STORE = 'photos';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open the photo database, creating the store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+const openPhotoDb = () => {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('Photos aren\'t supported in this browser'));
+    }
+
+    const request = indexedDB.open(PHOTO_DB_NAME, PHOTO_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(PHOTO_STORE, { keyPath: 'completionId' });
+        store.createIndex('createdAt', 'createdAt');
+    };
+    return promisifyRequest(request);
+};
+
+/**
+ * Run one operation against the photo store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<*>} The operation's result
+ */
+const withPhotoStore = async (mode, operation) => {
+    const db = await openPhotoDb();
+    try {
+        const store = db.transaction(PHOTO_STORE, mode).objectStore(PHOTO_STORE);
+        return await promisifyRequest(operation(store));
+    } finally {
+        db.close();
+    }
+};
+
+/**
+ * Downscale an image so its longest side is at most maxDimension, as a JPEG
+ * @param {Blob} file - Image the child picked or captured
+ * @param {number} maxDimension - Longest side in pixels
+ * @returns {Promise<Blob>}
+ */
+export const downscaleImage = async (file, maxDimension = PHOTO_MAX_DIMENSION) => {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            blob => (blob ? resolve(blob) : reject(new Error('Couldn\'t read that photo'))),
+            'image/jpeg',
+            PHOTO_QUALITY
+        );
+    });
+};
+
+/**
+ * Store a completion's photo
+ * @param {string} completionId - Job completion event ID
+ * @param {Blob} blob - Downscaled image
+ * @param {{ jobId?: string, userId?: string }} [fields] - Kept alongside for reference
+ * @returns {Promise<void>}
+ */
+export const savePhoto = async (completionId, blob, fields = {}) => {
+    await withPhotoStore('readwrite', store => store.put({
+        completionId,
+        blob,
+        createdAt: new Date().toISOString(),
+        ...fields
+    }));
+};
+
+/**
+ * Get a completion's photo
+ * @param {string} completionId - Job completion event ID
+ * @returns {Promise<Blob | null>} null if there is none (or it was pruned)
+ */
+export const getPhoto = async (completionId) => {
+    const record = await withPhotoStore('readonly', store => store.get(completionId));
+    return record?.blob || null;
+};
+
+/**
+ * Delete photos older than the retention period
+ * @param {number} retentionDays - Days to keep photos
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Photos deleted
+ */
+export const prunePhotos = async (retentionDays, now = new Date()) => {
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+    const keys = await withPhotoStore('readonly', store =>
+        store.index('createdAt').getAllKeys(IDBKeyRange.upperBound(cutoff, true))
+    );
+    if (keys.length === 0) return 0;
+
+    const db = await openPhotoDb();
+    try {
+        const transaction = db.transaction(PHOTO_STORE, 'readwrite');
+        keys.forEach(key => transaction.objectStore(PHOTO_STORE).delete(key));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+    return keys.length;
+};
+
+export default {
+    PHOTO_MAX_DIMENSION,
+    PHOTO_QUALITY,
+    downscaleImage,
+    savePhoto,
+    getPhoto,
+    prunePhotos
+};
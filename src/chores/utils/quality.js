@@ -0,0 +1,143 @@
+/**
+ * Quality Rating Utility Functions
+ *
+ * Handles the 1-3 star ratings parents give when approving:
+ * - Checking ratings and drawing them as stars
+ * - The bonus a rating earns (a percentage of the earning)
+ * - Average quality per job, from rated job earnings in the ledger
+ *
+ * Job bonuses are separate `bonus` ledger entries linked to the earning, so
+ * reversing the earning reverses the bonus too. Chores pay gems, so their bonus
+ * is extra gems on the chore's gem entry.
+ */
+
+import { TRANSACTION_TYPE, QUALITY_RATING, createLedgerEntry, createDefaultQualityBonusSettings } from '../schema.js';
+import { excludeReversed } from './reversals.js';
+import { withLoanRepayment } from './loans.js';
+
+/**
+ * Check a rating, dropping anything that isn't a whole number of stars
+ * @param {*} rating
+ * @returns {number | null}
+ */
+export const normalizeRating = (rating) => {
+    return Number.isInteger(rating) && rating >= QUALITY_RATING.MIN && rating <= QUALITY_RATING.MAX
+        ? rating
+        : null;
+};
+
+/**
+ * Draw a rating as stars, e.g. "★★☆"
+ * @param {number} rating - Stars (rounded to the nearest whole star)
+ * @returns {string}
+ */
+export const formatStars = (rating) => {
+    const filled = Math.max(0, Math.min(QUALITY_RATING.MAX, Math.round(rating)));
+    return '★'.repeat(filled) + '☆'.repeat(QUALITY_RATING.MAX - filled);
+};
+
+/**
+ * Get the bonus percentage for a rating
+ * @param {number | null} rating - Stars
+ * @param {Object} settings - Quality bonus settings
+ * @returns {number} 0 when unrated
+ */
+export const getQualityBonusPercent = (rating, settings) => {
+    if (!normalizeRating(rating)) return 0;
+    const percentByRating = settings?.percentByRating || createDefaultQualityBonusSettings().percentByRating;
+    return Math.max(0, percentByRating[rating] || 0);
+};
+
+/**
+ * Calculate the bonus a rating earns
+ * @param {number} amount - Cents (or gems) earned
+ * @param {number | null} rating - Stars
+ * @param {Object} settings - Quality bonus settings
+ * @returns {number} Bonus, rounded to a whole cent (or gem)
+ */
+export const calculateQualityBonus = (amount, rating, settings) => {
+    return Math.round(amount * getQualityBonusPercent(rating, settings) / 100);
+};
+
+/**
+ * Create the bonus entry for a rated job earning
+ * @param {Object} earning - Approved earn entry (carrying its rating)
+ * @param {Object} settings - Quality bonus settings
+ * @returns {Object | null} Ledger entry, or null when the rating earns no bonus
+ */
+export const createQualityBonusEntry = (earning, settings) => {
+    const bonus = calculateQualityBonus(earning.amount, earning.rating, settings);
+    if (bonus <= 0) return null;
+
+    return createLedgerEntry(
+        earning.userId,
+        TRANSACTION_TYPE.BONUS,
+        bonus,
+        `Quality bonus ${formatStars(earning.rating)}: ${earning.description}`,
+        {
+            jobId: earning.jobId,
+            rating: earning.rating,
+            approvedBy: earning.approvedBy,
+            sourceTransactionId: earning.id
+        }
+    );
+};
+
+/**
+ * Credit a job earning and its quality bonus
+ * The bonus is credited like any earning: loan repayments and jar splits come out of it too.
+ * @param {Object} earning - Approved earn entry
+ * @param {Object} user - Child receiving the earning
+ * @param {Loan[]} loans - All loans
+ * @param {Object[]} transactions - All ledger entries (before the earning)
+ * @param {Object} settings - Quality bonus settings
+ * @returns {Object[]} The earning's entries (see withLoanRepayment) followed by the bonus's
+ */
+export const withQualityBonus = (earning, user, loans, transactions, settings) => {
+    const paid = withLoanRepayment(earning, user, loans, transactions);
+    const bonus = createQualityBonusEntry(earning, settings);
+    if (!bonus) return paid;
+
+    return [...paid, ...withLoanRepayment(bonus, user, loans, [...transactions, ...paid])];
+};
+
+/**
+ * Get the average quality of each job a child has had rated
+ * Each completion counts once, so approving several together with one rating
+ * weighs as much as rating them one by one. Reversed earnings don't count.
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - Child
+ * @returns {Object<string, { average: number, count: number }>} By job ID
+ */
+export const getQualityByJob = (transactions, userId) => {
+    const totals = {};
+    excludeReversed(transactions)
+        .filter(t =>
+            t.userId === userId &&
+            t.type === TRANSACTION_TYPE.EARN &&
+            t.jobId &&
+            normalizeRating(t.rating)
+        )
+        .forEach(t => {
+            const weight = t.completionIds?.length || 1;
+            const current = totals[t.jobId] || { sum: 0, count: 0 };
+            totals[t.jobId] = { sum: current.sum + t.rating * weight, count: current.count + weight };
+        });
+
+    return Object.fromEntries(
+        Object.entries(totals).map(([jobId, { sum, count }]) => [
+            jobId,
+            { average: Math.round((sum / count) * 10) / 10, count }
+        ])
+    );
+};
+
+export default {
+    normalizeRating,
+    formatStars,
+    getQualityBonusPercent,
+    calculateQualityBonus,
+    createQualityBonusEntry,
+    withQualityBonus,
+    getQualityByJob
+};
@@ -0,0 +1,84 @@
+/**
+ * Redo Utility Functions
+ *
+ * Handles rejected chores and job completions that need redoing:
+ * - Rejecting with a reason and redo instructions
+ * - Which chores and jobs are waiting on a redo
+ * - Linking a resubmission to the attempt it redoes
+ *
+ * A rejected chore keeps its rejection until the child completes it again; the
+ * resubmission carries it as `redoOf` into the review queue. A job completion
+ * made while a rejected one is waiting links to it by ID in `redoOf`.
+ */
+
+import { APPROVAL_STATUS, createRejection } from '../schema.js';
+
+/**
+ * Reject a chore so the child redoes it
+ * @param {Object} chore - Chore awaiting approval
+ * @param {string} rejectedBy - Parent user ID
+ * @param {{ reason?: string, redoInstructions?: string }} feedback
+ * @returns {Object} Updated chore
+ */
+export const markChoreForRedo = (chore, rejectedBy, feedback = {}) => ({
+    ...chore,
+    completed: false,
+    pendingApproval: false,
+    rejection: createRejection(rejectedBy, feedback, chore.completedAt),
+    redoOf: null
+});
+
+/**
+ * Complete a chore, carrying any rejection it redoes into the review queue
+ * @param {Object} chore - Chore being completed
+ * @param {Object} updates - Completion fields (completed, pendingApproval, ...)
+ * @returns {Object} Updated chore
+ */
+export const resubmitChore = (chore, updates) => ({
+    ...chore,
+    ...updates,
+    rejection: null,
+    redoOf: chore.rejection || null
+});
+
+/**
+ * Check whether a chore was rejected and is waiting to be redone
+ * @param {Object} chore
+ * @returns {boolean}
+ */
+export const needsRedo = (chore) => {
+    return Boolean(chore.rejection) && !chore.completed;
+};
+
+/**
+ * Get the rejected completion a job is waiting to have redone
+ * The latest rejected completion no later completion has redone yet.
+ * @param {Object} job
+ * @returns {Object | null} Completion event
+ */
+export const getRedoCompletion = (job) => {
+    const redoneIds = new Set(job.completions.map(c => c.redoOf).filter(Boolean));
+    const waiting = job.completions.filter(c =>
+        c.status === APPROVAL_STATUS.REJECTED && !redoneIds.has(c.id)
+    );
+    return waiting[waiting.length - 1] || null;
+};
+
+/**
+ * Get the rejected attempt a completion redoes
+ * @param {Object} job
+ * @param {Object} completion
+ * @returns {Object | null} Completion event
+ */
+export const getRedoneAttempt = (job, completion) => {
+    if (!completion.redoOf) return null;
+    return job.completions.find(c => c.id === completion.redoOf) || null;
+};
+
+export default {
+    markChoreForRedo,
+    resubmitChore,
+    needsRedo,
+    getRedoCompletion,
+    getRedoneAttempt
+};
@@ -0,0 +1,219 @@
+/**
+ * Reversal Utility Functions
+ *
+ * Handles undoing ledger entries without rewriting history:
+ * - Reversal entries that mirror the original and link back to it
+ * - Carrying along the entries an original produced (loan repayments, jar splits, quality
+ *   bonuses, holds, the other side of a transfer)
+ * - Which entries can still be reversed, including moves whose money has since left the
+ *   account it went into
+ *
+ * The original entry is never edited; it counts as reversed once a reversal points at it.
+ */
+
+import { TRANSACTION_TYPE, LEDGER_ACCOUNT, createLedgerEntry } from '../schema.js';
+import { getEntryAccount, computeAccountBalances } from './ledger.js';
+
+/**
+ * Get the IDs of entries that have been reversed
+ * @param {Object[]} transactions - All ledger entries
+ * @returns {Set<string>}
+ */
+export const getReversedIds = (transactions) => {
+    return new Set(
+        transactions
+            .filter(t => t.type === TRANSACTION_TYPE.REVERSAL)
+            .map(t => t.reversesId)
+    );
+};
+
+/**
+ * Drop reversed entries and the reversals that undo them
+ * Use for totals and trends, where a reversed entry should count as never having happened.
+ * @param {Object[]} transactions - Ledger entries
+ * @returns {Object[]}
+ */
+export const excludeReversed = (transactions) => {
+    const reversedIds = getReversedIds(transactions);
+    return transactions.filter(t => t.type !== TRANSACTION_TYPE.REVERSAL && !reversedIds.has(t.id));
+};
+
+/**
+ * Hold entries for the completions an approved earning settled
+ * @param {Object} entry - EARN entry
+ * @param {Object[]} transactions - All ledger entries
+ * @returns {Object[]}
+ */
+const getSettledHolds = (entry, transactions) => {
+    if (entry.type !== TRANSACTION_TYPE.EARN || entry.counterAccount !== LEDGER_ACCOUNT.PENDING) return [];
+
+    const completionIds = new Set(entry.completionIds || []);
+    return transactions.filter(t =>
+        t.type === TRANSACTION_TYPE.HOLD &&
+        (t.completionIds || []).some(id => completionIds.has(id))
+    );
+};
+
+// Moves whose money can leave the account it went into before they're reversed
+const MOVE_TYPES = [
+    TRANSACTION_TYPE.GOAL_DEPOSIT,
+    TRANSACTION_TYPE.GOAL_WITHDRAW,
+    TRANSACTION_TYPE.JAR_TRANSFER,
+    TRANSACTION_TYPE.TRANSFER_OUT,
+    TRANSACTION_TYPE.TRANSFER_IN
+];
+
+/**
+ * Find an account that reversing a move would take more out of than it now holds
+ * Simulates the reversal with everything carried along, so a transfer the recipient
+ * split into jars is judged on the jars and cash together.
+ * @param {Object} entry - Move being reversed
+ * @param {Object[]} transactions - All ledger entries
+ * @returns {{ userId: string, account: string } | null}
+ */
+const findOverdrawnAccount = (entry, transactions) => {
+    const reversals = createReversalEntries(entry, transactions, null);
+    const ledger = [...transactions, ...reversals];
+
+    const debited = reversals.flatMap(r => [
+        r.amount < 0 ? { userId: r.userId, account: getEntryAccount(r) } : null,
+        r.amount > 0 && r.counterAccount ? { userId: r.userId, account: r.counterAccount } : null
+    ]).filter(Boolean);
+
+    return debited.find(({ userId, account }) =>
+        (computeAccountBalances(ledger, userId)[account] || 0) < 0
+    ) || null;
+};
+
+/**
+ * Explain why a move can't be reversed once its money has left
+ * @param {Object} entry - Move being reversed
+ * @param {{ userId: string, account: string }} overdrawn - Account that would go negative
+ * @returns {string}
+ */
+const describeOverdrawn = (entry, { userId, account }) => {
+    if (userId !== entry.userId) return 'The recipient has already spent or moved the money';
+    if (account.startsWith(LEDGER_ACCOUNT.GOAL_PREFIX)) return 'The money has already left the savings goal';
+    if (account === LEDGER_ACCOUNT.JAR_SAVE || account === LEDGER_ACCOUNT.JAR_GIVE) return 'The money has already left the jar';
+    return 'The money has already been spent';
+};
+
+/**
+ * Check whether a parent can reverse an entry
+ * A goal deposit or withdrawal, jar transfer or transfer can't be reversed once the money
+ * has left the account it went into (e.g. withdrawn from the goal, or spent by the
+ * recipient), since undoing it would leave that account negative.
+ * @param {Object} entry - Ledger entry
+ * @param {Object[]} transactions - All ledger entries
+ * @returns {{ canReverse: boolean, reason: string | null }}
+ */
+export const canReverseTransaction = (entry, transactions) => {
+    if (!entry) {
+        return { canReverse: false, reason: 'Transaction not found' };
+    }
+    if (entry.type === TRANSACTION_TYPE.REVERSAL) {
+        return { canReverse: false, reason: 'Reversals can\'t be reversed' };
+    }
+    if (getReversedIds(transactions).has(entry.id)) {
+        return { canReverse: false, reason: 'Already reversed' };
+    }
+    if (entry.type === TRANSACTION_TYPE.HOLD || entry.type === TRANSACTION_TYPE.RELEASE) {
+        return { canReverse: false, reason: 'Approve or reject the job instead' };
+    }
+    if (entry.sourceTransactionId) {
+        return { canReverse: false, reason: 'Reverse the earning it came from' };
+    }
+    if (entry.type === TRANSACTION_TYPE.LOAN_ADVANCE &&
+        excludeReversed(transactions).some(t => t.loanId === entry.loanId && t.type !== TRANSACTION_TYPE.LOAN_ADVANCE)) {
+        return { canReverse: false, reason: 'Repayments have already started' };
+    }
+    if (MOVE_TYPES.includes(entry.type)) {
+        const overdrawn = findOverdrawnAccount(entry, transactions);
+        if (overdrawn) {
+            return { canReverse: false, reason: describeOverdrawn(entry, overdrawn) };
+        }
+    }
+    return { canReverse: true, reason: null };
+};
+
+/**
+ * Create the entry that undoes one ledger entry
+ * Applies the opposite amount to the same accounts, so every balance it touched is restored.
+ * @param {Object} entry - Entry being reversed
+ * @param {string} reversedBy - Parent user ID
+ * @param {string} reason - Why it was reversed
+ * @param {string | null} sourceTransactionId - Reversal this one belongs to (for carried entries)
+ * @returns {Object} Ledger entry
+ */
+const createReversalEntry = (entry, reversedBy, reason, sourceTransactionId = null) => {
+    return createLedgerEntry(
+        entry.userId,
+        TRANSACTION_TYPE.REVERSAL,
+        -entry.amount,
+        `Reversed: ${entry.description}`,
+        {
+            account: getEntryAccount(entry),
+            counterAccount: entry.counterAccount || null,
+            reversesId: entry.id,
+            reversedType: entry.type,
+            reason: reason || '',
+            jobId: entry.jobId || null,
+            loanId: entry.loanId || null,
+            completionIds: entry.completionIds || null,
+            approvedBy: reversedBy,
+            sourceTransactionId
+        }
+    );
+};
+
+/**
+ * Create the entries that reverse a transaction
+ *
+ * Entries the original produced are reversed with it: loan repayments, jar splits and
+ * quality bonuses from an earning, the other side of a transfer, and for an approved job earning
+ * the holds it settled, so the money leaves the child's balance rather than going back
+ * to pending.
+ *
+ * @param {Object} entry - Entry being reversed
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} reversedBy - Parent user ID
+ * @param {string} reason - Why it was reversed
+ * @returns {Object[]} The reversal followed by the reversals carried with it
+ */
+export const createReversalEntries = (entry, transactions, reversedBy, reason = '') => {
+    const reversedIds = getReversedIds(transactions);
+    const reversal = createReversalEntry(entry, reversedBy, reason);
+
+    // The other side of a transfer is undone along with this one
+    const pair = entry.transferId
+        ? transactions.filter(t => t.transferId === entry.transferId && t.id !== entry.id)
+        : [];
+
+    // Follow sourceTransactionId links down, so entries produced by produced entries
+    // (e.g. the loan repayment taken from a quality bonus) go too
+    const produced = [];
+    let sourceIds = new Set([entry.id, ...pair.map(t => t.id)]);
+    while (sourceIds.size > 0) {
+        const next = transactions.filter(t => sourceIds.has(t.sourceTransactionId));
+        produced.push(...next);
+        sourceIds = new Set(next.map(t => t.id));
+    }
+
+    const carried = [
+        ...pair,
+        ...produced,
+        ...getSettledHolds(entry, transactions)
+    ].filter(t => !reversedIds.has(t.id));
+
+    return [
+        reversal,
+        ...carried.map(t => createReversalEntry(t, reversedBy, reason, reversal.id))
+    ];
+};
+
+export default {
+    getReversedIds,
+    excludeReversed,
+    canReverseTransaction,
+    createReversalEntries
+};
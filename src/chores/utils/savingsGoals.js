@@ -0,0 +1,153 @@
+/**
+ * Savings Goal Utility Functions
+ *
+ * Handles savings goal operations including:
+ * - Earmarking cash into per-goal ledger accounts
+ * - Progress tracking
+ * - Projected completion based on recent earnings
+ */
+
+import {
+    TRANSACTION_TYPE,
+    LEDGER_ACCOUNT,
+    createLedgerEntry
+} from '../schema.js';
+import { computeAccountBalances } from './ledger.js';
+import { excludeReversed } from './reversals.js';
+import { percentageOf, subtractCents } from './currency.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Get the ledger account holding a goal's earmarked cash
+ * @param {string} goalId - Goal ID
+ * @returns {string} Account name
+ */
+export const getGoalAccount = (goalId) => {
+    return `${LEDGER_ACCOUNT.GOAL_PREFIX}${goalId}`;
+};
+
+/**
+ * Get the amount currently earmarked for a goal
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} goal - Savings goal
+ * @returns {number} Saved amount in cents
+ */
+export const getGoalBalance = (transactions, goal) => {
+    const accounts = computeAccountBalances(transactions, goal.userId);
+    return accounts[getGoalAccount(goal.id)] || 0;
+};
+
+/**
+ * Get progress toward a goal
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} goal - Savings goal
+ * @returns {{ saved: number, target: number, remaining: number, percentage: number, isReached: boolean }}
+ */
+export const getGoalProgress = (transactions, goal) => {
+    const saved = getGoalBalance(transactions, goal);
+    const remaining = Math.max(0, subtractCents(goal.targetCents, saved));
+
+    return {
+        saved,
+        target: goal.targetCents,
+        remaining,
+        percentage: Math.min(100, percentageOf(saved, goal.targetCents)),
+        isReached: remaining === 0
+    };
+};
+
+/**
+ * Average daily job earnings over a recent window
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @param {number} days - Size of the window in days (default 28)
+ * @param {Date} now - Reference time
+ * @returns {number} Average cents earned per day
+ */
+export const getAverageDailyEarnings = (transactions, userId, days = 28, now = new Date()) => {
+    const windowStart = now.getTime() - days * MS_PER_DAY;
+
+    const earned = excludeReversed(transactions)
+        .filter(t =>
+            t.userId === userId &&
+            t.type === TRANSACTION_TYPE.EARN &&
+            new Date(t.date).getTime() >= windowStart
+        )
+        .reduce((sum, t) => sum + t.amount, 0);
+
+    return earned / days;
+};
+
+/**
+ * Project when a goal will be reached at the child's recent earning rate
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} goal - Savings goal
+ * @param {Date} now - Reference time
+ * @returns {{ date: Date | null, daysRemaining: number | null, onTrack: boolean | null }}
+ *   date/daysRemaining are null when there are no recent earnings to project from;
+ *   onTrack is null when the goal has no deadline
+ */
+export const projectGoalCompletion = (transactions, goal, now = new Date()) => {
+    const { remaining } = getGoalProgress(transactions, goal);
+
+    if (remaining === 0) {
+        return { date: now, daysRemaining: 0, onTrack: true };
+    }
+
+    const dailyRate = getAverageDailyEarnings(transactions, goal.userId, 28, now);
+    if (dailyRate <= 0) {
+        return { date: null, daysRemaining: null, onTrack: goal.deadline ? false : null };
+    }
+
+    const daysRemaining = Math.ceil(remaining / dailyRate);
+    const date = new Date(now.getTime() + daysRemaining * MS_PER_DAY);
+
+    return {
+        date,
+        daysRemaining,
+        onTrack: goal.deadline ? date <= new Date(goal.deadline) : null
+    };
+};
+
+/**
+ * Create an entry moving cash into a goal
+ * @param {Object} goal - Savings goal
+ * @param {number} amount - Cents to earmark
+ * @returns {Object} Ledger entry
+ */
+export const createGoalDepositEntry = (goal, amount) => {
+    return createLedgerEntry(
+        goal.userId,
+        TRANSACTION_TYPE.GOAL_DEPOSIT,
+        -amount,
+        `Saved toward ${goal.name}`,
+        { counterAccount: getGoalAccount(goal.id), goalId: goal.id }
+    );
+};
+
+/**
+ * Create an entry moving earmarked cash back out of a goal
+ * @param {Object} goal - Savings goal
+ * @param {number} amount - Cents to return to cash
+ * @returns {Object} Ledger entry
+ */
+export const createGoalWithdrawEntry = (goal, amount) => {
+    return createLedgerEntry(
+        goal.userId,
+        TRANSACTION_TYPE.GOAL_WITHDRAW,
+        amount,
+        `Took out of ${goal.name}`,
+        { counterAccount: getGoalAccount(goal.id), goalId: goal.id }
+    );
+};
+
+export default {
+    getGoalAccount,
+    getGoalBalance,
+    getGoalProgress,
+    getAverageDailyEarnings,
+    projectGoalCompletion,
+    createGoalDepositEntry,
+    createGoalWithdrawEntry
+};
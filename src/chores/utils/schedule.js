@@ -0,0 +1,174 @@
+/**
+ * Schedule Utility Functions
+ *
+ * Handles due times and availability windows on jobs and chores:
+ * - Whether it can be completed right now (inside its availability window)
+ * - Whether a completion is early (early-bird bonus) or late (late penalty)
+ * - Countdowns for cards ("Due in 1h 20m", "Opens in 35m")
+ *
+ * Times are local times of day ("HH:MM") and apply every day of the period.
+ * The bonus or penalty is locked in when the job or chore is completed.
+ */
+
+import { COMPLETION_TIMING } from '../schema.js';
+import { getTimeOfDay, getTimeUntilTimeOfDay, formatCountdown, formatTimeOfDay } from './dateTime.js';
+
+/**
+ * How often countdowns on cards are refreshed
+ */
+export const SCHEDULE_TICK_MS = 60 * 1000;
+
+/**
+ * Check whether a schedule sets any time
+ * @param {Schedule | null} schedule
+ * @returns {boolean}
+ */
+export const hasSchedule = (schedule) => {
+    return Boolean(schedule && (schedule.availableFrom || schedule.availableUntil || schedule.dueBy || schedule.earlyBirdBy));
+};
+
+/**
+ * Check whether now is inside the availability window
+ * A window whose end is before its start runs overnight (e.g. 20:00-02:00).
+ * @param {Schedule | null} schedule
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isWithinWindow = (schedule, now = new Date()) => {
+    const from = getTimeOfDay(schedule?.availableFrom, now);
+    const until = getTimeOfDay(schedule?.availableUntil, now);
+    if (from && until && until <= from) {
+        return now >= from || now < until;
+    }
+    return (!from || now >= from) && (!until || now < until);
+};
+
+/**
+ * Check whether a job or chore can be completed now under its schedule
+ * @param {Schedule | null} schedule
+ * @param {Date} now - Reference time
+ * @returns {{ canComplete: boolean, reason: string | null }}
+ */
+export const checkSchedule = (schedule, now = new Date()) => {
+    if (isWithinWindow(schedule, now)) {
+        return { canComplete: true, reason: null };
+    }
+
+    const window = [schedule.availableFrom, schedule.availableUntil].filter(Boolean).map(formatTimeOfDay);
+    return {
+        canComplete: false,
+        reason: window.length === 2
+            ? `Only available ${window[0]}–${window[1]}.`
+            : schedule.availableFrom
+                ? `Available from ${window[0]}.`
+                : `Only available until ${window[0]}.`
+    };
+};
+
+/**
+ * Work out whether a completion now is early or late, and the adjustment
+ * @param {Schedule | null} schedule
+ * @param {Date} now - Reference time
+ * @returns {{ timing: CompletionTiming | null, percent: number }} percent is + for a bonus, - for a penalty
+ */
+export const getCompletionTiming = (schedule, now = new Date()) => {
+    const earlyBirdBy = getTimeOfDay(schedule?.earlyBirdBy, now);
+    if (earlyBirdBy && now < earlyBirdBy && schedule.earlyBirdPercent > 0) {
+        return { timing: COMPLETION_TIMING.EARLY, percent: schedule.earlyBirdPercent };
+    }
+
+    const dueBy = getTimeOfDay(schedule?.dueBy, now);
+    if (dueBy && now > dueBy && schedule.latePenaltyPercent > 0) {
+        return { timing: COMPLETION_TIMING.LATE, percent: -Math.min(100, schedule.latePenaltyPercent) };
+    }
+
+    return { timing: null, percent: 0 };
+};
+
+/**
+ * Apply an early-bird bonus or late penalty to an amount (cents or gems)
+ * @param {number} amount
+ * @param {number} percent - + for a bonus, - for a penalty
+ * @returns {number} Rounded, never below zero
+ */
+export const applyTimingPercent = (amount, percent) => {
+    return Math.max(0, Math.round(amount * (100 + percent) / 100));
+};
+
+/**
+ * Describe where a schedule stands now, for a countdown on a card
+ * @param {Schedule | null} schedule
+ * @param {Date} now - Reference time
+ * @returns {{ text: string, tone: 'closed' | 'bonus' | 'due' | 'late' } | null} null if there's nothing to show
+ */
+export const describeSchedule = (schedule, now = new Date()) => {
+    if (!hasSchedule(schedule)) return null;
+
+    if (!isWithinWindow(schedule, now)) {
+        const opensIn = getTimeUntilTimeOfDay(schedule.availableFrom, now);
+        return opensIn && opensIn.totalMs > 0
+            ? { text: `Opens in ${formatCountdown(opensIn)}`, tone: 'closed' }
+            : { text: 'Closed for today', tone: 'closed' };
+    }
+
+    const { timing, percent } = getCompletionTiming(schedule, now);
+    if (timing === COMPLETION_TIMING.EARLY) {
+        const left = getTimeUntilTimeOfDay(schedule.earlyBirdBy, now);
+        return { text: `⚡ +${percent}% if done in ${formatCountdown(left)}`, tone: 'bonus' };
+    }
+    if (timing === COMPLETION_TIMING.LATE) {
+        return { text: `Late: −${-percent}%`, tone: 'late' };
+    }
+
+    const dueIn = getTimeUntilTimeOfDay(schedule.dueBy, now);
+    if (dueIn && dueIn.totalMs > 0) {
+        return { text: `Due in ${formatCountdown(dueIn)}`, tone: 'due' };
+    }
+
+    const closesIn = getTimeUntilTimeOfDay(schedule.availableUntil, now);
+    if (closesIn && closesIn.totalMs > 0) {
+        return { text: `Closes in ${formatCountdown(closesIn)}`, tone: 'due' };
+    }
+    return null;
+};
+
+/**
+ * Describe a schedule's times for parents, e.g. "4:00 PM–7:00 PM, due 6:00 PM"
+ * @param {Schedule | null} schedule
+ * @returns {string} Empty if no times are set
+ */
+export const describeScheduleTimes = (schedule) => {
+    if (!hasSchedule(schedule)) return '';
+
+    const { availableFrom, availableUntil, dueBy, earlyBirdBy } = schedule;
+    return [
+        (availableFrom || availableUntil) &&
+            `${availableFrom ? formatTimeOfDay(availableFrom) : 'Any time'}–${availableUntil ? formatTimeOfDay(availableUntil) : 'midnight'}`,
+        dueBy && `due ${formatTimeOfDay(dueBy)}`,
+        earlyBirdBy && `early bird before ${formatTimeOfDay(earlyBirdBy)}`
+    ].filter(Boolean).join(', ');
+};
+
+/**
+ * Describe a completion's timing, e.g. "⚡ Early +10%" or "⏰ Late −25%"
+ * @param {CompletionTiming | null} timing
+ * @param {number} percent
+ * @returns {string} Empty if it was on time
+ */
+export const describeTiming = (timing, percent) => {
+    if (timing === COMPLETION_TIMING.EARLY) return `⚡ Early +${percent}%`;
+    if (timing === COMPLETION_TIMING.LATE) return `⏰ Late −${-percent}%`;
+    return '';
+};
+
+export default {
+    SCHEDULE_TICK_MS,
+    hasSchedule,
+    isWithinWindow,
+    checkSchedule,
+    getCompletionTiming,
+    applyTimingPercent,
+    describeSchedule,
+    describeScheduleTimes,
+    describeTiming
+};
@@ -0,0 +1,128 @@
+/**
+ * Spending Utility Functions
+ *
+ * Handles what children spend their money on:
+ * - Spending categories and how they're shown
+ * - Per-category totals for each week or month
+ *
+ * Spending is the redeem entries in the ledger, from the spending modal and the
+ * reward store. Reversed spending (refunds) isn't counted.
+ */
+
+import { TRANSACTION_TYPE, SPENDING_CATEGORY, RECURRENCE_TYPE, ALLOWANCE_CADENCE, DEFAULT_WEEKLY_RESET_DAY } from '../schema.js';
+import { excludeReversed } from './reversals.js';
+import { getPeriodStart, getNextPeriodStart } from './dateTime.js';
+import { addCents, percentageOf } from './currency.js';
+
+/**
+ * Category display info
+ */
+export const SPENDING_CATEGORY_INFO = {
+    [SPENDING_CATEGORY.TOYS]: { label: 'Toys', icon: '🧸' },
+    [SPENDING_CATEGORY.TREATS]: { label: 'Treats', icon: '🍭' },
+    [SPENDING_CATEGORY.GAMES]: { label: 'Games', icon: '🎮' },
+    [SPENDING_CATEGORY.SAVINGS_WITHDRAWAL]: { label: 'Savings Withdrawals', icon: '🏦' },
+    [SPENDING_CATEGORY.CUSTOM]: { label: 'Other', icon: '🏷️' }
+};
+
+const UNCATEGORIZED = { key: 'uncategorized', label: 'Uncategorized', icon: '❔' };
+
+/**
+ * Get the category an entry (or store item) is filed under
+ * Custom categories with the same name are grouped together.
+ * @param {{ category?: string | null, customCategory?: string }} entry
+ * @returns {{ key: string, label: string, icon: string }}
+ */
+export const getSpendingCategory = (entry) => {
+    const info = SPENDING_CATEGORY_INFO[entry?.category];
+    if (!info) return UNCATEGORIZED;
+
+    const customName = entry.customCategory?.trim();
+    if (entry.category === SPENDING_CATEGORY.CUSTOM && customName) {
+        return { key: `custom:${customName.toLowerCase()}`, label: customName, icon: info.icon };
+    }
+    return { key: entry.category, ...info };
+};
+
+/**
+ * Get a user's spending entries
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @returns {Object[]}
+ */
+export const getSpendingEntries = (transactions, userId) => {
+    return excludeReversed(transactions)
+        .filter(t => t.userId === userId && t.type === TRANSACTION_TYPE.REDEEM);
+};
+
+/**
+ * Total spending by category
+ * @param {Object[]} entries - Spending entries
+ * @returns {{ total: number, categories: { key: string, label: string, icon: string, total: number, count: number, percentage: number }[] }}
+ *   Categories sorted by most spent
+ */
+export const summarizeSpending = (entries) => {
+    const byCategory = new Map();
+    entries.forEach(entry => {
+        const category = getSpendingCategory(entry);
+        const current = byCategory.get(category.key) || { ...category, total: 0, count: 0 };
+        current.total = addCents(current.total, -entry.amount);
+        current.count += 1;
+        byCategory.set(category.key, current);
+    });
+
+    const total = [...byCategory.values()].reduce((sum, c) => addCents(sum, c.total), 0);
+    return {
+        total,
+        categories: [...byCategory.values()]
+            .map(c => ({ ...c, percentage: percentageOf(c.total, total) }))
+            .sort((a, b) => b.total - a.total)
+    };
+};
+
+/**
+ * Get a user's spending by category for recent weeks or months
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {'weekly' | 'monthly'} [options.period] - Week or month buckets
+ * @param {number} [options.count] - How many periods, counting back from the current one
+ * @param {number} [options.resetDay] - Day weeks start on
+ * @param {Date} [options.now] - Reference time
+ * @returns {{ periodStart: Date, periodEnd: Date, total: number, categories: Object[] }[]}
+ *   Newest period first; categories as from summarizeSpending
+ */
+export const getSpendingBreakdown = (transactions, userId, {
+    period = RECURRENCE_TYPE.WEEKLY,
+    count = 4,
+    resetDay = DEFAULT_WEEKLY_RESET_DAY,
+    now = new Date()
+} = {}) => {
+    const cadence = period === ALLOWANCE_CADENCE.MONTHLY ? ALLOWANCE_CADENCE.MONTHLY : RECURRENCE_TYPE.WEEKLY;
+    const entries = getSpendingEntries(transactions, userId);
+
+    const periods = [];
+    let periodStart = getPeriodStart(now, cadence, resetDay);
+    for (let i = 0; i < count; i++) {
+        const periodEnd = getNextPeriodStart(periodStart, cadence);
+        const inPeriod = entries.filter(t => {
+            const date = new Date(t.date);
+            return date >= periodStart && date < periodEnd;
+        });
+        periods.push({ periodStart, periodEnd, ...summarizeSpending(inPeriod) });
+
+        // Step back one period; for months, the day before the start is in the previous month
+        const previous = new Date(periodStart);
+        previous.setDate(previous.getDate() - 1);
+        periodStart = getPeriodStart(previous, cadence, resetDay);
+    }
+    return periods;
+};
+
+export default {
+    SPENDING_CATEGORY_INFO,
+    getSpendingCategory,
+    getSpendingEntries,
+    summarizeSpending,
+    getSpendingBreakdown
+};
@@ -0,0 +1,187 @@
+/**
+ * Statement Utility Functions
+ *
+ * Builds monthly statements for a child from the ledger:
+ * - Opening and closing balances for the month
+ * - The month's entries grouped by type, with totals
+ * - Total earned and spent, and the jobs that earned the most
+ *
+ * Balances are what the child owns (cash, jars and savings goals) less loans
+ * still owed; pending earnings aren't counted until approved, and moves between
+ * the child's own jars and goals, loan advances and loan repayments don't appear
+ * because they don't change the balance.
+ */
+
+import { TRANSACTION_TYPE, ALLOWANCE_CADENCE } from '../schema.js';
+import { computeBalances, getOwnedBalance, getOwnedEffect } from './ledger.js';
+import { getPeriodStart, getNextPeriodStart } from './dateTime.js';
+import { addCents } from './currency.js';
+
+/**
+ * Statement headings for each transaction type
+ */
+const TYPE_LABELS = {
+    [TRANSACTION_TYPE.EARN]: 'Job Earnings',
+    [TRANSACTION_TYPE.BONUS]: 'Bonuses',
+    [TRANSACTION_TYPE.ALLOWANCE]: 'Allowance',
+    [TRANSACTION_TYPE.INTEREST]: 'Interest',
+    [TRANSACTION_TYPE.GEM_EXCHANGE]: 'Gem Exchanges',
+    [TRANSACTION_TYPE.TRANSFER_IN]: 'Money Received',
+    [TRANSACTION_TYPE.REDEEM]: 'Spending',
+    [TRANSACTION_TYPE.TRANSFER_OUT]: 'Money Sent',
+    [TRANSACTION_TYPE.FINE]: 'Fines',
+    [TRANSACTION_TYPE.LOAN_INTEREST]: 'Loan Interest',
+    [TRANSACTION_TYPE.ADJUST]: 'Adjustments',
+    [TRANSACTION_TYPE.REVERSAL]: 'Reversals'
+};
+
+/**
+ * Number of jobs listed under top jobs
+ */
+const TOP_JOBS_LIMIT = 5;
+
+/**
+ * Get the statement heading for a transaction type
+ * @param {TransactionType} type
+ * @returns {string}
+ */
+export const getStatementTypeLabel = (type) => TYPE_LABELS[type] || 'Other';
+
+/**
+ * What a user owns after a set of entries
+ * @param {Object[]} transactions - Ledger entries
+ * @param {string} userId - User ID
+ * @returns {number} Cents
+ */
+const getOwnedBalanceOf = (transactions, userId) => {
+    return getOwnedBalance(computeBalances(transactions, userId));
+};
+
+/**
+ * Get the months a user has statements for
+ * @param {Object[]} transactions - All ledger entries
+ * @param {string} userId - User ID
+ * @param {Date} now - Reference time
+ * @returns {Date[]} Start of each month, newest first (always includes the current month)
+ */
+export const getStatementMonths = (transactions, userId, now = new Date()) => {
+    const current = getPeriodStart(now, ALLOWANCE_CADENCE.MONTHLY);
+    const first = transactions
+        .filter(t => t.userId === userId)
+        .reduce((earliest, t) => (!earliest || t.date < earliest ? t.date : earliest), null);
+
+    const months = [];
+    let month = first ? getPeriodStart(first, ALLOWANCE_CADENCE.MONTHLY) : current;
+    while (month <= current) {
+        months.unshift(month);
+        month = getNextPeriodStart(month, ALLOWANCE_CADENCE.MONTHLY);
+    }
+    return months;
+};
+
+/**
+ * Build a monthly statement for a user
+ *
+ * Every listed entry carries its effect on the balance, so the opening balance
+ * plus the entries equals the closing balance. Totals and top jobs leave out
+ * entries reversed within the same month.
+ *
+ * @param {Object[]} transactions - All ledger entries
+ * @param {Object} user - User the statement is for
+ * @param {string | Date} month - Any date in the month
+ * @param {Object[]} jobs - Jobs, for top-job titles
+ * @returns {{
+ *   periodStart: Date,
+ *   periodEnd: Date,
+ *   openingBalance: number,
+ *   closingBalance: number,
+ *   loanBalance: number,
+ *   groups: { type: string, label: string, entries: Object[], total: number }[],
+ *   totalEarned: number,
+ *   totalSpent: number,
+ *   topJobs: { jobId: string, title: string, count: number, total: number }[]
+ * }}
+ *   Each entry is the ledger entry with an added `effect` (change to the balance);
+ *   loanBalance is the loan principal still owed at the end of the month
+ */
+export const buildMonthlyStatement = (transactions, user, month, jobs = []) => {
+    const periodStart = getPeriodStart(month, ALLOWANCE_CADENCE.MONTHLY);
+    const periodEnd = getNextPeriodStart(periodStart, ALLOWANCE_CADENCE.MONTHLY);
+    const startIso = periodStart.toISOString();
+    const endIso = periodEnd.toISOString();
+
+    const userEntries = transactions.filter(t => t.userId === user.id);
+    const before = userEntries.filter(t => t.date < startIso);
+    const upToEnd = userEntries.filter(t => t.date < endIso);
+
+    const entries = userEntries
+        .filter(t => t.date >= startIso && t.date < endIso)
+        .map(t => ({ ...t, effect: getOwnedEffect(t) }))
+        .filter(t => t.effect !== 0)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Group in the order of the type headings, then anything unlabelled
+    const order = Object.keys(TYPE_LABELS);
+    const rank = (type) => (order.includes(type) ? order.indexOf(type) : order.length);
+    const groups = [...new Set(entries.map(t => t.type))]
+        .sort((a, b) => rank(a) - rank(b))
+        .map(type => {
+            const typeEntries = entries.filter(t => t.type === type);
+            return {
+                type,
+                label: getStatementTypeLabel(type),
+                entries: typeEntries,
+                total: typeEntries.reduce((sum, t) => addCents(sum, t.effect), 0)
+            };
+        });
+
+    // An entry reversed in the same month cancels out with its reversal
+    const monthIds = new Set(entries.map(t => t.id));
+    const cancelledIds = new Set(
+        entries
+            .filter(t => t.type === TRANSACTION_TYPE.REVERSAL && monthIds.has(t.reversesId))
+            .flatMap(t => [t.id, t.reversesId])
+    );
+    const counted = entries.filter(t => !cancelledIds.has(t.id));
+    const totalEarned = counted
+        .filter(t => t.effect > 0)
+        .reduce((sum, t) => addCents(sum, t.effect), 0);
+    const totalSpent = counted
+        .filter(t => t.effect < 0)
+        .reduce((sum, t) => addCents(sum, -t.effect), 0);
+
+    const byJob = new Map();
+    counted
+        .filter(t => t.type === TRANSACTION_TYPE.EARN && t.jobId)
+        .forEach(t => {
+            const job = byJob.get(t.jobId) || {
+                jobId: t.jobId,
+                title: jobs.find(j => j.id === t.jobId)?.title || t.description,
+                count: 0,
+                total: 0
+            };
+            job.count += t.completionCount || 1;
+            job.total = addCents(job.total, t.effect);
+            byJob.set(t.jobId, job);
+        });
+
+    return {
+        periodStart,
+        periodEnd,
+        openingBalance: getOwnedBalanceOf(before, user.id),
+        closingBalance: getOwnedBalanceOf(upToEnd, user.id),
+        loanBalance: computeBalances(upToEnd, user.id).loanBalance,
+        groups,
+        totalEarned,
+        totalSpent,
+        topJobs: [...byJob.values()]
+            .sort((a, b) => b.total - a.total)
+            .slice(0, TOP_JOBS_LIMIT)
+    };
+};
+
+export default {
+    getStatementTypeLabel,
+    getStatementMonths,
+    buildMonthlyStatement
+};
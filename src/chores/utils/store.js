@@ -0,0 +1,124 @@
+/**
+ * Reward Store Utility Functions
+ *
+ * Handles reward store operations including:
+ * - Stock and weekly purchase limits
+ * - Purchase eligibility checks
+ * - REDEEM entries linked to the item and order
+ */
+
+import {
+    TRANSACTION_TYPE,
+    APPROVAL_STATUS,
+    DEFAULT_WEEKLY_RESET_DAY,
+    createLedgerEntry
+} from '../schema.js';
+import { isThisWeek } from './dateTime.js';
+
+/**
+ * Orders that count against stock and limits (approved or still awaiting a decision)
+ * Refunded orders no longer count.
+ * @param {StoreOrder} order
+ * @returns {boolean}
+ */
+const isOpenOrApproved = (order) => {
+    if (order.refundedAt) return false;
+    return order.status === APPROVAL_STATUS.PENDING || order.status === APPROVAL_STATUS.APPROVED;
+};
+
+/**
+ * Count a child's purchases of an item this week
+ * @param {StoreOrder[]} orders - All store orders
+ * @param {string} itemId - Item ID
+ * @param {string} userId - User ID
+ * @param {number} resetDay - Weekly reset day
+ * @returns {number}
+ */
+export const getWeeklyPurchaseCount = (orders, itemId, userId, resetDay = DEFAULT_WEEKLY_RESET_DAY) => {
+    return orders.filter(o =>
+        o.itemId === itemId &&
+        o.userId === userId &&
+        isOpenOrApproved(o) &&
+        isThisWeek(o.requestedAt, resetDay)
+    ).length;
+};
+
+/**
+ * Units of an item still available to order
+ * Orders awaiting approval reserve a unit so the item can't be oversold.
+ * @param {RedemptionItem} item - Store item
+ * @param {StoreOrder[]} orders - All store orders
+ * @returns {number | null} Units available (null = unlimited)
+ */
+export const getAvailableStock = (item, orders) => {
+    if (item.stock === null || item.stock === undefined) return null;
+
+    const reserved = orders.filter(o =>
+        o.itemId === item.id && o.status === APPROVAL_STATUS.PENDING
+    ).length;
+
+    return Math.max(0, item.stock - reserved);
+};
+
+/**
+ * Check whether a child can buy an item
+ * @param {RedemptionItem} item - Store item
+ * @param {Object} user - Buyer with derived balances
+ * @param {StoreOrder[]} orders - All store orders
+ * @param {number} resetDay - Weekly reset day
+ * @returns {{ canPurchase: boolean, reason: string | null }}
+ */
+export const canPurchaseItem = (item, user, orders, resetDay = DEFAULT_WEEKLY_RESET_DAY) => {
+    if (!item.isActive) {
+        return { canPurchase: false, reason: 'Not available' };
+    }
+
+    if (getAvailableStock(item, orders) === 0) {
+        return { canPurchase: false, reason: 'Sold out' };
+    }
+
+    if (item.weeklyLimit && getWeeklyPurchaseCount(orders, item.id, user.id, resetDay) >= item.weeklyLimit) {
+        return { canPurchase: false, reason: 'Weekly limit reached' };
+    }
+
+    // Money held for this child's other orders awaiting approval isn't free to spend
+    const committed = orders
+        .filter(o => o.userId === user.id && o.status === APPROVAL_STATUS.PENDING)
+        .reduce((sum, o) => sum + o.price, 0);
+
+    if (user.cashBalance - committed < item.price) {
+        return { canPurchase: false, reason: 'Not enough money' };
+    }
+
+    return { canPurchase: true, reason: null };
+};
+
+/**
+ * Create the REDEEM entry that pays for an order
+ * @param {StoreOrder} order - Order being paid
+ * @param {RedemptionItem} item - Item purchased
+ * @param {string | null} approvedBy - Parent who approved it, if approval was needed
+ * @returns {Object} Ledger entry
+ */
+export const createStoreRedeemEntry = (order, item, approvedBy = null) => {
+    return createLedgerEntry(
+        order.userId,
+        TRANSACTION_TYPE.REDEEM,
+        -order.price,
+        item.name,
+        {
+            itemId: item.id,
+            orderId: order.id,
+            category: item.category || null,
+            customCategory: item.customCategory || '',
+            approvedBy
+        }
+    );
+};
+
+export default {
+    getWeeklyPurchaseCount,
+    getAvailableStock,
+    canPurchaseItem,
+    createStoreRedeemEntry
+};
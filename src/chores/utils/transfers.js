@@ -0,0 +1,81 @@
+/**
+ * Transfer Utility Functions
+ *
+ * Handles money sent between family members:
+ * - Whether a transfer needs parent approval
+ * - Transfer eligibility checks
+ * - Paired ledger entries, one per side, linked by the transfer ID
+ */
+
+import { TRANSACTION_TYPE, createLedgerEntry } from '../schema.js';
+import { withJarAllocation } from './jars.js';
+
+/**
+ * Check whether a transfer needs parent approval
+ * @param {number} amount - Cents being sent
+ * @param {TransferSettings} settings - Family transfer settings
+ * @returns {boolean}
+ */
+export const requiresTransferApproval = (amount, settings) => {
+    return !!settings?.requireApproval && amount > (settings.thresholdCents || 0);
+};
+
+/**
+ * Check whether one family member can send money to another
+ * @param {Object} fromUser - Sender with derived balances
+ * @param {Object} toUser - Recipient
+ * @param {number} amount - Cents to send
+ * @returns {{ canTransfer: boolean, reason: string | null }}
+ */
+export const canTransfer = (fromUser, toUser, amount) => {
+    if (!fromUser || !toUser) {
+        return { canTransfer: false, reason: 'User not found' };
+    }
+    if (fromUser.id === toUser.id) {
+        return { canTransfer: false, reason: 'Pick someone else' };
+    }
+    if (!(amount > 0)) {
+        return { canTransfer: false, reason: 'Enter an amount' };
+    }
+    if ((fromUser.cashBalance || 0) < amount) {
+        return { canTransfer: false, reason: 'Not enough money' };
+    }
+    return { canTransfer: true, reason: null };
+};
+
+/**
+ * Create the paired entries that pay a transfer
+ * The recipient's side is split into their jars like other money coming in.
+ * @param {Transfer} transfer - Transfer being paid
+ * @param {Object} fromUser - Sender
+ * @param {Object} toUser - Recipient (with jar settings)
+ * @param {string | null} approvedBy - Parent who approved it, if it needed approval
+ * @returns {Object[]} The sender's entry, the recipient's entry and any jar allocations
+ */
+export const createTransferEntries = (transfer, fromUser, toUser, approvedBy = null) => {
+    const note = transfer.note ? `: ${transfer.note}` : '';
+    const fields = { transferId: transfer.id, approvedBy };
+
+    const sent = createLedgerEntry(
+        fromUser.id,
+        TRANSACTION_TYPE.TRANSFER_OUT,
+        -transfer.amount,
+        `Sent to ${toUser.name}${note}`,
+        { ...fields, counterpartyId: toUser.id }
+    );
+    const received = createLedgerEntry(
+        toUser.id,
+        TRANSACTION_TYPE.TRANSFER_IN,
+        transfer.amount,
+        `From ${fromUser.name}${note}`,
+        { ...fields, counterpartyId: fromUser.id }
+    );
+
+    return [sent, ...withJarAllocation(received, toUser)];
+};
+
+export default {
+    requiresTransferApproval,
+    canTransfer,
+    createTransferEntries
+};